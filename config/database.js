@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
-
+const { logger } = require('../services/logger');
+const { dbQueryDuration, slowQueries, trackPool } = require('../services/metrics');
 
 const pool = new Pool({
   host: process.env.DB_HOST || 'localhost',
@@ -12,33 +13,75 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+trackPool(pool);
+
+// Queries slower than this many milliseconds are logged as warnings
+const SLOW_QUERY_MS = parseInt(process.env.SLOW_QUERY_MS || '500');
+
+// SQL as one line for the logs; parameters are never logged since they hold
+// user data
+const sqlForLog = (text) => text.replace(/\s+/g, ' ').trim().slice(0, 1000);
+
 const connectDB = async () => {
   try {
     const client = await pool.connect();
-    console.log('Database connected successfully');
     client.release();
   } catch (error) {
-    console.error('Database connection error:', error.message);
+    logger.error({ err: error }, 'Database connection error');
     throw error;
   }
 };
 
 
 const query = async (text, params) => {
-  const start = Date.now();
+  const start = process.hrtime.bigint();
+  const elapsedMs = () => Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+
   try {
     const res = await pool.query(text, params);
-    const duration = Date.now() - start;
-    console.log('Executed query', { text, duration, rows: res.rowCount });
+    const durationMs = elapsedMs();
+    dbQueryDuration.observe({ outcome: 'success' }, durationMs / 1000);
+
+    if (durationMs >= SLOW_QUERY_MS) {
+      slowQueries.inc();
+      logger.warn({ durationMs, rows: res.rowCount, sql: sqlForLog(text) }, 'Slow query');
+    } else {
+      logger.debug({ durationMs, rows: res.rowCount, sql: sqlForLog(text) }, 'Executed query');
+    }
     return res;
   } catch (error) {
-    console.error('Query error:', error.message);
+    dbQueryDuration.observe({ outcome: 'error' }, elapsedMs() / 1000);
+    // error.detail can quote the offending values, so only the message and code
+    logger.error({ code: error.code, durationMs: elapsedMs(), sql: sqlForLog(text) }, `Query error: ${error.message}`);
     throw error;
   }
 };
 
+// Run fn(client) inside BEGIN/COMMIT on a single pooled connection. Every
+// query that must commit or roll back together goes through `client`, not
+// query(). Rolls back and rethrows if fn throws.
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error({ err: rollbackError }, 'Rollback error');
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   pool,
   query,
+  withTransaction,
   connectDB
 };
\ No newline at end of file
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('./database');
+
+// Migrations are pairs of SQL files in database/migrations:
+//   002_add_reports.up.sql    applied by migrate
+//   002_add_reports.down.sql  applied by rollback
+// Versions run in numeric order; each one runs in its own transaction.
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock; held for the whole run so two deploys
+// migrating at once queue up instead of racing
+const MIGRATION_LOCK_KEY = 52017101;
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+const loadMigrations = () => {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+
+    if (migration.name !== name || migration[direction]) {
+      throw new Error(`Conflicting migration files for version ${version}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => parseInt(a.version) - parseInt(b.version));
+
+  for (const migration of migrations) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    }
+    migration.checksum = checksum(migration.up);
+  }
+
+  return migrations;
+};
+
+// Run fn with a dedicated client that holds the migration lock
+const withMigrationLock = async (fn) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+const getApplied = async (client) => {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+  return new Map(result.rows.map(row => [row.version, row]));
+};
+
+const runInTransaction = async (client, label, sql, record) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `${label} failed: ${error.message}`;
+    throw error;
+  }
+};
+
+// Apply every pending migration; returns the ones applied
+const migrate = () => withMigrationLock(async (client) => {
+  const migrations = loadMigrations();
+  const applied = await getApplied(client);
+  const pending = migrations.filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    await runInTransaction(client, `Migration ${migration.version}_${migration.name}`, migration.up, () => client.query(
+      'INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES ($1, $2, $3, NOW())',
+      [migration.version, migration.name, migration.checksum]
+    ));
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+});
+
+// Undo the most recent `steps` migrations; returns the ones rolled back
+const rollback = ({ steps = 1 } = {}) => withMigrationLock(async (client) => {
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const applied = [...(await getApplied(client)).values()]
+    .sort((a, b) => parseInt(b.version) - parseInt(a.version))
+    .slice(0, steps);
+
+  for (const row of applied) {
+    const migration = migrations.get(row.version);
+    if (!migration || !migration.down) {
+      throw new Error(`Migration ${row.version}_${row.name} has no .down.sql file`);
+    }
+  }
+
+  for (const row of applied) {
+    await runInTransaction(client, `Rollback ${row.version}_${row.name}`, migrations.get(row.version).down, () => client.query(
+      'DELETE FROM schema_migrations WHERE version = $1',
+      [row.version]
+    ));
+  }
+
+  return applied.map(({ version, name }) => ({ version, name }));
+});
+
+// Every known migration with its state; "changed" means the .up.sql file was
+// edited after it was applied, "missing" means it was applied but the file is gone
+const status = () => withMigrationLock(async (client) => {
+  const migrations = loadMigrations();
+  const applied = await getApplied(client);
+
+  const rows = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      state: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'changed',
+      applied_at: row ? row.applied_at : null
+    };
+  });
+
+  for (const row of applied.values()) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      rows.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at });
+    }
+  }
+
+  return rows.sort((a, b) => parseInt(a.version) - parseInt(b.version));
+});
+
+module.exports = {
+  migrate,
+  rollback,
+  status
+};
@@ -0,0 +1,41 @@
+// Roles and what each one may do. Routes check permissions, never role
+// names, so a new role only needs an entry here (and in the users.role CHECK).
+const PERMISSIONS = [
+  'users:read',          // admin user list
+  'users:edit',          // edit other people's profiles
+  'users:deactivate',    // activate/deactivate other accounts
+  'users:erase',         // schedule erasure of other accounts (erasure requests)
+  'users:assign_roles',  // change roles, and change staff accounts at all
+  'users:export',        // download other people's personal data (access requests)
+  'skills:moderate',     // edit, delete or hide other people's skills
+  'ratings:moderate',    // delete or hide other people's ratings
+  'reports:manage',      // work the moderation queue
+  'swaps:read',          // view swaps between other users
+  'bookings:read',       // view bookings between other users
+  'taxonomy:manage',     // categories and tags
+  'stats:read',          // platform statistics
+  'credits:adjust',      // correct time-credit balances
+  'audit:read'           // audit log
+];
+
+const ROLES = {
+  user: [],
+  support: ['users:read', 'users:edit', 'users:export', 'swaps:read', 'bookings:read', 'stats:read'],
+  moderator: ['users:read', 'users:deactivate', 'skills:moderate', 'ratings:moderate', 'reports:manage', 'stats:read'],
+  admin: PERMISSIONS
+};
+
+const permissionsFor = (role) => ROLES[role] || [];
+
+const hasPermission = (role, permission) => permissionsFor(role).includes(permission);
+
+// Roles that include a permission, e.g. to find who can be assigned reports
+const rolesWith = (permission) => Object.keys(ROLES).filter(role => hasPermission(role, permission));
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  permissionsFor,
+  hasPermission,
+  rolesWith
+};
@@ -0,0 +1,15 @@
+// Maps free-text skill categories and tags onto the managed taxonomy.
+// Usage: npm run taxonomy:backfill
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { backfillTaxonomy } = require('../services/taxonomy');
+
+backfillTaxonomy()
+  .then((stats) => {
+    console.log('Taxonomy backfill complete', stats);
+  })
+  .catch((error) => {
+    console.error('Taxonomy backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
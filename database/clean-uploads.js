@@ -0,0 +1,15 @@
+// Deletes uploaded images that no user or skill refers to any more.
+// Usage: npm run uploads:clean (e.g. daily from cron)
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { cleanOrphanedImages } = require('../services/images');
+
+cleanOrphanedImages()
+  .then((results) => {
+    console.log('Orphaned uploads removed', results);
+  })
+  .catch((error) => {
+    console.error('Upload cleanup failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,15 @@
+// Erases the personal data of deleted accounts whose grace period is over.
+// Usage: npm run users:erase (e.g. daily from cron)
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { eraseDueAccounts } = require('../services/personalData');
+
+eraseDueAccounts()
+  .then((results) => {
+    console.log('Deleted accounts erased', results);
+  })
+  .catch((error) => {
+    console.error('Account erasure failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,16 @@
+// Expires sessions whose learner never confirmed them, releasing their
+// hour-credits and swaps.
+// Usage: npm run bookings:expire (e.g. daily from cron)
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { expireStaleBookings } = require('../services/bookings');
+
+expireStaleBookings()
+  .then((results) => {
+    console.log('Stale bookings expired', results);
+  })
+  .catch((error) => {
+    console.error('Booking expiry failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,15 @@
+// Adds coordinates to profile locations that were saved as text only.
+// Usage: npm run users:geocode
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { geocodeMissingLocations } = require('../services/locations');
+
+geocodeMissingLocations()
+  .then((stats) => {
+    console.log('Location geocoding complete', stats);
+  })
+  .catch((error) => {
+    console.error('Location geocoding failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
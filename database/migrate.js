@@ -0,0 +1,47 @@
+// Applies, rolls back or lists schema migrations from database/migrations.
+// Usage: npm run migrate | npm run migrate:rollback [-- <steps>] | npm run migrate:status
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { migrate, rollback, status } = require('../config/migrate');
+
+const [command = 'up', stepsArg] = process.argv.slice(2);
+
+const commands = {
+  up: async () => {
+    const applied = await migrate();
+    if (applied.length === 0) {
+      console.log('Database is up to date');
+    }
+    applied.forEach(({ version, name }) => console.log(`Applied ${version}_${name}`));
+  },
+  down: async () => {
+    const steps = parseInt(stepsArg || '1');
+    if (!(steps > 0)) {
+      throw new Error('Steps must be a positive number');
+    }
+    const rolledBack = await rollback({ steps });
+    if (rolledBack.length === 0) {
+      console.log('Nothing to roll back');
+    }
+    rolledBack.forEach(({ version, name }) => console.log(`Rolled back ${version}_${name}`));
+  },
+  status: async () => {
+    const rows = await status();
+    rows.forEach(({ version, name, state, applied_at }) => {
+      console.log(`${state.padEnd(8)} ${version}_${name}${applied_at ? `  (${new Date(applied_at).toISOString()})` : ''}`);
+    });
+  }
+};
+
+if (!commands[command]) {
+  console.error(`Unknown command "${command}". Use up, down or status.`);
+  process.exitCode = 1;
+  pool.end();
+} else {
+  commands[command]()
+    .catch((error) => {
+      console.error('Migration error:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,20 @@
+-- Drops everything the baseline created, dependents first
+DROP TABLE IF EXISTS notification_preferences;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS bookings;
+DROP TABLE IF EXISTS availability_exceptions;
+DROP TABLE IF EXISTS availability_slots;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS auth_tokens;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS conversations;
+DROP TABLE IF EXISTS swaps;
+DROP TABLE IF EXISTS ratings;
+DROP TABLE IF EXISTS skills;
+DROP TABLE IF EXISTS tag_aliases;
+DROP TABLE IF EXISTS tags;
+DROP TABLE IF EXISTS category_aliases;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS users;
+DROP EXTENSION IF EXISTS btree_gist;
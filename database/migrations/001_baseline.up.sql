@@ -0,0 +1,304 @@
+-- Baseline: the users, skills and ratings tables exactly as
+-- database/db-schema.sql created them, then every column and table added
+-- before migrations existed, plus indexes on foreign keys that were missing.
+-- Databases created from that file already have the three tables, so they
+-- are created IF NOT EXISTS and upgraded with ADD COLUMN IF NOT EXISTS; the
+-- same statements build a fresh database.
+
+-- Needed for the booking overlap constraints
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- Users table
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    bio TEXT,
+    location VARCHAR(100),
+    website VARCHAR(255),
+    avatar_url VARCHAR(500),
+    role VARCHAR(20) DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) DEFAULT 'UTC',
+    ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) UNIQUE,
+    ADD COLUMN IF NOT EXISTS digest_frequency VARCHAR(10) DEFAULT 'daily' CHECK (digest_frequency IN ('off', 'daily', 'weekly')),
+    ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMP WITH TIME ZONE;
+
+-- Managed category hierarchy; retired categories are kept so old links resolve
+CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    slug VARCHAR(60) UNIQUE NOT NULL,
+    parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    merged_into_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    retired_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (parent_id <> id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id);
+CREATE INDEX IF NOT EXISTS idx_categories_merged_into ON categories(merged_into_id);
+
+-- Alternative spellings that resolve to a category (e.g. merged categories)
+CREATE TABLE IF NOT EXISTS category_aliases (
+    id SERIAL PRIMARY KEY,
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    alias_slug VARCHAR(60) UNIQUE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_aliases_category ON category_aliases(category_id);
+
+-- Normalized tags
+CREATE TABLE IF NOT EXISTS tags (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    slug VARCHAR(60) UNIQUE NOT NULL,
+    merged_into_id INTEGER REFERENCES tags(id) ON DELETE SET NULL,
+    retired_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tags_merged_into ON tags(merged_into_id);
+
+-- Synonyms that resolve to a tag (e.g. "js" -> "javascript")
+CREATE TABLE IF NOT EXISTS tag_aliases (
+    id SERIAL PRIMARY KEY,
+    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    alias_slug VARCHAR(60) UNIQUE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tag_aliases_tag ON tag_aliases(tag_id);
+
+-- Skills table
+CREATE TABLE IF NOT EXISTS skills (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(100) NOT NULL,
+    description TEXT NOT NULL,
+    category VARCHAR(50) NOT NULL,
+    tags JSONB DEFAULT '[]',
+    image_url VARCHAR(500),
+    created_by INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Existing skills keep their free-text category until
+-- `npm run taxonomy:backfill` maps them to category_id
+ALTER TABLE skills
+    ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id),
+    ADD COLUMN IF NOT EXISTS kind VARCHAR(10) DEFAULT 'offered' CHECK (kind IN ('offered', 'wanted'));
+
+-- Weighted full-text document: title, then category and tags, then description
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(category, '')), 'B') ||
+    setweight(jsonb_to_tsvector('english', coalesce(tags, '[]'::jsonb), '["string"]'), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_skills_search ON skills USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_skills_tags ON skills USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_skills_category ON skills(category_id);
+CREATE INDEX IF NOT EXISTS idx_skills_created_by ON skills(created_by);
+
+-- Ratings table
+CREATE TABLE IF NOT EXISTS ratings (
+    id SERIAL PRIMARY KEY,
+    reviewer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rated_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(reviewer_id, rated_user_id)
+);
+
+-- reviewer_id is covered by the unique constraint
+CREATE INDEX IF NOT EXISTS idx_ratings_rated_user ON ratings(rated_user_id);
+
+-- Swaps table
+CREATE TABLE IF NOT EXISTS swaps (
+    id SERIAL PRIMARY KEY,
+    requester_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recipient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    offered_skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+    requested_skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+    message TEXT,
+    status VARCHAR(20) DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'declined', 'scheduled', 'completed', 'cancelled')),
+    scheduled_at TIMESTAMP WITH TIME ZONE,
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (requester_id <> recipient_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_swaps_requester ON swaps(requester_id);
+CREATE INDEX IF NOT EXISTS idx_swaps_recipient ON swaps(recipient_id);
+CREATE INDEX IF NOT EXISTS idx_swaps_offered_skill ON swaps(offered_skill_id);
+CREATE INDEX IF NOT EXISTS idx_swaps_requested_skill ON swaps(requested_skill_id);
+CREATE INDEX IF NOT EXISTS idx_swaps_cancelled_by ON swaps(cancelled_by);
+
+-- Conversations table (one per pair of users, user_one_id < user_two_id)
+CREATE TABLE IF NOT EXISTS conversations (
+    id SERIAL PRIMARY KEY,
+    user_one_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_two_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_one_id, user_two_id),
+    CHECK (user_one_id < user_two_id)
+);
+
+-- user_one_id is covered by the unique constraint
+CREATE INDEX IF NOT EXISTS idx_conversations_user_two ON conversations(user_two_id);
+
+-- Messages table
+CREATE TABLE IF NOT EXISTS messages (
+    id SERIAL PRIMARY KEY,
+    conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    sender_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, id);
+CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages(sender_id);
+
+-- Single-use tokens for email verification and password reset
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id SERIAL PRIMARY KEY,
+    jti UUID UNIQUE NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id);
+
+-- Login sessions; access tokens carry the session id so revoking it logs the device out
+CREATE TABLE IF NOT EXISTS sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_agent VARCHAR(500),
+    ip_address VARCHAR(45),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+
+-- Rotating refresh tokens (only a SHA-256 hash is stored); a used token
+-- presented again means it was stolen, and its whole session is revoked
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+
+-- Weekly recurring availability, in the owner's local time zone
+CREATE TABLE IF NOT EXISTS availability_slots (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    time_zone VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (start_time < end_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_slots_user ON availability_slots(user_id);
+
+-- One-off changes for a specific local date: time off, or extra hours
+CREATE TABLE IF NOT EXISTS availability_exceptions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('unavailable', 'available')),
+    start_time TIME,
+    end_time TIME,
+    time_zone VARCHAR(64) NOT NULL,
+    note VARCHAR(200),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((start_time IS NULL AND end_time IS NULL AND kind = 'unavailable') OR start_time < end_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_exceptions_user ON availability_exceptions(user_id, date);
+
+-- Booked lessons; the exclusion constraints reject overlapping confirmed
+-- bookings for the same teacher or learner atomically
+CREATE TABLE IF NOT EXISTS bookings (
+    id SERIAL PRIMARY KEY,
+    skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+    teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    learner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    swap_id INTEGER REFERENCES swaps(id) ON DELETE SET NULL,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'cancelled')),
+    notes VARCHAR(500),
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (starts_at < ends_at),
+    CHECK (teacher_id <> learner_id),
+    CONSTRAINT bookings_teacher_no_overlap EXCLUDE USING gist (
+        teacher_id WITH =, tstzrange(starts_at, ends_at) WITH &&
+    ) WHERE (status = 'confirmed'),
+    CONSTRAINT bookings_learner_no_overlap EXCLUDE USING gist (
+        learner_id WITH =, tstzrange(starts_at, ends_at) WITH &&
+    ) WHERE (status = 'confirmed')
+);
+
+-- The exclusion constraints only index confirmed rows
+CREATE INDEX IF NOT EXISTS idx_bookings_teacher ON bookings(teacher_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_learner ON bookings(learner_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_skill ON bookings(skill_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_swap ON bookings(swap_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_cancelled_by ON bookings(cancelled_by);
+
+-- Per-user notification feed
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    body TEXT,
+    data JSONB DEFAULT '{}',
+    read_at TIMESTAMP WITH TIME ZONE,
+    emailed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+
+-- Per-event-type overrides; a missing row means the defaults (both on)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    in_app BOOLEAN NOT NULL DEFAULT true,
+    email_digest BOOLEAN NOT NULL DEFAULT true,
+    PRIMARY KEY (user_id, type)
+);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS report_events;
+DROP TABLE IF EXISTS reports;
+ALTER TABLE ratings DROP COLUMN IF EXISTS hidden_at;
+ALTER TABLE skills DROP COLUMN IF EXISTS hidden_at;
@@ -0,0 +1,44 @@
+-- Moderators can hide content without deleting it
+ALTER TABLE skills ADD COLUMN hidden_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE ratings ADD COLUMN hidden_at TIMESTAMP WITH TIME ZONE;
+
+-- User reports about a skill, rating or user; target_id points into the table
+-- named by target_type, and target_user_id is whoever is responsible for it
+CREATE TABLE reports (
+    id SERIAL PRIMARY KEY,
+    reporter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('skill', 'rating', 'user')),
+    target_id INTEGER NOT NULL,
+    target_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason VARCHAR(30) NOT NULL CHECK (reason IN ('spam', 'harassment', 'inappropriate', 'fake_profile', 'scam', 'other')),
+    details TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    resolution VARCHAR(30) CHECK (resolution IN ('dismissed', 'content_hidden', 'user_deactivated')),
+    assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((status = 'open') = (resolution IS NULL))
+);
+
+-- One open report per reporter and target
+CREATE UNIQUE INDEX idx_reports_open_unique ON reports(reporter_id, target_type, target_id) WHERE status = 'open';
+CREATE INDEX idx_reports_queue ON reports(status, created_at);
+CREATE INDEX idx_reports_target ON reports(target_type, target_id);
+CREATE INDEX idx_reports_target_user ON reports(target_user_id);
+CREATE INDEX idx_reports_assigned_to ON reports(assigned_to);
+CREATE INDEX idx_reports_resolved_by ON reports(resolved_by);
+
+-- Everything that happened to a report, in order
+CREATE TABLE report_events (
+    id SERIAL PRIMARY KEY,
+    report_id INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(30) NOT NULL CHECK (action IN ('created', 'assigned', 'unassigned', 'dismissed', 'content_hidden', 'user_deactivated')),
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_report_events_report ON report_events(report_id, id);
+CREATE INDEX idx_report_events_actor ON report_events(actor_id);
@@ -0,0 +1,11 @@
+-- Soft-deleted ratings have to go before the old unique constraint returns
+DELETE FROM ratings WHERE deleted_at IS NOT NULL;
+DROP INDEX IF EXISTS idx_ratings_deleted_by;
+DROP INDEX IF EXISTS idx_ratings_reviewer;
+DROP INDEX IF EXISTS idx_ratings_live_unique;
+ALTER TABLE ratings ADD CONSTRAINT ratings_reviewer_id_rated_user_id_key UNIQUE (reviewer_id, rated_user_id);
+ALTER TABLE ratings DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE ratings DROP COLUMN IF EXISTS deleted_at;
+
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS audit_log_append_only();
@@ -0,0 +1,44 @@
+-- Append-only record of privileged and destructive actions. actor_id has no
+-- foreign key so entries outlive the accounts they mention; the actor's name
+-- and role are copied in for the same reason.
+CREATE TABLE audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id INTEGER,
+    actor_name VARCHAR(100),
+    actor_role VARCHAR(20),
+    action VARCHAR(60) NOT NULL,
+    target_type VARCHAR(30) NOT NULL,
+    target_id INTEGER,
+    before JSONB,
+    after JSONB,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(500),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX idx_audit_log_actor ON audit_log(actor_id, created_at DESC);
+CREATE INDEX idx_audit_log_target ON audit_log(target_type, target_id, created_at DESC);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_no_update_or_delete
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+-- Deleting a rating now keeps the row. A reviewer may rate the same user
+-- again after deleting, so uniqueness only applies to live ratings.
+ALTER TABLE ratings ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE ratings ADD COLUMN deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE ratings DROP CONSTRAINT ratings_reviewer_id_rated_user_id_key;
+CREATE UNIQUE INDEX idx_ratings_live_unique ON ratings(reviewer_id, rated_user_id) WHERE deleted_at IS NULL;
+CREATE INDEX idx_ratings_reviewer ON ratings(reviewer_id);
+CREATE INDEX idx_ratings_deleted_by ON ratings(deleted_by);
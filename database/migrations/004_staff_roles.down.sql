@@ -0,0 +1,4 @@
+-- Staff without a role in the old scheme lose their privileges
+UPDATE users SET role = 'user' WHERE role IN ('support', 'moderator');
+ALTER TABLE users DROP CONSTRAINT users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'admin'));
@@ -0,0 +1,2 @@
+ALTER TABLE skills DROP COLUMN image_key;
+ALTER TABLE users DROP COLUMN avatar_key;
@@ -0,0 +1,5 @@
+-- Storage key prefix of an uploaded avatar or skill image; the files for each
+-- thumbnail size are stored as <key>-<size>.webp. NULL when the URL points
+-- somewhere else (or nowhere).
+ALTER TABLE users ADD COLUMN avatar_key VARCHAR(200);
+ALTER TABLE skills ADD COLUMN image_key VARCHAR(200);
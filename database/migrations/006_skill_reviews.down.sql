@@ -0,0 +1,13 @@
+-- Back to one live rating per reviewer and user: keep the earliest
+UPDATE ratings r SET deleted_at = NOW()
+WHERE r.deleted_at IS NULL AND EXISTS (
+    SELECT 1 FROM ratings o
+    WHERE o.reviewer_id = r.reviewer_id AND o.rated_user_id = r.rated_user_id
+      AND o.deleted_at IS NULL AND o.id < r.id
+);
+
+DROP INDEX idx_ratings_skill;
+DROP INDEX idx_ratings_live_user_unique;
+DROP INDEX idx_ratings_live_skill_unique;
+CREATE UNIQUE INDEX idx_ratings_live_unique ON ratings(reviewer_id, rated_user_id) WHERE deleted_at IS NULL;
+ALTER TABLE ratings DROP COLUMN skill_id;
@@ -0,0 +1,11 @@
+-- Reviews of a specific skill. rated_user_id is still the skill's creator so
+-- user-level summaries roll skill reviews up; ratings made before this have
+-- no skill and stay user-level ratings.
+ALTER TABLE ratings ADD COLUMN skill_id INTEGER REFERENCES skills(id) ON DELETE CASCADE;
+
+-- One live review per reviewer and skill, and one live user-level rating per
+-- reviewer and user
+DROP INDEX idx_ratings_live_unique;
+CREATE UNIQUE INDEX idx_ratings_live_skill_unique ON ratings(reviewer_id, skill_id) WHERE deleted_at IS NULL AND skill_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_ratings_live_user_unique ON ratings(reviewer_id, rated_user_id) WHERE deleted_at IS NULL AND skill_id IS NULL;
+CREATE INDEX idx_ratings_skill ON ratings(skill_id);
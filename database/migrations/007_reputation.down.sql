@@ -0,0 +1,23 @@
+DROP TRIGGER ratings_reputation_sync ON ratings;
+DROP TRIGGER ratings_reputation_weight ON ratings;
+DROP FUNCTION ratings_sync_reputation();
+DROP FUNCTION reputation_apply(ratings, INTEGER);
+DROP FUNCTION ratings_set_reputation_weight();
+
+ALTER TABLE skills
+    DROP COLUMN rating_count,
+    DROP COLUMN rating_sum,
+    DROP COLUMN rating_weight,
+    DROP COLUMN rating_weighted_sum;
+
+ALTER TABLE users
+    DROP COLUMN rating_count,
+    DROP COLUMN rating_sum,
+    DROP COLUMN rating_weight,
+    DROP COLUMN rating_weighted_sum;
+
+ALTER TABLE ratings DROP COLUMN reputation_weight;
+
+DROP FUNCTION reputation_decay();
+DROP FUNCTION reputation_growth(TIMESTAMP WITH TIME ZONE);
+DROP FUNCTION reputation_trust(TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE);
@@ -0,0 +1,126 @@
+-- Reputation aggregates, kept up to date by a trigger on ratings.
+--
+-- Each live (not hidden, not deleted) rating contributes a weight:
+--   trust  - 0.2 for a reviewer whose account was brand new when they wrote
+--            it, rising linearly to 1 at 30 days old
+--   decay  - halves every 180 days
+-- Decay is stored relative to a fixed epoch (reputation_growth), so the sums
+-- never need rescaling: multiplying them by reputation_decay() gives the
+-- weights as of now. The Bayesian prior is applied when reading, in
+-- services/reputation.js.
+
+CREATE FUNCTION reputation_trust(reviewed_at TIMESTAMP WITH TIME ZONE, reviewer_since TIMESTAMP WITH TIME ZONE)
+RETURNS DOUBLE PRECISION AS $$
+    SELECT LEAST(1.0, 0.2 + 0.8 * GREATEST(EXTRACT(EPOCH FROM reviewed_at - reviewer_since), 0) / (30 * 86400))
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE FUNCTION reputation_growth(at TIMESTAMP WITH TIME ZONE)
+RETURNS DOUBLE PRECISION AS $$
+    SELECT power(2.0, EXTRACT(EPOCH FROM at - TIMESTAMPTZ '2024-01-01 00:00:00+00') / (180 * 86400))::double precision
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE FUNCTION reputation_decay()
+RETURNS DOUBLE PRECISION AS $$
+    SELECT 1.0 / reputation_growth(NOW())
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE ratings ADD COLUMN reputation_weight DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+ALTER TABLE users
+    ADD COLUMN rating_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN rating_sum INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN rating_weight DOUBLE PRECISION NOT NULL DEFAULT 0,
+    ADD COLUMN rating_weighted_sum DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+ALTER TABLE skills
+    ADD COLUMN rating_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN rating_sum INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN rating_weight DOUBLE PRECISION NOT NULL DEFAULT 0,
+    ADD COLUMN rating_weighted_sum DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- A rating's weight is fixed when it is written
+CREATE FUNCTION ratings_set_reputation_weight() RETURNS trigger AS $$
+BEGIN
+    SELECT reputation_trust(NEW.created_at, u.created_at) * reputation_growth(NEW.created_at)
+    INTO NEW.reputation_weight
+    FROM users u WHERE u.id = NEW.reviewer_id;
+    NEW.reputation_weight := COALESCE(NEW.reputation_weight, 0);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ratings_reputation_weight
+    BEFORE INSERT ON ratings
+    FOR EACH ROW EXECUTE FUNCTION ratings_set_reputation_weight();
+
+-- Add (direction 1) or remove (direction -1) one rating from the aggregates
+-- of the user and, for a skill review, the skill
+CREATE FUNCTION reputation_apply(r ratings, direction INTEGER) RETURNS void AS $$
+BEGIN
+    UPDATE users SET
+        rating_count = rating_count + direction,
+        rating_sum = rating_sum + direction * r.rating,
+        rating_weight = rating_weight + direction * r.reputation_weight,
+        rating_weighted_sum = rating_weighted_sum + direction * r.reputation_weight * r.rating
+    WHERE id = r.rated_user_id;
+
+    IF r.skill_id IS NOT NULL THEN
+        UPDATE skills SET
+            rating_count = rating_count + direction,
+            rating_sum = rating_sum + direction * r.rating,
+            rating_weight = rating_weight + direction * r.reputation_weight,
+            rating_weighted_sum = rating_weighted_sum + direction * r.reputation_weight * r.rating
+        WHERE id = r.skill_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE FUNCTION ratings_sync_reputation() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.hidden_at IS NULL AND OLD.deleted_at IS NULL THEN
+        PERFORM reputation_apply(OLD, -1);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.hidden_at IS NULL AND NEW.deleted_at IS NULL THEN
+        PERFORM reputation_apply(NEW, 1);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ratings_reputation_sync
+    AFTER INSERT OR UPDATE OR DELETE ON ratings
+    FOR EACH ROW EXECUTE FUNCTION ratings_sync_reputation();
+
+-- Backfill existing ratings
+UPDATE ratings r
+SET reputation_weight = reputation_trust(r.created_at, u.created_at) * reputation_growth(r.created_at)
+FROM users u
+WHERE u.id = r.reviewer_id;
+
+UPDATE users u SET
+    rating_count = agg.rating_count,
+    rating_sum = agg.rating_sum,
+    rating_weight = agg.rating_weight,
+    rating_weighted_sum = agg.rating_weighted_sum
+FROM (
+    SELECT rated_user_id as id, COUNT(*) as rating_count, SUM(rating) as rating_sum,
+        SUM(reputation_weight) as rating_weight, SUM(reputation_weight * rating) as rating_weighted_sum
+    FROM ratings
+    WHERE hidden_at IS NULL AND deleted_at IS NULL
+    GROUP BY rated_user_id
+) agg
+WHERE agg.id = u.id;
+
+UPDATE skills s SET
+    rating_count = agg.rating_count,
+    rating_sum = agg.rating_sum,
+    rating_weight = agg.rating_weight,
+    rating_weighted_sum = agg.rating_weighted_sum
+FROM (
+    SELECT skill_id as id, COUNT(*) as rating_count, SUM(rating) as rating_sum,
+        SUM(reputation_weight) as rating_weight, SUM(reputation_weight * rating) as rating_weighted_sum
+    FROM ratings
+    WHERE skill_id IS NOT NULL AND hidden_at IS NULL AND deleted_at IS NULL
+    GROUP BY skill_id
+) agg
+WHERE agg.id = s.id;
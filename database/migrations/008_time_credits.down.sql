@@ -0,0 +1,11 @@
+DROP TABLE ledger_entries;
+DROP TABLE ledger_transactions;
+DROP TABLE ledger_accounts;
+DROP FUNCTION ledger_entries_check_balanced();
+DROP FUNCTION ledger_entries_apply();
+DROP FUNCTION ledger_entries_append_only();
+
+UPDATE bookings SET status = 'confirmed' WHERE status = 'completed';
+ALTER TABLE bookings DROP COLUMN completed_at;
+ALTER TABLE bookings DROP CONSTRAINT bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check CHECK (status IN ('confirmed', 'cancelled'));
@@ -0,0 +1,106 @@
+-- Time-banking: hour-credits move between accounts through a double-entry
+-- ledger. Every transaction's entries sum to zero; a user account's balance
+-- is the sum of its entries, kept on the account row by a trigger. The
+-- ledger is a financial record, so accounts do not cascade away with users
+-- and entries cannot be changed once written.
+
+-- A learner confirms a lesson took place by completing the booking
+ALTER TABLE bookings DROP CONSTRAINT bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check CHECK (status IN ('confirmed', 'completed', 'cancelled'));
+ALTER TABLE bookings ADD COLUMN completed_at TIMESTAMP WITH TIME ZONE;
+
+-- One account per user, plus system accounts that credits are issued from
+CREATE TABLE ledger_accounts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER UNIQUE REFERENCES users(id),
+    system_name VARCHAR(50) UNIQUE,
+    balance NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((user_id IS NULL) <> (system_name IS NULL))
+);
+
+INSERT INTO ledger_accounts (system_name) VALUES ('grants'), ('adjustments');
+
+CREATE TABLE ledger_transactions (
+    id SERIAL PRIMARY KEY,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('grant', 'lesson', 'adjustment')),
+    memo VARCHAR(500),
+    -- A lesson is paid for exactly once
+    booking_id INTEGER UNIQUE REFERENCES bookings(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_ledger_transactions_created_by ON ledger_transactions(created_by);
+
+CREATE TABLE ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    transaction_id INTEGER NOT NULL REFERENCES ledger_transactions(id),
+    account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+    amount NUMERIC(12, 2) NOT NULL CHECK (amount <> 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_ledger_entries_transaction ON ledger_entries(transaction_id);
+CREATE INDEX idx_ledger_entries_account ON ledger_entries(account_id, id);
+
+CREATE FUNCTION ledger_entries_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'ledger_entries is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ledger_entries_no_change
+    BEFORE UPDATE OR DELETE ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION ledger_entries_append_only();
+
+CREATE TRIGGER ledger_entries_no_truncate
+    BEFORE TRUNCATE ON ledger_entries
+    FOR EACH STATEMENT EXECUTE FUNCTION ledger_entries_append_only();
+
+CREATE FUNCTION ledger_entries_apply() RETURNS trigger AS $$
+BEGIN
+    UPDATE ledger_accounts SET balance = balance + NEW.amount, updated_at = NOW()
+    WHERE id = NEW.account_id;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ledger_entries_balance
+    AFTER INSERT ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION ledger_entries_apply();
+
+-- Checked at commit, once all of a transaction's entries are in
+CREATE FUNCTION ledger_entries_check_balanced() RETURNS trigger AS $$
+BEGIN
+    IF (SELECT SUM(amount) FROM ledger_entries WHERE transaction_id = NEW.transaction_id) <> 0 THEN
+        RAISE EXCEPTION 'ledger transaction % does not balance', NEW.transaction_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER ledger_entries_balanced
+    AFTER INSERT ON ledger_entries
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION ledger_entries_check_balanced();
+
+-- Existing users get the same starting grant as new ones (STARTING_CREDIT_HOURS
+-- defaults to 2)
+INSERT INTO ledger_accounts (user_id) SELECT id FROM users;
+
+DO $$
+DECLARE
+    account RECORD;
+    txn_id INTEGER;
+BEGIN
+    FOR account IN SELECT id FROM ledger_accounts WHERE user_id IS NOT NULL ORDER BY id LOOP
+        INSERT INTO ledger_transactions (kind, memo) VALUES ('grant', 'Starting grant') RETURNING id INTO txn_id;
+        INSERT INTO ledger_entries (transaction_id, account_id, amount)
+        VALUES
+            (txn_id, (SELECT id FROM ledger_accounts WHERE system_name = 'grants'), -2),
+            (txn_id, account.id, 2);
+    END LOOP;
+END;
+$$;
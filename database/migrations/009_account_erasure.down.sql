@@ -0,0 +1,5 @@
+DROP INDEX idx_users_erasure_requested_by;
+DROP INDEX idx_users_erasure_due;
+ALTER TABLE users DROP COLUMN erased_at;
+ALTER TABLE users DROP COLUMN erasure_requested_by;
+ALTER TABLE users DROP COLUMN erasure_scheduled_for;
@@ -0,0 +1,9 @@
+-- Deleting an account deactivates it and schedules its personal data to be
+-- erased once the grace period is over. The row itself is kept, anonymised,
+-- because ledger accounts and ratings given still point at it.
+ALTER TABLE users ADD COLUMN erasure_scheduled_for TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN erasure_requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN erased_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_users_erasure_due ON users(erasure_scheduled_for) WHERE erased_at IS NULL;
+CREATE INDEX idx_users_erasure_requested_by ON users(erasure_requested_by);
@@ -0,0 +1,5 @@
+ALTER TABLE users
+    DROP COLUMN skills_visibility,
+    DROP COLUMN website_visibility,
+    DROP COLUMN location_visibility,
+    DROP COLUMN email_visibility;
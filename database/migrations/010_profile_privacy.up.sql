@@ -0,0 +1,7 @@
+-- Who can see each part of a profile: anyone, signed-in members, or only the
+-- owner (and staff). Email addresses are no longer public by default.
+ALTER TABLE users
+    ADD COLUMN email_visibility VARCHAR(10) NOT NULL DEFAULT 'hidden' CHECK (email_visibility IN ('public', 'members', 'hidden')),
+    ADD COLUMN location_visibility VARCHAR(10) NOT NULL DEFAULT 'public' CHECK (location_visibility IN ('public', 'members', 'hidden')),
+    ADD COLUMN website_visibility VARCHAR(10) NOT NULL DEFAULT 'public' CHECK (website_visibility IN ('public', 'members', 'hidden')),
+    ADD COLUMN skills_visibility VARCHAR(10) NOT NULL DEFAULT 'public' CHECK (skills_visibility IN ('public', 'members', 'hidden'));
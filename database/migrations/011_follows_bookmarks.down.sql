@@ -0,0 +1,3 @@
+DROP INDEX idx_skills_feed;
+DROP TABLE bookmarks;
+DROP TABLE follows;
@@ -0,0 +1,25 @@
+-- Users following other users, for GET /api/feed
+CREATE TABLE follows (
+    follower_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    followed_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (follower_id, followed_id),
+    CHECK (follower_id <> followed_id)
+);
+
+-- follower_id is covered by the primary key
+CREATE INDEX idx_follows_followed ON follows(followed_id, created_at DESC);
+
+-- Skills saved for later
+CREATE TABLE bookmarks (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, skill_id)
+);
+
+CREATE INDEX idx_bookmarks_skill ON bookmarks(skill_id);
+CREATE INDEX idx_bookmarks_user_created ON bookmarks(user_id, created_at DESC);
+
+-- The feed reads each followed user's live skills, most recently changed first
+CREATE INDEX idx_skills_feed ON skills(created_by, updated_at DESC, id DESC) WHERE active = true;
@@ -0,0 +1 @@
+DROP TABLE skill_views;
@@ -0,0 +1,12 @@
+-- Which skills each signed-in user has looked at, one row per user and
+-- skill; a signal for recommendations
+CREATE TABLE skill_views (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+    view_count INTEGER NOT NULL DEFAULT 1,
+    first_viewed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_viewed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, skill_id)
+);
+
+CREATE INDEX idx_skill_views_skill ON skill_views(skill_id, last_viewed_at DESC);
@@ -0,0 +1,11 @@
+ALTER TABLE skills DROP COLUMN delivery;
+
+DROP INDEX idx_users_coordinates;
+
+ALTER TABLE users
+    DROP CONSTRAINT users_coordinates_check,
+    DROP COLUMN location_precision,
+    DROP COLUMN longitude,
+    DROP COLUMN latitude,
+    DROP COLUMN location_country,
+    DROP COLUMN location_city;
@@ -0,0 +1,17 @@
+-- Structured locations for distance search. The free-text location stays as
+-- typed; city, country and coordinates come from the geocoder (or are given
+-- directly). 'approximate' shows others only the city and coordinates rounded
+-- to about 10 km.
+ALTER TABLE users
+    ADD COLUMN location_city VARCHAR(100),
+    ADD COLUMN location_country CHAR(2),
+    ADD COLUMN latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+    ADD COLUMN longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+    ADD COLUMN location_precision VARCHAR(20) NOT NULL DEFAULT 'approximate' CHECK (location_precision IN ('exact', 'approximate')),
+    ADD CONSTRAINT users_coordinates_check CHECK ((latitude IS NULL) = (longitude IS NULL));
+
+CREATE INDEX idx_users_coordinates ON users(latitude, longitude) WHERE latitude IS NOT NULL;
+
+-- Whether a skill is taught in person, online or either way
+ALTER TABLE skills
+    ADD COLUMN delivery VARCHAR(20) NOT NULL DEFAULT 'both' CHECK (delivery IN ('in_person', 'online', 'both'));
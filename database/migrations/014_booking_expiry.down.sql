@@ -0,0 +1,5 @@
+DROP INDEX idx_bookings_confirmed_ends_at;
+
+UPDATE bookings SET status = 'cancelled' WHERE status = 'expired';
+ALTER TABLE bookings DROP CONSTRAINT bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check CHECK (status IN ('confirmed', 'completed', 'cancelled'));
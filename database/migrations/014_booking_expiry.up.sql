@@ -0,0 +1,6 @@
+-- Sessions the learner never confirms expire (services/bookings), releasing
+-- the hour-credits they held and the swap they scheduled
+ALTER TABLE bookings DROP CONSTRAINT bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check CHECK (status IN ('confirmed', 'completed', 'cancelled', 'expired'));
+
+CREATE INDEX idx_bookings_confirmed_ends_at ON bookings(ends_at) WHERE status = 'confirmed';
@@ -0,0 +1,15 @@
+-- Account erasure (services/personalData) keeps audit entries but redacts the
+-- personal data in them. Updates are allowed only inside a transaction that
+-- has set app.audit_redaction, and only to the payloads and actor details.
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND current_setting('app.audit_redaction', true) = 'on'
+        AND (NEW.id, NEW.actor_id, NEW.actor_role, NEW.action, NEW.target_type, NEW.target_id, NEW.created_at)
+            IS NOT DISTINCT FROM (OLD.id, OLD.actor_id, OLD.actor_role, OLD.action, OLD.target_type, OLD.target_id, OLD.created_at)
+    THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
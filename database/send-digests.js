@@ -0,0 +1,15 @@
+// Sends any daily and weekly notification digests that are due.
+// Usage: npm run notifications:digest (e.g. hourly from cron with DIGEST_INTERVAL_MINUTES=0)
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { runDigests } = require('../services/digest');
+
+runDigests()
+  .then((results) => {
+    console.log('Notification digests sent', results);
+  })
+  .catch((error) => {
+    console.error('Notification digests failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -1,5 +1,23 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const { hasPermission } = require('../config/permissions');
+const { logger } = require('../services/logger');
+
+// Verify an access token and load the active user it belongs to (null if the
+// user is gone or the session the token was issued for has been revoked)
+const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const result = await query(`
+    SELECT u.id, u.email, u.name, u.role, u.email_verified, u.created_at, s.id as session_id
+    FROM users u
+    JOIN sessions s ON s.user_id = u.id
+    WHERE u.id = $1 AND u.active = true
+      AND s.id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+  `, [decoded.userId, decoded.sid]);
+
+  return result.rows[0] || null;
+};
 
 // JWT Authentication Middleware
 const authenticateToken = async (req, res, next) => {
@@ -16,15 +34,10 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
     // Get user from database
-    const result = await query(
-      'SELECT id, email, name, role, created_at FROM users WHERE id = $1 AND active = true',
-      [decoded.userId]
-    );
+    const user = await getUserFromToken(token);
 
-    if (result.rows.length === 0) {
+    if (!user) {
       return res.status(401).json({
         error: {
           message: 'Invalid token - user not found',
@@ -34,7 +47,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     // Add user to request object
-    req.user = result.rows[0];
+    req.user = user;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -54,7 +67,7 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
-    console.error('Auth middleware error:', error);
+    logger.error({ err: error }, 'Auth middleware error');
     res.status(500).json({
       error: {
         message: 'Authentication error',
@@ -64,12 +77,37 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Admin Authorization Middleware
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+// Optional Authentication Middleware - public routes that show more to signed-in
+// users; a missing token leaves req.user unset, a bad one is still rejected
+const optionalAuth = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  authenticateToken(req, res, next);
+};
+
+// Permission Middleware - the user's role must grant every listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.every(permission => hasPermission(req.user.role, permission))) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied - insufficient permissions',
+          status: 403
+        }
+      });
+    }
+    next();
+  };
+};
+
+// Verified Email Middleware - blocks actions that reach other users until the email is confirmed
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.email_verified) {
     return res.status(403).json({
       error: {
-        message: 'Admin access required',
+        message: 'Please verify your email address first',
+        code: 'EMAIL_NOT_VERIFIED',
         status: 403
       }
     });
@@ -77,12 +115,12 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-//  Admin Middleware
-const requireOwnerOrAdmin = (resourceIdParam = 'id') => {
+// Owner Middleware - the user's own resource, or a role with the permission
+const requireOwnerOrPermission = (permission, resourceIdParam = 'id') => {
   return (req, res, next) => {
     const resourceId = req.params[resourceIdParam];
     
-    if (req.user.role === 'admin' || req.user.id == resourceId) {
+    if (req.user.id == resourceId || hasPermission(req.user.role, permission)) {
       next();
     } else {
       res.status(403).json({
@@ -95,8 +133,42 @@ const requireOwnerOrAdmin = (resourceIdParam = 'id') => {
   };
 };
 
+// Staff Account Middleware - accounts with a staff role can only be changed by
+// their owner or by someone who can assign roles, so a moderator cannot lock
+// out an admin
+const protectStaffAccounts = (resourceIdParam = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const resourceId = req.params[resourceIdParam];
+
+      if (req.user.id == resourceId || hasPermission(req.user.role, 'users:assign_roles')) {
+        return next();
+      }
+
+      const result = await query('SELECT role FROM users WHERE id = $1', [resourceId]);
+
+      if (result.rows.length > 0 && result.rows[0].role !== 'user') {
+        return res.status(403).json({
+          error: {
+            message: 'Access denied - staff accounts can only be changed by an admin',
+            status: 403
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 module.exports = {
+  getUserFromToken,
   authenticateToken,
-  requireAdmin,
-  requireOwnerOrAdmin
+  optionalAuth,
+  requirePermission,
+  requireVerifiedEmail,
+  requireOwnerOrPermission,
+  protectStaffAccounts
 };
\ No newline at end of file
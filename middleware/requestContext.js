@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { logger, requestContext } = require('../services/logger');
+const { httpRequestDuration } = require('../services/metrics');
+
+// IDs passed in by a proxy or client are kept when they look like one
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// The route pattern rather than the path, so ids and tokens stay out of the
+// logs and metric labels
+const routeLabel = (req) => {
+  if (!req.route) return 'unmatched';
+  const route = `${req.baseUrl}${req.route.path}`;
+  return route.length > 1 ? route.replace(/\/$/, '') : route;
+};
+
+// First middleware: gives every request an ID (X-Request-Id header), runs the
+// rest of the request inside a logging context carrying it, adds it to error
+// responses as error.requestId, and logs and times the request once sent.
+const requestContextMiddleware = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && body.error && typeof body.error === 'object') {
+      return json({ ...body, error: { ...body.error, requestId: req.id } });
+    }
+    return json(body);
+  };
+
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const route = routeLabel(req);
+
+    httpRequestDuration.observe({ method: req.method, route, status_code: res.statusCode }, durationMs / 1000);
+
+    logger[res.statusCode >= 500 ? 'error' : 'info']({
+      requestId: req.id,
+      method: req.method,
+      route,
+      // Unmatched paths are logged as-is; query strings never are
+      path: route === 'unmatched' ? req.originalUrl.split('?')[0] : undefined,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      userId: req.user ? req.user.id : undefined,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    }, 'Request completed');
+  });
+
+  requestContext.run({ requestId: req.id }, next);
+};
+
+module.exports = {
+  requestContext: requestContextMiddleware
+};
@@ -0,0 +1,49 @@
+const multer = require('multer');
+const { ALLOWED_MIME_TYPES, maxUploadBytes } = require('../services/images');
+
+const uploadError = (res, status, message) => res.status(status).json({
+  error: {
+    message,
+    status
+  }
+});
+
+// Accept a single image in multipart field `field`, kept in memory (it is
+// re-encoded before anything reaches storage) and exposed as req.file.
+// The declared MIME type is only a first filter; services/images checks the
+// actual bytes.
+const imageUpload = (field = 'image') => (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxUploadBytes(), files: 1, fields: 5 },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+        return cb(Object.assign(new Error('Only JPEG, PNG and WebP images are supported'), { status: 415 }));
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return uploadError(res, 413, `Image must be smaller than ${Math.round(maxUploadBytes() / (1024 * 1024))} MB`);
+      }
+      return uploadError(res, 400, `Upload failed: ${error.message}`);
+    }
+
+    if (error) {
+      return uploadError(res, error.status || 400, error.message);
+    }
+
+    if (!req.file) {
+      return uploadError(res, 400, `Attach the image as multipart/form-data field "${field}"`);
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  imageUpload
+};
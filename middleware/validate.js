@@ -0,0 +1,74 @@
+const { checkResponse } = require('../services/openapi');
+const { logger } = require('../services/logger');
+
+// Check a request against its route definition (see services/openapi) and
+// replace req.params, req.query and req.body with the parsed values, so
+// handlers get defaults, trimmed strings and numbers. Place after the auth
+// middleware, so signed-out callers get a 401 rather than a 400.
+//
+// Every validation failure has the same shape:
+//   { error: { message: 'Validation failed', status: 400,
+//              details: [{ type: 'field', location: 'body', path: 'title', msg: '...' }] } }
+const LOCATIONS = ['params', 'query', 'body'];
+
+const validationDetails = (issues, location) => issues.map(issue => ({
+  type: 'field',
+  location,
+  path: issue.path.join('.'),
+  msg: issue.message
+}));
+
+const validate = (route) => (req, res, next) => {
+  const parsed = {};
+  const details = [];
+
+  for (const location of LOCATIONS) {
+    if (!route[location]) continue;
+
+    const result = route[location].safeParse(req[location] || {});
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      details.push(...validationDetails(result.error.issues, location));
+    }
+  }
+
+  if (details.length > 0) {
+    return res.status(400).json({
+      error: {
+        message: 'Validation failed',
+        details,
+        status: 400
+      }
+    });
+  }
+
+  Object.assign(req, parsed);
+
+  // In development and tests, replies that do not match their schema become
+  // a 500 so the mismatch cannot go unnoticed
+  if (process.env.VALIDATE_RESPONSES === 'true') {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      const check = checkResponse(route, status, body);
+      if (check.success) return json(body);
+
+      logger.error({ issues: check.issues }, `Response does not match ${route.method.toUpperCase()} ${route.path} (${status})`);
+      res.status(500);
+      return json({
+        error: {
+          message: `Response ${status} does not match its schema`,
+          details: check.issues,
+          status: 500
+        }
+      });
+    };
+  }
+
+  next();
+};
+
+module.exports = {
+  validate
+};
@@ -1,27 +1,39 @@
 const express = require('express');
 const { query } = require('../config/database');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin');
+const { authenticateToken, requirePermission, protectStaffAccounts } = require('../middleware/auth');
+const { ROLES, hasPermission } = require('../config/permissions');
+const { revokeAllSessions } = require('../services/sessions');
+const { notify } = require('../services/notifications');
+const taxonomy = require('../services/taxonomy');
+const moderation = require('../services/moderation');
+const { recordAudit, listAuditEntries, toAuditCsv } = require('../services/audit');
+const { averageRatingSql } = require('../services/reputation');
+const { adjustBalance } = require('../services/ledger');
 
 const router = express.Router();
 
-// Apply admin middleware to all routes
-router.use(authenticateToken, requireAdmin);
+// Staff routes: every route below also checks its own permission
+router.use(authenticateToken);
+router.use(['/categories', '/tags', '/taxonomy'], requirePermission('taxonomy:manage'));
+router.use('/reports', requirePermission('reports:manage'));
 
 // GET /api/admin/users - Get all users with pagination
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), validate(schemas.listUsers), async (req, res) => {
   try {
-    const { page = 1, limit = 20, search = '', status = 'all' } = req.query;
+    const { page, limit, search, status } = req.query;
     const offset = (page - 1) * limit;
 
     let queryText = `
       SELECT 
         u.id, u.name, u.email, u.role, u.active, u.created_at, u.updated_at,
         COUNT(s.id) as skills_count,
-        COALESCE(AVG(r.rating), 0) as average_rating,
-        COUNT(r.id) as ratings_received
+        ${averageRatingSql('u')} as average_rating,
+        u.rating_count as ratings_received
       FROM users u
       LEFT JOIN skills s ON u.id = s.created_by AND s.active = true
-      LEFT JOIN ratings r ON u.id = r.rated_user_id
       WHERE 1=1
     `;
 
@@ -83,14 +95,14 @@ router.get('/users', async (req, res) => {
         ratings_received: parseInt(user.ratings_received)
       })),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
         totalPages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
-    console.error('Admin get users error:', error);
+    logger.error({ err: error }, 'Admin get users error');
     res.status(500).json({
       error: {
         message: 'Failed to fetch users',
@@ -101,7 +113,7 @@ router.get('/users', async (req, res) => {
 });
 
 // GET /api/admin/stats - Get platform statistics
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('stats:read'), validate(schemas.stats), async (req, res) => {
   try {
     // Get user statistics
     const userStats = await query(`
@@ -128,16 +140,19 @@ router.get('/stats', async (req, res) => {
         AVG(rating) as average_rating,
         COUNT(CASE WHEN created_at >= NOW() - INTERVAL '30 days' THEN 1 END) as new_ratings_30_days
       FROM ratings
+      WHERE deleted_at IS NULL
     `);
 
-    // Get popular categories
+    // Get popular categories, grouped by taxonomy entry where one is assigned
     const categoryStats = await query(`
       SELECT 
-        category,
+        COALESCE(c.name, s.category) as category,
+        c.slug,
         COUNT(*) as skill_count
-      FROM skills
-      WHERE active = true
-      GROUP BY category
+      FROM skills s
+      LEFT JOIN categories c ON s.category_id = c.id
+      WHERE s.active = true
+      GROUP BY COALESCE(c.name, s.category), c.slug
       ORDER BY skill_count DESC
       LIMIT 10
     `);
@@ -161,7 +176,7 @@ router.get('/stats', async (req, res) => {
       popular_categories: categoryStats.rows
     });
   } catch (error) {
-    console.error('Admin stats error:', error);
+    logger.error({ err: error }, 'Admin stats error');
     res.status(500).json({
       error: {
         message: 'Failed to fetch statistics',
@@ -171,15 +186,16 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// PUT /api/admin/users/:id/toggle-status - Toggle user active status
-router.put('/users/:id/toggle-status', async (req, res) => {
+// PUT /api/admin/users/:id/toggle-status - Toggle user active status. Reactivating
+// an account also cancels a scheduled erasure; erased accounts stay as they are.
+router.put('/users/:id/toggle-status', requirePermission('users:deactivate'), protectStaffAccounts(), validate(schemas.toggleStatus), async (req, res) => {
   try {
     const { id } = req.params;
 
     const result = await query(`
       UPDATE users 
-      SET active = NOT active, updated_at = NOW()
-      WHERE id = $1
+      SET active = NOT active, erasure_scheduled_for = NULL, erasure_requested_by = NULL, updated_at = NOW()
+      WHERE id = $1 AND erased_at IS NULL
       RETURNING id, name, email, active
     `, [id]);
 
@@ -194,12 +210,31 @@ router.put('/users/:id/toggle-status', async (req, res) => {
 
     const user = result.rows[0];
 
+    await recordAudit(req, {
+      action: 'user.toggle_status',
+      targetType: 'user',
+      targetId: user.id,
+      before: { active: !user.active },
+      after: { active: user.active }
+    });
+
+    // Deactivation logs the user out everywhere
+    if (!user.active) {
+      await revokeAllSessions(user.id, 'deactivated');
+    }
+
+    await notify(user.id, 'account_status_changed', {
+      title: user.active ? 'Your account has been reactivated' : 'Your account has been deactivated',
+      body: user.active ? null : 'Contact support if you think this is a mistake.',
+      data: { active: user.active }
+    });
+
     res.json({
       message: `User ${user.active ? 'activated' : 'deactivated'} successfully`,
       user
     });
   } catch (error) {
-    console.error('Admin toggle user status error:', error);
+    logger.error({ err: error }, 'Admin toggle user status error');
     res.status(500).json({
       error: {
         message: 'Failed to toggle user status',
@@ -209,4 +244,298 @@ router.put('/users/:id/toggle-status', async (req, res) => {
   }
 });
 
+// Wrap an admin action: service errors keep the status they were thrown with
+const adminAction = (label, handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          status: error.status
+        }
+      });
+    }
+
+    logger.error({ err: error }, `Admin ${label} error`);
+    res.status(500).json({
+      error: {
+        message: `Failed to ${label}`,
+        status: 500
+      }
+    });
+  }
+};
+
+// POST /api/admin/categories - Create a category
+router.post('/categories', validate(schemas.createCategory), adminAction('create category', async (req, res) => {
+  const category = await taxonomy.createCategory(req.body);
+  res.status(201).json({
+    message: 'Category created successfully',
+    category
+  });
+}));
+
+// PUT /api/admin/categories/:id - Rename, re-slug or move a category
+router.put('/categories/:id', validate(schemas.updateCategory), adminAction('update category', async (req, res) => {
+  const category = await taxonomy.updateCategory(req.params.id, req.body);
+  res.json({
+    message: 'Category updated successfully',
+    category
+  });
+}));
+
+// POST /api/admin/categories/:id/merge - Merge a category into target_id
+router.post('/categories/:id/merge', validate(schemas.mergeCategory), adminAction('merge category', async (req, res) => {
+  const result = await taxonomy.mergeCategories(req.params.id, req.body.target_id);
+  res.json({
+    message: `Category "${result.source.name}" merged into "${result.target.name}"`,
+    ...result
+  });
+}));
+
+// POST /api/admin/categories/:id/retire - Stop offering a category for new skills
+router.post('/categories/:id/retire', validate(schemas.retireCategory), adminAction('retire category', async (req, res) => {
+  const category = await taxonomy.retireCategory(req.params.id);
+  res.json({
+    message: 'Category retired successfully',
+    category
+  });
+}));
+
+// POST /api/admin/tags - Create a tag, optionally with aliases
+router.post('/tags', validate(schemas.createTag), adminAction('create tag', async (req, res) => {
+  const tag = await taxonomy.createTag(req.body);
+  res.status(201).json({
+    message: 'Tag created successfully',
+    tag
+  });
+}));
+
+// POST /api/admin/tags/:id/aliases - Add a synonym for a tag
+router.post('/tags/:id/aliases', validate(schemas.addTagAlias), adminAction('add tag alias', async (req, res) => {
+  const alias = await taxonomy.addTagAlias(req.params.id, req.body.alias);
+  res.status(201).json({
+    message: 'Alias added successfully',
+    alias
+  });
+}));
+
+// DELETE /api/admin/tags/:id/aliases/:alias - Remove a synonym
+router.delete('/tags/:id/aliases/:alias', validate(schemas.removeTagAlias), adminAction('remove tag alias', async (req, res) => {
+  await taxonomy.removeTagAlias(req.params.id, req.params.alias);
+  res.json({
+    message: 'Alias removed successfully'
+  });
+}));
+
+// POST /api/admin/tags/:id/merge - Merge a tag into target_id
+router.post('/tags/:id/merge', validate(schemas.mergeTag), adminAction('merge tag', async (req, res) => {
+  const result = await taxonomy.mergeTags(req.params.id, req.body.target_id);
+  res.json({
+    message: `Tag "${result.source.name}" merged into "${result.target.name}"`,
+    ...result
+  });
+}));
+
+// POST /api/admin/tags/:id/retire - Stop offering a tag for new skills
+router.post('/tags/:id/retire', validate(schemas.retireTag), adminAction('retire tag', async (req, res) => {
+  const tag = await taxonomy.retireTag(req.params.id);
+  res.json({
+    message: 'Tag retired successfully',
+    tag
+  });
+}));
+
+// POST /api/admin/taxonomy/backfill - Map existing free-text categories and tags onto the taxonomy
+router.post('/taxonomy/backfill', validate(schemas.backfillTaxonomy), adminAction('backfill taxonomy', async (req, res) => {
+  const stats = await taxonomy.backfillTaxonomy();
+  res.json({
+    message: 'Taxonomy backfill complete',
+    ...stats
+  });
+}));
+
+// GET /api/admin/reports - Moderation queue, open reports oldest first
+router.get('/reports', validate(schemas.listReports), adminAction('fetch reports', async (req, res) => {
+  const { status, target_type, reason, assigned_to, page, limit } = req.query;
+  const offset = (page - 1) * limit;
+
+  const { reports, total } = await moderation.listReports(
+    req.user.id,
+    { status, target_type, reason, assigned_to },
+    { limit, offset }
+  );
+
+  res.json({
+    reports,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// GET /api/admin/reports/:id - A report with the reported content and its history
+router.get('/reports/:id', validate(schemas.getReport), adminAction('fetch report', async (req, res) => {
+  res.json(await moderation.getReport(req.params.id));
+}));
+
+// PUT /api/admin/reports/:id/assign - Assign to assignee_id (default: me); null unassigns
+router.put('/reports/:id/assign', validate(schemas.assignReport), adminAction('assign report', async (req, res) => {
+  const assigneeId = req.body.assignee_id === undefined ? req.user.id : req.body.assignee_id;
+  const report = await moderation.assignReport(
+    req.params.id,
+    req.user.id,
+    assigneeId
+  );
+
+  res.json({
+    message: assigneeId === null ? 'Report unassigned' : 'Report assigned',
+    report
+  });
+}));
+
+const REPORT_RESOLUTIONS = {
+  dismiss: { resolution: 'dismissed', message: 'Report dismissed', permissions: [] },
+  'hide-content': { resolution: 'content_hidden', message: 'Content hidden and report resolved', permissions: [] },
+  'deactivate-user': { resolution: 'user_deactivated', message: 'User deactivated and report resolved', permissions: ['users:deactivate'] }
+};
+
+// POST /api/admin/reports/:id/dismiss - No violation
+// POST /api/admin/reports/:id/hide-content - Hide the reported skill or rating
+// POST /api/admin/reports/:id/deactivate-user - Deactivate whoever is responsible
+Object.entries(REPORT_RESOLUTIONS).forEach(([action, { resolution, message, permissions }]) => {
+  router.post(`/reports/:id/${action}`, requirePermission(...permissions), validate(schemas.resolveReport[action]), adminAction('resolve report', async (req, res) => {
+    const reportId = req.params.id;
+    const existing = await moderation.getReport(reportId);
+
+    // Hiding needs the moderation permission for that kind of content
+    if (resolution === 'content_hidden' && existing.target_type !== 'user' && !hasPermission(req.user.role, `${existing.target_type}s:moderate`)) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied - insufficient permissions',
+          status: 403
+        }
+      });
+    }
+    const result = await moderation.resolveReport(req, reportId, resolution, req.body.note);
+
+    res.json({
+      message,
+      ...result
+    });
+  }));
+});
+
+const MAX_AUDIT_EXPORT_ROWS = 10000;
+
+// GET /api/admin/audit - Search the audit log; ?format=csv downloads the matches
+router.get('/audit', requirePermission('audit:read'), validate(schemas.listAudit), adminAction('fetch audit log', async (req, res) => {
+  const { actor_id, action, target_type, target_id, from, to, format, page, limit } = req.query;
+  const filters = { actor_id, action, target_type, target_id, from, to };
+
+  if (format === 'csv') {
+    const { entries } = await listAuditEntries(filters, { limit: MAX_AUDIT_EXPORT_ROWS });
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    return res.send(toAuditCsv(entries));
+  }
+
+  const offset = (page - 1) * limit;
+  const { entries, total } = await listAuditEntries(filters, { limit, offset });
+
+  res.json({
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// GET /api/admin/roles - Roles and the permissions they grant
+router.get('/roles', requirePermission('users:assign_roles'), validate(schemas.listRoles), (req, res) => {
+  res.json({
+    roles: Object.entries(ROLES).map(([role, permissions]) => ({ role, permissions }))
+  });
+});
+
+// PUT /api/admin/users/:id/role - Give a user a role
+router.put('/users/:id/role', requirePermission('users:assign_roles'), validate(schemas.changeRole), adminAction('change user role', async (req, res) => {
+  const userId = req.params.id;
+  const { role } = req.body;
+
+  // Guards against locking everyone out of role management
+  if (userId === req.user.id) {
+    return res.status(400).json({
+      error: {
+        message: 'You cannot change your own role',
+        status: 400
+      }
+    });
+  }
+
+  const existing = await query('SELECT id, name, role FROM users WHERE id = $1', [userId]);
+
+  if (existing.rows.length === 0) {
+    return res.status(404).json({
+      error: {
+        message: 'User not found',
+        status: 404
+      }
+    });
+  }
+
+  const result = await query(`
+    UPDATE users SET role = $1, updated_at = NOW()
+    WHERE id = $2
+    RETURNING id, name, email, role, active
+  `, [role, userId]);
+
+  const user = result.rows[0];
+
+  await recordAudit(req, {
+    action: 'user.role_change',
+    targetType: 'user',
+    targetId: userId,
+    before: { role: existing.rows[0].role },
+    after: { role: user.role }
+  });
+
+  res.json({
+    message: `User role set to ${user.role}`,
+    user
+  });
+}));
+
+// POST /api/admin/users/:id/credits - Credit (positive) or debit (negative) a user's time-credits
+router.post('/users/:id/credits', requirePermission('credits:adjust'), validate(schemas.adjustCredits), adminAction('adjust credits', async (req, res) => {
+  const userId = req.params.id;
+  const { amount, reason } = req.body;
+
+  const adjustment = await adjustBalance(userId, amount, reason, req.user.id);
+
+  await recordAudit(req, {
+    action: 'credits.adjust',
+    targetType: 'user',
+    targetId: userId,
+    before: { balance: adjustment.balance_before },
+    after: { balance: adjustment.balance, amount: Number(amount).toFixed(2), reason }
+  });
+
+  res.status(201).json({
+    message: 'Balance adjusted successfully',
+    transaction: adjustment.transaction,
+    balance: adjustment.balance
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -1,47 +1,62 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
+const { query, withTransaction } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { issueToken, redeemToken } = require('../services/tokens');
+const {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+} = require('../services/sessions');
+const { sendVerificationEmail, sendPasswordResetEmail, sendAccountLockedEmail } = require('../services/mailer');
+const { permissionsFor } = require('../config/permissions');
+const { rateLimit, tooManyRequests } = require('../middleware/rateLimit');
+const { checkLoginAllowed, recordLoginFailure, clearLoginFailures } = require('../services/limiter');
+const { grantStartingCredits } = require('../services/ledger');
+const { cancelOwnErasure } = require('../services/personalData');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
 
 const router = express.Router();
 
-// Validation rules
-const registerValidation = [
-  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
-  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
-];
-
-const loginValidation = [
-  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
-];
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+// Mail failures are logged but never fail the request that triggered them
+const sendVerification = async (user) => {
+  try {
+    const token = await issueToken(user.id, 'email_verification');
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error({ err: error }, 'Send verification email error');
+  }
 };
 
-// POST /api/auth/register
-router.post('/register', registerValidation, async (req, res) => {
-  try {
-    // Check validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: {
-          message: 'Validation failed',
-          details: errors.array(),
-          status: 400
-        }
-      });
+// Count a failed login, and tell the owner when it locks their account
+const recordFailedLogin = async (email, user) => {
+  const { locked, lockedUntil } = await recordLoginFailure(email);
+
+  if (locked && user) {
+    try {
+      await sendAccountLockedEmail(user, lockedUntil);
+    } catch (error) {
+      logger.error({ err: error }, 'Send account locked email error');
     }
+  }
+};
+
+// Per-IP limits; failed logins are additionally throttled per email address
+const loginLimit = rateLimit({ name: 'login', max: 20, windowSeconds: 15 * 60 });
+const registerLimit = rateLimit({ name: 'register', max: 5, windowSeconds: 60 * 60 });
+const passwordResetLimit = rateLimit({ name: 'password-reset', max: 10, windowSeconds: 60 * 60 });
+const verifyEmailLimit = rateLimit({ name: 'verify-email', max: 20, windowSeconds: 60 * 60 });
+const resendVerificationLimit = rateLimit({ name: 'resend-verification', max: 3, windowSeconds: 60 * 60, by: 'user' });
+const refreshLimit = rateLimit({ name: 'refresh', max: 60, windowSeconds: 15 * 60 });
 
+// POST /api/auth/register
+router.post('/register', registerLimit, validate(schemas.register), async (req, res) => {
+  try {
     const { name, email, password } = req.body;
 
     // Check if user already exists
@@ -63,17 +78,23 @@ router.post('/register', registerValidation, async (req, res) => {
     const saltRounds = 12;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Create user
-    const result = await query(`
-      INSERT INTO users (name, email, password_hash, role, active, created_at, updated_at)
-      VALUES ($1, $2, $3, 'user', true, NOW(), NOW())
-      RETURNING id, name, email, role, created_at
-    `, [name, email, hashedPassword]);
+    // Create user together with their time-credit account and starting grant
+    const newUser = await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO users (name, email, password_hash, role, active, email_verified, created_at, updated_at)
+        VALUES ($1, $2, $3, 'user', true, false, NOW(), NOW())
+        RETURNING id, name, email, role, email_verified, created_at
+      `, [name, email, hashedPassword]);
 
-    const newUser = result.rows[0];
+      await grantStartingCredits(client, result.rows[0].id);
 
-    // Generate JWT token
-    const token = generateToken(newUser.id);
+      return result.rows[0];
+    });
+
+    await sendVerification(newUser);
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(newUser.id, req);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -82,12 +103,16 @@ router.post('/register', registerValidation, async (req, res) => {
         name: newUser.name,
         email: newUser.email,
         role: newUser.role,
+        permissions: permissionsFor(newUser.role),
+        emailVerified: newUser.email_verified,
         createdAt: newUser.created_at
       },
-      token
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
     });
   } catch (error) {
-    console.error('Registration error:', error);
+    logger.error({ err: error }, 'Registration error');
     res.status(500).json({
       error: {
         message: 'Registration failed',
@@ -98,29 +123,25 @@ router.post('/register', registerValidation, async (req, res) => {
 });
 
 // POST /api/auth/login
-router.post('/login', loginValidation, async (req, res) => {
+router.post('/login', loginLimit, validate(schemas.login), async (req, res) => {
   try {
-    // Check validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: {
-          message: 'Validation failed',
-          details: errors.array(),
-          status: 400
-        }
-      });
-    }
-
     const { email, password } = req.body;
 
+    const throttle = await checkLoginAllowed(email);
+    if (throttle) {
+      return throttle.locked
+        ? tooManyRequests(res, throttle.retryAfter, 'Too many failed sign-in attempts. This account is temporarily locked.', 'ACCOUNT_LOCKED')
+        : tooManyRequests(res, throttle.retryAfter, 'Too many failed sign-in attempts. Please wait before trying again.', 'LOGIN_THROTTLED');
+    }
+
     // Get user from database
     const result = await query(
-      'SELECT id, name, email, password_hash, role, active FROM users WHERE email = $1',
+      'SELECT id, name, email, password_hash, role, active, email_verified, erasure_requested_by, erasure_scheduled_for FROM users WHERE email = $1',
       [email]
     );
 
     if (result.rows.length === 0) {
+      await recordFailedLogin(email, null);
       return res.status(401).json({
         error: {
           message: 'Invalid email or password',
@@ -131,8 +152,13 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const user = result.rows[0];
 
+    // Someone who deleted their own account can sign in again to restore it
+    // until it is erased
+    const restorable = !user.active && user.erasure_requested_by === user.id &&
+      new Date(user.erasure_scheduled_for) > new Date();
+
     // Check if user is active
-    if (!user.active) {
+    if (!user.active && !restorable) {
       return res.status(401).json({
         error: {
           message: 'Account is deactivated',
@@ -144,6 +170,7 @@ router.post('/login', loginValidation, async (req, res) => {
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     if (!isPasswordValid) {
+      await recordFailedLogin(email, user);
       return res.status(401).json({
         error: {
           message: 'Invalid email or password',
@@ -152,21 +179,29 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    await clearLoginFailures(email);
+
+    const restored = restorable && await cancelOwnErasure(user.id);
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user.id, req);
 
     res.json({
-      message: 'Login successful',
+      message: restored ? 'Login successful - your account has been restored' : 'Login successful',
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        permissions: permissionsFor(user.role),
+        emailVerified: user.email_verified
       },
-      token
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
     });
   } catch (error) {
-    console.error('Login error:', error);
+    logger.error({ err: error }, 'Login error');
     res.status(500).json({
       error: {
         message: 'Login failed',
@@ -176,4 +211,304 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+// POST /api/auth/verify-email - Redeem an email verification token
+router.post('/verify-email', verifyEmailLimit, validate(schemas.verifyEmail), async (req, res) => {
+  try {
+    const userId = await redeemToken(req.body.token, 'email_verification');
+
+    if (!userId) {
+      return res.status(400).json({
+        error: {
+          message: 'Verification link is invalid or has expired',
+          status: 400
+        }
+      });
+    }
+
+    const result = await query(`
+      UPDATE users
+      SET email_verified = true, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+      WHERE id = $1 AND active = true
+      RETURNING id, email, email_verified
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      user: {
+        id: result.rows[0].id,
+        email: result.rows[0].email,
+        emailVerified: result.rows[0].email_verified
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Verify email error');
+    res.status(500).json({
+      error: {
+        message: 'Email verification failed',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/auth/resend-verification - Send a fresh verification email
+router.post('/resend-verification', authenticateToken, resendVerificationLimit, validate(schemas.resendVerification), async (req, res) => {
+  try {
+    if (req.user.email_verified) {
+      return res.status(409).json({
+        error: {
+          message: 'Email is already verified',
+          status: 409
+        }
+      });
+    }
+
+    await sendVerification(req.user);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Resend verification error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to resend verification email',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', passwordResetLimit, validate(schemas.forgotPassword), async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT id, name, email FROM users WHERE email = $1 AND active = true',
+      [req.body.email]
+    );
+
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      try {
+        const token = await issueToken(user.id, 'password_reset');
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        logger.error({ err: error }, 'Send password reset email error');
+      }
+    }
+
+    // Same response whether or not the account exists
+    res.json({
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Forgot password error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to request password reset',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/auth/reset-password - Redeem a reset token and set a new password
+router.post('/reset-password', passwordResetLimit, validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const userId = await redeemToken(req.body.token, 'password_reset');
+
+    if (!userId) {
+      return res.status(400).json({
+        error: {
+          message: 'Reset link is invalid or has expired',
+          status: 400
+        }
+      });
+    }
+
+    const saltRounds = 12;
+    const hashedPassword = await bcrypt.hash(req.body.password, saltRounds);
+
+    // Receiving the reset email also proves the address is real
+    const result = await query(`
+      UPDATE users
+      SET
+        password_hash = $1,
+        email_verified = true,
+        email_verified_at = COALESCE(email_verified_at, NOW()),
+        updated_at = NOW()
+      WHERE id = $2 AND active = true
+      RETURNING id, email
+    `, [hashedPassword, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    // Whoever knew the old password may still hold a session
+    await revokeAllSessions(userId, 'password_reset');
+
+    // The owner has proven themselves, so lift any lockout
+    await clearLoginFailures(result.rows[0].email);
+
+    res.json({
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Reset password error');
+    res.status(500).json({
+      error: {
+        message: 'Password reset failed',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/auth/refresh - Rotate a refresh token for a new token pair
+router.post('/refresh', refreshLimit, validate(schemas.refresh), async (req, res) => {
+  try {
+    const rotated = await rotateRefreshToken(req.body.refreshToken, req);
+
+    if (!rotated || rotated.reuseDetected) {
+      return res.status(401).json({
+        error: {
+          message: rotated ? 'Refresh token reuse detected - session revoked' : 'Invalid or expired refresh token',
+          status: 401
+        }
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Refresh token error');
+    res.status(500).json({
+      error: {
+        message: 'Token refresh failed',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', authenticateToken, validate(schemas.logout), async (req, res) => {
+  try {
+    await revokeSession(req.user.session_id, 'logout');
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Logout error');
+    res.status(500).json({
+      error: {
+        message: 'Logout failed',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/auth/logout-all - Revoke every session on every device
+router.post('/logout-all', authenticateToken, validate(schemas.logoutAll), async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'logout_all');
+
+    res.json({
+      message: 'Logged out of all devices',
+      revoked
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Logout all error');
+    res.status(500).json({
+      error: {
+        message: 'Logout failed',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/auth/sessions - List my active sessions
+router.get('/sessions', authenticateToken, validate(schemas.listSessions), async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.user.session_id
+      }))
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get sessions error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch sessions',
+        status: 500
+      }
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one of my sessions
+router.delete('/sessions/:id', authenticateToken, validate(schemas.revokeSession), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingSession = await query(
+      'SELECT id FROM sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (existingSession.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Session not found',
+          status: 404
+        }
+      });
+    }
+
+    await revokeSession(existingSession.rows[0].id, 'revoked_by_user');
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Revoke session error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to revoke session',
+        status: 500
+      }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,167 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/availability');
+
+const router = express.Router();
+
+// GET /api/availability/:userId - Weekly slots, upcoming exceptions and busy times
+router.get('/:userId', validate(schemas.getAvailability), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const userCheck = await query(
+      'SELECT id, name, time_zone FROM users WHERE id = $1 AND active = true',
+      [userId]
+    );
+
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    const slots = await query(`
+      SELECT id, day_of_week, to_char(start_time, 'HH24:MI') as start_time, to_char(end_time, 'HH24:MI') as end_time, time_zone
+      FROM availability_slots
+      WHERE user_id = $1
+      ORDER BY day_of_week, start_time
+    `, [userId]);
+
+    const exceptions = await query(`
+      SELECT id, date::text as date, kind, to_char(start_time, 'HH24:MI') as start_time, to_char(end_time, 'HH24:MI') as end_time, time_zone, note
+      FROM availability_exceptions
+      WHERE user_id = $1 AND date >= CURRENT_DATE - 1
+      ORDER BY date, start_time
+    `, [userId]);
+
+    // Only the times, never who booked them
+    const busy = await query(`
+      SELECT starts_at, ends_at
+      FROM bookings
+      WHERE (teacher_id = $1 OR learner_id = $1) AND status = 'confirmed'
+        AND ends_at > NOW() AND starts_at < NOW() + INTERVAL '60 days'
+      ORDER BY starts_at
+    `, [userId]);
+
+    res.json({
+      user_id: userCheck.rows[0].id,
+      time_zone: userCheck.rows[0].time_zone,
+      slots: slots.rows,
+      exceptions: exceptions.rows,
+      busy: busy.rows
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get availability error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch availability',
+        status: 500
+      }
+    });
+  }
+});
+
+// PUT /api/availability - Replace my weekly slots
+router.put('/', authenticateToken, validate(schemas.updateSlots), async (req, res) => {
+  try {
+    const { time_zone, slots } = req.body;
+
+    // Delete and re-insert in one statement so readers never see a half-written week
+    const result = await query(`
+      WITH cleared AS (
+        DELETE FROM availability_slots WHERE user_id = $1
+      )
+      INSERT INTO availability_slots (user_id, day_of_week, start_time, end_time, time_zone, created_at)
+      SELECT $1, slot.day_of_week, slot.start_time::time, slot.end_time::time, $2, NOW()
+      FROM jsonb_to_recordset($3::jsonb) AS slot(day_of_week SMALLINT, start_time TEXT, end_time TEXT)
+      RETURNING id, day_of_week, to_char(start_time, 'HH24:MI') as start_time, to_char(end_time, 'HH24:MI') as end_time, time_zone
+    `, [req.user.id, time_zone, JSON.stringify(slots)]);
+
+    await query(
+      'UPDATE users SET time_zone = $1, updated_at = NOW() WHERE id = $2',
+      [time_zone, req.user.id]
+    );
+
+    res.json({
+      message: 'Availability updated successfully',
+      time_zone,
+      slots: result.rows.sort((a, b) => a.day_of_week - b.day_of_week || a.start_time.localeCompare(b.start_time))
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Update availability error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to update availability',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/availability/exceptions - Add time off or extra hours on a date
+router.post('/exceptions', authenticateToken, validate(schemas.addException), async (req, res) => {
+  try {
+    const { date, kind, start_time, end_time, note } = req.body;
+
+    const userResult = await query('SELECT time_zone FROM users WHERE id = $1', [req.user.id]);
+    const timeZone = req.body.time_zone || userResult.rows[0].time_zone || 'UTC';
+
+    const result = await query(`
+      INSERT INTO availability_exceptions (user_id, date, kind, start_time, end_time, time_zone, note, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING id, date::text as date, kind, to_char(start_time, 'HH24:MI') as start_time, to_char(end_time, 'HH24:MI') as end_time, time_zone, note
+    `, [req.user.id, date, kind, start_time || null, end_time || null, timeZone, note]);
+
+    res.status(201).json({
+      message: 'Availability exception added successfully',
+      exception: result.rows[0]
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Add availability exception error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to add availability exception',
+        status: 500
+      }
+    });
+  }
+});
+
+// DELETE /api/availability/exceptions/:id - Remove one of my exceptions
+router.delete('/exceptions/:id', authenticateToken, validate(schemas.removeException), async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM availability_exceptions WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Availability exception not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      message: 'Availability exception removed successfully'
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Delete availability exception error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to remove availability exception',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,380 @@
+const express = require('express');
+const { query, withTransaction } = require('../config/database');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const { isWithinAvailability } = require('../services/availability');
+const { hasPermission } = require('../config/permissions');
+const { assertCanAfford, recordLesson, lessonHours } = require('../services/ledger');
+const { cancelBooking } = require('../services/bookings');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/bookings');
+
+const router = express.Router();
+
+// All booking routes require an authenticated user
+router.use(authenticateToken);
+
+const MAX_BOOKING_HOURS = 8;
+
+// Arbitrary namespace for the per-user advisory locks taken while booking
+const BOOKING_LOCK_NAMESPACE = 52017108;
+
+// Serialise bookings involving any of `userIds` until the transaction ends.
+// Locked in id order so two transactions sharing users cannot deadlock.
+const lockParticipants = async (client, userIds) => {
+  for (const userId of [...new Set(userIds)].sort((a, b) => a - b)) {
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [BOOKING_LOCK_NAMESPACE, userId]);
+  }
+};
+
+const BOOKING_SELECT = `
+  SELECT
+    b.id, b.status, b.starts_at, b.ends_at, b.notes, b.swap_id, b.cancelled_by, b.completed_at, b.created_at, b.updated_at,
+    b.skill_id, s.title as skill_title,
+    b.teacher_id, t.name as teacher_name,
+    b.learner_id, l.name as learner_name
+  FROM bookings b
+  JOIN skills s ON b.skill_id = s.id
+  JOIN users t ON b.teacher_id = t.id
+  JOIN users l ON b.learner_id = l.id
+`;
+
+// POST /api/bookings - Book a session with a skill's teacher
+router.post('/', requireVerifiedEmail, validate(schemas.createBooking), async (req, res) => {
+  try {
+    const { skill_id, swap_id, notes } = req.body;
+    const startsAt = new Date(req.body.starts_at);
+    const endsAt = new Date(req.body.ends_at);
+
+    if (endsAt <= startsAt || endsAt - startsAt > MAX_BOOKING_HOURS * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: {
+          message: `A session must end after it starts and last at most ${MAX_BOOKING_HOURS} hours`,
+          status: 400
+        }
+      });
+    }
+
+    if (startsAt <= new Date()) {
+      return res.status(400).json({
+        error: {
+          message: 'Sessions must be booked in the future',
+          status: 400
+        }
+      });
+    }
+
+    const skillResult = await query(`
+      SELECT s.id, s.created_by
+      FROM skills s
+      JOIN users u ON s.created_by = u.id
+      WHERE s.id = $1 AND s.active = true AND s.kind = 'offered' AND u.active = true
+    `, [skill_id]);
+
+    if (skillResult.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Skill not found',
+          status: 404
+        }
+      });
+    }
+
+    const teacherId = skillResult.rows[0].created_by;
+
+    if (teacherId === req.user.id) {
+      return res.status(400).json({
+        error: {
+          message: 'You cannot book your own skill',
+          status: 400
+        }
+      });
+    }
+
+    // A linked swap must be an agreed swap between these two users
+    if (swap_id) {
+      const swapResult = await query(`
+        SELECT id FROM swaps
+        WHERE id = $1 AND status IN ('accepted', 'scheduled')
+          AND ((requester_id = $2 AND recipient_id = $3) OR (requester_id = $3 AND recipient_id = $2))
+      `, [swap_id, req.user.id, teacherId]);
+
+      if (swapResult.rows.length === 0) {
+        return res.status(400).json({
+          error: {
+            message: 'Swap must be an accepted swap between you and the teacher',
+            status: 400
+          }
+        });
+      }
+    }
+
+    if (!(await isWithinAvailability(teacherId, startsAt, endsAt))) {
+      return res.status(409).json({
+        error: {
+          message: 'The teacher is not available at that time',
+          status: 409
+        }
+      });
+    }
+
+    const booking = await withTransaction(async (client) => {
+      // Without the lock, the NOT EXISTS below cannot see a concurrent,
+      // uncommitted booking for either user
+      await lockParticipants(client, [teacherId, req.user.id]);
+
+      // Lessons outside a swap are paid for in hour-credits
+      if (!swap_id) {
+        await assertCanAfford(client, req.user.id, { starts_at: startsAt, ends_at: endsAt });
+      }
+
+      // The exclusion constraints on bookings reject a teacher or learner being
+      // double-booked in the same role; the NOT EXISTS also covers one person
+      // teaching and learning at once
+      const result = await client.query(`
+        INSERT INTO bookings (skill_id, teacher_id, learner_id, swap_id, starts_at, ends_at, status, notes, created_at, updated_at)
+        SELECT $1, $2, $3, $4, $5, $6, 'confirmed', $7, NOW(), NOW()
+        WHERE NOT EXISTS (
+          SELECT 1 FROM bookings
+          WHERE status = 'confirmed'
+            AND (teacher_id IN ($2, $3) OR learner_id IN ($2, $3))
+            AND tstzrange(starts_at, ends_at) && tstzrange($5, $6)
+        )
+        RETURNING id, skill_id, teacher_id, learner_id, swap_id, starts_at, ends_at, status, notes, created_at
+      `, [skill_id, teacherId, req.user.id, swap_id || null, startsAt.toISOString(), endsAt.toISOString(), notes]);
+
+      if (result.rows.length === 0) {
+        throw Object.assign(new Error('That time is already booked'), { status: 409 });
+      }
+
+      if (swap_id) {
+        await client.query(`
+          UPDATE swaps SET status = 'scheduled', scheduled_at = $2, updated_at = NOW()
+          WHERE id = $1 AND status = 'accepted'
+        `, [swap_id, result.rows[0].starts_at]);
+      }
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      message: 'Session booked successfully',
+      booking
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          status: error.status
+        }
+      });
+    }
+
+    // exclusion_violation: a concurrent request took the slot first
+    if (error.code === '23P01') {
+      return res.status(409).json({
+        error: {
+          message: 'That time is already booked',
+          status: 409
+        }
+      });
+    }
+
+    logger.error({ err: error }, 'Create booking error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to book session',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/bookings - List my bookings as teacher and/or learner
+router.get('/', validate(schemas.listBookings), async (req, res) => {
+  try {
+    const { role, status, upcoming, page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause;
+    if (role === 'teacher') {
+      whereClause = 'b.teacher_id = $1';
+    } else if (role === 'learner') {
+      whereClause = 'b.learner_id = $1';
+    } else {
+      whereClause = '(b.teacher_id = $1 OR b.learner_id = $1)';
+    }
+
+    const queryParams = [req.user.id];
+
+    if (status) {
+      queryParams.push(status);
+      whereClause += ` AND b.status = $${queryParams.length}`;
+    }
+
+    if (upcoming) {
+      whereClause += ' AND b.ends_at > NOW()';
+    }
+
+    const countResult = await query(
+      `SELECT COUNT(b.id) as total FROM bookings b WHERE ${whereClause}`,
+      queryParams
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const result = await query(`
+      ${BOOKING_SELECT}
+      WHERE ${whereClause}
+      ORDER BY b.starts_at ${upcoming ? 'ASC' : 'DESC'}
+      LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+    `, [...queryParams, limit, offset]);
+
+    res.json({
+      bookings: result.rows.map(booking => ({
+        ...booking,
+        role: booking.teacher_id === req.user.id ? 'teacher' : 'learner'
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get bookings error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch bookings',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/bookings/:id - Get a single booking (participants or admin)
+router.get('/:id', validate(schemas.getBooking), async (req, res) => {
+  try {
+    const result = await query(`${BOOKING_SELECT} WHERE b.id = $1`, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Booking not found',
+          status: 404
+        }
+      });
+    }
+
+    const booking = result.rows[0];
+
+    if (booking.teacher_id !== req.user.id && booking.learner_id !== req.user.id && !hasPermission(req.user.role, 'bookings:read')) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied - you are not part of this booking',
+          status: 403
+        }
+      });
+    }
+
+    res.json(booking);
+  } catch (error) {
+    logger.error({ err: error }, 'Get booking error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch booking',
+        status: 500
+      }
+    });
+  }
+});
+
+// PUT /api/bookings/:id/cancel - Either participant cancels an upcoming session;
+// a swap it scheduled goes back to its next session, or to 'accepted'
+router.put('/:id/cancel', validate(schemas.cancelBooking), async (req, res) => {
+  try {
+    const booking = await cancelBooking(req.params.id, req.user.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        error: {
+          message: 'No upcoming booking of yours with that ID',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      message: 'Booking cancelled successfully',
+      booking
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Cancel booking error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to cancel booking',
+        status: 500
+      }
+    });
+  }
+});
+
+// PUT /api/bookings/:id/complete - The learner confirms a session took place,
+// which pays the teacher its length in hour-credits unless it is part of a swap
+router.put('/:id/complete', validate(schemas.completeBooking), async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const completed = await client.query(`
+        UPDATE bookings b
+        SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+        FROM skills s
+        WHERE b.id = $1 AND b.skill_id = s.id AND b.status = 'confirmed'
+          AND b.learner_id = $2 AND b.ends_at <= NOW()
+        RETURNING b.id, b.skill_id, s.title as skill_title, b.teacher_id, b.learner_id, b.swap_id,
+          b.starts_at, b.ends_at, b.status, b.completed_at, b.updated_at
+      `, [req.params.id, req.user.id]);
+
+      if (completed.rows.length === 0) {
+        return null;
+      }
+
+      const booking = completed.rows[0];
+      // Swap lessons are paid for by the lessons given back, as when booking,
+      // so they never touch either balance
+      const transaction = booking.swap_id ? null : await recordLesson(client, booking);
+
+      return { booking, transaction };
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          message: 'No finished session of yours as learner with that ID',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      message: 'Session completed successfully',
+      booking: result.booking,
+      credits: result.transaction
+        ? {
+            hours: lessonHours(result.booking),
+            transaction_id: result.transaction.id
+          }
+        : null
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Complete booking error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to complete booking',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { imageUrls } = require('../services/images');
+const { averageRatingSql } = require('../services/reputation');
+const { userColumnsSql, embedUser, visibleLevels } = require('../services/profiles');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/bookmarks');
+
+const router = express.Router();
+
+// All bookmark routes require an authenticated user
+router.use(authenticateToken);
+
+// Bookmarks of skills that have since been deleted or hidden, or whose
+// creator no longer lets the viewer see their skills, are kept but not
+// listed. $2 is visibleLevels(null, viewer).
+const BOOKMARKS_FROM = `
+  FROM bookmarks b
+  JOIN skills s ON b.skill_id = s.id
+  JOIN users u ON s.created_by = u.id
+  WHERE b.user_id = $1 AND s.active = true AND u.active = true
+    AND (u.skills_visibility = ANY($2) OR u.id = $1)
+`;
+
+// GET /api/bookmarks - My bookmarked skills, most recently saved first
+router.get('/', validate(schemas.listBookmarks), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await query(`
+      SELECT
+        s.id, s.title, s.description, s.category, s.category_id, s.tags, s.kind, s.delivery, s.image_url, s.image_key, s.created_at,
+        ${userColumnsSql('u', 'creator_')},
+        ${averageRatingSql('s')} as average_rating,
+        s.rating_count,
+        b.created_at as bookmarked_at
+      ${BOOKMARKS_FROM}
+      ORDER BY b.created_at DESC, s.id DESC
+      LIMIT $3 OFFSET $4
+    `, [req.user.id, visibleLevels(null, req.user), limit, offset]);
+
+    const countResult = await query(`SELECT COUNT(*) as total ${BOOKMARKS_FROM}`, [req.user.id, visibleLevels(null, req.user)]);
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      skills: result.rows.map(({ image_key, ...skill }) => ({
+        ...embedUser(skill, req.user, 'creator_'),
+        image_urls: imageUrls('skill', image_key),
+        average_rating: parseFloat(skill.average_rating).toFixed(1),
+        rating_count: parseInt(skill.rating_count)
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get bookmarks error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch bookmarks',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
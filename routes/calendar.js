@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { buildICalendar } = require('../services/calendar');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/calendar');
+
+const router = express.Router();
+
+const feedUrls = (req, token) => {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${base}/api/calendar/${token}.ics`;
+  return {
+    url,
+    webcal_url: url.replace(/^https?:/, 'webcal:')
+  };
+};
+
+const newCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+// GET /api/calendar/feed - My private iCalendar feed URL
+router.get('/feed', authenticateToken, validate(schemas.getFeed), async (req, res) => {
+  try {
+    // Create the token on first use
+    const result = await query(`
+      UPDATE users SET calendar_token = COALESCE(calendar_token, $1)
+      WHERE id = $2
+      RETURNING calendar_token
+    `, [newCalendarToken(), req.user.id]);
+
+    res.json(feedUrls(req, result.rows[0].calendar_token));
+  } catch (error) {
+    logger.error({ err: error }, 'Get calendar feed error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch calendar feed',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/calendar/feed/regenerate - Replace the feed URL, invalidating the old one
+router.post('/feed/regenerate', authenticateToken, validate(schemas.regenerateFeed), async (req, res) => {
+  try {
+    const result = await query(
+      'UPDATE users SET calendar_token = $1 WHERE id = $2 RETURNING calendar_token',
+      [newCalendarToken(), req.user.id]
+    );
+
+    res.json({
+      message: 'Calendar feed URL regenerated',
+      ...feedUrls(req, result.rows[0].calendar_token)
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Regenerate calendar feed error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to regenerate calendar feed',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/calendar/:token.ics - Upcoming sessions; the token is the credential
+router.get('/:token.ics', validate(schemas.calendarFeed), async (req, res) => {
+  try {
+    const userResult = await query(
+      'SELECT id, name FROM users WHERE calendar_token = $1 AND active = true',
+      [req.params.token]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Calendar not found',
+          status: 404
+        }
+      });
+    }
+
+    const user = userResult.rows[0];
+
+    // Recently cancelled sessions stay in the feed so subscribers drop them
+    const bookings = await query(`
+      SELECT
+        b.id, b.status, b.starts_at, b.ends_at, b.notes, b.updated_at,
+        b.teacher_id, s.title as skill_title, t.name as teacher_name, l.name as learner_name
+      FROM bookings b
+      JOIN skills s ON b.skill_id = s.id
+      JOIN users t ON b.teacher_id = t.id
+      JOIN users l ON b.learner_id = l.id
+      WHERE (b.teacher_id = $1 OR b.learner_id = $1)
+        AND b.ends_at > NOW() - INTERVAL '1 day'
+      ORDER BY b.starts_at
+      LIMIT 500
+    `, [user.id]);
+
+    const events = bookings.rows.map(booking => {
+      const teaching = booking.teacher_id === user.id;
+      return {
+        uid: `booking-${booking.id}@skillswap`,
+        start: booking.starts_at,
+        end: booking.ends_at,
+        updated: booking.updated_at,
+        status: booking.status,
+        summary: teaching
+          ? `Teaching ${booking.skill_title} to ${booking.learner_name}`
+          : `Learning ${booking.skill_title} with ${booking.teacher_name}`,
+        description: booking.notes || ''
+      };
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="skillswap.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(buildICalendar(`SkillSwap - ${user.name}`, events));
+  } catch (error) {
+    logger.error({ err: error }, 'Calendar feed error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to build calendar feed',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
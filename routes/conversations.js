@@ -0,0 +1,268 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  getConversationForUser,
+  getOrCreateConversation,
+  createMessage,
+  markConversationRead,
+  getUnreadCount
+} = require('../services/messaging');
+const { broadcastMessage, broadcastRead } = require('../socket/chat');
+const { userColumnsSql, embedUser } = require('../services/profiles');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/conversations');
+
+const router = express.Router();
+
+// All conversation routes require an authenticated user
+router.use(authenticateToken);
+
+// GET /api/conversations - List my conversations with last message and unread count
+router.get('/', validate(schemas.listConversations), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await query(`
+      SELECT
+        c.id, c.last_message_at, c.created_at,
+        ${userColumnsSql('u', 'other_user_')},
+        lm.body as last_message, lm.sender_id as last_message_sender_id,
+        (
+          SELECT COUNT(m.id) FROM messages m
+          WHERE m.conversation_id = c.id AND m.sender_id <> $1 AND m.read_at IS NULL
+        ) as unread_count
+      FROM conversations c
+      JOIN users u ON u.id = CASE WHEN c.user_one_id = $1 THEN c.user_two_id ELSE c.user_one_id END
+      LEFT JOIN LATERAL (
+        SELECT body, sender_id FROM messages
+        WHERE conversation_id = c.id
+        ORDER BY id DESC
+        LIMIT 1
+      ) lm ON true
+      WHERE c.user_one_id = $1 OR c.user_two_id = $1
+      ORDER BY COALESCE(c.last_message_at, c.created_at) DESC
+      LIMIT $2 OFFSET $3
+    `, [req.user.id, limit, offset]);
+
+    const countResult = await query(
+      'SELECT COUNT(id) as total FROM conversations WHERE user_one_id = $1 OR user_two_id = $1',
+      [req.user.id]
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      conversations: result.rows.map(conversation => ({
+        ...embedUser(conversation, req.user, 'other_user_'),
+        unread_count: parseInt(conversation.unread_count)
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get conversations error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch conversations',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/conversations/unread-count - Total unread messages across conversations
+router.get('/unread-count', validate(schemas.unreadCount), async (req, res) => {
+  try {
+    res.json({ unread: await getUnreadCount(req.user.id) });
+  } catch (error) {
+    logger.error({ err: error }, 'Get unread count error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch unread count',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/conversations - Start (or reopen) a conversation with another user
+router.post('/', requireVerifiedEmail, validate(schemas.startConversation), async (req, res) => {
+  try {
+    const otherUserId = req.body.user_id;
+
+    if (otherUserId === req.user.id) {
+      return res.status(400).json({
+        error: {
+          message: 'You cannot start a conversation with yourself',
+          status: 400
+        }
+      });
+    }
+
+    const userCheck = await query(
+      'SELECT id FROM users WHERE id = $1 AND active = true',
+      [otherUserId]
+    );
+
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    const conversation = await getOrCreateConversation(req.user.id, otherUserId);
+
+    res.status(201).json({
+      message: 'Conversation ready',
+      conversation
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Start conversation error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to start conversation',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/conversations/:id/messages - Page backwards through message history
+router.get('/:id/messages', validate(schemas.listMessages), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { before, limit: pageSize } = req.query;
+
+    const conversation = await getConversationForUser(id, req.user.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: {
+          message: 'Conversation not found',
+          status: 404
+        }
+      });
+    }
+
+    const queryParams = [id];
+    let queryText = `
+      SELECT id, conversation_id, sender_id, body, read_at, created_at
+      FROM messages
+      WHERE conversation_id = $1
+    `;
+
+    // Cursor is the id of the oldest message the client already has
+    if (before) {
+      queryParams.push(before);
+      queryText += ` AND id < $${queryParams.length}`;
+    }
+
+    // Fetch one extra row to know whether older messages remain
+    queryParams.push(pageSize + 1);
+    queryText += ` ORDER BY id DESC LIMIT $${queryParams.length}`;
+
+    const result = await query(queryText, queryParams);
+    const hasMore = result.rows.length > pageSize;
+    const messages = result.rows.slice(0, pageSize);
+
+    res.json({
+      messages,
+      pagination: {
+        limit: pageSize,
+        has_more: hasMore,
+        next_cursor: hasMore ? messages[messages.length - 1].id : null
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get messages error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch messages',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/conversations/:id/messages - Send a message
+router.post('/:id/messages', requireVerifiedEmail, validate(schemas.sendMessage), async (req, res) => {
+  try {
+    const conversation = await getConversationForUser(req.params.id, req.user.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: {
+          message: 'Conversation not found',
+          status: 404
+        }
+      });
+    }
+
+    const message = await createMessage(conversation.id, req.user.id, req.body.body);
+
+    const chat = req.app.get('chat');
+    if (chat) {
+      await broadcastMessage(chat, conversation, message);
+    }
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: message
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Send message error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to send message',
+        status: 500
+      }
+    });
+  }
+});
+
+// PUT /api/conversations/:id/read - Mark the conversation as read
+router.put('/:id/read', validate(schemas.markRead), async (req, res) => {
+  try {
+    const conversation = await getConversationForUser(req.params.id, req.user.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: {
+          message: 'Conversation not found',
+          status: 404
+        }
+      });
+    }
+
+    const receipt = await markConversationRead(conversation.id, req.user.id);
+
+    const chat = req.app.get('chat');
+    if (chat) {
+      await broadcastRead(chat, conversation, req.user.id, receipt);
+    }
+
+    res.json({
+      message: 'Conversation marked as read',
+      read: receipt.count
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Mark conversation read error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to mark conversation as read',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const path = require('path');
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+const { buildOpenApiDocument } = require('../services/openapi');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/meta');
+
+const router = express.Router();
+
+const DOCS_DIR = path.join(__dirname, '..', 'public', 'docs');
+
+// GET /api/openapi.json - The OpenAPI document for every route
+router.get('/openapi.json', validate(schemas.openApiDocument), (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
+// GET /api/docs - Swagger UI for the document above
+router.get('/docs', validate(schemas.docs), (req, res) => {
+  res.sendFile(path.join(DOCS_DIR, 'index.html'));
+});
+
+router.get('/docs/docs.js', (req, res) => {
+  res.sendFile(path.join(DOCS_DIR, 'docs.js'));
+});
+
+router.use('/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
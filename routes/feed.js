@@ -0,0 +1,100 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { imageUrls } = require('../services/images');
+const { averageRatingSql, reputationScoreSql } = require('../services/reputation');
+const { userColumnsSql, embedUser } = require('../services/profiles');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/feed');
+
+const router = express.Router();
+
+// The cursor is the (updated_at, id) of the last skill on the previous page.
+// updated_at is carried as Postgres text so no precision is lost on the way.
+const encodeCursor = (skill) => Buffer.from(`${skill.feed_time}|${skill.id}`).toString('base64url');
+
+const CURSOR_TIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?[+-]\d{2}(:\d{2})?$/;
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  if (!CURSOR_TIME.test(time) || !/^\d+$/.test(id || '')) return null;
+  return { time, id: parseInt(id) };
+};
+
+// GET /api/feed - New and updated skills from people I follow, newest first
+router.get('/', authenticateToken, validate(schemas.getFeed), async (req, res) => {
+  try {
+    const { cursor, limit: pageSize } = req.query;
+
+    const queryParams = [req.user.id];
+    let cursorClause = '';
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+
+      if (!position) {
+        return res.status(400).json({
+          error: {
+            message: 'Invalid cursor',
+            status: 400
+          }
+        });
+      }
+
+      queryParams.push(position.time, position.id);
+      cursorClause = 'AND (s.updated_at, s.id) < ($2::timestamptz, $3::integer)';
+    }
+
+    // Fetch one extra row to know whether more remain
+    queryParams.push(pageSize + 1);
+
+    const result = await query(`
+      SELECT
+        s.id, s.title, s.description, s.category, s.category_id, s.tags, s.kind, s.delivery, s.image_url, s.image_key,
+        s.created_at, s.updated_at, s.updated_at::text as feed_time,
+        CASE WHEN s.updated_at > s.created_at THEN 'updated' ELSE 'created' END as event,
+        ${userColumnsSql('u', 'creator_')},
+        ${averageRatingSql('s')} as average_rating,
+        s.rating_count,
+        ${reputationScoreSql('s')} as reputation
+      FROM follows f
+      JOIN users u ON f.followed_id = u.id
+      JOIN skills s ON s.created_by = u.id
+      WHERE f.follower_id = $1 AND s.active = true AND u.active = true
+        -- Followers see what any signed-in member would
+        AND u.skills_visibility <> 'hidden'
+        ${cursorClause}
+      ORDER BY s.updated_at DESC, s.id DESC
+      LIMIT $${queryParams.length}
+    `, queryParams);
+
+    const hasMore = result.rows.length > pageSize;
+    const skills = result.rows.slice(0, pageSize);
+
+    res.json({
+      skills: skills.map(({ image_key, feed_time, ...skill }) => ({
+        ...embedUser(skill, req.user, 'creator_'),
+        image_urls: imageUrls('skill', image_key),
+        average_rating: parseFloat(skill.average_rating).toFixed(1),
+        rating_count: parseInt(skill.rating_count),
+        reputation: Number(parseFloat(skill.reputation).toFixed(2))
+      })),
+      pagination: {
+        limit: pageSize,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor(skills[skills.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get feed error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch feed',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
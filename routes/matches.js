@@ -0,0 +1,111 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { normalize, normalizeTags, rankMatches } = require('../services/matching');
+const { averageRatingSql, reputationScoreSql } = require('../services/reputation');
+const { userColumnsSql, serializeUser } = require('../services/profiles');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/matches');
+
+const router = express.Router();
+
+// GET /api/matches - Rank other users by how well our offered and wanted skills line up
+router.get('/', authenticateToken, validate(schemas.listMatches), async (req, res) => {
+  try {
+    const { page, limit, reciprocal } = req.query;
+    const offset = (page - 1) * limit;
+
+    const mySkillsResult = await query(`
+      SELECT id, title, category, tags, kind
+      FROM skills
+      WHERE created_by = $1 AND active = true
+    `, [req.user.id]);
+
+    const myOffered = mySkillsResult.rows.filter(skill => skill.kind === 'offered');
+    const myWanted = mySkillsResult.rows.filter(skill => skill.kind === 'wanted');
+
+    if (myOffered.length === 0 && myWanted.length === 0) {
+      return res.json({
+        matches: [],
+        message: 'Add skills you offer or want to learn to get matches',
+        pagination: {
+          page,
+          limit,
+          total: 0,
+          totalPages: 0
+        }
+      });
+    }
+
+    const categoriesOf = (skills) => [...new Set(skills.map(skill => normalize(skill.category)))];
+    const tagsOf = (skills) => [...new Set(skills.flatMap(skill => normalizeTags(skill.tags)))];
+
+    // Only load skills that could score: their offers against my wants and vice versa
+    const candidateSkills = await query(`
+      SELECT s.id, s.title, s.category, s.tags, s.kind, s.created_by
+      FROM skills s
+      JOIN users u ON s.created_by = u.id
+      WHERE s.active = true AND u.active = true AND s.created_by <> $1
+        AND (
+          (s.kind = 'offered' AND (
+            LOWER(s.category) = ANY($2)
+            OR EXISTS (SELECT 1 FROM jsonb_array_elements_text(s.tags) t WHERE LOWER(t) = ANY($3))
+          ))
+          OR (s.kind = 'wanted' AND (
+            LOWER(s.category) = ANY($4)
+            OR EXISTS (SELECT 1 FROM jsonb_array_elements_text(s.tags) t WHERE LOWER(t) = ANY($5))
+          ))
+        )
+    `, [req.user.id, categoriesOf(myWanted), tagsOf(myWanted), categoriesOf(myOffered), tagsOf(myOffered)]);
+
+    const userIds = [...new Set(candidateSkills.rows.map(skill => skill.created_by))];
+
+    // Same creator reputation the skills endpoints report
+    const usersResult = await query(`
+      SELECT
+        ${userColumnsSql('u')},
+        ${averageRatingSql('u')} as average_rating,
+        u.rating_count,
+        ${reputationScoreSql('u')} as reputation
+      FROM users u
+      WHERE u.id = ANY($1)
+    `, [userIds]);
+
+    const candidates = usersResult.rows.map(user => ({
+      user_id: user.id,
+      name: user.name,
+      avatar_url: user.avatar_url,
+      user: serializeUser(user, req.user),
+      average_rating: user.average_rating,
+      rating_count: parseInt(user.rating_count),
+      reputation: parseFloat(user.reputation),
+      offered: candidateSkills.rows.filter(skill => skill.created_by === user.id && skill.kind === 'offered'),
+      wanted: candidateSkills.rows.filter(skill => skill.created_by === user.id && skill.kind === 'wanted')
+    }));
+
+    const ranked = rankMatches({ myOffered, myWanted }, candidates, {
+      reciprocalOnly: reciprocal
+    });
+
+    res.json({
+      matches: ranked.slice(offset, offset + limit),
+      pagination: {
+        page,
+        limit,
+        total: ranked.length,
+        totalPages: Math.ceil(ranked.length / limit)
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get matches error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch matches',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
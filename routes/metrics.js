@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const express = require('express');
+const { register } = require('../services/metrics');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/meta');
+
+const router = express.Router();
+
+// With METRICS_TOKEN set, scrapers must send it as a bearer token
+const authorizeScrape = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) return next();
+
+  const header = req.get('authorization') || '';
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const wanted = Buffer.from(expected);
+  const matches = given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+
+  if (!matches) {
+    return res.status(401).json({
+      error: {
+        message: 'Metrics token required',
+        status: 401
+      }
+    });
+  }
+
+  next();
+};
+
+// GET /api/metrics - Prometheus scrape endpoint
+router.get('/', authorizeScrape, validate(schemas.metrics), async (req, res) => {
+  try {
+    const metrics = await register.metrics();
+    res.set('Content-Type', register.contentType);
+    res.send(metrics);
+  } catch (error) {
+    logger.error({ err: error }, 'Metrics error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to collect metrics',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
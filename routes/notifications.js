@@ -0,0 +1,136 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  listNotifications,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences
+} = require('../services/notifications');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/notifications');
+
+const router = express.Router();
+
+// All notification routes require an authenticated user
+router.use(authenticateToken);
+
+// GET /api/notifications - My notifications, newest first
+router.get('/', validate(schemas.listNotifications), async (req, res) => {
+  try {
+    const { unread, page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { notifications, total, unreadCount } = await listNotifications(req.user.id, {
+      unreadOnly: unread,
+      limit,
+      offset
+    });
+
+    res.json({
+      notifications,
+      unread_count: unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get notifications error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch notifications',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/notifications/preferences - Digest frequency and per-type settings
+router.get('/preferences', validate(schemas.getPreferences), async (req, res) => {
+  try {
+    res.json(await getPreferences(req.user.id));
+  } catch (error) {
+    logger.error({ err: error }, 'Get notification preferences error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch notification preferences',
+        status: 500
+      }
+    });
+  }
+});
+
+// PUT /api/notifications/preferences - Update digest frequency and/or per-type settings
+router.put('/preferences', validate(schemas.updatePreferences), async (req, res) => {
+  try {
+    const preferences = await updatePreferences(req.user.id, req.body);
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      preferences
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Update notification preferences error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to update notification preferences',
+        status: 500
+      }
+    });
+  }
+});
+
+// PUT /api/notifications/read-all - Mark every notification as read
+router.put('/read-all', validate(schemas.markAllRead), async (req, res) => {
+  try {
+    const count = await markAllRead(req.user.id);
+
+    res.json({
+      message: 'All notifications marked as read',
+      count
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Mark all notifications read error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to mark notifications as read',
+        status: 500
+      }
+    });
+  }
+});
+
+// PUT /api/notifications/:id/read - Mark one notification as read
+router.put('/:id/read', validate(schemas.markRead), async (req, res) => {
+  try {
+    const notification = await markRead(req.user.id, req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        error: {
+          message: 'Notification not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Mark notification read error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to mark notification as read',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
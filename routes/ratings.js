@@ -1,69 +1,100 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { notify } = require('../services/notifications');
+const { recordAudit } = require('../services/audit');
+const { hasPermission } = require('../config/permissions');
+const { rateLimit } = require('../middleware/rateLimit');
+const { reputationColumnsSql, formatReputation } = require('../services/reputation');
+const { userColumnsSql, embedUser } = require('../services/profiles');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/ratings');
 
 const router = express.Router();
 
-// Validation rules
-const ratingValidation = [
-  body('rated_user_id').isInt({ min: 1 }).withMessage('Valid user ID is required'),
-  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
-  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment must be less than 500 characters')
-];
-
-// POST /api/ratings - Add rating to a user
-router.post('/', authenticateToken, ratingValidation, async (req, res) => {
+// POST /api/ratings - Review a skill (skill_id) or rate a user (rated_user_id)
+router.post('/', authenticateToken, requireVerifiedEmail, rateLimit({ name: 'rating-create', max: 10, windowSeconds: 60 * 60, by: 'user' }), validate(schemas.createRating), async (req, res) => {
   try {
-    // Check validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: {
-          message: 'Validation failed',
-          details: errors.array(),
-          status: 400
-        }
-      });
-    }
+    const { rating, comment } = req.body;
+    const skillId = req.body.skill_id !== undefined ? req.body.skill_id : null;
+    let ratedUserId = req.body.rated_user_id !== undefined ? req.body.rated_user_id : null;
+    let skill = null;
+
+    // A review goes to whoever teaches the skill
+    if (skillId !== null) {
+      const skillCheck = await query(`
+        SELECT s.id, s.title, s.created_by
+        FROM skills s
+        JOIN users u ON s.created_by = u.id
+        WHERE s.id = $1 AND s.active = true AND u.active = true
+      `, [skillId]);
 
-    const { rated_user_id, rating, comment } = req.body;
+      if (skillCheck.rows.length === 0) {
+        return res.status(404).json({
+          error: {
+            message: 'Skill to be reviewed not found',
+            status: 404
+          }
+        });
+      }
+
+      skill = skillCheck.rows[0];
+
+      if (ratedUserId !== null && ratedUserId !== skill.created_by) {
+        return res.status(400).json({
+          error: {
+            message: 'rated_user_id does not match the skill\'s creator',
+            status: 400
+          }
+        });
+      }
+
+      ratedUserId = skill.created_by;
+    }
 
     // Check if user is trying to rate themselves
-    if (req.user.id == rated_user_id) {
+    if (req.user.id === ratedUserId) {
       return res.status(400).json({
         error: {
-          message: 'You cannot rate yourself',
+          message: skill ? 'You cannot review your own skill' : 'You cannot rate yourself',
           status: 400
         }
       });
     }
 
-    // Check if rated user exists
-    const userCheck = await query(
-      'SELECT id FROM users WHERE id = $1 AND active = true',
-      [rated_user_id]
-    );
+    if (!skill) {
+      // Check if rated user exists
+      const userCheck = await query(
+        'SELECT id FROM users WHERE id = $1 AND active = true',
+        [ratedUserId]
+      );
 
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({
-        error: {
-          message: 'User to be rated not found',
-          status: 404
-        }
-      });
+      if (userCheck.rows.length === 0) {
+        return res.status(404).json({
+          error: {
+            message: 'User to be rated not found',
+            status: 404
+          }
+        });
+      }
     }
 
-    // Check if user has already rated this user
-    const existingRating = await query(
-      'SELECT id FROM ratings WHERE reviewer_id = $1 AND rated_user_id = $2',
-      [req.user.id, rated_user_id]
-    );
+    // One live review per skill, or one live user-level rating per user
+    const existingRating = skill
+      ? await query(
+        'SELECT id FROM ratings WHERE reviewer_id = $1 AND skill_id = $2 AND deleted_at IS NULL',
+        [req.user.id, skill.id]
+      )
+      : await query(
+        'SELECT id FROM ratings WHERE reviewer_id = $1 AND rated_user_id = $2 AND skill_id IS NULL AND deleted_at IS NULL',
+        [req.user.id, ratedUserId]
+      );
 
     if (existingRating.rows.length > 0) {
       return res.status(409).json({
         error: {
-          message: 'You have already rated this user',
+          message: skill ? 'You have already reviewed this skill' : 'You have already rated this user',
           status: 409
         }
       });
@@ -71,23 +102,42 @@ router.post('/', authenticateToken, ratingValidation, async (req, res) => {
 
     // Create rating
     const result = await query(`
-      INSERT INTO ratings (reviewer_id, rated_user_id, rating, comment, created_at)
-      VALUES ($1, $2, $3, $4, NOW())
-      RETURNING id, rating, comment, created_at
-    `, [req.user.id, rated_user_id, rating, comment]);
+      INSERT INTO ratings (reviewer_id, rated_user_id, skill_id, rating, comment, created_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      RETURNING id, rated_user_id, skill_id, rating, comment, created_at
+    `, [req.user.id, ratedUserId, skill ? skill.id : null, rating, comment]);
 
     const newRating = result.rows[0];
 
+    await notify(ratedUserId, 'rating_received', {
+      title: skill
+        ? `${req.user.name} reviewed "${skill.title}": ${rating} out of 5`
+        : `${req.user.name} rated you ${rating} out of 5`,
+      body: comment || null,
+      data: { rating_id: newRating.id, reviewer_id: req.user.id, skill_id: newRating.skill_id, rating }
+    });
+
     res.status(201).json({
-      message: 'Rating added successfully',
+      message: skill ? 'Review added successfully' : 'Rating added successfully',
       rating: {
         ...newRating,
+        skill_title: skill ? skill.title : null,
         reviewer_name: req.user.name,
         reviewer_id: req.user.id
       }
     });
   } catch (error) {
-    console.error('Create rating error:', error);
+    // unique_violation: a concurrent request got there first
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: {
+          message: 'You have already rated this',
+          status: 409
+        }
+      });
+    }
+
+    logger.error({ err: error }, 'Create rating error');
     res.status(500).json({
       error: {
         message: 'Failed to add rating',
@@ -98,16 +148,16 @@ router.post('/', authenticateToken, ratingValidation, async (req, res) => {
 });
 
 // GET /api/ratings/:userId - Get all ratings for a user
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', optionalAuth, validate(schemas.listRatings), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { page, limit } = req.query;
 
     const offset = (page - 1) * limit;
 
     // Check if user exists
     const userCheck = await query(
-      'SELECT name FROM users WHERE id = $1 AND active = true',
+      `SELECT u.name, ${reputationColumnsSql('u')} FROM users u WHERE u.id = $1 AND u.active = true`,
       [userId]
     );
 
@@ -120,57 +170,83 @@ router.get('/:userId', async (req, res) => {
       });
     }
 
-    // Get ratings with pagination
+    // Get ratings with pagination; skill reviews and user-level ratings together
     const ratingsResult = await query(`
       SELECT 
         r.id, r.rating, r.comment, r.created_at,
-        u.name as reviewer_name, u.avatar_url as reviewer_avatar
+        r.skill_id, s.title as skill_title,
+        ${userColumnsSql('u', 'reviewer_')},
+        r.reputation_weight * reputation_decay() as weight
       FROM ratings r
       JOIN users u ON r.reviewer_id = u.id
-      WHERE r.rated_user_id = $1
+      LEFT JOIN skills s ON r.skill_id = s.id
+      WHERE r.rated_user_id = $1 AND r.hidden_at IS NULL AND r.deleted_at IS NULL
       ORDER BY r.created_at DESC
       LIMIT $2 OFFSET $3
     `, [userId, limit, offset]);
 
-    // Get total count and average rating
+    // Totals and the reputation score are cached on the user; the
+    // distribution is counted here
+    const reputation = formatReputation(userCheck.rows[0]);
+
     const statsResult = await query(`
       SELECT 
-        COUNT(id) as total_ratings,
-        AVG(rating) as average_rating,
         COUNT(CASE WHEN rating = 5 THEN 1 END) as five_star,
         COUNT(CASE WHEN rating = 4 THEN 1 END) as four_star,
         COUNT(CASE WHEN rating = 3 THEN 1 END) as three_star,
         COUNT(CASE WHEN rating = 2 THEN 1 END) as two_star,
         COUNT(CASE WHEN rating = 1 THEN 1 END) as one_star
       FROM ratings
-      WHERE rated_user_id = $1
+      WHERE rated_user_id = $1 AND hidden_at IS NULL AND deleted_at IS NULL
     `, [userId]);
 
     const stats = statsResult.rows[0];
 
+    // How each of the user's skills is reviewed
+    const skillsResult = await query(`
+      SELECT s.id as skill_id, s.title, ${reputationColumnsSql('s')}
+      FROM skills s
+      WHERE s.created_by = $1 AND s.active = true AND s.rating_count > 0
+      ORDER BY s.rating_count DESC, s.title ASC
+    `, [userId]);
+
     res.json({
       user_name: userCheck.rows[0].name,
-      ratings: ratingsResult.rows,
+      ratings: ratingsResult.rows.map(rating => ({
+        ...embedUser(rating, req.user, 'reviewer_'),
+        weight: Number(parseFloat(rating.weight).toFixed(3))
+      })),
       stats: {
-        total_ratings: parseInt(stats.total_ratings),
-        average_rating: parseFloat(stats.average_rating || 0).toFixed(1),
+        total_ratings: reputation.rating_count,
+        average_rating: reputation.average_rating,
+        reputation,
         rating_distribution: {
           5: parseInt(stats.five_star),
           4: parseInt(stats.four_star),
           3: parseInt(stats.three_star),
           2: parseInt(stats.two_star),
           1: parseInt(stats.one_star)
-        }
+        },
+        skills: skillsResult.rows.map(row => {
+          const skillReputation = formatReputation(row);
+          return {
+            skill_id: row.skill_id,
+            title: row.title,
+            average_rating: skillReputation.average_rating,
+            rating_count: skillReputation.rating_count,
+            reputation: skillReputation.score
+          };
+        })
       },
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(stats.total_ratings),
-        totalPages: Math.ceil(stats.total_ratings / limit)
+        page,
+        limit,
+        total: reputation.rating_count,
+        totalPages: Math.ceil(reputation.rating_count / limit)
       }
     });
   } catch (error) {
-    console.error('Get ratings error:', error);
+    logger.error({ err: error }, 'Get ratings error');
     res.status(500).json({
       error: {
         message: 'Failed to fetch ratings',
@@ -181,13 +257,13 @@ router.get('/:userId', async (req, res) => {
 });
 
 // DELETE /api/ratings/:id - Delete rating (admin or reviewer only)
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, validate(schemas.deleteRating), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if rating exists and user has permission
     const existingRating = await query(
-      'SELECT reviewer_id FROM ratings WHERE id = $1',
+      'SELECT id, reviewer_id, rated_user_id, skill_id, rating, comment, created_at, hidden_at FROM ratings WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
 
@@ -200,8 +276,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if user is the reviewer or admin
-    if (req.user.role !== 'admin' && existingRating.rows[0].reviewer_id !== req.user.id) {
+    // Check if user is the reviewer or may moderate ratings
+    if (existingRating.rows[0].reviewer_id !== req.user.id && !hasPermission(req.user.role, 'ratings:moderate')) {
       return res.status(403).json({
         error: {
           message: 'Access denied - you can only delete your own ratings',
@@ -210,14 +286,26 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Delete rating
-    await query('DELETE FROM ratings WHERE id = $1', [id]);
+    // Soft delete so the rating can still be audited
+    const result = await query(`
+      UPDATE ratings SET deleted_at = NOW(), deleted_by = $2
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING deleted_at, deleted_by
+    `, [id, req.user.id]);
+
+    await recordAudit(req, {
+      action: 'rating.delete',
+      targetType: 'rating',
+      targetId: id,
+      before: existingRating.rows[0],
+      after: result.rows[0] || null
+    });
 
     res.json({
       message: 'Rating deleted successfully'
     });
   } catch (error) {
-    console.error('Delete rating error:', error);
+    logger.error({ err: error }, 'Delete rating error');
     res.status(500).json({
       error: {
         message: 'Failed to delete rating',
@@ -0,0 +1,52 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { imageUrls } = require('../services/images');
+const { embedUser } = require('../services/profiles');
+const { recommendSkills } = require('../services/recommendations');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/recommendations');
+
+const router = express.Router();
+
+// GET /api/recommendations - Skills suggested for me, each with the reasons
+// it was picked
+router.get('/', authenticateToken, validate(schemas.listRecommendations), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { strategy, results } = await recommendSkills(req.user);
+
+    res.json({
+      strategy,
+      skills: results.slice(offset, offset + limit).map(({ skill, score, reasons }) => {
+        const { image_key, similar_score, similar_users, recent_users, ...fields } = skill;
+        return {
+          ...embedUser(fields, req.user, 'creator_'),
+          image_urls: imageUrls('skill', image_key),
+          average_rating: skill.average_rating.toFixed(1),
+          reputation: Number(skill.reputation.toFixed(2)),
+          score: Number(score.toFixed(3)),
+          reasons
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total: results.length,
+        totalPages: Math.ceil(results.length / limit)
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get recommendations error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch recommendations',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { createReport, listReportsByReporter } = require('../services/moderation');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/reports');
+
+const router = express.Router();
+
+// All report routes require an authenticated user
+router.use(authenticateToken);
+
+// POST /api/reports - Report a skill, rating or user to the moderators
+router.post('/', requireVerifiedEmail, rateLimit({ name: 'report-create', max: 10, windowSeconds: 60 * 60, by: 'user' }), validate(schemas.createReport), async (req, res) => {
+  try {
+    const report = await createReport(req.user.id, req.body);
+
+    res.status(201).json({
+      message: 'Report submitted. Our moderators will review it.',
+      report
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          status: error.status
+        }
+      });
+    }
+
+    logger.error({ err: error }, 'Create report error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to submit report',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/reports - Reports I have made and their outcome
+router.get('/', validate(schemas.listMyReports), async (req, res) => {
+  try {
+    res.json({
+      reports: await listReportsByReporter(req.user.id)
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get my reports error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch reports',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,123 +1,286 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
-const { authenticateToken, requireOwnerOrAdmin } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { slugify, resolveCategory, resolveTags } = require('../services/taxonomy');
+const { recordAudit } = require('../services/audit');
+const { rateLimit } = require('../middleware/rateLimit');
+const { imageUpload } = require('../middleware/upload');
+const { imageUrls, storeImage, deleteImage, keyFromUrl } = require('../services/images');
+const { reputationScoreSql, averageRatingSql, reputationColumnsSql, formatReputation } = require('../services/reputation');
+const { userColumnsSql, embedUser, visibleSettingSql } = require('../services/profiles');
+const { recordSkillView } = require('../services/recommendations');
+const { distanceSql, withinRadiusSql, resolveOrigin } = require('../services/locations');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/skills');
 
 const router = express.Router();
 
-// Validation rules
-const skillValidation = [
-  body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3-100 characters'),
-  body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10-1000 characters'),
-  body('category').trim().isLength({ min: 2, max: 50 }).withMessage('Category must be between 2-50 characters'),
-  body('tags').optional().isArray().withMessage('Tags must be an array'),
-  body('image_url').optional().isURL().withMessage('Image URL must be valid')
-];
+// Resolve the submitted category and tags against the managed taxonomy
+const resolveSkillTaxonomy = async ({ category, category_id, tags = [] }) => {
+  const resolvedCategory = category_id !== undefined
+    ? await resolveCategory(category_id)
+    : await resolveCategory(category);
 
-// GET /api/skills - Get all skills with filtering
-router.get('/', async (req, res) => {
-  try {
-    const { 
-      category, 
-      search, 
-      page = 1, 
-      limit = 20, 
-      sort = 'created_at',
-      order = 'DESC' 
-    } = req.query;
+  if (!resolvedCategory) {
+    return { error: 'Unknown category - choose one from /api/taxonomy/categories' };
+  }
 
-    const offset = (page - 1) * limit;
-    let queryText = `
-      SELECT 
-        s.id, s.title, s.description, s.category, s.tags, s.image_url, s.created_at,
-        u.name as creator_name, u.id as creator_id,
-        COALESCE(AVG(r.rating), 0) as average_rating,
-        COUNT(r.id) as rating_count
-      FROM skills s
-      JOIN users u ON s.created_by = u.id
-      LEFT JOIN ratings r ON u.id = r.rated_user_id
-      WHERE s.active = true AND u.active = true
-    `;
+  const resolvedTags = await resolveTags(tags);
 
-    const queryParams = [];
-    let paramCount = 0;
+  if (resolvedTags.unknown.length > 0) {
+    return { error: `Unknown tags: ${resolvedTags.unknown.join(', ')}` };
+  }
 
-    // Add category filter
-    if (category) {
-      paramCount++;
-      queryText += ` AND s.category ILIKE $${paramCount}`;
-      queryParams.push(`%${category}%`);
-    }
+  return { category: resolvedCategory, tags: resolvedTags.tags };
+};
+
+// Shared FROM clause for listing, counting and faceting skills; review
+// aggregates are cached on the skill row (see services/reputation)
+const SKILL_LIST_FROM = `
+  FROM skills s
+  JOIN users u ON s.created_by = u.id
+`;
+
+// Accept list filters as repeated params (?tags=a&tags=b) or comma-separated (?tags=a,b)
+const toList = (value) => {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+// Skills store tags by canonical name, so ?tags= values are resolved through
+// the taxonomy (slugs, names and aliases) the same way as when saving a skill
+const resolveTagFilter = async (value) => {
+  const { tags, unknown } = await resolveTags(toList(value));
+  return { tags, unknown_tags: unknown };
+};
+
+// Build the WHERE clause for GET /api/skills; used for the page, the total and
+// the facets. With an `origin`, also the SQL for the distance to each creator.
+const buildSkillFilters = (filters, viewer, origin = null) => {
+  const conditions = ['s.active = true', 'u.active = true'];
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  conditions.push(`s.kind = ${addParam(filters.kind || 'offered')}`);
+
+  // Only skills of people who let the viewer see their skills
+  conditions.push(visibleSettingSql('u', 'skills', viewer, addParam));
+
+  // Category matches by slug or alias and includes its subcategories;
+  // skills not yet mapped to the taxonomy fall back to the free-text name
+  if (filters.category) {
+    const slugParam = addParam(slugify(filters.category));
+    conditions.push(`(
+      s.category_id IN (
+        WITH RECURSIVE subtree AS (
+          SELECT id FROM categories
+          WHERE slug = ${slugParam} OR id IN (SELECT category_id FROM category_aliases WHERE alias_slug = ${slugParam})
+          UNION ALL
+          SELECT c.id FROM categories c JOIN subtree st ON c.parent_id = st.id
+        )
+        SELECT id FROM subtree
+      )
+      OR (s.category_id IS NULL AND s.category ILIKE ${addParam(`%${filters.category}%`)})
+    )`);
+  }
 
-    // Add search filter
-    if (search) {
-      paramCount++;
-      queryText += ` AND (s.title ILIKE $${paramCount} OR s.description ILIKE $${paramCount} OR s.category ILIKE $${paramCount})`;
-      queryParams.push(`%${search}%`);
-    }
+  let searchParam = null;
+  if (filters.search) {
+    searchParam = addParam(filters.search);
+    conditions.push(`s.search_vector @@ websearch_to_tsquery('english', ${searchParam})`);
+  }
 
-    queryText += ` GROUP BY s.id, u.name, u.id`;
+  // filters.tags are canonical names (see resolveTagFilter); a tag that is
+  // not in the taxonomy is on no skill
+  const tags = filters.tags || [];
+  const hasUnknownTags = filters.unknown_tags && filters.unknown_tags.length > 0;
+  if (hasUnknownTags && (filters.tags_mode === 'all' || tags.length === 0)) {
+    conditions.push('false');
+  } else if (tags.length > 0) {
+    const operator = filters.tags_mode === 'all' ? '?&' : '?|';
+    conditions.push(`s.tags ${operator} ${addParam(tags)}`);
+  }
 
-    // Add sorting
-    const validSortFields = ['created_at', 'title', 'category'];
-    const validOrder = ['ASC', 'DESC'];
-    const sortField = validSortFields.includes(sort) ? sort : 'created_at';
-    const sortOrder = validOrder.includes(order.toUpperCase()) ? order.toUpperCase() : 'DESC';
-    
-    queryText += ` ORDER BY s.${sortField} ${sortOrder}`;
+  if (filters.creator) {
+    conditions.push(`s.created_by = ${addParam(filters.creator)}`);
+  }
 
-    // Add pagination
-    paramCount++;
-    queryText += ` LIMIT $${paramCount}`;
-    queryParams.push(limit);
+  // min_rating is the creator's average over all their ratings; min_skill_rating
+  // is the average of this skill's own reviews
+  if (filters.min_rating) {
+    conditions.push(`${averageRatingSql('u')} >= ${addParam(filters.min_rating)}`);
+  }
 
-    paramCount++;
-    queryText += ` OFFSET $${paramCount}`;
-    queryParams.push(offset);
+  if (filters.min_skill_rating) {
+    conditions.push(`${averageRatingSql('s')} >= ${addParam(filters.min_skill_rating)}`);
+  }
 
-    const result = await query(queryText, queryParams);
+  if (filters.created_after) {
+    conditions.push(`s.created_at >= ${addParam(filters.created_after)}`);
+  }
 
-    // Get total count for pagination
-    let countQuery = `
-      SELECT COUNT(s.id) as total
-      FROM skills s
-      JOIN users u ON s.created_by = u.id
-      WHERE s.active = true AND u.active = true
-    `;
+  if (filters.created_before) {
+    conditions.push(`s.created_at < ${addParam(filters.created_before)}`);
+  }
 
-    const countParams = [];
-    let countParamCount = 0;
+  if (filters.delivery) {
+    conditions.push(`s.delivery IN (${addParam(filters.delivery)}, 'both')`);
+  }
 
-    if (category) {
-      countParamCount++;
-      countQuery += ` AND s.category ILIKE $${countParamCount}`;
-      countParams.push(`%${category}%`);
+  // Distances only to creators whose location the viewer may see. Without a
+  // radius their parameters are only used by the page query's select list.
+  const filterParamCount = params.length;
+  let distance = null;
+  if (origin) {
+    const latParam = addParam(origin.latitude);
+    const lngParam = addParam(origin.longitude);
+    const locationVisible = visibleSettingSql('u', 'location', viewer, addParam);
+
+    distance = `(CASE WHEN ${locationVisible} THEN ${distanceSql('u', latParam, lngParam)} END)`;
+
+    // A radius is a search for someone to meet, so online-only skills are left out
+    if (filters.radius) {
+      conditions.push(locationVisible);
+      conditions.push(`s.delivery IN ('in_person', 'both')`);
+      conditions.push(withinRadiusSql('u', latParam, lngParam, addParam(filters.radius)));
     }
+  }
+
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params: filters.radius ? params : params.slice(0, filterParamCount),
+    selectParams: params,
+    searchParam,
+    distance
+  };
+};
+
+// GET /api/skills - Get all skills with filtering
+router.get('/', optionalAuth, validate(schemas.listSkills), async (req, res) => {
+  try {
+    const { search, page, limit, sort, order } = req.query;
+
+    const offset = (page - 1) * limit;
 
-    if (search) {
-      countParamCount++;
-      countQuery += ` AND (s.title ILIKE $${countParamCount} OR s.description ILIKE $${countParamCount} OR s.category ILIKE $${countParamCount})`;
-      countParams.push(`%${search}%`);
+    // Distances are measured from ?near=, ?lat=&lng= or the viewer's own location
+    const origin = await resolveOrigin(req.query, req.user);
+    if (!origin && (req.query.radius || sort === 'distance')) {
+      return res.status(400).json({
+        error: {
+          message: 'Searching by distance needs near, lat and lng, or a location on your profile',
+          status: 400
+        }
+      });
     }
 
-    const countResult = await query(countQuery, countParams);
+    const filters = { ...req.query, ...(await resolveTagFilter(req.query.tags)) };
+    const { where, params, selectParams, searchParam, distance } = buildSkillFilters(filters, req.user, origin);
+
+    const rankExpression = searchParam
+      ? `ts_rank(s.search_vector, websearch_to_tsquery('english', ${searchParam}))`
+      : '0';
+    const highlightOptions = "'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, HighlightAll=false'";
+
+    // Add sorting; relevance is the default when searching
+    const sortExpressions = {
+      relevance: 'relevance',
+      created_at: 's.created_at',
+      title: 's.title',
+      category: 's.category',
+      rating: 'average_rating',
+      reputation: 'reputation',
+      distance: 'distance_km'
+    };
+    const defaultSort = searchParam ? 'relevance' : 'created_at';
+    const sortField = sort && (sort !== 'relevance' || searchParam) ? sort : defaultSort;
+    // Nearest first unless asked otherwise; creators without a location last
+    const defaultOrder = sortField === 'distance' ? 'ASC' : 'DESC';
+    const sortOrder = order ? order.toUpperCase() : defaultOrder;
+    const nulls = sortField === 'distance' ? ' NULLS LAST' : '';
+
+    const queryText = `
+      SELECT 
+        s.id, s.title, s.description, s.category, s.category_id, s.tags, s.kind, s.delivery, s.image_url, s.image_key, s.created_at,
+        ${userColumnsSql('u', 'creator_')},
+        ${averageRatingSql('s')} as average_rating,
+        s.rating_count,
+        ${reputationScoreSql('s')} as reputation,
+        ${rankExpression} as relevance,
+        ${distance || 'NULL::float8'} as distance_km
+        ${searchParam ? `,
+        ts_headline('english', s.title, websearch_to_tsquery('english', ${searchParam}), ${highlightOptions}) as title_highlight,
+        ts_headline('english', s.description, websearch_to_tsquery('english', ${searchParam}), ${highlightOptions}) as description_snippet` : ''}
+      ${SKILL_LIST_FROM}
+      ${where}
+      ORDER BY ${sortExpressions[sortField]} ${sortOrder}${nulls}, s.id DESC
+      LIMIT $${selectParams.length + 1} OFFSET $${selectParams.length + 2}
+    `;
+
+    const result = await query(queryText, [...selectParams, limit, offset]);
+
+    // Get total count for pagination
+    const countResult = await query(`SELECT COUNT(s.id) as total ${SKILL_LIST_FROM} ${where}`, params);
     const total = parseInt(countResult.rows[0].total);
 
+    // Facet counts over the whole filtered set for filter sidebars
+    const categoryFacets = await query(`
+      SELECT s.category as value, COUNT(s.id) as count
+      ${SKILL_LIST_FROM}
+      ${where}
+      GROUP BY s.category
+      ORDER BY count DESC, value ASC
+      LIMIT 20
+    `, params);
+
+    const tagFacets = await query(`
+      SELECT t.value, COUNT(s.id) as count
+      ${SKILL_LIST_FROM}
+      CROSS JOIN LATERAL jsonb_array_elements_text(s.tags) AS t(value)
+      ${where}
+      GROUP BY t.value
+      ORDER BY count DESC, t.value ASC
+      LIMIT 30
+    `, params);
+
     res.json({
-      skills: result.rows.map(skill => ({
-        ...skill,
+      skills: result.rows.map(({ image_key, ...skill }) => ({
+        ...embedUser(skill, req.user, 'creator_'),
+        image_urls: imageUrls('skill', image_key),
         average_rating: parseFloat(skill.average_rating).toFixed(1),
-        rating_count: parseInt(skill.rating_count)
+        rating_count: parseInt(skill.rating_count),
+        reputation: Number(parseFloat(skill.reputation).toFixed(2)),
+        relevance: search ? parseFloat(skill.relevance) : undefined,
+        distance_km: origin ? (skill.distance_km === null ? null : Number(skill.distance_km.toFixed(1))) : undefined
       })),
+      facets: {
+        categories: categoryFacets.rows.map(facet => ({ value: facet.value, count: parseInt(facet.count) })),
+        tags: tagFacets.rows.map(facet => ({ value: facet.value, count: parseInt(facet.count) }))
+      },
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
         totalPages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
-    console.error('Get skills error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          status: error.status
+        }
+      });
+    }
+
+    logger.error({ err: error }, 'Get skills error');
     res.status(500).json({
       error: {
         message: 'Failed to fetch skills',
@@ -128,22 +291,21 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/skills/:id - Get single skill
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, validate(schemas.getSkill), async (req, res) => {
   try {
     const { id } = req.params;
 
     const result = await query(`
       SELECT 
-        s.id, s.title, s.description, s.category, s.tags, s.image_url, s.created_at, s.updated_at,
-        u.name as creator_name, u.id as creator_id, u.avatar_url as creator_avatar,
-        COALESCE(AVG(r.rating), 0) as creator_rating,
-        COUNT(r.id) as creator_rating_count
+        s.id, s.title, s.description, s.category, s.category_id, s.tags, s.kind, s.delivery, s.image_url, s.image_key, s.created_at, s.updated_at,
+        ${userColumnsSql('u', 'creator_')},
+        ${reputationColumnsSql('s')},
+        ${reputationColumnsSql('u', 'creator_')},
+        EXISTS (SELECT 1 FROM bookmarks WHERE user_id = $2 AND skill_id = s.id) as bookmarked
       FROM skills s
       JOIN users u ON s.created_by = u.id
-      LEFT JOIN ratings r ON u.id = r.rated_user_id
       WHERE s.id = $1 AND s.active = true AND u.active = true
-      GROUP BY s.id, u.name, u.id, u.avatar_url
-    `, [id]);
+    `, [id, req.user ? req.user.id : null]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -154,15 +316,44 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    const skill = result.rows[0];
+    const row = result.rows[0];
+
+    // Views feed the viewer's recommendations
+    if (req.user && req.user.id !== row.creator_id) {
+      await recordSkillView(req.user.id, row.id);
+    }
+
+    const reputation = formatReputation(row);
+    const creatorReputation = formatReputation(row, 'creator_');
+    const { creator_id, creator_name, creator_avatar, creator } = embedUser(row, req.user, 'creator_');
 
     res.json({
-      ...skill,
-      creator_rating: parseFloat(skill.creator_rating).toFixed(1),
-      creator_rating_count: parseInt(skill.creator_rating_count)
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      category: row.category,
+      category_id: row.category_id,
+      tags: row.tags,
+      kind: row.kind,
+      delivery: row.delivery,
+      image_url: row.image_url,
+      image_urls: imageUrls('skill', row.image_key),
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      creator_name,
+      creator_id,
+      creator_avatar,
+      creator,
+      average_rating: reputation.average_rating,
+      rating_count: reputation.rating_count,
+      reputation,
+      creator_rating: creatorReputation.average_rating,
+      creator_rating_count: creatorReputation.rating_count,
+      creator_reputation: creatorReputation,
+      bookmarked: row.bookmarked
     });
   } catch (error) {
-    console.error('Get skill error:', error);
+    logger.error({ err: error }, 'Get skill error');
     res.status(500).json({
       error: {
         message: 'Failed to fetch skill',
@@ -172,28 +363,121 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/skills/:id/reviews - Reviews of one skill, newest first
+router.get('/:id/reviews', optionalAuth, validate(schemas.listReviews), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page, limit } = req.query;
+
+    const offset = (page - 1) * limit;
+
+    const skillCheck = await query(
+      `SELECT s.id, s.title, ${reputationColumnsSql('s')} FROM skills s WHERE s.id = $1 AND s.active = true`,
+      [id]
+    );
+
+    if (skillCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Skill not found',
+          status: 404
+        }
+      });
+    }
+
+    const reviewsResult = await query(`
+      SELECT 
+        r.id, r.rating, r.comment, r.created_at,
+        ${userColumnsSql('u', 'reviewer_')},
+        r.reputation_weight * reputation_decay() as weight
+      FROM ratings r
+      JOIN users u ON r.reviewer_id = u.id
+      WHERE r.skill_id = $1 AND r.hidden_at IS NULL AND r.deleted_at IS NULL
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT $2 OFFSET $3
+    `, [id, limit, offset]);
+
+    const reputation = formatReputation(skillCheck.rows[0]);
+
+    const statsResult = await query(`
+      SELECT 
+        COUNT(CASE WHEN rating = 5 THEN 1 END) as five_star,
+        COUNT(CASE WHEN rating = 4 THEN 1 END) as four_star,
+        COUNT(CASE WHEN rating = 3 THEN 1 END) as three_star,
+        COUNT(CASE WHEN rating = 2 THEN 1 END) as two_star,
+        COUNT(CASE WHEN rating = 1 THEN 1 END) as one_star
+      FROM ratings
+      WHERE skill_id = $1 AND hidden_at IS NULL AND deleted_at IS NULL
+    `, [id]);
+
+    const stats = statsResult.rows[0];
+
+    res.json({
+      skill_title: skillCheck.rows[0].title,
+      reviews: reviewsResult.rows.map(review => ({
+        ...embedUser(review, req.user, 'reviewer_'),
+        weight: Number(parseFloat(review.weight).toFixed(3))
+      })),
+      stats: {
+        total_ratings: reputation.rating_count,
+        average_rating: reputation.average_rating,
+        reputation,
+        rating_distribution: {
+          5: parseInt(stats.five_star),
+          4: parseInt(stats.four_star),
+          3: parseInt(stats.three_star),
+          2: parseInt(stats.two_star),
+          1: parseInt(stats.one_star)
+        }
+      },
+      pagination: {
+        page,
+        limit,
+        total: reputation.rating_count,
+        totalPages: Math.ceil(reputation.rating_count / limit)
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get skill reviews error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch reviews',
+        status: 500
+      }
+    });
+  }
+});
+
 // POST /api/skills - Create new skill
-router.post('/', authenticateToken, skillValidation, async (req, res) => {
+router.post('/', authenticateToken, requireVerifiedEmail, rateLimit({ name: 'skill-create', max: 20, windowSeconds: 60 * 60, by: 'user' }), validate(schemas.createSkill), async (req, res) => {
   try {
-    // Check validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    const { title, description, kind = 'offered', delivery = 'both', image_url } = req.body;
+
+    // Images for a new skill are uploaded once it exists
+    if (keyFromUrl('skill', image_url) !== null) {
       return res.status(400).json({
         error: {
-          message: 'Validation failed',
-          details: errors.array(),
+          message: 'Upload the image with POST /api/skills/:id/image after creating the skill',
           status: 400
         }
       });
     }
 
-    const { title, description, category, tags = [], image_url } = req.body;
+    const taxonomy = await resolveSkillTaxonomy(req.body);
+    if (taxonomy.error) {
+      return res.status(400).json({
+        error: {
+          message: taxonomy.error,
+          status: 400
+        }
+      });
+    }
 
     const result = await query(`
-      INSERT INTO skills (title, description, category, tags, image_url, created_by, active, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, true, NOW(), NOW())
-      RETURNING id, title, description, category, tags, image_url, created_at
-    `, [title, description, category, JSON.stringify(tags), image_url, req.user.id]);
+      INSERT INTO skills (title, description, category, category_id, tags, kind, delivery, image_url, created_by, active, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true, NOW(), NOW())
+      RETURNING id, title, description, category, category_id, tags, kind, delivery, image_url, created_at
+    `, [title, description, taxonomy.category.name, taxonomy.category.id, JSON.stringify(taxonomy.tags), kind, delivery, image_url, req.user.id]);
 
     const newSkill = result.rows[0];
 
@@ -206,7 +490,7 @@ router.post('/', authenticateToken, skillValidation, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Create skill error:', error);
+    logger.error({ err: error }, 'Create skill error');
     res.status(500).json({
       error: {
         message: 'Failed to create skill',
@@ -217,26 +501,14 @@ router.post('/', authenticateToken, skillValidation, async (req, res) => {
 });
 
 // PUT /api/skills/:id - Update skill
-router.put('/:id', authenticateToken, skillValidation, async (req, res) => {
+router.put('/:id', authenticateToken, validate(schemas.updateSkill), async (req, res) => {
   try {
-    // Check validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: {
-          message: 'Validation failed',
-          details: errors.array(),
-          status: 400
-        }
-      });
-    }
-
     const { id } = req.params;
-    const { title, description, category, tags = [], image_url } = req.body;
+    const { title, description, kind, delivery, image_url } = req.body;
 
     // Check if skill exists and user has permission
     const existingSkill = await query(
-      'SELECT created_by FROM skills WHERE id = $1 AND active = true',
+      'SELECT id, title, description, category, category_id, tags, kind, delivery, image_url, image_key, created_by FROM skills WHERE id = $1 AND active = true',
       [id]
     );
 
@@ -249,8 +521,8 @@ router.put('/:id', authenticateToken, skillValidation, async (req, res) => {
       });
     }
 
-    // Check ownership or admin role
-    if (req.user.role !== 'admin' && existingSkill.rows[0].created_by !== req.user.id) {
+    // Check ownership or moderation permission
+    if (existingSkill.rows[0].created_by !== req.user.id && !hasPermission(req.user.role, 'skills:moderate')) {
       return res.status(403).json({
         error: {
           message: 'Access denied - you can only edit your own skills',
@@ -259,25 +531,68 @@ router.put('/:id', authenticateToken, skillValidation, async (req, res) => {
       });
     }
 
+    // The uploaded image stays while its URL is sent back unchanged; any
+    // other image_url (or none) releases the uploaded files
+    const { image_key: previousKey, ...before } = existingSkill.rows[0];
+    const imageKey = keyFromUrl('skill', image_url);
+
+    if (imageKey !== null && imageKey !== previousKey) {
+      return res.status(400).json({
+        error: {
+          message: 'Upload a new image with POST /api/skills/:id/image',
+          status: 400
+        }
+      });
+    }
+
+    const taxonomy = await resolveSkillTaxonomy(req.body);
+    if (taxonomy.error) {
+      return res.status(400).json({
+        error: {
+          message: taxonomy.error,
+          status: 400
+        }
+      });
+    }
+
     const result = await query(`
       UPDATE skills 
       SET 
         title = $1,
         description = $2,
         category = $3,
-        tags = $4,
-        image_url = $5,
+        category_id = $4,
+        tags = $5,
+        kind = COALESCE($6, kind),
+        image_url = $7,
+        image_key = $8,
+        delivery = COALESCE($10, delivery),
         updated_at = NOW()
-      WHERE id = $6 AND active = true
-      RETURNING id, title, description, category, tags, image_url, updated_at
-    `, [title, description, category, JSON.stringify(tags), image_url, id]);
+      WHERE id = $9 AND active = true
+      RETURNING id, title, description, category, category_id, tags, kind, delivery, image_url, updated_at
+    `, [title, description, taxonomy.category.name, taxonomy.category.id, JSON.stringify(taxonomy.tags), kind, image_url, imageKey, id, delivery]);
+
+    if (previousKey && imageKey !== previousKey) {
+      await deleteImage('skill', previousKey);
+    }
+
+    // Admins editing someone else's skill leave a trace
+    if (existingSkill.rows[0].created_by !== req.user.id) {
+      await recordAudit(req, {
+        action: 'skill.update',
+        targetType: 'skill',
+        targetId: id,
+        before,
+        after: result.rows[0]
+      });
+    }
 
     res.json({
       message: 'Skill updated successfully',
       skill: result.rows[0]
     });
   } catch (error) {
-    console.error('Update skill error:', error);
+    logger.error({ err: error }, 'Update skill error');
     res.status(500).json({
       error: {
         message: 'Failed to update skill',
@@ -287,14 +602,217 @@ router.put('/:id', authenticateToken, skillValidation, async (req, res) => {
   }
 });
 
+// Load an active skill the current user may change, or send the error response
+const findEditableSkill = async (req, res, action) => {
+  const existingSkill = await query(
+    'SELECT id, image_url, image_key, created_by FROM skills WHERE id = $1 AND active = true',
+    [req.params.id]
+  );
+
+  if (existingSkill.rows.length === 0) {
+    res.status(404).json({
+      error: {
+        message: 'Skill not found',
+        status: 404
+      }
+    });
+    return null;
+  }
+
+  if (existingSkill.rows[0].created_by !== req.user.id && !hasPermission(req.user.role, 'skills:moderate')) {
+    res.status(403).json({
+      error: {
+        message: `Access denied - you can only ${action} your own skills`,
+        status: 403
+      }
+    });
+    return null;
+  }
+
+  return existingSkill.rows[0];
+};
+
+// POST /api/skills/:id/bookmark - Save a skill for later
+router.post('/:id/bookmark', authenticateToken, validate(schemas.bookmark), async (req, res) => {
+  try {
+    const skillCheck = await query('SELECT id FROM skills WHERE id = $1 AND active = true', [req.params.id]);
+
+    if (skillCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Skill not found',
+          status: 404
+        }
+      });
+    }
+
+    const result = await query(`
+      INSERT INTO bookmarks (user_id, skill_id, created_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (user_id, skill_id) DO NOTHING
+      RETURNING created_at
+    `, [req.user.id, skillCheck.rows[0].id]);
+
+    res.status(result.rows.length > 0 ? 201 : 200).json({
+      message: result.rows.length > 0 ? 'Skill bookmarked' : 'Already bookmarked',
+      bookmarked: true
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Bookmark skill error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to bookmark skill',
+        status: 500
+      }
+    });
+  }
+});
+
+// DELETE /api/skills/:id/bookmark - Remove a bookmark (also works once the
+// skill itself has been deleted)
+router.delete('/:id/bookmark', authenticateToken, validate(schemas.removeBookmark), async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM bookmarks WHERE user_id = $1 AND skill_id = $2',
+      [req.user.id, req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Bookmark not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ message: 'Bookmark removed', bookmarked: false });
+  } catch (error) {
+    logger.error({ err: error }, 'Remove bookmark error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to remove bookmark',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/skills/:id/image - Upload the skill's image (multipart field "image")
+router.post('/:id/image', authenticateToken, rateLimit({ name: 'image-upload', max: 30, windowSeconds: 60 * 60, by: 'user' }), imageUpload(), validate(schemas.uploadImage), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const skill = await findEditableSkill(req, res, 'edit');
+    if (!skill) return;
+
+    const image = await storeImage('skill', skill.id, req.file.buffer);
+
+    const result = await query(`
+      UPDATE skills s SET image_url = $1, image_key = $2, updated_at = NOW()
+      FROM skills old
+      WHERE s.id = old.id AND s.id = $3 AND s.active = true
+      RETURNING s.id, old.image_key as previous_key
+    `, [image.url, image.key, id]);
+
+    if (result.rows.length === 0) {
+      await deleteImage('skill', image.key);
+      return res.status(404).json({
+        error: {
+          message: 'Skill not found',
+          status: 404
+        }
+      });
+    }
+
+    await deleteImage('skill', result.rows[0].previous_key);
+
+    if (skill.created_by !== req.user.id) {
+      await recordAudit(req, {
+        action: 'skill.update',
+        targetType: 'skill',
+        targetId: skill.id,
+        before: { image_url: skill.image_url },
+        after: { image_url: image.url }
+      });
+    }
+
+    res.json({
+      message: 'Skill image updated successfully',
+      image_url: image.url,
+      image_urls: image.urls
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          status: error.status
+        }
+      });
+    }
+
+    logger.error({ err: error }, 'Upload skill image error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to upload skill image',
+        status: 500
+      }
+    });
+  }
+});
+
+// DELETE /api/skills/:id/image - Remove the skill's image
+router.delete('/:id/image', authenticateToken, validate(schemas.removeImage), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const skill = await findEditableSkill(req, res, 'edit');
+    if (!skill) return;
+
+    const result = await query(`
+      UPDATE skills s SET image_url = NULL, image_key = NULL, updated_at = NOW()
+      FROM skills old
+      WHERE s.id = old.id AND s.id = $1 AND s.active = true
+      RETURNING s.id, old.image_key as previous_key
+    `, [id]);
+
+    if (result.rows.length > 0) {
+      await deleteImage('skill', result.rows[0].previous_key);
+    }
+
+    if (skill.created_by !== req.user.id) {
+      await recordAudit(req, {
+        action: 'skill.update',
+        targetType: 'skill',
+        targetId: skill.id,
+        before: { image_url: skill.image_url },
+        after: { image_url: null }
+      });
+    }
+
+    res.json({
+      message: 'Skill image removed successfully'
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Remove skill image error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to remove skill image',
+        status: 500
+      }
+    });
+  }
+});
+
 // DELETE /api/skills/:id - Delete skill
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, validate(schemas.deleteSkill), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if skill exists and user has permission
     const existingSkill = await query(
-      'SELECT created_by FROM skills WHERE id = $1 AND active = true',
+      'SELECT id, title, description, category, category_id, tags, kind, image_url, image_key, created_by FROM skills WHERE id = $1 AND active = true',
       [id]
     );
 
@@ -307,8 +825,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check ownership or admin role
-    if (req.user.role !== 'admin' && existingSkill.rows[0].created_by !== req.user.id) {
+    // Check ownership or moderation permission
+    if (existingSkill.rows[0].created_by !== req.user.id && !hasPermission(req.user.role, 'skills:moderate')) {
       return res.status(403).json({
         error: {
           message: 'Access denied - you can only delete your own skills',
@@ -317,20 +835,34 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Soft delete skill
+    // Soft delete skill; its uploaded image goes for good
+    const { image_key: imageKey, ...before } = existingSkill.rows[0];
+
     const result = await query(`
       UPDATE skills 
-      SET active = false, updated_at = NOW()
+      SET active = false, image_url = CASE WHEN image_key IS NULL THEN image_url END, image_key = NULL, updated_at = NOW()
       WHERE id = $1
       RETURNING id, title
     `, [id]);
 
+    await deleteImage('skill', imageKey);
+
+    if (existingSkill.rows[0].created_by !== req.user.id) {
+      await recordAudit(req, {
+        action: 'skill.delete',
+        targetType: 'skill',
+        targetId: id,
+        before,
+        after: { active: false }
+      });
+    }
+
     res.json({
       message: 'Skill deleted successfully',
       skill: result.rows[0]
     });
   } catch (error) {
-    console.error('Delete skill error:', error);
+    logger.error({ err: error }, 'Delete skill error');
     res.status(500).json({
       error: {
         message: 'Failed to delete skill',
@@ -0,0 +1,337 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/swaps');
+
+const router = express.Router();
+
+// All swap routes require an authenticated user
+router.use(authenticateToken);
+
+// Allowed status transitions: which statuses an action can move from,
+// the status it moves to, and which party may perform it
+const SWAP_TRANSITIONS = {
+  accept: { from: ['proposed'], to: 'accepted', actor: 'recipient' },
+  decline: { from: ['proposed'], to: 'declined', actor: 'recipient' },
+  schedule: { from: ['accepted', 'scheduled'], to: 'scheduled', actor: 'either' },
+  complete: { from: ['scheduled'], to: 'completed', actor: 'either' },
+  cancel: { from: ['proposed', 'accepted', 'scheduled'], to: 'cancelled', actor: 'either' }
+};
+
+const SWAP_SELECT = `
+  SELECT
+    sw.id, sw.status, sw.message, sw.scheduled_at, sw.cancelled_by, sw.created_at, sw.updated_at,
+    sw.requester_id, req.name as requester_name,
+    sw.recipient_id, rec.name as recipient_name,
+    sw.offered_skill_id, os.title as offered_skill_title,
+    sw.requested_skill_id, rs.title as requested_skill_title
+  FROM swaps sw
+  JOIN users req ON sw.requester_id = req.id
+  JOIN users rec ON sw.recipient_id = rec.id
+  JOIN skills os ON sw.offered_skill_id = os.id
+  JOIN skills rs ON sw.requested_skill_id = rs.id
+`;
+
+// POST /api/swaps - Propose a swap of one of my skills for someone else's
+router.post('/', requireVerifiedEmail, validate(schemas.proposeSwap), async (req, res) => {
+  try {
+    const { offered_skill_id, requested_skill_id, message } = req.body;
+
+    // Offered skill must belong to the requester
+    const offeredSkill = await query(
+      "SELECT id, created_by FROM skills WHERE id = $1 AND active = true AND kind = 'offered'",
+      [offered_skill_id]
+    );
+
+    if (offeredSkill.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Offered skill not found',
+          status: 404
+        }
+      });
+    }
+
+    if (offeredSkill.rows[0].created_by !== req.user.id) {
+      return res.status(403).json({
+        error: {
+          message: 'You can only offer your own skills',
+          status: 403
+        }
+      });
+    }
+
+    // Requested skill must belong to another active user
+    const requestedSkill = await query(`
+      SELECT s.id, s.created_by
+      FROM skills s
+      JOIN users u ON s.created_by = u.id
+      WHERE s.id = $1 AND s.active = true AND s.kind = 'offered' AND u.active = true
+    `, [requested_skill_id]);
+
+    if (requestedSkill.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Requested skill not found',
+          status: 404
+        }
+      });
+    }
+
+    const recipientId = requestedSkill.rows[0].created_by;
+
+    if (recipientId === req.user.id) {
+      return res.status(400).json({
+        error: {
+          message: 'You cannot request a swap with yourself',
+          status: 400
+        }
+      });
+    }
+
+    // Check for an identical swap that is still open
+    const existingSwap = await query(`
+      SELECT id FROM swaps
+      WHERE requester_id = $1 AND offered_skill_id = $2 AND requested_skill_id = $3
+        AND status IN ('proposed', 'accepted', 'scheduled')
+    `, [req.user.id, offered_skill_id, requested_skill_id]);
+
+    if (existingSwap.rows.length > 0) {
+      return res.status(409).json({
+        error: {
+          message: 'You already have an open swap request for these skills',
+          status: 409
+        }
+      });
+    }
+
+    const result = await query(`
+      INSERT INTO swaps (requester_id, recipient_id, offered_skill_id, requested_skill_id, message, status, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, 'proposed', NOW(), NOW())
+      RETURNING id, requester_id, recipient_id, offered_skill_id, requested_skill_id, message, status, created_at
+    `, [req.user.id, recipientId, offered_skill_id, requested_skill_id, message]);
+
+    res.status(201).json({
+      message: 'Swap proposed successfully',
+      swap: result.rows[0]
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Propose swap error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to propose swap',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/swaps - List my incoming and/or outgoing swaps
+router.get('/', validate(schemas.listSwaps), async (req, res) => {
+  try {
+    const { direction, status, page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause;
+    if (direction === 'incoming') {
+      whereClause = 'sw.recipient_id = $1';
+    } else if (direction === 'outgoing') {
+      whereClause = 'sw.requester_id = $1';
+    } else {
+      whereClause = '(sw.requester_id = $1 OR sw.recipient_id = $1)';
+    }
+
+    const queryParams = [req.user.id];
+    let paramCount = 1;
+
+    // Add status filter
+    if (status) {
+      paramCount++;
+      whereClause += ` AND sw.status = $${paramCount}`;
+      queryParams.push(status);
+    }
+
+    const countResult = await query(
+      `SELECT COUNT(sw.id) as total FROM swaps sw WHERE ${whereClause}`,
+      queryParams
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const result = await query(`
+      ${SWAP_SELECT}
+      WHERE ${whereClause}
+      ORDER BY sw.updated_at DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `, [...queryParams, limit, offset]);
+
+    res.json({
+      swaps: result.rows.map(swap => ({
+        ...swap,
+        direction: swap.recipient_id === req.user.id ? 'incoming' : 'outgoing'
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get swaps error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch swaps',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/swaps/:id - Get a single swap (participants or admin)
+router.get('/:id', validate(schemas.getSwap), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(`${SWAP_SELECT} WHERE sw.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Swap not found',
+          status: 404
+        }
+      });
+    }
+
+    const swap = result.rows[0];
+
+    if (swap.requester_id !== req.user.id && swap.recipient_id !== req.user.id && !hasPermission(req.user.role, 'swaps:read')) {
+      return res.status(403).json({
+        error: {
+          message: 'Access denied - you are not part of this swap',
+          status: 403
+        }
+      });
+    }
+
+    res.json(swap);
+  } catch (error) {
+    logger.error({ err: error }, 'Get swap error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch swap',
+        status: 500
+      }
+    });
+  }
+});
+
+// Build a handler that moves a swap through one of SWAP_TRANSITIONS
+const transitionSwap = (action) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const transition = SWAP_TRANSITIONS[action];
+
+    const existingSwap = await query(
+      'SELECT requester_id, recipient_id, status FROM swaps WHERE id = $1',
+      [id]
+    );
+
+    if (existingSwap.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'Swap not found',
+          status: 404
+        }
+      });
+    }
+
+    const swap = existingSwap.rows[0];
+    const isRecipient = swap.recipient_id === req.user.id;
+    const isParticipant = isRecipient || swap.requester_id === req.user.id;
+
+    // Check the user is the right party for this transition; a recipient
+    // turns down a pending proposal by declining rather than cancelling
+    const wrongParty = transition.actor === 'recipient'
+      ? !isRecipient
+      : !isParticipant || (action === 'cancel' && swap.status === 'proposed' && isRecipient);
+
+    if (wrongParty) {
+      return res.status(403).json({
+        error: {
+          message: `Access denied - you cannot ${action} this swap`,
+          status: 403
+        }
+      });
+    }
+
+    if (!transition.from.includes(swap.status)) {
+      return res.status(409).json({
+        error: {
+          message: `Cannot ${action} a swap that is ${swap.status}`,
+          status: 409
+        }
+      });
+    }
+
+    // Guard on the current status so concurrent transitions cannot both succeed
+    const result = await query(`
+      UPDATE swaps
+      SET
+        status = $1,
+        scheduled_at = COALESCE($2, scheduled_at),
+        cancelled_by = COALESCE($3, cancelled_by),
+        updated_at = NOW()
+      WHERE id = $4 AND status = ANY($5)
+      RETURNING id, requester_id, recipient_id, offered_skill_id, requested_skill_id, message, status, scheduled_at, cancelled_by, updated_at
+    `, [
+      transition.to,
+      action === 'schedule' ? req.body.scheduled_at : null,
+      transition.to === 'cancelled' ? req.user.id : null,
+      id,
+      transition.from
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        error: {
+          message: 'Swap was modified by another request, please retry',
+          status: 409
+        }
+      });
+    }
+
+    res.json({
+      message: `Swap ${transition.to} successfully`,
+      swap: result.rows[0]
+    });
+  } catch (error) {
+    logger.error({ err: error }, `Swap ${action} error`);
+    res.status(500).json({
+      error: {
+        message: `Failed to ${action} swap`,
+        status: 500
+      }
+    });
+  }
+};
+
+// PUT /api/swaps/:id/accept - Recipient accepts a proposed swap
+router.put('/:id/accept', validate(schemas.acceptSwap), transitionSwap('accept'));
+
+// PUT /api/swaps/:id/decline - Recipient declines a proposed swap
+router.put('/:id/decline', validate(schemas.declineSwap), transitionSwap('decline'));
+
+// PUT /api/swaps/:id/schedule - Either party sets or moves the session time
+router.put('/:id/schedule', validate(schemas.scheduleSwap), transitionSwap('schedule'));
+
+// PUT /api/swaps/:id/complete - Either party marks a scheduled swap as done
+router.put('/:id/complete', validate(schemas.completeSwap), transitionSwap('complete'));
+
+// PUT /api/swaps/:id/cancel - Either party cancels an open swap
+router.put('/:id/cancel', validate(schemas.cancelSwap), transitionSwap('cancel'));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,43 @@
+const express = require('express');
+const { getCategoryTree, listTags } = require('../services/taxonomy');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/taxonomy');
+
+const router = express.Router();
+
+// GET /api/taxonomy/categories - Active categories as a tree
+router.get('/categories', validate(schemas.listCategories), async (req, res) => {
+  try {
+    res.json({
+      categories: await getCategoryTree()
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get categories error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch categories',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/taxonomy/tags - Active tags with their aliases
+router.get('/tags', validate(schemas.listTags), async (req, res) => {
+  try {
+    res.json({
+      tags: await listTags({ search: req.query.search })
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get tags error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch tags',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const { getStorage, isValidKey } = require('../services/storage');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/uploads');
+
+const router = express.Router();
+
+// GET /api/uploads/:key - Serve an uploaded image from local storage.
+// Every upload gets a fresh key, so a file never changes once written and
+// browsers and CDNs may cache it for good.
+router.get('/:key(*)', validate(schemas.getUpload), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const file = isValidKey(key) ? await getStorage().get(key) : null;
+
+    if (!file) {
+      return res.status(404).json({
+        error: {
+          message: 'File not found',
+          status: 404
+        }
+      });
+    }
+
+    const etag = `"${file.size.toString(16)}-${file.updatedAt.getTime().toString(16)}"`;
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Last-Modified': file.updatedAt.toUTCString(),
+      ETag: etag,
+      // Let the browser app on another origin embed the image
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    if (req.get('if-none-match') === etag) {
+      file.stream.destroy();
+      return res.status(304).end();
+    }
+
+    res.set('Content-Length', String(file.size));
+    file.stream.on('error', (error) => {
+      logger.error({ err: error }, 'Serve upload error');
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    logger.error({ err: error }, 'Serve upload error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch file',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,40 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
-const { authenticateToken, requireOwnerOrAdmin } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireVerifiedEmail, requirePermission, requireOwnerOrPermission, protectStaffAccounts } = require('../middleware/auth');
+const { revokeAllSessions } = require('../services/sessions');
+const { recordAudit } = require('../services/audit');
+const { notify } = require('../services/notifications');
+const { rateLimit } = require('../middleware/rateLimit');
+const { imageUpload } = require('../middleware/upload');
+const { imageUrls, storeImage, deleteImage, keyFromUrl } = require('../services/images');
+const { reputationColumnsSql, formatReputation } = require('../services/reputation');
+const { getBalance, getStatement } = require('../services/ledger');
+const { exportUserData, scheduleErasure } = require('../services/personalData');
+const { userColumnsSql, privacySettings, serializeUser, embedUser, canViewSkills } = require('../services/profiles');
+const { formatLocation, resolveProfileLocation } = require('../services/locations');
+const { logger } = require('../services/logger');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/users');
 
 const router = express.Router();
 
-// Validation rules
-const updateProfileValidation = [
-  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
-  body('bio').optional().trim().isLength({ max: 500 }).withMessage('Bio must be less than 500 characters'),
-  body('location').optional().trim().isLength({ max: 100 }).withMessage('Location must be less than 100 characters'),
-  body('website').optional().isURL().withMessage('Website must be a valid URL')
-];
-
-// GET /api/users/:id - Get user profile with ratings
-router.get('/:id', async (req, res) => {
+// GET /api/users/:id - Get user profile with ratings; what is shown depends
+// on the user's privacy settings and whether the caller is signed in
+router.get('/:id', optionalAuth, validate(schemas.getUser), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get user profile
     const userResult = await query(`
       SELECT 
-        u.id, u.name, u.email, u.bio, u.location, u.website, u.avatar_url, u.created_at,
-        COALESCE(AVG(r.rating), 0) as average_rating,
-        COUNT(r.id) as total_ratings
+        ${userColumnsSql('u')}, u.bio, u.created_at,
+        ${reputationColumnsSql('u')},
+        (SELECT COUNT(*) FROM follows WHERE followed_id = u.id) as followers_count,
+        (SELECT COUNT(*) FROM follows WHERE follower_id = u.id) as following_count,
+        EXISTS (SELECT 1 FROM follows WHERE follower_id = $2 AND followed_id = u.id) as followed_by_me
       FROM users u
-      LEFT JOIN ratings r ON u.id = r.rated_user_id
       WHERE u.id = $1 AND u.active = true
-      GROUP BY u.id, u.name, u.email, u.bio, u.location, u.website, u.avatar_url, u.created_at
-    `, [id]);
+    `, [id, req.user ? req.user.id : null]);
 
     if (userResult.rows.length === 0) {
       return res.status(404).json({
@@ -39,40 +45,49 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    const user = userResult.rows[0];
+    const row = userResult.rows[0];
+    const reputation = formatReputation(row);
 
     // Get user's skills
-    const skillsResult = await query(`
+    const skillsResult = canViewSkills(row, req.user) ? await query(`
       SELECT id, title, category, created_at
       FROM skills
       WHERE created_by = $1 AND active = true
       ORDER BY created_at DESC
       LIMIT 10
-    `, [id]);
+    `, [id]) : { rows: [] };
 
     // Get recent ratings
     const ratingsResult = await query(`
       SELECT 
         r.id, r.rating, r.comment, r.created_at,
-        u.name as reviewer_name
+        r.skill_id, s.title as skill_title,
+        ${userColumnsSql('u', 'reviewer_')}
       FROM ratings r
       JOIN users u ON r.reviewer_id = u.id
-      WHERE r.rated_user_id = $1
+      LEFT JOIN skills s ON r.skill_id = s.id
+      WHERE r.rated_user_id = $1 AND r.hidden_at IS NULL AND r.deleted_at IS NULL
       ORDER BY r.created_at DESC
       LIMIT 5
     `, [id]);
 
     res.json({
       user: {
-        ...user,
-        average_rating: parseFloat(user.average_rating).toFixed(1),
-        total_ratings: parseInt(user.total_ratings)
+        ...serializeUser(row, req.user),
+        bio: row.bio,
+        created_at: row.created_at,
+        average_rating: reputation.average_rating,
+        total_ratings: reputation.rating_count,
+        reputation,
+        followers_count: parseInt(row.followers_count),
+        following_count: parseInt(row.following_count),
+        followed_by_me: row.followed_by_me
       },
       skills: skillsResult.rows,
-      recent_ratings: ratingsResult.rows
+      recent_ratings: ratingsResult.rows.map(rating => embedUser(rating, req.user, 'reviewer_'))
     });
   } catch (error) {
-    console.error('Get user error:', error);
+    logger.error({ err: error }, 'Get user error');
     res.status(500).json({
       error: {
         message: 'Failed to fetch user profile',
@@ -82,23 +97,56 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Profile fields kept in the audit log when staff edit someone else's profile
+const AUDITED_PROFILE_COLUMNS = [
+  'name', 'bio', 'location', 'location_city', 'location_country', 'latitude', 'longitude', 'location_precision',
+  'website', 'avatar_url', 'email_visibility', 'location_visibility', 'website_visibility', 'skills_visibility'
+];
+
+const auditedProfile = (row) => Object.fromEntries(AUDITED_PROFILE_COLUMNS.map(column => [column, row[column]]));
+
 // PUT /api/users/:id - Update user profile
-router.put('/:id', authenticateToken, requireOwnerOrAdmin(), updateProfileValidation, async (req, res) => {
+router.put('/:id', authenticateToken, requireOwnerOrPermission('users:edit'), protectStaffAccounts(), validate(schemas.updateUser), async (req, res) => {
   try {
-    // Check validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    const { id } = req.params;
+    const { name, bio, location, website, avatar_url, location_precision, privacy = {} } = req.body;
+
+    const existing = await query(
+      `SELECT avatar_key, ${AUDITED_PROFILE_COLUMNS.join(', ')} FROM users WHERE id = $1 AND active = true`,
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
         error: {
-          message: 'Validation failed',
-          details: errors.array(),
-          status: 400
+          message: 'User not found',
+          status: 404
         }
       });
     }
 
-    const { id } = req.params;
-    const { name, bio, location, website, avatar_url } = req.body;
+    // An uploaded avatar stays while its URL is sent back unchanged; pointing
+    // avatar_url anywhere else releases the uploaded files
+    const previousKey = existing.rows[0].avatar_key;
+    let avatarKey = previousKey;
+
+    if (avatar_url !== undefined && avatar_url !== null) {
+      const uploadedKey = keyFromUrl('avatar', avatar_url);
+
+      if (uploadedKey !== null && uploadedKey !== previousKey) {
+        return res.status(400).json({
+          error: {
+            message: 'Upload a new avatar with POST /api/users/:id/avatar',
+            status: 400
+          }
+        });
+      }
+
+      avatarKey = uploadedKey;
+    }
+
+    // A new location replaces the geocoded place and coordinates as well
+    const place = location !== undefined ? await resolveProfileLocation(req.body) : null;
 
     // Update user profile
     const result = await query(`
@@ -106,13 +154,30 @@ router.put('/:id', authenticateToken, requireOwnerOrAdmin(), updateProfileValida
       SET 
         name = COALESCE($1, name),
         bio = COALESCE($2, bio),
-        location = COALESCE($3, location),
         website = COALESCE($4, website),
         avatar_url = COALESCE($5, avatar_url),
+        avatar_key = $6,
+        email_visibility = COALESCE($8, email_visibility),
+        location_visibility = COALESCE($9, location_visibility),
+        website_visibility = COALESCE($10, website_visibility),
+        skills_visibility = COALESCE($11, skills_visibility),
+        location = CASE WHEN $12 THEN $3 ELSE location END,
+        location_city = CASE WHEN $12 THEN $13 ELSE location_city END,
+        location_country = CASE WHEN $12 THEN $14 ELSE location_country END,
+        latitude = CASE WHEN $12 THEN $15::float8 ELSE latitude END,
+        longitude = CASE WHEN $12 THEN $16::float8 ELSE longitude END,
+        location_precision = COALESCE($17, location_precision),
         updated_at = NOW()
-      WHERE id = $6 AND active = true
-      RETURNING id, name, email, bio, location, website, avatar_url, updated_at
-    `, [name, bio, location, website, avatar_url, id]);
+      WHERE id = $7 AND active = true
+      RETURNING id, name, email, bio, location, website, avatar_url, updated_at,
+        location_city, location_country, latitude, longitude, location_precision,
+        email_visibility, location_visibility, website_visibility, skills_visibility
+    `, [
+      name, bio, place && place.location, website, avatar_url, avatarKey, id,
+      privacy.email, privacy.location, privacy.website, privacy.skills,
+      place !== null, place && place.location_city, place && place.location_country,
+      place && place.latitude, place && place.longitude, location_precision
+    ]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -123,12 +188,37 @@ router.put('/:id', authenticateToken, requireOwnerOrAdmin(), updateProfileValida
       });
     }
 
+    if (previousKey && avatarKey !== previousKey) {
+      await deleteImage('avatar', previousKey);
+    }
+
+    // Staff editing someone else's profile leave a trace
+    if (id !== req.user.id) {
+      await recordAudit(req, {
+        action: 'user.update',
+        targetType: 'user',
+        targetId: id,
+        before: auditedProfile(existing.rows[0]),
+        after: auditedProfile(result.rows[0])
+      });
+    }
+
+    const {
+      email_visibility, location_visibility, website_visibility, skills_visibility,
+      location_city, location_country, latitude, longitude,
+      ...user
+    } = result.rows[0];
+
     res.json({
       message: 'Profile updated successfully',
-      user: result.rows[0]
+      user: {
+        ...user,
+        geo: formatLocation(result.rows[0], '', true).geo,
+        privacy: privacySettings(result.rows[0])
+      }
     });
   } catch (error) {
-    console.error('Update user error:', error);
+    logger.error({ err: error }, 'Update user error');
     res.status(500).json({
       error: {
         message: 'Failed to update profile',
@@ -138,20 +228,250 @@ router.put('/:id', authenticateToken, requireOwnerOrAdmin(), updateProfileValida
   }
 });
 
-// DELETE /api/users/:id - Delete user (admin only)
-router.delete('/:id', authenticateToken, requireOwnerOrAdmin(), async (req, res) => {
+// POST /api/users/:id/follow - Follow a user; their new and updated skills
+// show up in GET /api/feed
+router.post('/:id/follow', authenticateToken, requireVerifiedEmail, rateLimit({ name: 'follow', max: 60, windowSeconds: 60 * 60, by: 'user' }), validate(schemas.follow), async (req, res) => {
+  try {
+    const followedId = req.params.id;
+
+    if (followedId === req.user.id) {
+      return res.status(400).json({
+        error: {
+          message: 'You cannot follow yourself',
+          status: 400
+        }
+      });
+    }
+
+    const userCheck = await query('SELECT id FROM users WHERE id = $1 AND active = true', [followedId]);
+
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    const result = await query(`
+      INSERT INTO follows (follower_id, followed_id, created_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (follower_id, followed_id) DO NOTHING
+      RETURNING created_at
+    `, [req.user.id, followedId]);
+
+    // Following again is a no-op
+    if (result.rows.length === 0) {
+      return res.json({ message: 'Already following', following: true });
+    }
+
+    await notify(followedId, 'new_follower', {
+      title: `${req.user.name} started following you`,
+      data: { follower_id: req.user.id }
+    });
+
+    res.status(201).json({ message: 'Followed successfully', following: true });
+  } catch (error) {
+    logger.error({ err: error }, 'Follow user error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to follow user',
+        status: 500
+      }
+    });
+  }
+});
+
+// DELETE /api/users/:id/follow - Unfollow a user
+router.delete('/:id/follow', authenticateToken, validate(schemas.unfollow), async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM follows WHERE follower_id = $1 AND followed_id = $2',
+      [req.user.id, req.params.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'You are not following this user',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ message: 'Unfollowed successfully', following: false });
+  } catch (error) {
+    logger.error({ err: error }, 'Unfollow user error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to unfollow user',
+        status: 500
+      }
+    });
+  }
+});
+
+// List one side of a user's follows, most recent first: `direction` is
+// 'followers' (who follows them) or 'following' (who they follow)
+const listFollows = (direction) => async (req, res) => {
   try {
     const { id } = req.params;
+    const { page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    const [ownColumn, otherColumn] = direction === 'followers'
+      ? ['followed_id', 'follower_id']
+      : ['follower_id', 'followed_id'];
+
+    const userCheck = await query('SELECT id FROM users WHERE id = $1 AND active = true', [id]);
+
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
 
-    // Soft delete user (set active = false)
     const result = await query(`
-      UPDATE users 
-      SET active = false, updated_at = NOW()
-      WHERE id = $1 AND active = true
-      RETURNING id, name, email
+      SELECT ${userColumnsSql('u')}, f.created_at as followed_at
+      FROM follows f
+      JOIN users u ON f.${otherColumn} = u.id
+      WHERE f.${ownColumn} = $1 AND u.active = true
+      ORDER BY f.created_at DESC, u.id DESC
+      LIMIT $2 OFFSET $3
+    `, [id, limit, offset]);
+
+    const countResult = await query(`
+      SELECT COUNT(*) as total
+      FROM follows f
+      JOIN users u ON f.${otherColumn} = u.id
+      WHERE f.${ownColumn} = $1 AND u.active = true
     `, [id]);
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      users: result.rows.map(row => ({ ...serializeUser(row, req.user), followed_at: row.followed_at })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, `Get ${direction} error`);
+    res.status(500).json({
+      error: {
+        message: `Failed to fetch ${direction}`,
+        status: 500
+      }
+    });
+  }
+};
+
+// GET /api/users/:id/followers - Who follows the user
+router.get('/:id/followers', optionalAuth, validate(schemas.followers), listFollows('followers'));
+
+// GET /api/users/:id/following - Who the user follows
+router.get('/:id/following', optionalAuth, validate(schemas.following), listFollows('following'));
+
+// GET /api/users/:id/export - Download everything stored about the user as
+// JSON (owner or users:export)
+router.get('/:id/export', authenticateToken, requireOwnerOrPermission('users:export'), rateLimit({ name: 'data-export', max: 5, windowSeconds: 60 * 60, by: 'user' }), validate(schemas.exportData), async (req, res) => {
+  try {
+    const data = await exportUserData(req.params.id);
+
+    if (!data) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.export',
+      targetType: 'user',
+      targetId: data.profile.id
+    });
+
+    res.set('Content-Disposition', `attachment; filename="skillswap-data-${data.profile.id}.json"`);
+    res.json(data);
+  } catch (error) {
+    logger.error({ err: error }, 'Export user data error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to export user data',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/users/:id/balance - Time-credit balance (owner or users:read)
+router.get('/:id/balance', authenticateToken, requireOwnerOrPermission('users:read'), validate(schemas.balance), async (req, res) => {
+  try {
+    res.json(await getBalance(req.params.id));
+  } catch (error) {
+    logger.error({ err: error }, 'Get balance error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch balance',
+        status: 500
+      }
+    });
+  }
+});
+
+// GET /api/users/:id/statement - Time-credit ledger entries, newest first (owner or users:read)
+router.get('/:id/statement', authenticateToken, requireOwnerOrPermission('users:read'), validate(schemas.statement), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { entries, total } = await getStatement(req.params.id, { limit, offset });
+
+    res.json({
+      ...(await getBalance(req.params.id)),
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Get statement error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch statement',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/users/:id/avatar - Upload a profile picture (multipart field "image")
+router.post('/:id/avatar', authenticateToken, requireOwnerOrPermission('users:edit'), protectStaffAccounts(), rateLimit({ name: 'image-upload', max: 30, windowSeconds: 60 * 60, by: 'user' }), imageUpload(), validate(schemas.uploadAvatar), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const image = await storeImage('avatar', id, req.file.buffer);
+
+    const result = await query(`
+      UPDATE users u SET avatar_url = $1, avatar_key = $2, updated_at = NOW()
+      FROM users old
+      WHERE u.id = old.id AND u.id = $3 AND u.active = true
+      RETURNING u.id, u.avatar_url, old.avatar_key as previous_key, old.avatar_url as previous_url
+    `, [image.url, image.key, id]);
 
     if (result.rows.length === 0) {
+      await deleteImage('avatar', image.key);
       return res.status(404).json({
         error: {
           message: 'User not found',
@@ -160,12 +480,186 @@ router.delete('/:id', authenticateToken, requireOwnerOrAdmin(), async (req, res)
       });
     }
 
+    await deleteImage('avatar', result.rows[0].previous_key);
+
+    if (id !== req.user.id) {
+      await recordAudit(req, {
+        action: 'user.update',
+        targetType: 'user',
+        targetId: id,
+        before: { avatar_url: result.rows[0].previous_url },
+        after: { avatar_url: image.url }
+      });
+    }
+
+    res.json({
+      message: 'Avatar updated successfully',
+      avatar_url: image.url,
+      avatar_urls: image.urls
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          status: error.status
+        }
+      });
+    }
+
+    logger.error({ err: error }, 'Upload avatar error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to upload avatar',
+        status: 500
+      }
+    });
+  }
+});
+
+// DELETE /api/users/:id/avatar - Remove the profile picture
+router.delete('/:id/avatar', authenticateToken, requireOwnerOrPermission('users:edit'), protectStaffAccounts(), validate(schemas.removeAvatar), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(`
+      UPDATE users u SET avatar_url = NULL, avatar_key = NULL, updated_at = NOW()
+      FROM users old
+      WHERE u.id = old.id AND u.id = $1 AND u.active = true
+      RETURNING u.id, old.avatar_key as previous_key, old.avatar_url as previous_url
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    await deleteImage('avatar', result.rows[0].previous_key);
+
+    if (id !== req.user.id) {
+      await recordAudit(req, {
+        action: 'user.update',
+        targetType: 'user',
+        targetId: id,
+        before: { avatar_url: result.rows[0].previous_url },
+        after: { avatar_url: null }
+      });
+    }
+
+    res.json({
+      message: 'Avatar removed successfully'
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Remove avatar error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to remove avatar',
+        status: 500
+      }
+    });
+  }
+});
+
+// DELETE /api/users/:id - Delete an account. Owners delete their own: it is
+// deactivated now and its personal data erased after the grace period. Staff
+// with users:deactivate only deactivate someone else's, which is reversible;
+// erasing it is POST /api/users/:id/erasure.
+router.delete('/:id', authenticateToken, requireOwnerOrPermission('users:deactivate'), protectStaffAccounts(), validate(schemas.deleteUser), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isOwner = req.user.id === id;
+
+    let user;
+    if (isOwner) {
+      user = await scheduleErasure(id, req.user.id);
+    } else {
+      const result = await query(`
+        UPDATE users SET active = false, updated_at = NOW()
+        WHERE id = $1 AND active = true AND erased_at IS NULL
+        RETURNING id, name, email, erasure_scheduled_for
+      `, [id]);
+      user = result.rows[0];
+    }
+
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    await revokeAllSessions(user.id, 'deactivated');
+
+    await recordAudit(req, {
+      action: isOwner ? 'user.delete' : 'user.deactivate',
+      targetType: 'user',
+      targetId: user.id,
+      before: { active: true },
+      after: { active: false, erasure_scheduled_for: user.erasure_scheduled_for }
+    });
+
+    if (!isOwner) {
+      await notify(user.id, 'account_status_changed', {
+        title: 'Your account has been deactivated',
+        body: 'Contact support if you think this is a mistake.',
+        data: { active: false }
+      });
+    }
+
+    res.json({
+      message: isOwner
+        ? `Account deleted. Your data will be erased on ${user.erasure_scheduled_for.toISOString().slice(0, 10)}; sign in before then to restore the account.`
+        : 'User deactivated successfully',
+      user
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Delete user error');
+    res.status(500).json({
+      error: {
+        message: 'Failed to delete user',
+        status: 500
+      }
+    });
+  }
+});
+
+// POST /api/users/:id/erasure - Delete someone else's account on their
+// request: deactivated now, personal data erased after the grace period
+router.post('/:id/erasure', authenticateToken, requirePermission('users:erase'), protectStaffAccounts(), validate(schemas.scheduleErasure), async (req, res) => {
+  try {
+    const user = await scheduleErasure(req.params.id, req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    await revokeAllSessions(user.id, 'deactivated');
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user.id,
+      before: { active: true },
+      after: { active: false, erasure_scheduled_for: user.erasure_scheduled_for }
+    });
+
     res.json({
-      message: 'User deleted successfully',
-      user: result.rows[0]
+      message: `Account deleted. Its data will be erased on ${user.erasure_scheduled_for.toISOString().slice(0, 10)}.`,
+      user
     });
   } catch (error) {
-    console.error('Delete user error:', error);
+    logger.error({ err: error }, 'Schedule erasure error');
     res.status(500).json({
       error: {
         message: 'Failed to delete user',
@@ -0,0 +1,574 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { ROLES } = require('../config/permissions');
+const { REPORT_REASONS, REPORT_TARGET_TYPES } = require('../services/moderation');
+const { text, id, idParams, integer, pageQuery, dateTime, Timestamp, Message, Pagination } = require('./common');
+const { ReportStatus, ReportResolution } = require('./reports');
+
+const tags = ['Admin'];
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// --- Users ---
+
+const listUsers = defineRoute({
+  method: 'get',
+  path: '/api/admin/users',
+  tags,
+  summary: 'All users, newest first',
+  auth: 'required',
+  permission: 'users:read',
+  query: z.object({
+    search: z.string().default('').meta({ description: 'Matches names and email addresses' }),
+    status: z.enum(['all', 'active', 'inactive'], { error: 'Status must be all, active or inactive' }).default('all'),
+    ...pageQuery()
+  }),
+  responses: {
+    200: z.object({
+      users: z.array(z.object({
+        id: z.number().int(),
+        name: z.string(),
+        email: z.string(),
+        role: z.enum(ROLE_NAMES),
+        active: z.boolean(),
+        created_at: Timestamp,
+        updated_at: Timestamp,
+        skills_count: z.number().int(),
+        average_rating: z.string(),
+        ratings_received: z.number().int()
+      })),
+      pagination: Pagination
+    })
+  },
+  errors: [403]
+});
+
+const Counts = z.object({
+  total: z.number().int(),
+  active: z.number().int(),
+  new_this_month: z.number().int()
+});
+
+const stats = defineRoute({
+  method: 'get',
+  path: '/api/admin/stats',
+  tags,
+  summary: 'Platform statistics',
+  auth: 'required',
+  permission: 'stats:read',
+  responses: {
+    200: z.object({
+      users: Counts,
+      skills: Counts,
+      ratings: z.object({
+        total: z.number().int(),
+        average: z.string(),
+        new_this_month: z.number().int()
+      }),
+      popular_categories: z.array(z.object({
+        category: z.string(),
+        slug: z.string().nullable(),
+        skill_count: z.string()
+      }))
+    })
+  },
+  errors: [403]
+});
+
+const toggleStatus = defineRoute({
+  method: 'put',
+  path: '/api/admin/users/:id/toggle-status',
+  tags,
+  summary: 'Deactivate or reactivate a user',
+  description: 'Deactivating signs the user out everywhere. Reactivating cancels a scheduled erasure; erased accounts cannot be reactivated.',
+  auth: 'required',
+  permission: 'users:deactivate',
+  params: idParams,
+  responses: {
+    200: z.object({
+      message: z.string(),
+      user: z.object({
+        id: z.number().int(),
+        name: z.string(),
+        email: z.string(),
+        active: z.boolean()
+      })
+    })
+  },
+  errors: [403, 404]
+});
+
+// --- Taxonomy ---
+
+const categoryFields = {
+  name: text({ min: 2, max: 50, message: 'Name must be between 2-50 characters' }),
+  slug: text({ min: 2, max: 60, message: 'Slug must be between 2-60 characters' }).optional()
+    .meta({ description: 'Made from the name if left out' }),
+  parent_id: integer({ min: 1, message: 'Parent ID must be a valid ID' }).nullable().optional()
+};
+
+const Category = z.object({
+  id: z.number().int(),
+  name: z.string(),
+  slug: z.string(),
+  parent_id: z.number().int().nullable()
+});
+
+const MergeBody = z.object({
+  target_id: integer({ min: 1, message: 'Valid target ID is required' })
+});
+
+const Merged = (count) => z.object({
+  message: z.string(),
+  source: z.object({ id: z.number().int(), name: z.string(), slug: z.string() }),
+  target: z.object({ id: z.number().int(), name: z.string(), slug: z.string() }),
+  [count]: z.number().int()
+});
+
+const Retired = z.object({
+  id: z.number().int(),
+  name: z.string(),
+  slug: z.string(),
+  retired_at: Timestamp
+});
+
+const createCategory = defineRoute({
+  method: 'post',
+  path: '/api/admin/categories',
+  tags,
+  summary: 'Create a category',
+  auth: 'required',
+  permission: 'taxonomy:manage',
+  body: z.object(categoryFields),
+  responses: {
+    201: z.object({ message: z.string(), category: Category.extend({ created_at: Timestamp }) })
+  },
+  errors: [403, 404, 409]
+});
+
+const updateCategory = defineRoute({
+  method: 'put',
+  path: '/api/admin/categories/:id',
+  tags,
+  summary: 'Rename, re-slug or move a category',
+  description: 'Fields left out are unchanged; a null parent_id makes it a top-level category.',
+  auth: 'required',
+  permission: 'taxonomy:manage',
+  params: idParams,
+  body: z.object({
+    ...categoryFields,
+    name: categoryFields.name.optional()
+  }),
+  responses: {
+    200: z.object({ message: z.string(), category: Category.extend({ updated_at: Timestamp }) })
+  },
+  errors: [403, 404, 409]
+});
+
+const mergeCategory = defineRoute({
+  method: 'post',
+  path: '/api/admin/categories/:id/merge',
+  tags,
+  summary: 'Merge a category into another',
+  description: 'Its skills, aliases and subcategories move to the target, its slug becomes an alias of the target and it is retired.',
+  auth: 'required',
+  permission: 'taxonomy:manage',
+  params: idParams,
+  body: MergeBody,
+  responses: { 200: Merged('skills_moved') },
+  errors: [403, 404]
+});
+
+const retireCategory = defineRoute({
+  method: 'post',
+  path: '/api/admin/categories/:id/retire',
+  tags,
+  summary: 'Stop offering a category for new skills',
+  description: 'Existing skills keep it.',
+  auth: 'required',
+  permission: 'taxonomy:manage',
+  params: idParams,
+  responses: {
+    200: z.object({ message: z.string(), category: Retired })
+  },
+  errors: [403, 404, 409]
+});
+
+const createTag = defineRoute({
+  method: 'post',
+  path: '/api/admin/tags',
+  tags,
+  summary: 'Create a tag, optionally with aliases',
+  auth: 'required',
+  permission: 'taxonomy:manage',
+  body: z.object({
+    name: text({ min: 1, max: 50, message: 'Name must be between 1-50 characters' }),
+    slug: text({ min: 1, max: 60, message: 'Slug must be between 1-60 characters' }).optional()
+      .meta({ description: 'Made from the name if left out' }),
+    aliases: z.array(z.string({ error: 'Aliases must be strings' }), { error: 'Aliases must be an array' }).optional()
+  }),
+  responses: {
+    201: z.object({
+      message: z.string(),
+      tag: z.object({
+        id: z.number().int(),
+        name: z.string(),
+        slug: z.string(),
+        created_at: Timestamp
+      })
+    })
+  },
+  errors: [403, 409]
+});
+
+const addTagAlias = defineRoute({
+  method: 'post',
+  path: '/api/admin/tags/:id/aliases',
+  tags,
+  summary: 'Add a synonym for a tag',
+  auth: 'required',
+  permission: 'taxonomy:manage',
+  params: idParams,
+  body: z.object({
+    alias: text({ min: 1, max: 60, message: 'Alias must be between 1-60 characters' })
+  }),
+  responses: {
+    201: z.object({
+      message: z.string(),
+      alias: z.object({
+        id: z.number().int(),
+        tag_id: z.number().int(),
+        alias_slug: z.string()
+      })
+    })
+  },
+  errors: [403, 404, 409]
+});
+
+const removeTagAlias = defineRoute({
+  method: 'delete',
+  path: '/api/admin/tags/:id/aliases/:alias',
+  tags,
+  summary: 'Remove a synonym',
+  auth: 'required',
+  permission: 'taxonomy:manage',
+  params: z.object({ id: id(), alias: z.string() }),
+  responses: { 200: Message },
+  errors: [403, 404]
+});
+
+const mergeTag = defineRoute({
+  method: 'post',
+  path: '/api/admin/tags/:id/merge',
+  tags,
+  summary: 'Merge a tag into another',
+  description: 'Skills tagged with it are retagged, its slug becomes an alias of the target and it is retired.',
+  auth: 'required',
+  permission: 'taxonomy:manage',
+  params: idParams,
+  body: MergeBody,
+  responses: { 200: Merged('skills_updated') },
+  errors: [403, 404]
+});
+
+const retireTag = defineRoute({
+  method: 'post',
+  path: '/api/admin/tags/:id/retire',
+  tags,
+  summary: 'Stop offering a tag for new skills',
+  auth: 'required',
+  permission: 'taxonomy:manage',
+  params: idParams,
+  responses: {
+    200: z.object({ message: z.string(), tag: Retired })
+  },
+  errors: [403, 404]
+});
+
+const backfillTaxonomy = defineRoute({
+  method: 'post',
+  path: '/api/admin/taxonomy/backfill',
+  tags,
+  summary: 'Map existing free-text categories and tags onto the taxonomy',
+  description: 'Safe to run more than once.',
+  auth: 'required',
+  permission: 'taxonomy:manage',
+  responses: {
+    200: z.object({
+      message: z.string(),
+      categories_created: z.number().int(),
+      tags_created: z.number().int(),
+      skills_updated: z.number().int()
+    })
+  },
+  errors: [403]
+});
+
+// --- Moderation ---
+
+const nullableId = z.number().int().nullable();
+
+const Report = z.object({
+  id: z.number().int(),
+  target_type: z.enum(REPORT_TARGET_TYPES),
+  target_id: z.number().int(),
+  target_user_id: nullableId,
+  reason: z.enum(REPORT_REASONS),
+  details: z.string().nullable(),
+  status: ReportStatus,
+  resolution: ReportResolution.nullable(),
+  created_at: Timestamp,
+  updated_at: Timestamp,
+  resolved_at: Timestamp.nullable(),
+  reporter_id: z.number().int(),
+  reporter_name: z.string(),
+  assigned_to: nullableId,
+  assigned_to_name: z.string().nullable(),
+  resolved_by: nullableId,
+  resolved_by_name: z.string().nullable(),
+  open_reports_on_target: z.number().int()
+}).meta({ id: 'Report' });
+
+// A report with the reported content as it is now and what has been done about it
+const ReportDetail = Report.extend({
+  target: z.looseObject({
+    id: z.number().int(),
+    user_id: nullableId,
+    summary: z.string().nullable()
+  }).nullable().meta({ description: 'Null if the content no longer exists' }),
+  history: z.array(z.object({
+    id: z.number().int(),
+    action: z.enum(['created', 'assigned', 'unassigned', ...ReportResolution.options]),
+    note: z.string().nullable(),
+    created_at: Timestamp,
+    actor_id: nullableId,
+    actor_name: z.string().nullable()
+  }))
+});
+
+const listReports = defineRoute({
+  method: 'get',
+  path: '/api/admin/reports',
+  tags,
+  summary: 'Moderation queue, open reports oldest first',
+  auth: 'required',
+  permission: 'reports:manage',
+  query: z.object({
+    status: z.enum(['open', 'resolved', 'all'], { error: 'Status must be open, resolved or all' }).default('open'),
+    target_type: z.enum(REPORT_TARGET_TYPES, { error: `Target type must be one of: ${REPORT_TARGET_TYPES.join(', ')}` }).optional(),
+    reason: z.enum(REPORT_REASONS, { error: `Reason must be one of: ${REPORT_REASONS.join(', ')}` }).optional(),
+    assigned_to: z.string()
+      .refine(value => ['me', 'unassigned'].includes(value) || /^\d+$/.test(value), { error: 'Assigned to must be me, unassigned or a user ID' })
+      .optional()
+      .meta({ description: 'me, unassigned or a user ID' }),
+    ...pageQuery()
+  }),
+  responses: {
+    200: z.object({ reports: z.array(Report), pagination: Pagination })
+  },
+  errors: [403]
+});
+
+const getReport = defineRoute({
+  method: 'get',
+  path: '/api/admin/reports/:id',
+  tags,
+  summary: 'A report with the reported content and its history',
+  auth: 'required',
+  permission: 'reports:manage',
+  params: idParams,
+  responses: { 200: ReportDetail },
+  errors: [403, 404]
+});
+
+const assignReport = defineRoute({
+  method: 'put',
+  path: '/api/admin/reports/:id/assign',
+  tags,
+  summary: 'Assign an open report to a moderator',
+  description: 'Assigns it to the caller unless assignee_id is given; a null assignee_id unassigns it.',
+  auth: 'required',
+  permission: 'reports:manage',
+  params: idParams,
+  body: z.object({
+    assignee_id: integer({ min: 1, message: 'Assignee ID must be a valid ID' }).nullable().optional()
+  }),
+  responses: {
+    200: z.object({ message: z.string(), report: ReportDetail })
+  },
+  errors: [403, 404]
+});
+
+const resolution = (action, summary, description, permission = 'reports:manage') => defineRoute({
+  method: 'post',
+  path: `/api/admin/reports/:id/${action}`,
+  tags,
+  summary,
+  description,
+  auth: 'required',
+  permission,
+  params: idParams,
+  body: z.object({
+    note: text({ max: 1000, message: 'Note must be less than 1000 characters' }).optional()
+  }),
+  responses: {
+    200: z.object({
+      message: z.string(),
+      report: ReportDetail,
+      resolved_report_ids: z.array(z.number().int())
+    })
+  },
+  errors: [403, 404]
+});
+
+const resolveReport = {
+  dismiss: resolution('dismiss', 'Close a report with no violation found',
+    'Other open reports about the same content stay open.'),
+  'hide-content': resolution('hide-content', 'Hide the reported skill or rating',
+    'Also resolves every other open report about it. Needs `skills:moderate` or `ratings:moderate` for the kind of content.'),
+  'deactivate-user': resolution('deactivate-user', 'Deactivate whoever is responsible for the reported content',
+    'Also resolves every other open report about it. Staff accounts cannot be deactivated this way. Needs `reports:manage` too.',
+    'users:deactivate')
+};
+
+// --- Audit log, roles and credits ---
+
+const AuditEntry = z.object({
+  id: z.string().meta({ description: 'A 64-bit integer' }),
+  created_at: Timestamp,
+  actor_id: nullableId,
+  actor_name: z.string().nullable(),
+  actor_role: z.string().nullable(),
+  action: z.string(),
+  target_type: z.string(),
+  target_id: nullableId,
+  before: z.record(z.string(), z.unknown()).nullable(),
+  after: z.record(z.string(), z.unknown()).nullable(),
+  ip_address: z.string().nullable(),
+  user_agent: z.string().nullable()
+});
+
+const listAudit = defineRoute({
+  method: 'get',
+  path: '/api/admin/audit',
+  tags,
+  summary: 'Search the audit log, newest first',
+  description: 'With format=csv, downloads up to 10,000 matching entries as text/csv instead.',
+  auth: 'required',
+  permission: 'audit:read',
+  query: z.object({
+    actor_id: id('Actor ID must be a valid ID').optional(),
+    action: z.string().optional().meta({ description: 'e.g. user.role_change' }),
+    target_type: z.string().optional(),
+    target_id: id('Target ID must be a valid ID').optional(),
+    from: dateTime('From must be a valid ISO 8601 date').optional(),
+    to: dateTime('To must be a valid ISO 8601 date').optional(),
+    format: z.enum(['json', 'csv'], { error: 'Format must be json or csv' }).default('json'),
+    ...pageQuery(50, 200)
+  }),
+  responses: {
+    200: z.object({ entries: z.array(AuditEntry), pagination: Pagination })
+  },
+  errors: [403]
+});
+
+const listRoles = defineRoute({
+  method: 'get',
+  path: '/api/admin/roles',
+  tags,
+  summary: 'Roles and the permissions they grant',
+  auth: 'required',
+  permission: 'users:assign_roles',
+  responses: {
+    200: z.object({
+      roles: z.array(z.object({ role: z.enum(ROLE_NAMES), permissions: z.array(z.string()) }))
+    })
+  },
+  errors: [403]
+});
+
+const changeRole = defineRoute({
+  method: 'put',
+  path: '/api/admin/users/:id/role',
+  tags,
+  summary: 'Give a user a role',
+  description: 'Staff cannot change their own role.',
+  auth: 'required',
+  permission: 'users:assign_roles',
+  params: idParams,
+  body: z.object({
+    role: z.enum(ROLE_NAMES, { error: `Role must be one of: ${ROLE_NAMES.join(', ')}` })
+  }),
+  responses: {
+    200: z.object({
+      message: z.string(),
+      user: z.object({
+        id: z.number().int(),
+        name: z.string(),
+        email: z.string(),
+        role: z.enum(ROLE_NAMES),
+        active: z.boolean()
+      })
+    })
+  },
+  errors: [403, 404]
+});
+
+const amountMessage = 'Amount must be between -1000 and 1000 hours';
+
+const adjustCredits = defineRoute({
+  method: 'post',
+  path: '/api/admin/users/:id/credits',
+  tags,
+  summary: 'Credit (positive) or debit (negative) a user\'s time-credits',
+  auth: 'required',
+  permission: 'credits:adjust',
+  params: idParams,
+  body: z.object({
+    amount: z.coerce.number({ error: amountMessage })
+      .min(-1000, { error: amountMessage })
+      .max(1000, { error: amountMessage })
+      .refine(value => Math.round(value * 100) !== 0, { error: 'Amount must not be zero' })
+      .meta({ description: 'Hours; rounded to two decimals' }),
+    reason: text({ min: 3, max: 500, message: 'Reason must be between 3-500 characters' })
+  }),
+  responses: {
+    201: z.object({
+      message: z.string(),
+      transaction: z.object({
+        id: z.number().int(),
+        kind: z.literal('adjustment'),
+        memo: z.string(),
+        booking_id: z.null(),
+        created_by: z.number().int(),
+        created_at: Timestamp
+      }),
+      balance: z.string()
+    })
+  },
+  errors: [403, 404]
+});
+
+module.exports = {
+  listUsers,
+  stats,
+  toggleStatus,
+  createCategory,
+  updateCategory,
+  mergeCategory,
+  retireCategory,
+  createTag,
+  addTagAlias,
+  removeTagAlias,
+  mergeTag,
+  retireTag,
+  backfillTaxonomy,
+  listReports,
+  getReport,
+  assignReport,
+  resolveReport,
+  listAudit,
+  listRoles,
+  changeRole,
+  adjustCredits
+};
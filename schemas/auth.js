@@ -0,0 +1,194 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { text, idParams, email, Timestamp, Message } = require('./common');
+
+const tags = ['Auth'];
+
+const password = z.string({ error: 'Password must be at least 6 characters' })
+  .min(6, { error: 'Password must be at least 6 characters' });
+
+const token = z.string({ error: 'Token is required' }).min(1, { error: 'Token is required' });
+
+const AccountUser = z.object({
+  id: z.number().int(),
+  name: z.string(),
+  email: z.string(),
+  role: z.string(),
+  permissions: z.array(z.string()),
+  emailVerified: z.boolean()
+});
+
+const TokenPair = {
+  token: z.string().meta({ description: 'Short-lived access token, sent as Authorization: Bearer <token>' }),
+  refreshToken: z.string().meta({ description: 'Exchange at POST /api/auth/refresh for a new pair; single use' }),
+  expiresIn: z.string().meta({ description: 'Access token lifetime, e.g. "15m"' })
+};
+
+const register = defineRoute({
+  method: 'post',
+  path: '/api/auth/register',
+  tags,
+  summary: 'Create an account and sign in',
+  description: 'Sends an email verification link; some actions need a verified address.',
+  body: z.object({
+    name: text({ min: 2, message: 'Name must be at least 2 characters' }),
+    email: email(),
+    password
+  }),
+  responses: {
+    201: z.object({
+      message: z.string(),
+      user: AccountUser.extend({ createdAt: Timestamp }),
+      ...TokenPair
+    })
+  },
+  errors: [409, 429]
+});
+
+const login = defineRoute({
+  method: 'post',
+  path: '/api/auth/login',
+  tags,
+  summary: 'Sign in',
+  description: 'Repeated failures for one email address are slowed down and then locked out for a while (429 with code LOGIN_THROTTLED or ACCOUNT_LOCKED). Signing in to an account deleted by its owner restores it during the grace period.',
+  body: z.object({
+    email: email(),
+    password: z.string({ error: 'Password is required' }).min(1, { error: 'Password is required' })
+  }),
+  responses: {
+    200: z.object({
+      message: z.string(),
+      user: AccountUser,
+      ...TokenPair
+    })
+  },
+  errors: [401, 429]
+});
+
+const verifyEmail = defineRoute({
+  method: 'post',
+  path: '/api/auth/verify-email',
+  tags,
+  summary: 'Confirm an email address with the token from the verification email',
+  body: z.object({ token }),
+  responses: {
+    200: z.object({
+      message: z.string(),
+      user: z.object({ id: z.number().int(), email: z.string(), emailVerified: z.boolean() })
+    })
+  },
+  errors: [404, 429]
+});
+
+const resendVerification = defineRoute({
+  method: 'post',
+  path: '/api/auth/resend-verification',
+  tags,
+  summary: 'Send a fresh verification email',
+  auth: 'required',
+  responses: { 200: Message },
+  errors: [409, 429]
+});
+
+const forgotPassword = defineRoute({
+  method: 'post',
+  path: '/api/auth/forgot-password',
+  tags,
+  summary: 'Email a password reset link',
+  description: 'Replies the same whether or not an account exists for the address.',
+  body: z.object({ email: email() }),
+  responses: { 200: Message },
+  errors: [429]
+});
+
+const resetPassword = defineRoute({
+  method: 'post',
+  path: '/api/auth/reset-password',
+  tags,
+  summary: 'Set a new password with the token from the reset email',
+  description: 'Signs the account out everywhere and lifts any sign-in lockout.',
+  body: z.object({ token, password }),
+  responses: { 200: Message },
+  errors: [404, 429]
+});
+
+const refresh = defineRoute({
+  method: 'post',
+  path: '/api/auth/refresh',
+  tags,
+  summary: 'Exchange a refresh token for a new token pair',
+  description: 'Using a refresh token twice revokes its session.',
+  body: z.object({
+    refreshToken: z.string({ error: 'Refresh token is required' }).min(1, { error: 'Refresh token is required' })
+  }),
+  responses: {
+    200: z.object({ message: z.string(), ...TokenPair })
+  },
+  errors: [401, 429]
+});
+
+const logout = defineRoute({
+  method: 'post',
+  path: '/api/auth/logout',
+  tags,
+  summary: 'Revoke the current session',
+  auth: 'required',
+  responses: { 200: Message }
+});
+
+const logoutAll = defineRoute({
+  method: 'post',
+  path: '/api/auth/logout-all',
+  tags,
+  summary: 'Revoke every session on every device',
+  auth: 'required',
+  responses: {
+    200: z.object({ message: z.string(), revoked: z.number().int() })
+  }
+});
+
+const listSessions = defineRoute({
+  method: 'get',
+  path: '/api/auth/sessions',
+  tags,
+  summary: 'List my active sessions',
+  auth: 'required',
+  responses: {
+    200: z.object({
+      sessions: z.array(z.object({
+        id: z.number().int(),
+        userAgent: z.string().nullable(),
+        ipAddress: z.string().nullable(),
+        createdAt: Timestamp,
+        lastUsedAt: Timestamp.nullable(),
+        expiresAt: Timestamp,
+        current: z.boolean()
+      }))
+    })
+  }
+});
+
+const revokeSession = defineRoute({
+  method: 'delete',
+  path: '/api/auth/sessions/:id',
+  tags,
+  summary: 'Revoke one of my sessions',
+  auth: 'required',
+  params: idParams,
+  responses: { 200: Message },
+  errors: [404]
+});
+
+module.exports = {
+  register,
+  login,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  logout,
+  logoutAll,
+  listSessions,
+  revokeSession
+};
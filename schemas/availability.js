@@ -0,0 +1,118 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { isValidTimeZone } = require('../services/availability');
+const { text, id, idParams, integer, date, Timestamp, Message } = require('./common');
+
+const tags = ['Availability'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const time = (message) => z.string({ error: message }).regex(TIME_PATTERN, { error: message });
+
+const timeZone = () => {
+  const message = 'Time zone must be a valid IANA zone such as Europe/London';
+  return z.string({ error: message }).refine(isValidTimeZone, { error: message });
+};
+
+const Slot = z.object({
+  id: z.number().int(),
+  day_of_week: z.number().int().meta({ description: '0 (Sunday) to 6 (Saturday)' }),
+  start_time: z.string().meta({ description: 'HH:MM in the slot\'s time zone' }),
+  end_time: z.string(),
+  time_zone: z.string()
+});
+
+const Exception = z.object({
+  id: z.number().int(),
+  date: z.string(),
+  kind: z.enum(['unavailable', 'available']),
+  start_time: z.string().nullable(),
+  end_time: z.string().nullable(),
+  time_zone: z.string(),
+  note: z.string().nullable()
+});
+
+const getAvailability = defineRoute({
+  method: 'get',
+  path: '/api/availability/:userId',
+  tags,
+  summary: 'Weekly slots, upcoming exceptions and busy times of a user',
+  description: 'Busy times cover the next 60 days and never say who booked them.',
+  params: z.object({ userId: id() }),
+  responses: {
+    200: z.object({
+      user_id: z.number().int(),
+      time_zone: z.string().nullable(),
+      slots: z.array(Slot),
+      exceptions: z.array(Exception),
+      busy: z.array(z.object({ starts_at: Timestamp, ends_at: Timestamp }))
+    })
+  },
+  errors: [404]
+});
+
+const updateSlots = defineRoute({
+  method: 'put',
+  path: '/api/availability',
+  tags,
+  summary: 'Replace my weekly slots',
+  auth: 'required',
+  body: z.object({
+    time_zone: timeZone(),
+    slots: z.array(z.object({
+      day_of_week: integer({ min: 0, max: 6, message: 'Day of week must be 0 (Sunday) to 6 (Saturday)' }),
+      start_time: time('Start time must be HH:MM'),
+      end_time: time('End time must be HH:MM')
+    }), { error: 'Slots must be an array of at most 50 entries' })
+      .max(50, { error: 'Slots must be an array of at most 50 entries' })
+      .refine(slots => slots.every(slot => slot.start_time < slot.end_time), { error: 'Each slot must end after it starts' })
+  }),
+  responses: {
+    200: z.object({
+      message: z.string(),
+      time_zone: z.string(),
+      slots: z.array(Slot)
+    })
+  }
+});
+
+const addException = defineRoute({
+  method: 'post',
+  path: '/api/availability/exceptions',
+  tags,
+  summary: 'Add time off or extra hours on a date',
+  description: 'Without start and end time an unavailable exception covers the whole day. The time zone defaults to the one of my weekly slots.',
+  auth: 'required',
+  body: z.object({
+    date: date('Date must be YYYY-MM-DD'),
+    kind: z.enum(['unavailable', 'available'], { error: 'Kind must be unavailable or available' }),
+    start_time: time('Start time must be HH:MM').nullable().optional(),
+    end_time: time('End time must be HH:MM').nullable().optional(),
+    time_zone: timeZone().optional(),
+    note: text({ max: 200, message: 'Note must be less than 200 characters' }).optional()
+  }).refine(({ kind, start_time, end_time }) => {
+    if (!start_time && !end_time) return kind === 'unavailable';
+    return Boolean(start_time && end_time && start_time < end_time);
+  }, { error: 'Give both start and end time (start before end); only unavailable exceptions may cover the whole day' }),
+  responses: {
+    201: z.object({ message: z.string(), exception: Exception })
+  }
+});
+
+const removeException = defineRoute({
+  method: 'delete',
+  path: '/api/availability/exceptions/:id',
+  tags,
+  summary: 'Remove one of my exceptions',
+  auth: 'required',
+  params: idParams,
+  responses: { 200: Message },
+  errors: [404]
+});
+
+module.exports = {
+  getAvailability,
+  updateSlots,
+  addException,
+  removeException
+};
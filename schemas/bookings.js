@@ -0,0 +1,167 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { text, idParams, integer, pageQuery, booleanFlag, dateTime, Timestamp, Pagination } = require('./common');
+
+const tags = ['Bookings'];
+
+const BOOKING_STATUSES = ['confirmed', 'completed', 'cancelled', 'expired'];
+
+const BookingStatus = z.enum(BOOKING_STATUSES);
+
+// A booking with the skill title and the names of both participants
+const Booking = z.object({
+  id: z.number().int(),
+  status: BookingStatus,
+  starts_at: Timestamp,
+  ends_at: Timestamp,
+  notes: z.string().nullable(),
+  swap_id: z.number().int().nullable(),
+  cancelled_by: z.number().int().nullable(),
+  completed_at: Timestamp.nullable(),
+  created_at: Timestamp,
+  updated_at: Timestamp,
+  skill_id: z.number().int(),
+  skill_title: z.string(),
+  teacher_id: z.number().int(),
+  teacher_name: z.string(),
+  learner_id: z.number().int(),
+  learner_name: z.string()
+}).meta({ id: 'Booking' });
+
+const createBooking = defineRoute({
+  method: 'post',
+  path: '/api/bookings',
+  tags,
+  summary: 'Book a session with a skill\'s teacher',
+  description: 'The session must be in the future, within the teacher\'s availability and at most 8 hours long. Sessions outside a swap cost hour-credits, and the learner must have enough available. Needs a verified email address.',
+  auth: 'required',
+  body: z.object({
+    skill_id: integer({ min: 1, message: 'Valid skill ID is required' }),
+    starts_at: dateTime('Start time must be a valid ISO 8601 date'),
+    ends_at: dateTime('End time must be a valid ISO 8601 date'),
+    swap_id: integer({ min: 1, message: 'Swap ID must be a valid ID' }).optional()
+      .meta({ description: 'An accepted swap between me and the teacher, which the session then schedules' }),
+    notes: text({ max: 500, message: 'Notes must be less than 500 characters' }).optional()
+  }),
+  responses: {
+    201: z.object({
+      message: z.string(),
+      booking: z.object({
+        id: z.number().int(),
+        skill_id: z.number().int(),
+        teacher_id: z.number().int(),
+        learner_id: z.number().int(),
+        swap_id: z.number().int().nullable(),
+        starts_at: Timestamp,
+        ends_at: Timestamp,
+        status: BookingStatus,
+        notes: z.string().nullable(),
+        created_at: Timestamp
+      })
+    })
+  },
+  errors: [403, 404, 409]
+});
+
+const listBookings = defineRoute({
+  method: 'get',
+  path: '/api/bookings',
+  tags,
+  summary: 'List my bookings as teacher and learner',
+  description: 'Upcoming sessions soonest first; with upcoming=false, every session latest first.',
+  auth: 'required',
+  query: z.object({
+    role: z.enum(['all', 'teacher', 'learner'], { error: 'Role must be all, teacher or learner' }).default('all'),
+    status: z.enum(BOOKING_STATUSES, { error: `Status must be one of ${BOOKING_STATUSES.join(', ')}` }).optional(),
+    upcoming: booleanFlag('Upcoming must be true or false').default(true),
+    ...pageQuery()
+  }),
+  responses: {
+    200: z.object({
+      bookings: z.array(Booking.extend({ role: z.enum(['teacher', 'learner']) })),
+      pagination: Pagination
+    })
+  }
+});
+
+const getBooking = defineRoute({
+  method: 'get',
+  path: '/api/bookings/:id',
+  tags,
+  summary: 'Get a booking',
+  description: 'Its participants, or staff with the permission below.',
+  auth: 'required',
+  permission: 'bookings:read',
+  params: idParams,
+  responses: { 200: Booking },
+  errors: [403, 404]
+});
+
+const cancelBooking = defineRoute({
+  method: 'put',
+  path: '/api/bookings/:id/cancel',
+  tags,
+  summary: 'Cancel an upcoming session',
+  description: 'Either participant. A swap the session was scheduled for moves to its next session, or back to accepted if it has none.',
+  auth: 'required',
+  params: idParams,
+  responses: {
+    200: z.object({
+      message: z.string(),
+      booking: z.object({
+        id: z.number().int(),
+        skill_id: z.number().int(),
+        teacher_id: z.number().int(),
+        learner_id: z.number().int(),
+        swap_id: z.number().int().nullable(),
+        starts_at: Timestamp,
+        ends_at: Timestamp,
+        status: BookingStatus,
+        cancelled_by: z.number().int(),
+        updated_at: Timestamp
+      })
+    })
+  },
+  errors: [404]
+});
+
+const completeBooking = defineRoute({
+  method: 'put',
+  path: '/api/bookings/:id/complete',
+  tags,
+  summary: 'Confirm a finished session took place',
+  description: 'The learner only. Pays the teacher the session\'s length in hour-credits, unless the session is part of a swap; `credits` is then null.',
+  auth: 'required',
+  params: idParams,
+  responses: {
+    200: z.object({
+      message: z.string(),
+      booking: z.object({
+        id: z.number().int(),
+        skill_id: z.number().int(),
+        skill_title: z.string(),
+        teacher_id: z.number().int(),
+        learner_id: z.number().int(),
+        swap_id: z.number().int().nullable(),
+        starts_at: Timestamp,
+        ends_at: Timestamp,
+        status: BookingStatus,
+        completed_at: Timestamp,
+        updated_at: Timestamp
+      }),
+      credits: z.object({
+        hours: z.string(),
+        transaction_id: z.number().int()
+      }).nullable()
+    })
+  },
+  errors: [404]
+});
+
+module.exports = {
+  createBooking,
+  listBookings,
+  getBooking,
+  cancelBooking,
+  completeBooking
+};
@@ -0,0 +1,30 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { Skill } = require('./skills');
+const { pageQuery, Timestamp, Pagination, ImageUrls, embeddedUser } = require('./common');
+
+const listBookmarks = defineRoute({
+  method: 'get',
+  path: '/api/bookmarks',
+  tags: ['Skills'],
+  summary: 'My bookmarked skills, most recently saved first',
+  description: 'Bookmark with POST /api/skills/{id}/bookmark. Skills since deleted or hidden are left out.',
+  auth: 'required',
+  query: z.object(pageQuery()),
+  responses: {
+    200: z.object({
+      skills: z.array(Skill.extend({
+        ...embeddedUser('creator_'),
+        image_urls: ImageUrls,
+        average_rating: z.string(),
+        rating_count: z.number().int(),
+        bookmarked_at: Timestamp
+      })),
+      pagination: Pagination
+    })
+  }
+});
+
+module.exports = {
+  listBookmarks
+};
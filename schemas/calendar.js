@@ -0,0 +1,52 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+
+const tags = ['Calendar'];
+
+const FeedUrls = {
+  url: z.string(),
+  webcal_url: z.string().meta({ description: 'The same feed for calendar apps that subscribe via webcal://' })
+};
+
+const getFeed = defineRoute({
+  method: 'get',
+  path: '/api/calendar/feed',
+  tags,
+  summary: 'My private iCalendar feed URL',
+  auth: 'required',
+  responses: {
+    200: z.object(FeedUrls)
+  }
+});
+
+const regenerateFeed = defineRoute({
+  method: 'post',
+  path: '/api/calendar/feed/regenerate',
+  tags,
+  summary: 'Replace my feed URL, invalidating the old one',
+  auth: 'required',
+  responses: {
+    200: z.object({ message: z.string(), ...FeedUrls })
+  }
+});
+
+const calendarFeed = defineRoute({
+  method: 'get',
+  path: '/api/calendar/:token.ics',
+  tags,
+  summary: 'Upcoming sessions as iCalendar',
+  description: 'The token in the URL is the credential. Sessions cancelled in the last day stay in the feed, marked cancelled.',
+  params: z.object({
+    token: z.string({ error: 'Token is required' }).min(1, { error: 'Token is required' })
+  }),
+  responses: {
+    200: { contentType: 'text/calendar', description: 'iCalendar (RFC 5545) feed' }
+  },
+  errors: [404]
+});
+
+module.exports = {
+  getFeed,
+  regenerateFeed,
+  calendarFeed
+};
@@ -0,0 +1,193 @@
+// Building blocks shared by the route schemas. Schemas given .meta({ id })
+// appear once under components.schemas in the OpenAPI document.
+const { z } = require('zod');
+const validator = require('validator');
+const { VISIBILITY_LEVELS } = require('../services/profiles');
+const { LOCATION_PRECISIONS } = require('../services/locations');
+
+// --- Requests ---
+
+// A string whose every failure (missing, wrong type, too short or long)
+// reads `message`. Trimmed like the form fields it comes from.
+const text = ({ min, max, message }) => {
+  let schema = z.string({ error: message }).trim();
+  if (min !== undefined) schema = schema.min(min, { error: message });
+  if (max !== undefined) schema = schema.max(max, { error: message });
+  return schema;
+};
+
+// Path and query values arrive as strings
+const id = (message = 'Must be a valid ID') => z.coerce.number({ error: message }).int({ error: message }).positive({ error: message });
+
+const idParams = z.object({ id: id() });
+
+const integer = ({ min, max, message }) => {
+  let schema = z.coerce.number({ error: message }).int({ error: message });
+  if (min !== undefined) schema = schema.min(min, { error: message });
+  if (max !== undefined) schema = schema.max(max, { error: message });
+  return schema;
+};
+
+// Degrees of latitude (limit 90) or longitude (limit 180)
+const coordinate = (limit, message) => z.coerce.number({ error: message })
+  .min(-limit, { error: message })
+  .max(limit, { error: message });
+
+// ?page=&limit= for offset-paged lists
+const pageQuery = (defaultLimit = 20, maxLimit = 100) => ({
+  page: integer({ min: 1, message: 'Page must be a positive integer' }).default(1),
+  limit: integer({ min: 1, max: maxLimit, message: `Limit must be between 1 and ${maxLimit}` }).default(defaultLimit)
+});
+
+// Lowercased and normalised the way accounts are stored, so the same
+// mailbox always finds the same account
+const email = (message = 'Please provide a valid email') => z.string({ error: message })
+  .refine(value => validator.isEmail(value), { error: message })
+  .transform(value => validator.normalizeEmail(value))
+  .meta({ format: 'email' });
+
+const httpUrl = (message) => z.string({ error: message })
+  .refine(value => validator.isURL(value, { protocols: ['http', 'https'], require_protocol: true }), { error: message })
+  .meta({ format: 'uri' });
+
+// Accepts "true"/"false" as sent in query strings
+const booleanFlag = (message) => z.enum(['true', 'false'], { error: message }).transform(value => value === 'true');
+
+const dateTime = (message) => z.string({ error: message })
+  .refine(value => validator.isISO8601(value), { error: message })
+  .meta({ format: 'date-time' });
+
+const date = (message) => z.string({ error: message })
+  .refine(value => validator.isDate(value, { format: 'YYYY-MM-DD', strictMode: true }), { error: message })
+  .meta({ format: 'date' });
+
+// One value or a list, as repeated (?tags=a&tags=b) or comma-separated (?tags=a,b) params
+const list = (item = z.string()) => z.union([item, z.array(item)]);
+
+// --- Responses ---
+
+const Timestamp = z.iso.datetime({ offset: true });
+
+const Message = z.object({ message: z.string() });
+
+const Pagination = z.object({
+  page: z.number().int(),
+  limit: z.number().int(),
+  total: z.number().int(),
+  totalPages: z.number().int()
+}).meta({ id: 'Pagination' });
+
+const CursorPagination = z.object({
+  limit: z.number().int(),
+  has_more: z.boolean(),
+  next_cursor: z.string().nullable()
+}).meta({ id: 'CursorPagination', description: 'Pass next_cursor back as ?cursor= for the next page' });
+
+const ValidationDetail = z.object({
+  type: z.literal('field'),
+  location: z.enum(['params', 'query', 'body']),
+  path: z.string(),
+  msg: z.string()
+});
+
+const ErrorResponse = z.object({
+  error: z.object({
+    message: z.string(),
+    status: z.number().int(),
+    code: z.string().optional(),
+    retryAfter: z.number().optional(),
+    details: z.array(ValidationDetail).optional(),
+    requestId: z.string().optional().meta({ description: 'Also sent as the X-Request-Id header; quote it when reporting a problem' })
+  })
+}).meta({ id: 'Error' });
+
+// { large: url, medium: url, ... } for an uploaded image, or null
+const ImageUrls = z.record(z.string(), z.string()).nullable().meta({ id: 'ImageUrls' });
+
+const Visibility = z.enum(VISIBILITY_LEVELS);
+
+const Privacy = z.object({
+  email: Visibility,
+  location: Visibility,
+  website: Visibility,
+  skills: Visibility
+}).meta({ id: 'Privacy' });
+
+const Geo = z.object({
+  city: z.string().nullable(),
+  country: z.string().nullable(),
+  latitude: z.number(),
+  longitude: z.number(),
+  precision: z.enum(LOCATION_PRECISIONS)
+}).meta({ id: 'Geo', description: 'Coordinates are rounded to about 11 km unless the owner shares their exact location' });
+
+const PublicUser = z.object({
+  id: z.number().int(),
+  name: z.string(),
+  avatar_url: z.string().nullable(),
+  avatar_urls: ImageUrls,
+  email: z.string().nullable(),
+  website: z.string().nullable(),
+  location: z.string().nullable(),
+  geo: Geo.nullable(),
+  privacy: Privacy.optional(),
+  location_precision: z.enum(LOCATION_PRECISIONS).optional()
+}).meta({
+  id: 'PublicUser',
+  description: "A user as the caller may see them: fields hidden by the user's privacy settings are null. The privacy settings themselves are only shown to the user and to staff."
+});
+
+// A user embedded in another record: the flat <prefix>id, <prefix>name and
+// <prefix>avatar fields older clients read, plus the user under `key`
+const embeddedUser = (prefix, key = prefix.replace(/_$/, '')) => ({
+  [`${prefix}id`]: z.number().int(),
+  [`${prefix}name`]: z.string(),
+  [`${prefix}avatar`]: z.string().nullable(),
+  [key]: PublicUser
+});
+
+const Reputation = z.object({
+  score: z.number(),
+  average_rating: z.string(),
+  rating_count: z.number().int(),
+  breakdown: z.object({
+    weighted_average: z.number().nullable(),
+    effective_ratings: z.number(),
+    prior_mean: z.number(),
+    prior_weight: z.number(),
+    half_life_days: z.number(),
+    new_account_trust: z.number(),
+    full_trust_after_days: z.number()
+  })
+}).meta({ id: 'Reputation', description: 'Bayesian average of trust- and recency-weighted ratings' });
+
+// Number of ratings with each score
+const RatingDistribution = z.record(z.enum(['1', '2', '3', '4', '5']), z.number().int());
+
+module.exports = {
+  text,
+  id,
+  idParams,
+  integer,
+  coordinate,
+  pageQuery,
+  email,
+  httpUrl,
+  booleanFlag,
+  dateTime,
+  date,
+  list,
+  Timestamp,
+  Message,
+  Pagination,
+  CursorPagination,
+  ErrorResponse,
+  ImageUrls,
+  Visibility,
+  Privacy,
+  Geo,
+  PublicUser,
+  embeddedUser,
+  Reputation,
+  RatingDistribution
+};
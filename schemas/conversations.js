@@ -0,0 +1,138 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { MAX_MESSAGE_LENGTH } = require('../services/messaging');
+const { text, id, idParams, integer, pageQuery, Timestamp, Pagination, embeddedUser } = require('./common');
+
+const tags = ['Messages'];
+
+const Message = z.object({
+  id: z.number().int(),
+  conversation_id: z.number().int(),
+  sender_id: z.number().int(),
+  body: z.string(),
+  read_at: Timestamp.nullable(),
+  created_at: Timestamp
+}).meta({ id: 'ChatMessage' });
+
+const listConversations = defineRoute({
+  method: 'get',
+  path: '/api/conversations',
+  tags,
+  summary: 'List my conversations with their last message and unread count',
+  auth: 'required',
+  query: z.object(pageQuery()),
+  responses: {
+    200: z.object({
+      conversations: z.array(z.object({
+        id: z.number().int(),
+        last_message_at: Timestamp.nullable(),
+        created_at: Timestamp,
+        ...embeddedUser('other_user_'),
+        last_message: z.string().nullable(),
+        last_message_sender_id: z.number().int().nullable(),
+        unread_count: z.number().int()
+      })),
+      pagination: Pagination
+    })
+  }
+});
+
+const unreadCount = defineRoute({
+  method: 'get',
+  path: '/api/conversations/unread-count',
+  tags,
+  summary: 'Total unread messages across my conversations',
+  auth: 'required',
+  responses: {
+    200: z.object({ unread: z.number().int() })
+  }
+});
+
+const startConversation = defineRoute({
+  method: 'post',
+  path: '/api/conversations',
+  tags,
+  summary: 'Start, or reopen, a conversation with another user',
+  description: 'Needs a verified email address.',
+  auth: 'required',
+  body: z.object({
+    user_id: integer({ min: 1, message: 'Valid user ID is required' })
+  }),
+  responses: {
+    201: z.object({
+      message: z.string(),
+      conversation: z.object({
+        id: z.number().int(),
+        user_one_id: z.number().int(),
+        user_two_id: z.number().int(),
+        last_message_at: Timestamp.nullable(),
+        created_at: Timestamp
+      })
+    })
+  },
+  errors: [403, 404]
+});
+
+const listMessages = defineRoute({
+  method: 'get',
+  path: '/api/conversations/:id/messages',
+  tags,
+  summary: 'Page backwards through the message history, newest first',
+  auth: 'required',
+  params: idParams,
+  query: z.object({
+    before: id('Before must be a message ID').optional()
+      .meta({ description: 'The id of the oldest message the client already has' }),
+    limit: integer({ min: 1, max: 100, message: 'Limit must be between 1 and 100' }).default(50)
+  }),
+  responses: {
+    200: z.object({
+      messages: z.array(Message),
+      pagination: z.object({
+        limit: z.number().int(),
+        has_more: z.boolean(),
+        next_cursor: z.number().int().nullable().meta({ description: 'Pass back as ?before= for older messages' })
+      })
+    })
+  },
+  errors: [404]
+});
+
+const sendMessage = defineRoute({
+  method: 'post',
+  path: '/api/conversations/:id/messages',
+  tags,
+  summary: 'Send a message',
+  description: 'Also delivered over the chat socket. Needs a verified email address.',
+  auth: 'required',
+  params: idParams,
+  body: z.object({
+    body: text({ min: 1, max: MAX_MESSAGE_LENGTH, message: `Message must be between 1-${MAX_MESSAGE_LENGTH} characters` })
+  }),
+  responses: {
+    201: z.object({ message: z.string(), data: Message })
+  },
+  errors: [403, 404]
+});
+
+const markRead = defineRoute({
+  method: 'put',
+  path: '/api/conversations/:id/read',
+  tags,
+  summary: 'Mark the other person\'s messages in a conversation as read',
+  auth: 'required',
+  params: idParams,
+  responses: {
+    200: z.object({ message: z.string(), read: z.number().int() })
+  },
+  errors: [404]
+});
+
+module.exports = {
+  listConversations,
+  unreadCount,
+  startConversation,
+  listMessages,
+  sendMessage,
+  markRead
+};
@@ -0,0 +1,34 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { Skill } = require('./skills');
+const { integer, Timestamp, CursorPagination, ImageUrls, embeddedUser } = require('./common');
+
+const getFeed = defineRoute({
+  method: 'get',
+  path: '/api/feed',
+  tags: ['Skills'],
+  summary: 'New and updated skills from people I follow, newest first',
+  auth: 'required',
+  query: z.object({
+    cursor: z.string().optional().meta({ description: 'next_cursor from the previous page' }),
+    limit: integer({ min: 1, max: 100, message: 'Limit must be between 1 and 100' }).default(20)
+  }),
+  responses: {
+    200: z.object({
+      skills: z.array(Skill.extend({
+        updated_at: Timestamp,
+        event: z.enum(['created', 'updated']),
+        ...embeddedUser('creator_'),
+        image_urls: ImageUrls,
+        average_rating: z.string(),
+        rating_count: z.number().int(),
+        reputation: z.number()
+      })),
+      pagination: CursorPagination
+    })
+  }
+});
+
+module.exports = {
+  getFeed
+};
@@ -0,0 +1,55 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { pageQuery, booleanFlag, Pagination, PublicUser } = require('./common');
+
+const MatchReason = z.union([
+  z.object({
+    type: z.enum(['they_teach_me', 'i_teach_them']),
+    offered_skill_id: z.number().int(),
+    wanted_skill_id: z.number().int(),
+    same_category: z.boolean(),
+    shared_tags: z.array(z.string()),
+    score: z.number(),
+    message: z.string()
+  }),
+  z.object({
+    type: z.literal('rating'),
+    score: z.number(),
+    message: z.string()
+  })
+]);
+
+const listMatches = defineRoute({
+  method: 'get',
+  path: '/api/matches',
+  tags: ['Matches'],
+  summary: 'Rank other users by how well our offered and wanted skills line up',
+  auth: 'required',
+  query: z.object({
+    reciprocal: booleanFlag('Reciprocal must be true or false').default(false)
+      .meta({ description: 'Only users who both teach me something and want something I teach' }),
+    ...pageQuery()
+  }),
+  responses: {
+    200: z.object({
+      matches: z.array(z.object({
+        user_id: z.number().int(),
+        name: z.string(),
+        avatar_url: z.string().nullable(),
+        user: PublicUser,
+        average_rating: z.string(),
+        rating_count: z.number().int(),
+        reputation: z.number(),
+        score: z.number(),
+        reciprocal: z.boolean(),
+        reasons: z.array(MatchReason)
+      })),
+      message: z.string().optional().meta({ description: 'When I have no skills to match on yet' }),
+      pagination: Pagination
+    })
+  }
+});
+
+module.exports = {
+  listMatches
+};
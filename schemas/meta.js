@@ -0,0 +1,58 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { Timestamp } = require('./common');
+
+const tags = ['Meta'];
+
+const health = defineRoute({
+  method: 'get',
+  path: '/api/health',
+  tags,
+  summary: 'Check the API is up',
+  responses: {
+    200: z.object({
+      status: z.literal('OK'),
+      message: z.string(),
+      timestamp: Timestamp
+    })
+  }
+});
+
+const openApiDocument = defineRoute({
+  method: 'get',
+  path: '/api/openapi.json',
+  tags,
+  summary: 'This API as an OpenAPI 3.1 document',
+  responses: {
+    200: z.looseObject({ openapi: z.string(), paths: z.record(z.string(), z.unknown()) })
+  }
+});
+
+const docs = defineRoute({
+  method: 'get',
+  path: '/api/docs',
+  tags,
+  summary: 'Interactive API documentation',
+  responses: {
+    200: { contentType: 'text/html', description: 'A page for browsing and trying out the API' }
+  }
+});
+
+const metrics = defineRoute({
+  method: 'get',
+  path: '/api/metrics',
+  tags,
+  summary: 'Prometheus metrics',
+  description: 'Request latency by route and status, database query timings and pg pool usage, plus Node.js process metrics. When METRICS_TOKEN is set, send it as `Authorization: Bearer <token>`.',
+  responses: {
+    200: { contentType: 'text/plain', description: 'Prometheus text exposition format' }
+  },
+  errors: [401]
+});
+
+module.exports = {
+  health,
+  openApiDocument,
+  docs,
+  metrics
+};
@@ -0,0 +1,113 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { NOTIFICATION_TYPES, DIGEST_FREQUENCIES } = require('../services/notifications');
+const { idParams, pageQuery, booleanFlag, Timestamp, Pagination } = require('./common');
+
+const tags = ['Notifications'];
+
+const NotificationType = z.enum(Object.keys(NOTIFICATION_TYPES));
+
+const Preferences = z.object({
+  digest_frequency: z.enum(DIGEST_FREQUENCIES),
+  types: z.array(z.object({
+    type: NotificationType,
+    label: z.string(),
+    in_app: z.boolean(),
+    email_digest: z.boolean()
+  }))
+});
+
+const typeSetting = z.object({
+  in_app: z.boolean({ error: 'in_app must be true or false' }).optional(),
+  email_digest: z.boolean({ error: 'email_digest must be true or false' }).optional()
+});
+
+const listNotifications = defineRoute({
+  method: 'get',
+  path: '/api/notifications',
+  tags,
+  summary: 'My notifications, newest first',
+  auth: 'required',
+  query: z.object({
+    unread: booleanFlag('Unread must be true or false').default(false),
+    ...pageQuery()
+  }),
+  responses: {
+    200: z.object({
+      notifications: z.array(z.object({
+        id: z.number().int(),
+        type: z.string(),
+        title: z.string(),
+        body: z.string().nullable(),
+        data: z.record(z.string(), z.unknown()).nullable(),
+        read_at: Timestamp.nullable(),
+        created_at: Timestamp
+      })),
+      unread_count: z.number().int(),
+      pagination: Pagination
+    })
+  }
+});
+
+const getPreferences = defineRoute({
+  method: 'get',
+  path: '/api/notifications/preferences',
+  tags,
+  summary: 'Digest frequency and per-type settings',
+  auth: 'required',
+  responses: { 200: Preferences }
+});
+
+const updatePreferences = defineRoute({
+  method: 'put',
+  path: '/api/notifications/preferences',
+  tags,
+  summary: 'Update digest frequency and per-type settings',
+  description: 'Settings left out are unchanged.',
+  auth: 'required',
+  body: z.object({
+    digest_frequency: z.enum(DIGEST_FREQUENCIES, { error: `Digest frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` }).optional(),
+    types: z.strictObject(
+      Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [type, typeSetting.optional()])),
+      { error: issue => issue.code === 'unrecognized_keys' ? 'Unknown notification type' : 'Types must be an object keyed by notification type' }
+    ).optional()
+  }),
+  responses: {
+    200: z.object({ message: z.string(), preferences: Preferences })
+  }
+});
+
+const markAllRead = defineRoute({
+  method: 'put',
+  path: '/api/notifications/read-all',
+  tags,
+  summary: 'Mark every notification as read',
+  auth: 'required',
+  responses: {
+    200: z.object({ message: z.string(), count: z.number().int() })
+  }
+});
+
+const markRead = defineRoute({
+  method: 'put',
+  path: '/api/notifications/:id/read',
+  tags,
+  summary: 'Mark one notification as read',
+  auth: 'required',
+  params: idParams,
+  responses: {
+    200: z.object({
+      message: z.string(),
+      notification: z.object({ id: z.number().int(), read_at: Timestamp })
+    })
+  },
+  errors: [404]
+});
+
+module.exports = {
+  listNotifications,
+  getPreferences,
+  updatePreferences,
+  markAllRead,
+  markRead
+};
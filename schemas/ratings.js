@@ -0,0 +1,99 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { text, id, idParams, integer, pageQuery, Timestamp, Message, Pagination, embeddedUser, Reputation, RatingDistribution } = require('./common');
+
+const tags = ['Ratings'];
+
+const createRating = defineRoute({
+  method: 'post',
+  path: '/api/ratings',
+  tags,
+  summary: 'Review a skill or rate a user',
+  description: 'Give skill_id to review a skill (the rating goes to its creator) or rated_user_id to rate a user. One live review per skill and one user-level rating per user. Needs a verified email address.',
+  auth: 'required',
+  body: z.object({
+    skill_id: integer({ min: 1, message: 'Skill ID must be a valid ID' }).optional(),
+    rated_user_id: integer({ min: 1, message: 'Valid user ID is required' }).optional(),
+    rating: integer({ min: 1, max: 5, message: 'Rating must be between 1 and 5' }),
+    comment: text({ max: 500, message: 'Comment must be less than 500 characters' }).optional()
+  }).refine(body => body.skill_id !== undefined || body.rated_user_id !== undefined, {
+    error: 'Valid user ID is required',
+    path: ['rated_user_id']
+  }),
+  responses: {
+    201: z.object({
+      message: z.string(),
+      rating: z.object({
+        id: z.number().int(),
+        rated_user_id: z.number().int(),
+        skill_id: z.number().int().nullable(),
+        rating: z.number().int(),
+        comment: z.string().nullable(),
+        created_at: Timestamp,
+        skill_title: z.string().nullable(),
+        reviewer_name: z.string(),
+        reviewer_id: z.number().int()
+      })
+    })
+  },
+  errors: [403, 404, 409, 429]
+});
+
+const listRatings = defineRoute({
+  method: 'get',
+  path: '/api/ratings/:userId',
+  tags,
+  summary: 'Ratings of a user, skill reviews included, newest first',
+  auth: 'optional',
+  params: z.object({ userId: id() }),
+  query: z.object(pageQuery(10)),
+  responses: {
+    200: z.object({
+      user_name: z.string(),
+      ratings: z.array(z.object({
+        id: z.number().int(),
+        rating: z.number().int(),
+        comment: z.string().nullable(),
+        created_at: Timestamp,
+        skill_id: z.number().int().nullable(),
+        skill_title: z.string().nullable(),
+        ...embeddedUser('reviewer_'),
+        weight: z.number().meta({ description: 'How much the rating counts towards the reputation today' })
+      })),
+      stats: z.object({
+        total_ratings: z.number().int(),
+        average_rating: z.string(),
+        reputation: Reputation,
+        rating_distribution: RatingDistribution,
+        skills: z.array(z.object({
+          skill_id: z.number().int(),
+          title: z.string(),
+          average_rating: z.string(),
+          rating_count: z.number().int(),
+          reputation: z.number()
+        }))
+      }),
+      pagination: Pagination
+    })
+  },
+  errors: [404]
+});
+
+const deleteRating = defineRoute({
+  method: 'delete',
+  path: '/api/ratings/:id',
+  tags,
+  summary: 'Delete a rating',
+  description: 'The reviewer, or staff with the permission below.',
+  auth: 'required',
+  permission: 'ratings:moderate',
+  params: idParams,
+  responses: { 200: Message },
+  errors: [403, 404]
+});
+
+module.exports = {
+  createRating,
+  listRatings,
+  deleteRating
+};
@@ -0,0 +1,43 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { Skill } = require('./skills');
+const { pageQuery, Pagination, ImageUrls, embeddedUser } = require('./common');
+
+const Reason = z.object({
+  type: z.enum(['category', 'tags', 'similar_users', 'popular', 'rating', 'new']),
+  score: z.number().meta({ description: '0-1 share this reason contributed' }),
+  message: z.string(),
+  category: z.string().optional(),
+  shared_tags: z.array(z.string()).optional(),
+  similar_users: z.number().int().optional(),
+  recent_users: z.number().int().optional()
+});
+
+const listRecommendations = defineRoute({
+  method: 'get',
+  path: '/api/recommendations',
+  tags: ['Skills'],
+  summary: 'Skills suggested for me, each with the reasons it was picked',
+  description: 'Personalized from what I viewed, bookmarked and rated and from users with similar interests; popular skills until there is anything to go on.',
+  auth: 'required',
+  query: z.object(pageQuery(20, 50)),
+  responses: {
+    200: z.object({
+      strategy: z.enum(['personalized', 'popular']),
+      skills: z.array(Skill.extend({
+        ...embeddedUser('creator_'),
+        image_urls: ImageUrls,
+        average_rating: z.string(),
+        rating_count: z.number().int(),
+        reputation: z.number(),
+        score: z.number(),
+        reasons: z.array(Reason)
+      })),
+      pagination: Pagination
+    })
+  }
+});
+
+module.exports = {
+  listRecommendations
+};
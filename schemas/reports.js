@@ -0,0 +1,73 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { REPORT_REASONS, REPORT_TARGET_TYPES } = require('../services/moderation');
+const { text, integer, Timestamp } = require('./common');
+
+const tags = ['Reports'];
+
+const ReportStatus = z.enum(['open', 'resolved']);
+
+const ReportResolution = z.enum(['dismissed', 'content_hidden', 'user_deactivated']);
+
+const createReport = defineRoute({
+  method: 'post',
+  path: '/api/reports',
+  tags,
+  summary: 'Report a skill, rating or user to the moderators',
+  description: 'Needs a verified email address.',
+  auth: 'required',
+  body: z.object({
+    target_type: z.enum(REPORT_TARGET_TYPES, { error: `Target type must be one of: ${REPORT_TARGET_TYPES.join(', ')}` }),
+    target_id: integer({ min: 1, message: 'Valid target ID is required' }),
+    reason: z.enum(REPORT_REASONS, { error: `Reason must be one of: ${REPORT_REASONS.join(', ')}` }),
+    details: text({ max: 1000, message: 'Details must be less than 1000 characters' }).optional()
+      .meta({ description: 'Required when the reason is other' })
+  }).refine(body => body.reason !== 'other' || Boolean(body.details), {
+    error: 'Details are required when the reason is other',
+    path: ['details']
+  }),
+  responses: {
+    201: z.object({
+      message: z.string(),
+      report: z.object({
+        id: z.number().int(),
+        target_type: z.enum(REPORT_TARGET_TYPES),
+        target_id: z.number().int(),
+        reason: z.enum(REPORT_REASONS),
+        details: z.string().nullable(),
+        status: ReportStatus,
+        created_at: Timestamp
+      })
+    })
+  },
+  errors: [403, 404, 409, 429]
+});
+
+const listMyReports = defineRoute({
+  method: 'get',
+  path: '/api/reports',
+  tags,
+  summary: 'Reports I have made and their outcome',
+  auth: 'required',
+  responses: {
+    200: z.object({
+      reports: z.array(z.object({
+        id: z.number().int(),
+        target_type: z.enum(REPORT_TARGET_TYPES),
+        target_id: z.number().int(),
+        reason: z.enum(REPORT_REASONS),
+        status: ReportStatus,
+        resolution: ReportResolution.nullable(),
+        created_at: Timestamp,
+        resolved_at: Timestamp.nullable()
+      }))
+    })
+  }
+});
+
+module.exports = {
+  ReportStatus,
+  ReportResolution,
+  createReport,
+  listMyReports
+};
@@ -0,0 +1,308 @@
+const { z } = require('zod');
+const validator = require('validator');
+const { defineRoute } = require('../services/openapi');
+const { keyFromUrl } = require('../services/images');
+const { MAX_RADIUS_KM, DELIVERY_MODES } = require('../services/locations');
+const {
+  text, id, idParams, integer, coordinate, pageQuery, dateTime, list,
+  Timestamp, Message, Pagination, ImageUrls, embeddedUser, Reputation, RatingDistribution
+} = require('./common');
+
+const tags = ['Skills'];
+
+const SKILL_KINDS = ['offered', 'wanted'];
+
+const categoryMessage = 'Category must be between 2-50 characters';
+
+const skillBody = z.object({
+  title: text({ min: 3, max: 100, message: 'Title must be between 3-100 characters' }),
+  description: text({ min: 10, max: 1000, message: 'Description must be between 10-1000 characters' }),
+  category_id: integer({ min: 1, message: 'Category ID must be a valid ID' }).optional(),
+  category: text({ min: 2, max: 50, message: categoryMessage }).optional()
+    .meta({ description: 'Category name, slug or alias; needed unless category_id is given' }),
+  tags: z.array(z.string({ error: 'Tags must be strings' }), { error: 'Tags must be an array' }).optional(),
+  kind: z.enum(SKILL_KINDS, { error: 'Kind must be offered or wanted' }).optional(),
+  delivery: z.enum(DELIVERY_MODES, { error: `Delivery must be one of ${DELIVERY_MODES.join(', ')}` }).optional(),
+  // Either an image hosted elsewhere or the skill's own uploaded image
+  image_url: z.string({ error: 'Image URL must be a valid http(s) URL' })
+    .refine(value => keyFromUrl('skill', value) !== null ||
+      validator.isURL(value, { protocols: ['http', 'https'], require_protocol: true }),
+    { error: 'Image URL must be a valid http(s) URL' })
+    .nullable()
+    .optional()
+}).refine(body => body.category_id !== undefined || body.category !== undefined, {
+  error: categoryMessage,
+  path: ['category']
+});
+
+const SORTS = ['relevance', 'created_at', 'title', 'category', 'rating', 'reputation', 'distance'];
+
+const listQuery = z.object({
+  search: z.string().optional().meta({ description: 'Full-text search; results are ranked by relevance by default' }),
+  category: z.string().optional().meta({ description: 'Category slug or alias, including its subcategories' }),
+  tags: list().optional().meta({ description: 'Repeated or comma-separated; tag names, slugs and aliases all match, and unknown tags match no skill' }),
+  tags_mode: z.enum(['any', 'all'], { error: 'Tags mode must be any or all' }).optional(),
+  kind: z.enum(SKILL_KINDS, { error: 'Kind must be offered or wanted' }).optional(),
+  creator: id('Creator must be a valid user ID').optional(),
+  min_rating: z.coerce.number({ error: 'Minimum rating must be between 0 and 5' })
+    .min(0, { error: 'Minimum rating must be between 0 and 5' })
+    .max(5, { error: 'Minimum rating must be between 0 and 5' })
+    .optional()
+    .meta({ description: "Minimum average rating of the skill's creator, across all their ratings" }),
+  min_skill_rating: z.coerce.number({ error: 'Minimum skill rating must be between 0 and 5' })
+    .min(0, { error: 'Minimum skill rating must be between 0 and 5' })
+    .max(5, { error: 'Minimum skill rating must be between 0 and 5' })
+    .optional()
+    .meta({ description: "Minimum average rating from the skill's own reviews" }),
+  created_after: dateTime('created_after must be a valid ISO 8601 date').optional(),
+  created_before: dateTime('created_before must be a valid ISO 8601 date').optional(),
+  // Skills that can be taught this way, including those offered both ways
+  delivery: z.enum(['in_person', 'online'], { error: 'Delivery must be in_person or online' }).optional()
+    .meta({ description: 'Includes skills offered both ways' }),
+  near: text({ min: 1, max: 100, message: 'near must be a place name of up to 100 characters' }).optional()
+    .meta({ description: 'Place to measure distances from, e.g. "Leeds, GB"' }),
+  lat: coordinate(90, 'lat must be between -90 and 90').optional(),
+  lng: coordinate(180, 'lng must be between -180 and 180').optional(),
+  radius: z.coerce.number({ error: `Radius must be a distance in km up to ${MAX_RADIUS_KM}` })
+    .gt(0, { error: `Radius must be a distance in km up to ${MAX_RADIUS_KM}` })
+    .max(MAX_RADIUS_KM, { error: `Radius must be a distance in km up to ${MAX_RADIUS_KM}` })
+    .optional()
+    .meta({ description: 'Only in-person skills whose creator is within this many km' }),
+  sort: z.enum(SORTS, { error: `Sort must be one of ${SORTS.join(', ')}` }).optional(),
+  order: z.enum(['asc', 'desc', 'ASC', 'DESC'], { error: 'Order must be asc or desc' }).optional()
+    .meta({ description: 'Newest, highest or most relevant first by default; nearest first for distance' }),
+  ...pageQuery()
+}).refine(query => (query.lat === undefined) === (query.lng === undefined), {
+  error: 'lat and lng must be given together',
+  path: ['lat']
+});
+
+// A skill as stored; shared by every list of skills
+const Skill = z.object({
+  id: z.number().int(),
+  title: z.string(),
+  description: z.string(),
+  category: z.string(),
+  category_id: z.number().int().nullable(),
+  tags: z.array(z.string()),
+  kind: z.enum(SKILL_KINDS),
+  delivery: z.enum(DELIVERY_MODES),
+  image_url: z.string().nullable(),
+  created_at: Timestamp
+});
+
+const Facet = z.object({ value: z.string(), count: z.number().int() });
+
+const listSkills = defineRoute({
+  method: 'get',
+  path: '/api/skills',
+  tags,
+  summary: 'Search and filter skills',
+  description: 'Distances are measured from `near`, `lat` and `lng`, or else the caller\'s own profile location, to creators whose location the caller may see. Facets count the whole filtered set.',
+  auth: 'optional',
+  query: listQuery,
+  responses: {
+    200: z.object({
+      skills: z.array(Skill.extend({
+        ...embeddedUser('creator_'),
+        image_urls: ImageUrls,
+        average_rating: z.string(),
+        rating_count: z.number().int(),
+        reputation: z.number(),
+        relevance: z.number().optional().meta({ description: 'When searching' }),
+        distance_km: z.number().nullable().optional()
+          .meta({ description: 'When there is an origin; null if the creator\'s location is hidden or unknown' }),
+        title_highlight: z.string().optional(),
+        description_snippet: z.string().optional()
+      })),
+      facets: z.object({
+        categories: z.array(Facet),
+        tags: z.array(Facet)
+      }),
+      pagination: Pagination
+    })
+  }
+});
+
+const getSkill = defineRoute({
+  method: 'get',
+  path: '/api/skills/:id',
+  tags,
+  summary: 'Get a skill with its own and its creator\'s reputation',
+  auth: 'optional',
+  params: idParams,
+  responses: {
+    200: Skill.extend({
+      image_urls: ImageUrls,
+      updated_at: Timestamp,
+      ...embeddedUser('creator_'),
+      average_rating: z.string(),
+      rating_count: z.number().int(),
+      reputation: Reputation,
+      creator_rating: z.string(),
+      creator_rating_count: z.number().int(),
+      creator_reputation: Reputation,
+      bookmarked: z.boolean()
+    })
+  },
+  errors: [404]
+});
+
+const listReviews = defineRoute({
+  method: 'get',
+  path: '/api/skills/:id/reviews',
+  tags,
+  summary: 'Reviews of a skill, newest first',
+  auth: 'optional',
+  params: idParams,
+  query: z.object(pageQuery(10)),
+  responses: {
+    200: z.object({
+      skill_title: z.string(),
+      reviews: z.array(z.object({
+        id: z.number().int(),
+        rating: z.number().int(),
+        comment: z.string().nullable(),
+        created_at: Timestamp,
+        ...embeddedUser('reviewer_'),
+        weight: z.number().meta({ description: 'How much the review counts towards the reputation today' })
+      })),
+      stats: z.object({
+        total_ratings: z.number().int(),
+        average_rating: z.string(),
+        reputation: Reputation,
+        rating_distribution: RatingDistribution
+      }),
+      pagination: Pagination
+    })
+  },
+  errors: [404]
+});
+
+const SavedSkill = Skill.extend({
+  creator_name: z.string(),
+  creator_id: z.number().int()
+});
+
+const createSkill = defineRoute({
+  method: 'post',
+  path: '/api/skills',
+  tags,
+  summary: 'Create a skill',
+  description: 'Needs a verified email address. Upload an image with POST /api/skills/{id}/image once the skill exists.',
+  auth: 'required',
+  body: skillBody,
+  responses: {
+    201: z.object({ message: z.string(), skill: SavedSkill })
+  },
+  errors: [403, 429]
+});
+
+const updateSkill = defineRoute({
+  method: 'put',
+  path: '/api/skills/:id',
+  tags,
+  summary: 'Replace a skill',
+  description: 'The creator, or staff with the permission below.',
+  auth: 'required',
+  permission: 'skills:moderate',
+  params: idParams,
+  body: skillBody,
+  responses: {
+    200: z.object({
+      message: z.string(),
+      skill: Skill.omit({ created_at: true }).extend({ updated_at: Timestamp })
+    })
+  },
+  errors: [403, 404]
+});
+
+const bookmark = defineRoute({
+  method: 'post',
+  path: '/api/skills/:id/bookmark',
+  tags,
+  summary: 'Save a skill for later',
+  description: 'Bookmarking again is a no-op (200).',
+  auth: 'required',
+  params: idParams,
+  responses: {
+    200: z.object({ message: z.string(), bookmarked: z.literal(true) }),
+    201: z.object({ message: z.string(), bookmarked: z.literal(true) })
+  },
+  errors: [404]
+});
+
+const removeBookmark = defineRoute({
+  method: 'delete',
+  path: '/api/skills/:id/bookmark',
+  tags,
+  summary: 'Remove a bookmark',
+  description: 'Also works once the skill itself has been deleted.',
+  auth: 'required',
+  params: idParams,
+  responses: {
+    200: z.object({ message: z.string(), bookmarked: z.literal(false) })
+  },
+  errors: [404]
+});
+
+const uploadImage = defineRoute({
+  method: 'post',
+  path: '/api/skills/:id/image',
+  tags,
+  summary: 'Upload the skill\'s image',
+  auth: 'required',
+  permission: 'skills:moderate',
+  description: 'The creator, or staff with the permission below.',
+  params: idParams,
+  upload: 'image',
+  responses: {
+    200: z.object({ message: z.string(), image_url: z.string(), image_urls: ImageUrls })
+  },
+  errors: [403, 404, 413, 415, 429]
+});
+
+const removeImage = defineRoute({
+  method: 'delete',
+  path: '/api/skills/:id/image',
+  tags,
+  summary: 'Remove the skill\'s image',
+  auth: 'required',
+  permission: 'skills:moderate',
+  description: 'The creator, or staff with the permission below.',
+  params: idParams,
+  responses: { 200: Message },
+  errors: [403, 404]
+});
+
+const deleteSkill = defineRoute({
+  method: 'delete',
+  path: '/api/skills/:id',
+  tags,
+  summary: 'Delete a skill',
+  auth: 'required',
+  permission: 'skills:moderate',
+  description: 'The creator, or staff with the permission below.',
+  params: idParams,
+  responses: {
+    200: z.object({
+      message: z.string(),
+      skill: z.object({ id: z.number().int(), title: z.string() })
+    })
+  },
+  errors: [403, 404]
+});
+
+module.exports = {
+  Skill,
+  listSkills,
+  getSkill,
+  listReviews,
+  createSkill,
+  updateSkill,
+  bookmark,
+  removeBookmark,
+  uploadImage,
+  removeImage,
+  deleteSkill
+};
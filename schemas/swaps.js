@@ -0,0 +1,142 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+const { text, idParams, integer, pageQuery, dateTime, Timestamp, Pagination } = require('./common');
+
+const tags = ['Swaps'];
+
+const SWAP_STATUSES = ['proposed', 'accepted', 'declined', 'scheduled', 'completed', 'cancelled'];
+
+const SwapStatus = z.enum(SWAP_STATUSES);
+
+// A swap with the names of both parties and the titles of both skills
+const Swap = z.object({
+  id: z.number().int(),
+  status: SwapStatus,
+  message: z.string().nullable(),
+  scheduled_at: Timestamp.nullable(),
+  cancelled_by: z.number().int().nullable(),
+  created_at: Timestamp,
+  updated_at: Timestamp,
+  requester_id: z.number().int(),
+  requester_name: z.string(),
+  recipient_id: z.number().int(),
+  recipient_name: z.string(),
+  offered_skill_id: z.number().int(),
+  offered_skill_title: z.string(),
+  requested_skill_id: z.number().int(),
+  requested_skill_title: z.string()
+}).meta({ id: 'Swap' });
+
+const proposeSwap = defineRoute({
+  method: 'post',
+  path: '/api/swaps',
+  tags,
+  summary: 'Propose a swap of one of my skills for someone else\'s',
+  description: 'Needs a verified email address.',
+  auth: 'required',
+  body: z.object({
+    offered_skill_id: integer({ min: 1, message: 'Valid offered skill ID is required' }),
+    requested_skill_id: integer({ min: 1, message: 'Valid requested skill ID is required' }),
+    message: text({ max: 1000, message: 'Message must be less than 1000 characters' }).optional()
+  }),
+  responses: {
+    201: z.object({
+      message: z.string(),
+      swap: z.object({
+        id: z.number().int(),
+        requester_id: z.number().int(),
+        recipient_id: z.number().int(),
+        offered_skill_id: z.number().int(),
+        requested_skill_id: z.number().int(),
+        message: z.string().nullable(),
+        status: SwapStatus,
+        created_at: Timestamp
+      })
+    })
+  },
+  errors: [403, 404, 409]
+});
+
+const listSwaps = defineRoute({
+  method: 'get',
+  path: '/api/swaps',
+  tags,
+  summary: 'List my incoming and outgoing swaps, most recently updated first',
+  auth: 'required',
+  query: z.object({
+    direction: z.enum(['all', 'incoming', 'outgoing'], { error: 'Direction must be all, incoming or outgoing' }).default('all'),
+    status: z.enum(SWAP_STATUSES, { error: `Status must be one of ${SWAP_STATUSES.join(', ')}` }).optional(),
+    ...pageQuery()
+  }),
+  responses: {
+    200: z.object({
+      swaps: z.array(Swap.extend({ direction: z.enum(['incoming', 'outgoing']) })),
+      pagination: Pagination
+    })
+  }
+});
+
+const getSwap = defineRoute({
+  method: 'get',
+  path: '/api/swaps/:id',
+  tags,
+  summary: 'Get a swap',
+  description: 'Its two parties, or staff with the permission below.',
+  auth: 'required',
+  permission: 'swaps:read',
+  params: idParams,
+  responses: { 200: Swap },
+  errors: [403, 404]
+});
+
+const Transitioned = z.object({
+  message: z.string(),
+  swap: z.object({
+    id: z.number().int(),
+    requester_id: z.number().int(),
+    recipient_id: z.number().int(),
+    offered_skill_id: z.number().int(),
+    requested_skill_id: z.number().int(),
+    message: z.string().nullable(),
+    status: SwapStatus,
+    scheduled_at: Timestamp.nullable(),
+    cancelled_by: z.number().int().nullable(),
+    updated_at: Timestamp
+  })
+});
+
+const transition = (action, summary, description, body) => defineRoute({
+  method: 'put',
+  path: `/api/swaps/:id/${action}`,
+  tags,
+  summary,
+  description,
+  auth: 'required',
+  params: idParams,
+  body,
+  responses: { 200: Transitioned },
+  errors: [403, 404, 409]
+});
+
+const acceptSwap = transition('accept', 'Accept a proposed swap', 'The recipient only.');
+
+const declineSwap = transition('decline', 'Decline a proposed swap', 'The recipient only.');
+
+const scheduleSwap = transition('schedule', 'Set or move the session time', 'Either party, once accepted.', z.object({
+  scheduled_at: dateTime('Scheduled time must be a valid ISO 8601 date')
+}));
+
+const completeSwap = transition('complete', 'Mark a scheduled swap as done', 'Either party.');
+
+const cancelSwap = transition('cancel', 'Cancel an open swap', 'Either party; the recipient of a pending proposal declines it instead.');
+
+module.exports = {
+  proposeSwap,
+  listSwaps,
+  getSwap,
+  acceptSwap,
+  declineSwap,
+  scheduleSwap,
+  completeSwap,
+  cancelSwap
+};
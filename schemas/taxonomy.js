@@ -0,0 +1,52 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+
+const tags = ['Taxonomy'];
+
+const CategoryNode = z.object({
+  id: z.number().int(),
+  name: z.string(),
+  slug: z.string(),
+  parent_id: z.number().int().nullable(),
+  skill_count: z.number().int(),
+  get children() {
+    return z.array(CategoryNode);
+  }
+}).meta({ id: 'CategoryNode' });
+
+const Tag = z.object({
+  id: z.number().int(),
+  name: z.string(),
+  slug: z.string(),
+  aliases: z.array(z.string())
+}).meta({ id: 'Tag' });
+
+const listCategories = defineRoute({
+  method: 'get',
+  path: '/api/taxonomy/categories',
+  tags,
+  summary: 'Active categories as a tree',
+  responses: {
+    200: z.object({ categories: z.array(CategoryNode) })
+  }
+});
+
+const listTags = defineRoute({
+  method: 'get',
+  path: '/api/taxonomy/tags',
+  tags,
+  summary: 'Active tags with their aliases',
+  query: z.object({
+    search: z.string().optional().meta({ description: 'Tags whose slug starts with this' })
+  }),
+  responses: {
+    200: z.object({ tags: z.array(Tag) })
+  }
+});
+
+module.exports = {
+  CategoryNode,
+  Tag,
+  listCategories,
+  listTags
+};
@@ -0,0 +1,22 @@
+const { z } = require('zod');
+const { defineRoute } = require('../services/openapi');
+
+const getUpload = defineRoute({
+  method: 'get',
+  path: '/api/uploads/:key(*)',
+  tags: ['Uploads'],
+  summary: 'Serve an uploaded image',
+  description: 'Every upload gets a fresh key, so a file never changes and may be cached for good. Only used with local storage; other storage backends serve their own URLs.',
+  params: z.object({
+    key: z.string().meta({ description: 'Storage key, as in the URLs the API returns. It contains slashes, which may be sent as they are or percent-encoded (%2F).' })
+  }),
+  responses: {
+    200: { contentType: 'image/*', description: 'The image' },
+    304: { contentType: 'image/*', description: 'Not modified since the ETag sent in If-None-Match' }
+  },
+  errors: [404]
+});
+
+module.exports = {
+  getUpload
+};
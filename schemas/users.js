@@ -0,0 +1,334 @@
+const { z } = require('zod');
+const validator = require('validator');
+const { defineRoute } = require('../services/openapi');
+const { keyFromUrl } = require('../services/images');
+const { VISIBILITY_LEVELS, PRIVACY_SETTINGS } = require('../services/profiles');
+const { LOCATION_PRECISIONS } = require('../services/locations');
+const {
+  text, idParams, coordinate, pageQuery, Timestamp, Message, Pagination,
+  ImageUrls, Privacy, Geo, PublicUser, embeddedUser, Reputation
+} = require('./common');
+
+const tags = ['Users'];
+
+const privacyMessage = `Privacy settings are ${Object.keys(PRIVACY_SETTINGS).join(', ')}`;
+
+const updateProfileBody = z.object({
+  name: text({ min: 2, message: 'Name must be at least 2 characters' }).optional(),
+  bio: text({ max: 500, message: 'Bio must be less than 500 characters' }).optional(),
+  location: text({ max: 100, message: 'Location must be less than 100 characters' }).optional()
+    .meta({ description: 'Geocoded to a city unless latitude and longitude are given; an empty string clears it' }),
+  latitude: coordinate(90, 'Latitude must be between -90 and 90').optional(),
+  longitude: coordinate(180, 'Longitude must be between -180 and 180').optional(),
+  location_precision: z.enum(LOCATION_PRECISIONS, { error: `Location precision must be one of ${LOCATION_PRECISIONS.join(', ')}` }).optional(),
+  website: z.string({ error: 'Website must be a valid URL' })
+    .refine(value => validator.isURL(value), { error: 'Website must be a valid URL' })
+    .optional(),
+  // Either an image hosted elsewhere or one of our own avatar upload URLs
+  avatar_url: z.string({ error: 'Avatar URL must be a valid http(s) URL' })
+    .refine(value => keyFromUrl('avatar', value) !== null ||
+      validator.isURL(value, { protocols: ['http', 'https'], require_protocol: true }),
+    { error: 'Avatar URL must be a valid http(s) URL' })
+    .nullable()
+    .optional(),
+  // Settings left out are unchanged
+  privacy: z.strictObject(
+    Object.fromEntries(Object.keys(PRIVACY_SETTINGS).map(setting => [
+      setting,
+      z.enum(VISIBILITY_LEVELS, { error: `Visibility must be one of ${VISIBILITY_LEVELS.join(', ')}` }).optional()
+    ])),
+    { error: issue => issue.code === 'unrecognized_keys' ? privacyMessage : 'Privacy must be an object' }
+  ).optional()
+})
+  // Coordinates are only taken together, with the location they belong to
+  .refine(body =>
+    (body.latitude === undefined) === (body.longitude === undefined) &&
+    (body.latitude === undefined || body.location !== undefined), {
+    error: 'Latitude and longitude must be given together, with a location',
+    path: ['latitude']
+  });
+
+const Balance = {
+  balance: z.string().meta({ description: 'Hours, to two decimals' }),
+  reserved: z.string().meta({ description: 'Hours held by confirmed bookings not yet settled' }),
+  available: z.string()
+};
+
+const StatementEntry = z.object({
+  id: z.number().int(),
+  amount: z.string(),
+  balance_after: z.string(),
+  created_at: Timestamp,
+  transaction_id: z.number().int(),
+  kind: z.string(),
+  memo: z.string().nullable(),
+  booking_id: z.number().int().nullable(),
+  counterparty: z.string().nullable()
+});
+
+const FollowList = z.object({
+  users: z.array(PublicUser.extend({ followed_at: Timestamp })),
+  pagination: Pagination
+});
+
+const getUser = defineRoute({
+  method: 'get',
+  path: '/api/users/:id',
+  tags,
+  summary: 'Get a profile with recent ratings',
+  description: "What is shown depends on the user's privacy settings and whether the caller is signed in.",
+  auth: 'optional',
+  params: idParams,
+  responses: {
+    200: z.object({
+      user: PublicUser.extend({
+        bio: z.string().nullable(),
+        created_at: Timestamp,
+        average_rating: z.string(),
+        total_ratings: z.number().int(),
+        reputation: Reputation,
+        followers_count: z.number().int(),
+        following_count: z.number().int(),
+        followed_by_me: z.boolean()
+      }),
+      skills: z.array(z.object({
+        id: z.number().int(),
+        title: z.string(),
+        category: z.string(),
+        created_at: Timestamp
+      })),
+      recent_ratings: z.array(z.object({
+        id: z.number().int(),
+        rating: z.number().int(),
+        comment: z.string().nullable(),
+        created_at: Timestamp,
+        skill_id: z.number().int().nullable(),
+        skill_title: z.string().nullable(),
+        ...embeddedUser('reviewer_')
+      }))
+    })
+  },
+  errors: [404]
+});
+
+const updateUser = defineRoute({
+  method: 'put',
+  path: '/api/users/:id',
+  tags,
+  summary: 'Update a profile',
+  auth: 'required',
+  permission: 'users:edit',
+  description: 'The owner, or staff with the permission below. Fields left out are unchanged.',
+  params: idParams,
+  body: updateProfileBody,
+  responses: {
+    200: z.object({
+      message: z.string(),
+      user: z.object({
+        id: z.number().int(),
+        name: z.string(),
+        email: z.string(),
+        bio: z.string().nullable(),
+        location: z.string().nullable(),
+        location_precision: z.enum(LOCATION_PRECISIONS),
+        website: z.string().nullable(),
+        avatar_url: z.string().nullable(),
+        updated_at: Timestamp,
+        geo: Geo.nullable(),
+        privacy: Privacy
+      })
+    })
+  },
+  errors: [403, 404]
+});
+
+const follow = defineRoute({
+  method: 'post',
+  path: '/api/users/:id/follow',
+  tags,
+  summary: 'Follow a user',
+  description: 'Their new and updated skills show up in GET /api/feed. Following again is a no-op (200). Needs a verified email address.',
+  auth: 'required',
+  params: idParams,
+  responses: {
+    200: z.object({ message: z.string(), following: z.literal(true) }),
+    201: z.object({ message: z.string(), following: z.literal(true) })
+  },
+  errors: [403, 404, 429]
+});
+
+const unfollow = defineRoute({
+  method: 'delete',
+  path: '/api/users/:id/follow',
+  tags,
+  summary: 'Unfollow a user',
+  auth: 'required',
+  params: idParams,
+  responses: {
+    200: z.object({ message: z.string(), following: z.literal(false) })
+  },
+  errors: [404]
+});
+
+const followers = defineRoute({
+  method: 'get',
+  path: '/api/users/:id/followers',
+  tags,
+  summary: 'Who follows the user',
+  auth: 'optional',
+  params: idParams,
+  query: z.object(pageQuery()),
+  responses: { 200: FollowList },
+  errors: [404]
+});
+
+const following = defineRoute({
+  method: 'get',
+  path: '/api/users/:id/following',
+  tags,
+  summary: 'Who the user follows',
+  auth: 'optional',
+  params: idParams,
+  query: z.object(pageQuery()),
+  responses: { 200: FollowList },
+  errors: [404]
+});
+
+const exportData = defineRoute({
+  method: 'get',
+  path: '/api/users/:id/export',
+  tags,
+  summary: 'Download everything stored about the user as JSON',
+  auth: 'required',
+  permission: 'users:export',
+  description: 'The owner, or staff with the permission below.',
+  params: idParams,
+  responses: {
+    200: z.looseObject({
+      format: z.literal('skillswap-export'),
+      version: z.number().int(),
+      exported_at: Timestamp,
+      profile: z.looseObject({ id: z.number().int(), avatar_urls: ImageUrls })
+    }).meta({ description: 'One array per kind of record besides the profile' })
+  },
+  errors: [403, 404, 429]
+});
+
+const balance = defineRoute({
+  method: 'get',
+  path: '/api/users/:id/balance',
+  tags,
+  summary: 'Time-credit balance',
+  auth: 'required',
+  permission: 'users:read',
+  description: 'The owner, or staff with the permission below.',
+  params: idParams,
+  responses: { 200: z.object(Balance) },
+  errors: [403]
+});
+
+const statement = defineRoute({
+  method: 'get',
+  path: '/api/users/:id/statement',
+  tags,
+  summary: 'Time-credit ledger entries, newest first',
+  auth: 'required',
+  permission: 'users:read',
+  description: 'The owner, or staff with the permission below.',
+  params: idParams,
+  query: z.object(pageQuery()),
+  responses: {
+    200: z.object({
+      ...Balance,
+      entries: z.array(StatementEntry),
+      pagination: Pagination
+    })
+  },
+  errors: [403]
+});
+
+const uploadAvatar = defineRoute({
+  method: 'post',
+  path: '/api/users/:id/avatar',
+  tags,
+  summary: 'Upload a profile picture',
+  auth: 'required',
+  permission: 'users:edit',
+  params: idParams,
+  upload: 'image',
+  responses: {
+    200: z.object({ message: z.string(), avatar_url: z.string(), avatar_urls: ImageUrls })
+  },
+  errors: [403, 404, 413, 415, 429]
+});
+
+const removeAvatar = defineRoute({
+  method: 'delete',
+  path: '/api/users/:id/avatar',
+  tags,
+  summary: 'Remove the profile picture',
+  auth: 'required',
+  permission: 'users:edit',
+  params: idParams,
+  responses: { 200: Message },
+  errors: [403, 404]
+});
+
+const ScheduledErasure = z.object({
+  id: z.number().int(),
+  name: z.string(),
+  email: z.string(),
+  erasure_scheduled_for: Timestamp.nullable()
+});
+
+const deleteUser = defineRoute({
+  method: 'delete',
+  path: '/api/users/:id',
+  tags,
+  summary: 'Delete an account',
+  description: 'Owners deleting their own account: it is deactivated now and its personal data erased after a grace period; signing in before then restores it. Staff with the permission below only deactivate someone else\'s account, which can be reversed; erasing it is POST /api/users/{id}/erasure.',
+  auth: 'required',
+  permission: 'users:deactivate',
+  params: idParams,
+  responses: {
+    200: z.object({
+      message: z.string(),
+      user: ScheduledErasure
+    })
+  },
+  errors: [403, 404]
+});
+
+const scheduleErasure = defineRoute({
+  method: 'post',
+  path: '/api/users/:id/erasure',
+  tags,
+  summary: "Delete someone else's account on their request",
+  description: 'The account is deactivated now and its personal data erased after a grace period.',
+  auth: 'required',
+  permission: 'users:erase',
+  params: idParams,
+  responses: {
+    200: z.object({
+      message: z.string(),
+      user: ScheduledErasure
+    })
+  },
+  errors: [403, 404]
+});
+
+module.exports = {
+  getUser,
+  updateUser,
+  follow,
+  unfollow,
+  followers,
+  following,
+  exportData,
+  balance,
+  statement,
+  uploadAvatar,
+  removeAvatar,
+  deleteUser,
+  scheduleErasure
+};
@@ -1,7 +1,8 @@
+const http = require('http');
 const express = require('express');
+const { Server } = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 require('dotenv').config();
 
 // Import routes
@@ -10,18 +11,54 @@ const userRoutes = require('./routes/users');
 const skillRoutes = require('./routes/skills');
 const ratingRoutes = require('./routes/ratings');
 const adminRoutes = require('./routes/admin');
+const swapRoutes = require('./routes/swaps');
+const conversationRoutes = require('./routes/conversations');
+const matchRoutes = require('./routes/matches');
+const taxonomyRoutes = require('./routes/taxonomy');
+const availabilityRoutes = require('./routes/availability');
+const bookingRoutes = require('./routes/bookings');
+const calendarRoutes = require('./routes/calendar');
+const notificationRoutes = require('./routes/notifications');
+const reportRoutes = require('./routes/reports');
+const uploadRoutes = require('./routes/uploads');
+const bookmarkRoutes = require('./routes/bookmarks');
+const feedRoutes = require('./routes/feed');
+const recommendationRoutes = require('./routes/recommendations');
+const docsRoutes = require('./routes/docs');
+const metricsRoutes = require('./routes/metrics');
 const { connectDB } = require('./config/database');
+const { registerChatNamespace } = require('./socket/chat');
+const { startDigestScheduler } = require('./services/digest');
+const { validate } = require('./middleware/validate');
+const { requestContext } = require('./middleware/requestContext');
+const { logger } = require('./services/logger');
+const metaSchemas = require('./schemas/meta');
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 5000;
 
+// Socket.io server for real-time messaging
+const io = new Server(server, {
+  cors: {
+    origin: process.env.FRONTEND_URL || 'http://localhost:5173',
+    credentials: true
+  }
+});
+app.set('chat', registerChatNamespace(io));
 
+// Needed for req.ip to be the client address behind a reverse proxy
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY || '0'));
+
+// Request IDs, request logging and latency metrics
+app.use(requestContext);
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  // Let the browser app read how long to back off after a 429
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Request-Id']
 }));
-app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -31,8 +68,23 @@ app.use('/api/users', userRoutes);
 app.use('/api/skills', skillRoutes);
 app.use('/api/ratings', ratingRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/swaps', swapRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/matches', matchRoutes);
+app.use('/api/taxonomy', taxonomyRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/recommendations', recommendationRoutes);
+app.use('/api', docsRoutes);
+app.use('/api/metrics', metricsRoutes);
 
-app.get('/api/health', (req, res) => {
+app.get('/api/health', validate(metaSchemas.health), (req, res) => {
   res.json({ 
     status: 'OK', 
     message: 'SkillSwap API is running',
@@ -42,7 +94,7 @@ app.get('/api/health', (req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('Error:', err.message);
+  logger.error({ err }, 'Unhandled error');
   res.status(err.status || 500).json({
     error: {
       message: err.message || 'Internal Server Error',
@@ -64,17 +116,30 @@ app.use('*', (req, res) => {
 const startServer = async () => {
   try {
     await connectDB();
-    console.log(' Database connected successfully');
-    
-    app.listen(PORT, () => {
-      console.log(` SkillSwap API server running on http://localhost:${PORT}`);
-      console.log(` Frontend: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
-      console.log(` Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info('Database connected successfully');
+
+    startDigestScheduler();
+
+    server.listen(PORT, () => {
+      logger.info({
+        port: PORT,
+        frontend: process.env.FRONTEND_URL || 'http://localhost:5173',
+        environment: process.env.NODE_ENV || 'development'
+      }, 'SkillSwap API server running');
     });
   } catch (error) {
-    console.error(' Failed to start server:', error.message);
+    logger.fatal({ err: error }, 'Failed to start server');
     process.exit(1);
   }
 };
 
-startServer();
\ No newline at end of file
+// Started by `npm start`; tests require the app and listen themselves
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  server,
+  io
+};
@@ -0,0 +1,127 @@
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+
+const insertAuditEntry = (db, req, { action, targetType, targetId = null, before = null, after = null }) => db.query(`
+  INSERT INTO audit_log (actor_id, actor_name, actor_role, action, target_type, target_id, before, after, ip_address, user_agent, created_at)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+`, [
+  req && req.user ? req.user.id : null,
+  req && req.user ? req.user.name : null,
+  req && req.user ? req.user.role : null,
+  action,
+  targetType,
+  targetId,
+  before === null ? null : JSON.stringify(before),
+  after === null ? null : JSON.stringify(after),
+  req ? req.ip || null : null,
+  req ? (req.get('user-agent') || '').slice(0, 500) || null : null
+]);
+
+// Record a privileged or destructive action taken by req.user (req is null
+// for scheduled jobs). The action has already happened by the time this runs,
+// so a failure to write the entry is logged rather than turned into an error
+// response.
+const recordAudit = async (req, entry) => {
+  try {
+    await insertAuditEntry({ query }, req, entry);
+  } catch (error) {
+    logger.error({ err: error }, `Audit ${entry.action} error`);
+  }
+};
+
+// Record the action as part of the transaction on `client` that performs it,
+// so the action and its entry commit or roll back together
+const recordAuditInTransaction = (client, req, entry) => insertAuditEntry(client, req, entry);
+
+// Redact what the audit log holds about an erased user: the snapshots of
+// their profile and content, and their name and connection details as an
+// actor. Runs in the erasure transaction; see migration 015.
+const redactUserAuditEntries = async (client, userId, erasedName) => {
+  await client.query("SELECT set_config('app.audit_redaction', 'on', true)");
+
+  await client.query(`
+    UPDATE audit_log SET before = NULL, after = NULL
+    WHERE (before IS NOT NULL OR after IS NOT NULL) AND (
+      (target_type = 'user' AND target_id = $1)
+      OR (target_type = 'skill' AND target_id IN (SELECT id FROM skills WHERE created_by = $1))
+      OR (target_type = 'rating' AND target_id IN (SELECT id FROM ratings WHERE reviewer_id = $1 OR rated_user_id = $1))
+      OR (target_type = 'report' AND target_id IN (SELECT id FROM reports WHERE target_user_id = $1))
+    )
+  `, [userId]);
+
+  await client.query(
+    'UPDATE audit_log SET actor_name = $2, ip_address = NULL, user_agent = NULL WHERE actor_id = $1',
+    [userId, erasedName]
+  );
+};
+
+// filters: { actor_id, action, target_type, target_id, from, to }
+const buildAuditFilters = (filters) => {
+  const conditions = [];
+  const params = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.actor_id) add('actor_id = ?', parseInt(filters.actor_id));
+  if (filters.action) add('action = ?', filters.action);
+  if (filters.target_type) add('target_type = ?', filters.target_type);
+  if (filters.target_id) add('target_id = ?', parseInt(filters.target_id));
+  if (filters.from) add('created_at >= ?', new Date(filters.from).toISOString());
+  if (filters.to) add('created_at <= ?', new Date(filters.to).toISOString());
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+const AUDIT_COLUMNS = [
+  'id', 'created_at', 'actor_id', 'actor_name', 'actor_role', 'action',
+  'target_type', 'target_id', 'before', 'after', 'ip_address', 'user_agent'
+];
+
+const listAuditEntries = async (filters, { limit = 50, offset = 0 } = {}) => {
+  const { where, params } = buildAuditFilters(filters);
+
+  const countResult = await query(`SELECT COUNT(id) as total FROM audit_log ${where}`, params);
+
+  const result = await query(`
+    SELECT ${AUDIT_COLUMNS.join(', ')}
+    FROM audit_log
+    ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return {
+    entries: result.rows,
+    total: parseInt(countResult.rows[0].total)
+  };
+};
+
+// RFC 4180 quoting; values starting with = + - @ are prefixed with ' so
+// spreadsheets do not run them as formulas
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toAuditCsv = (entries) => [
+  AUDIT_COLUMNS.join(','),
+  ...entries.map(entry => AUDIT_COLUMNS.map(column => csvValue(entry[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+  recordAudit,
+  recordAuditInTransaction,
+  redactUserAuditEntries,
+  listAuditEntries,
+  toAuditCsv
+};
@@ -0,0 +1,101 @@
+const { query } = require('../config/database');
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// "09:30" or "09:30:00" -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Wall-clock date, weekday and minutes of an instant in a time zone
+const zonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+// Local window of [startsAt, endsAt) in a zone, or null if it crosses midnight
+const localWindow = (startsAt, endsAt, timeZone) => {
+  const start = zonedParts(startsAt, timeZone);
+  const end = zonedParts(endsAt, timeZone);
+  const endMinutes = end.minutes === 0 && end.date !== start.date ? 24 * 60 : end.minutes;
+
+  if (end.date !== start.date && endMinutes !== 24 * 60) {
+    return null;
+  }
+
+  return { date: start.date, dayOfWeek: start.dayOfWeek, start: start.minutes, end: endMinutes };
+};
+
+const covers = (window, startTime, endTime) => (
+  toMinutes(startTime) <= window.start && toMinutes(endTime) >= window.end
+);
+
+const overlaps = (window, startTime, endTime) => (
+  toMinutes(startTime) < window.end && toMinutes(endTime) > window.start
+);
+
+// Whether [startsAt, endsAt) falls inside one of the user's weekly slots, or an
+// "available" exception, without hitting an "unavailable" exception
+const isWithinAvailability = async (userId, startsAt, endsAt) => {
+  const slots = await query(
+    'SELECT day_of_week, start_time, end_time, time_zone FROM availability_slots WHERE user_id = $1',
+    [userId]
+  );
+
+  const exceptions = await query(`
+    SELECT date::text as date, kind, start_time, end_time, time_zone
+    FROM availability_exceptions
+    WHERE user_id = $1 AND date BETWEEN ($2::timestamptz - INTERVAL '1 day')::date AND ($3::timestamptz + INTERVAL '1 day')::date
+  `, [userId, startsAt.toISOString(), endsAt.toISOString()]);
+
+  const blocked = exceptions.rows.some(exception => {
+    if (exception.kind !== 'unavailable') return false;
+    const window = localWindow(startsAt, endsAt, exception.time_zone);
+    if (!window || window.date !== exception.date) return false;
+    return exception.start_time === null || overlaps(window, exception.start_time, exception.end_time);
+  });
+
+  if (blocked) return false;
+
+  const extraHours = exceptions.rows.some(exception => {
+    if (exception.kind !== 'available') return false;
+    const window = localWindow(startsAt, endsAt, exception.time_zone);
+    return window && window.date === exception.date && covers(window, exception.start_time, exception.end_time);
+  });
+
+  if (extraHours) return true;
+
+  return slots.rows.some(slot => {
+    const window = localWindow(startsAt, endsAt, slot.time_zone);
+    return window && window.dayOfWeek === slot.day_of_week && covers(window, slot.start_time, slot.end_time);
+  });
+};
+
+module.exports = {
+  isValidTimeZone,
+  toMinutes,
+  zonedParts,
+  isWithinAvailability
+};
@@ -0,0 +1,76 @@
+// Booking lifecycle beyond creating one: cancelling, and expiring sessions
+// that finished but were never confirmed by the learner.
+//
+// A confirmed booking holds its learner's hour-credits (see services/ledger)
+// and, when it belongs to a swap, keeps that swap 'scheduled'. Cancelling or
+// expiring it releases both.
+const { withTransaction } = require('../config/database');
+const { envNumber } = require('./limiter');
+
+// Days the learner has after a session ends to confirm it took place
+const bookingExpiryDays = () => envNumber('BOOKING_EXPIRY_DAYS', 14);
+
+// Bring a swap's schedule in line with its bookings: the next confirmed
+// session, or back to 'accepted' if none is left and none took place
+const syncSwapSchedule = async (client, swapId) => {
+  await client.query(`
+    WITH sessions AS (
+      SELECT
+        MIN(starts_at) FILTER (WHERE status = 'confirmed') as next_starts_at,
+        COUNT(id) FILTER (WHERE status = 'completed') as completed
+      FROM bookings
+      WHERE swap_id = $1
+    )
+    UPDATE swaps sw
+    SET status = CASE WHEN sessions.next_starts_at IS NULL THEN 'accepted' ELSE sw.status END,
+      scheduled_at = sessions.next_starts_at,
+      updated_at = NOW()
+    FROM sessions
+    WHERE sw.id = $1 AND sw.status = 'scheduled'
+      AND (sessions.next_starts_at IS NOT NULL OR sessions.completed = 0)
+  `, [swapId]);
+};
+
+// Cancel an upcoming booking `userId` takes part in. Returns null if there is
+// no such booking.
+const cancelBooking = (bookingId, userId) => withTransaction(async (client) => {
+  const result = await client.query(`
+    UPDATE bookings
+    SET status = 'cancelled', cancelled_by = $2, updated_at = NOW()
+    WHERE id = $1 AND status = 'confirmed' AND ends_at > NOW()
+      AND (teacher_id = $2 OR learner_id = $2)
+    RETURNING id, skill_id, teacher_id, learner_id, swap_id, starts_at, ends_at, status, cancelled_by, updated_at
+  `, [bookingId, userId]);
+
+  const booking = result.rows[0];
+  if (!booking) return null;
+
+  if (booking.swap_id) {
+    await syncSwapSchedule(client, booking.swap_id);
+  }
+
+  return booking;
+});
+
+// Expire sessions the learner never confirmed within bookingExpiryDays()
+const expireStaleBookings = () => withTransaction(async (client) => {
+  const result = await client.query(`
+    UPDATE bookings
+    SET status = 'expired', updated_at = NOW()
+    WHERE status = 'confirmed' AND ends_at <= NOW() - make_interval(days => $1)
+    RETURNING id, swap_id
+  `, [bookingExpiryDays()]);
+
+  const swapIds = new Set(result.rows.map(booking => booking.swap_id).filter(Boolean));
+  for (const swapId of swapIds) {
+    await syncSwapSchedule(client, swapId);
+  }
+
+  return { expired: result.rowCount, swaps_updated: swapIds.size };
+});
+
+module.exports = {
+  bookingExpiryDays,
+  cancelBooking,
+  expireStaleBookings
+};
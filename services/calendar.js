@@ -0,0 +1,61 @@
+// Minimal RFC 5545 writer for the private session feeds
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20261018T150000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// events: [{ uid, start, end, summary, description, status, updated }]
+const buildICalendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SkillSwap//Sessions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDate(event.updated || new Date())}`,
+      `DTSTART:${formatDate(event.start)}`,
+      `DTEND:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildICalendar
+};
@@ -0,0 +1,117 @@
+// Emails each user a summary of notifications they have not read yet.
+// Runs inside the API on an interval (DIGEST_INTERVAL_MINUTES, 0 disables it),
+// or once from cron with: npm run notifications:digest
+const { query } = require('../config/database');
+const { sendMail, escapeHtml } = require('./mailer');
+const { logger } = require('./logger');
+
+const DIGEST_PERIODS = {
+  daily: '1 day',
+  weekly: '7 days'
+};
+
+const MAX_DIGEST_ITEMS = 50;
+
+const buildDigestEmail = (user, frequency, notifications) => {
+  const link = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/notifications`;
+  const heading = `You have ${notifications.length} unread notification${notifications.length === 1 ? '' : 's'}`;
+
+  return {
+    to: user.email,
+    subject: `Your ${frequency} SkillSwap digest`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `${heading}:`,
+      ...notifications.map(n => `- ${n.title}${n.body ? `: ${n.body}` : ''}`),
+      '',
+      `See them all at ${link}`,
+      'You can change how often you get these emails in your notification preferences.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>${heading}:</p><ul>${notifications
+      .map(n => `<li><strong>${escapeHtml(n.title)}</strong>${n.body ? ` - ${escapeHtml(n.body)}` : ''}</li>`)
+      .join('')}</ul><p><a href="${link}">See them all</a></p><p>You can change how often you get these emails in your notification preferences.</p>`
+  };
+};
+
+// Claim due users and their unsent items with UPDATE ... RETURNING so that
+// several API instances running the job never mail the same thing twice
+const sendDigests = async (frequency) => {
+  const period = DIGEST_PERIODS[frequency];
+  if (!period) {
+    throw new Error(`Unknown digest frequency: ${frequency}`);
+  }
+
+  const dueUsers = await query(`
+    UPDATE users
+    SET last_digest_at = NOW()
+    WHERE active = true AND email_verified = true AND digest_frequency = $1
+      AND (last_digest_at IS NULL OR last_digest_at <= NOW() - $2::interval)
+    RETURNING id, name, email
+  `, [frequency, period]);
+
+  const stats = { users: dueUsers.rows.length, sent: 0, failed: 0 };
+
+  for (const user of dueUsers.rows) {
+    const claimed = await query(`
+      UPDATE notifications SET emailed_at = NOW()
+      WHERE id IN (
+        SELECT n.id FROM notifications n
+        WHERE n.user_id = $1 AND n.read_at IS NULL AND n.emailed_at IS NULL
+          AND NOT EXISTS (
+            SELECT 1 FROM notification_preferences np
+            WHERE np.user_id = n.user_id AND np.type = n.type AND np.email_digest = false
+          )
+        ORDER BY n.created_at DESC
+        LIMIT $2
+      )
+      RETURNING id, title, body, created_at
+    `, [user.id, MAX_DIGEST_ITEMS]);
+
+    if (claimed.rows.length === 0) continue;
+
+    const notifications = claimed.rows.sort((a, b) => b.created_at - a.created_at);
+
+    try {
+      await sendMail(buildDigestEmail(user, frequency, notifications));
+      stats.sent++;
+    } catch (error) {
+      // Release the items so the next run picks them up again
+      logger.error({ err: error }, `Digest email to user ${user.id} failed`);
+      await query(
+        'UPDATE notifications SET emailed_at = NULL WHERE id = ANY($1)',
+        [notifications.map(n => n.id)]
+      );
+      stats.failed++;
+    }
+  }
+
+  return stats;
+};
+
+const runDigests = async () => {
+  const results = {};
+  for (const frequency of Object.keys(DIGEST_PERIODS)) {
+    results[frequency] = await sendDigests(frequency);
+  }
+  return results;
+};
+
+const startDigestScheduler = () => {
+  const minutes = parseInt(process.env.DIGEST_INTERVAL_MINUTES || '60');
+  if (!minutes) return null;
+
+  const timer = setInterval(() => {
+    runDigests().catch(error => logger.error({ err: error }, 'Digest run failed'));
+  }, minutes * 60 * 1000);
+
+  // Don't keep the process alive just for digests
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sendDigests,
+  runDigests,
+  startDigestScheduler
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+// Turns the free-text location on a profile into a place with coordinates.
+//
+// A geocoder must implement:
+//   geocode(text) -> { city, country, latitude, longitude } | null
+// GazetteerGeocoder works offline from a list of cities: the bundled
+// data/cities.json, or GAZETTEER_FILE, which may be a file in the same format
+// or a GeoNames dump such as cities15000.txt. A network geocoder can be
+// installed with setGeocoder().
+
+const BUNDLED_GAZETTEER = path.join(__dirname, '..', 'data', 'cities.json');
+
+// Lowercase, without accents or punctuation, so "Zürich" matches "zurich"
+const normalize = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// One row of a GeoNames dump (tab-separated, see
+// https://download.geonames.org/export/dump/readme.txt)
+const parseGeonamesLine = (line) => {
+  const columns = line.split('\t');
+  return {
+    name: columns[1],
+    aliases: [columns[2], ...columns[3].split(',')].filter(Boolean),
+    latitude: parseFloat(columns[4]),
+    longitude: parseFloat(columns[5]),
+    country: columns[8],
+    regions: [columns[10]].filter(Boolean),
+    population: parseInt(columns[14]) || 0
+  };
+};
+
+const readGazetteer = (file) => {
+  const contents = fs.readFileSync(file, 'utf8');
+
+  if (file.endsWith('.json')) {
+    return JSON.parse(contents);
+  }
+
+  return {
+    cities: contents.split('\n').filter(line => line.trim()).map(parseGeonamesLine)
+  };
+};
+
+class GazetteerGeocoder {
+  constructor({ file = process.env.GAZETTEER_FILE || BUNDLED_GAZETTEER } = {}) {
+    this.file = file;
+    this.index = null;
+  }
+
+  // Built on first use: normalised city name -> cities, and country name -> code
+  load() {
+    if (this.index) return;
+
+    const gazetteer = readGazetteer(this.file);
+    // Country names always come from the bundled file; GeoNames dumps only
+    // carry the codes
+    const { countries = {} } = this.file === BUNDLED_GAZETTEER ? gazetteer : readGazetteer(BUNDLED_GAZETTEER);
+
+    this.index = new Map();
+    for (const city of gazetteer.cities) {
+      const entry = {
+        ...city,
+        hints: new Set([city.country, ...(countries[city.country] || []), ...(city.regions || [])].map(normalize))
+      };
+      for (const name of new Set([city.name, ...(city.aliases || [])].map(normalize))) {
+        if (!this.index.has(name)) this.index.set(name, []);
+        this.index.get(name).push(entry);
+      }
+    }
+  }
+
+  // The most populous city named `name` whose region or country matches every hint
+  find(name, hints) {
+    const candidates = (this.index.get(name) || [])
+      .filter(city => hints.every(hint => city.hints.has(hint)));
+
+    return candidates.sort((a, b) => b.population - a.population)[0] || null;
+  }
+
+  // "Portland, Maine", "Camden, London, UK", "London UK", "zurich" ...
+  async geocode(text) {
+    this.load();
+
+    const parts = String(text).split(',').map(normalize).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    // Leading parts that are not a city (a street, a district) are skipped
+    let city = null;
+    for (let start = 0; start < parts.length && !city; start++) {
+      city = this.find(parts[start], parts.slice(start + 1));
+    }
+
+    // Without commas, try the trailing words as region or country
+    if (!city && parts.length === 1) {
+      const words = parts[0].split(' ');
+      for (let split = words.length - 1; split > 0 && !city; split--) {
+        city = this.find(words.slice(0, split).join(' '), [words.slice(split).join(' ')]);
+      }
+    }
+
+    if (!city) return null;
+
+    return {
+      city: city.name,
+      country: city.country,
+      latitude: city.latitude,
+      longitude: city.longitude
+    };
+  }
+}
+
+let geocoder = new GazetteerGeocoder();
+
+const getGeocoder = () => geocoder;
+
+// Swap the geocoder (e.g. an online service, or a fixed answer in tests)
+const setGeocoder = (customGeocoder) => {
+  geocoder = customGeocoder;
+};
+
+const geocode = (text) => geocoder.geocode(text);
+
+module.exports = {
+  GazetteerGeocoder,
+  getGeocoder,
+  setGeocoder,
+  geocode
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { query } = require('../config/database');
+const { getStorage } = require('./storage');
+const { envNumber } = require('./limiter');
+const { logger } = require('./logger');
+
+// Errors carrying an HTTP status for the route to pass through
+const imageError = (message, status) => Object.assign(new Error(message), { status });
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+const maxUploadBytes = () => envNumber('UPLOAD_MAX_MB', 5) * 1024 * 1024;
+
+// Decompression bombs: refuse anything over ~50 megapixels before decoding it
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// Every upload is stored at each of these fixed sizes; `main` is the one
+// written to avatar_url / image_url
+const IMAGE_KINDS = {
+  avatar: {
+    folder: 'avatars',
+    main: 'medium',
+    sizes: {
+      large: { width: 512, height: 512, fit: 'cover' },
+      medium: { width: 256, height: 256, fit: 'cover' },
+      small: { width: 64, height: 64, fit: 'cover' }
+    }
+  },
+  skill: {
+    folder: 'skills',
+    main: 'large',
+    sizes: {
+      large: { width: 1200, height: 900, fit: 'inside' },
+      medium: { width: 600, height: 450, fit: 'inside' },
+      thumb: { width: 200, height: 200, fit: 'cover' }
+    }
+  }
+};
+
+const fileKey = (key, size) => `${key}-${size}.webp`;
+
+// { large: url, medium: url, ... } for a stored image, or null
+const imageUrls = (kind, key) => {
+  if (!key) return null;
+
+  const urls = {};
+  for (const size of Object.keys(IMAGE_KINDS[kind].sizes)) {
+    urls[size] = getStorage().url(fileKey(key, size));
+  }
+  return urls;
+};
+
+// Validate, normalise and store an uploaded image at every size for `kind`.
+// The bytes are checked with sharp rather than trusting the client's MIME
+// type. Re-encoding drops EXIF (GPS position, camera serials and so on)
+// because sharp only keeps metadata when asked to; rotate() first applies
+// the EXIF orientation so photos from phones are not left sideways.
+const storeImage = async (kind, ownerId, buffer) => {
+  const { folder, main, sizes } = IMAGE_KINDS[kind];
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw imageError('File is not a readable image', 415);
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw imageError('Only JPEG, PNG and WebP images are supported', 415);
+  }
+
+  const key = `${folder}/${ownerId}/${crypto.randomUUID()}`;
+  const storage = getStorage();
+
+  try {
+    for (const [size, dimensions] of Object.entries(sizes)) {
+      const output = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ ...dimensions, withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer();
+
+      await storage.put(fileKey(key, size), output, { contentType: 'image/webp' });
+    }
+  } catch (error) {
+    await deleteImage(kind, key);
+    if (error.message && error.message.includes('pixel limit')) {
+      throw imageError('Image dimensions are too large', 413);
+    }
+    throw error;
+  }
+
+  return {
+    key,
+    url: storage.url(fileKey(key, main)),
+    urls: imageUrls(kind, key)
+  };
+};
+
+// Remove every size of a stored image. Cleanup runs after the database has
+// moved on, so a failure is logged rather than surfaced; the uploads:clean
+// script catches anything left behind.
+const deleteImage = async (kind, key) => {
+  if (!key) return;
+
+  try {
+    const storage = getStorage();
+    await Promise.all(Object.keys(IMAGE_KINDS[kind].sizes).map(size => storage.delete(fileKey(key, size))));
+  } catch (error) {
+    logger.error({ err: error }, `Delete ${kind} image ${key} error`);
+  }
+};
+
+// The key prefix of one of our own upload URLs for `kind`, or null for any
+// other URL
+const keyFromUrl = (kind, url) => {
+  if (typeof url !== 'string') return null;
+
+  const { folder, sizes } = IMAGE_KINDS[kind];
+  const match = url.match(/\/api\/uploads\/([A-Za-z0-9/-]+)-([a-z]+)\.webp$/);
+
+  if (!match || !match[1].startsWith(`${folder}/`) || !sizes[match[2]]) return null;
+  return match[1];
+};
+
+// An erased account takes its avatar and its skills' images with it
+const deleteUserImages = async (userId) => {
+  const avatar = await query(`
+    UPDATE users u SET avatar_url = NULL, avatar_key = NULL
+    FROM users old
+    WHERE u.id = old.id AND u.id = $1 AND old.avatar_key IS NOT NULL
+    RETURNING old.avatar_key as key
+  `, [userId]);
+
+  const skillImages = await query(`
+    UPDATE skills s SET image_url = NULL, image_key = NULL
+    FROM skills old
+    WHERE s.id = old.id AND s.created_by = $1 AND old.image_key IS NOT NULL
+    RETURNING old.image_key as key
+  `, [userId]);
+
+  await Promise.all([
+    ...avatar.rows.map(row => deleteImage('avatar', row.key)),
+    ...skillImages.rows.map(row => deleteImage('skill', row.key))
+  ]);
+};
+
+// Delete stored files that no user or skill refers to, e.g. left behind by a
+// crash between storing an upload and saving its key. Files younger than
+// `graceMs` are skipped so uploads still in progress are not touched.
+const cleanOrphanedImages = async ({ graceMs = 60 * 60 * 1000 } = {}) => {
+  const storage = getStorage();
+  const cutoff = Date.now() - graceMs;
+
+  const referenced = await query(`
+    SELECT avatar_key as key FROM users WHERE avatar_key IS NOT NULL
+    UNION
+    SELECT image_key FROM skills WHERE image_key IS NOT NULL
+  `);
+  const keys = new Set(referenced.rows.map(row => row.key));
+
+  let deleted = 0;
+  for (const { folder } of Object.values(IMAGE_KINDS)) {
+    for (const file of await storage.list(`${folder}/`)) {
+      const key = file.key.replace(/-[a-z]+\.webp$/, '');
+      if (keys.has(key) || file.updatedAt.getTime() > cutoff) continue;
+
+      await storage.delete(file.key);
+      deleted++;
+    }
+  }
+
+  return { deleted };
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  IMAGE_KINDS,
+  maxUploadBytes,
+  imageUrls,
+  storeImage,
+  deleteImage,
+  deleteUserImages,
+  cleanOrphanedImages,
+  keyFromUrl
+};
@@ -0,0 +1,230 @@
+const { query, withTransaction } = require('../config/database');
+
+// Errors carrying an HTTP status for the route to pass through
+const ledgerError = (message, status) => Object.assign(new Error(message), { status });
+
+// Hour-credits are NUMERIC(12, 2); amounts are handled in hundredths here so
+// entries always balance exactly
+const toCents = (hours) => Math.round(Number(hours) * 100);
+const toHours = (cents) => (cents / 100).toFixed(2);
+
+const startingGrantHours = () => {
+  const value = parseFloat(process.env.STARTING_CREDIT_HOURS);
+  return Number.isFinite(value) && value >= 0 ? value : 2;
+};
+
+// Length of a lesson in hours, to the nearest hundredth
+const lessonHours = (booking) =>
+  toHours(Math.round((new Date(booking.ends_at) - new Date(booking.starts_at)) / (36 * 1000)));
+
+// Lock (creating if needed) the accounts of `userIds`, in id order so two
+// transactions touching the same pair cannot deadlock. Returns user id -> account.
+const lockUserAccounts = async (client, userIds) => {
+  await client.query(`
+    INSERT INTO ledger_accounts (user_id, created_at, updated_at)
+    SELECT unnest($1::int[]), NOW(), NOW()
+    ON CONFLICT (user_id) DO NOTHING
+  `, [userIds]);
+
+  const result = await client.query(
+    'SELECT id, user_id, balance FROM ledger_accounts WHERE user_id = ANY($1) ORDER BY id FOR UPDATE',
+    [userIds]
+  );
+
+  return new Map(result.rows.map(account => [account.user_id, account]));
+};
+
+const systemAccountId = async (client, name) => {
+  const result = await client.query('SELECT id FROM ledger_accounts WHERE system_name = $1', [name]);
+  return result.rows[0].id;
+};
+
+// Write one balanced transaction. `entries` are [{ accountId, cents }] and
+// must sum to zero; the database checks this again at commit.
+const postTransaction = async (client, { kind, memo = null, bookingId = null, createdBy = null, entries }) => {
+  if (entries.reduce((sum, entry) => sum + entry.cents, 0) !== 0) {
+    throw new Error(`Unbalanced ${kind} transaction`);
+  }
+
+  const transaction = await client.query(`
+    INSERT INTO ledger_transactions (kind, memo, booking_id, created_by, created_at)
+    VALUES ($1, $2, $3, $4, NOW())
+    RETURNING id, kind, memo, booking_id, created_by, created_at
+  `, [kind, memo, bookingId, createdBy]);
+
+  for (const entry of entries) {
+    await client.query(
+      'INSERT INTO ledger_entries (transaction_id, account_id, amount, created_at) VALUES ($1, $2, $3, NOW())',
+      [transaction.rows[0].id, entry.accountId, toHours(entry.cents)]
+    );
+  }
+
+  return transaction.rows[0];
+};
+
+// Open a new user's account with the starting grant (run inside the
+// transaction that creates the user)
+const grantStartingCredits = async (client, userId) => {
+  const accounts = await lockUserAccounts(client, [userId]);
+  const cents = toCents(startingGrantHours());
+
+  if (cents === 0) return null;
+
+  return postTransaction(client, {
+    kind: 'grant',
+    memo: 'Starting grant',
+    entries: [
+      { accountId: await systemAccountId(client, 'grants'), cents: -cents },
+      { accountId: accounts.get(userId).id, cents }
+    ]
+  });
+};
+
+// Hours a learner has committed to upcoming lessons that are not part of a
+// swap; a swap's lessons are paid for by the lessons given back
+const reservedCents = async (client, learnerId) => {
+  const result = await client.query(`
+    SELECT COALESCE(SUM(EXTRACT(EPOCH FROM ends_at - starts_at)), 0) as seconds
+    FROM bookings
+    WHERE learner_id = $1 AND status = 'confirmed' AND swap_id IS NULL
+  `, [learnerId]);
+
+  return Math.round(parseFloat(result.rows[0].seconds) / 36);
+};
+
+// Refuse a booking the learner cannot pay for. Locks the learner's account,
+// so concurrent bookings by the same learner are checked one at a time.
+const assertCanAfford = async (client, learnerId, booking) => {
+  const accounts = await lockUserAccounts(client, [learnerId]);
+  const available = toCents(accounts.get(learnerId).balance) - await reservedCents(client, learnerId);
+  const cost = toCents(lessonHours(booking));
+
+  if (cost > available) {
+    throw ledgerError(
+      `This session costs ${toHours(cost)} hour-credits but you have ${toHours(Math.max(available, 0))} available`,
+      409
+    );
+  }
+};
+
+// Pay the teacher for a completed lesson, from the learner's account. Not used
+// for swap lessons, which are paid for by the lessons given back.
+const recordLesson = async (client, booking) => {
+  const accounts = await lockUserAccounts(client, [booking.learner_id, booking.teacher_id]);
+  const cents = toCents(lessonHours(booking));
+
+  return postTransaction(client, {
+    kind: 'lesson',
+    memo: booking.skill_title ? `Lesson: ${booking.skill_title}` : 'Lesson',
+    bookingId: booking.id,
+    createdBy: booking.learner_id,
+    entries: [
+      { accountId: accounts.get(booking.learner_id).id, cents: -cents },
+      { accountId: accounts.get(booking.teacher_id).id, cents }
+    ]
+  });
+};
+
+// Admin correction; a positive amount credits the user
+const adjustBalance = (userId, amount, reason, actorId) => withTransaction(async (client) => {
+  const user = await client.query('SELECT id FROM users WHERE id = $1', [userId]);
+  if (user.rows.length === 0) {
+    throw ledgerError('User not found', 404);
+  }
+
+  const accounts = await lockUserAccounts(client, [userId]);
+  const account = accounts.get(userId);
+  const cents = toCents(amount);
+
+  const transaction = await postTransaction(client, {
+    kind: 'adjustment',
+    memo: reason,
+    createdBy: actorId,
+    entries: [
+      { accountId: await systemAccountId(client, 'adjustments'), cents: -cents },
+      { accountId: account.id, cents }
+    ]
+  });
+
+  return {
+    transaction,
+    balance_before: toHours(toCents(account.balance)),
+    balance: toHours(toCents(account.balance) + cents)
+  };
+});
+
+const getBalance = async (userId) => {
+  const result = await query(`
+    SELECT
+      COALESCE(a.balance, 0) as balance,
+      (
+        SELECT COALESCE(SUM(EXTRACT(EPOCH FROM b.ends_at - b.starts_at)), 0)
+        FROM bookings b
+        WHERE b.learner_id = $1 AND b.status = 'confirmed' AND b.swap_id IS NULL
+      ) as reserved_seconds
+    FROM (SELECT $1::integer as user_id) u
+    LEFT JOIN ledger_accounts a ON a.user_id = u.user_id
+  `, [userId]);
+
+  const balance = toCents(result.rows[0].balance);
+  const reserved = Math.round(parseFloat(result.rows[0].reserved_seconds) / 36);
+
+  return {
+    balance: toHours(balance),
+    reserved: toHours(reserved),
+    available: toHours(balance - reserved)
+  };
+};
+
+// The user's entries, newest first, each with the balance after it
+const getStatement = async (userId, { limit = 20, offset = 0 } = {}) => {
+  const countResult = await query(`
+    SELECT COUNT(e.id) as total
+    FROM ledger_entries e
+    JOIN ledger_accounts a ON e.account_id = a.id
+    WHERE a.user_id = $1
+  `, [userId]);
+
+  const result = await query(`
+    SELECT * FROM (
+      SELECT
+        e.id, e.amount, e.created_at,
+        SUM(e.amount) OVER (ORDER BY e.id) as balance_after,
+        t.id as transaction_id, t.kind, t.memo, t.booking_id,
+        (
+          SELECT COALESCE(cu.name, ca.system_name)
+          FROM ledger_entries ce
+          JOIN ledger_accounts ca ON ce.account_id = ca.id
+          LEFT JOIN users cu ON ca.user_id = cu.id
+          WHERE ce.transaction_id = t.id AND ce.account_id <> e.account_id
+          LIMIT 1
+        ) as counterparty
+      FROM ledger_entries e
+      JOIN ledger_accounts a ON e.account_id = a.id
+      JOIN ledger_transactions t ON e.transaction_id = t.id
+      WHERE a.user_id = $1
+    ) statement
+    ORDER BY id DESC
+    LIMIT $2 OFFSET $3
+  `, [userId, limit, offset]);
+
+  return {
+    entries: result.rows.map(entry => ({
+      ...entry,
+      id: parseInt(entry.id),
+      amount: toHours(toCents(entry.amount)),
+      balance_after: toHours(toCents(entry.balance_after))
+    })),
+    total: parseInt(countResult.rows[0].total)
+  };
+};
+
+module.exports = {
+  lessonHours,
+  grantStartingCredits,
+  assertCanAfford,
+  recordLesson,
+  adjustBalance,
+  getBalance,
+  getStatement
+};
@@ -0,0 +1,131 @@
+// Counters behind rate limiting and login throttling.
+//
+// A store keeps fixed-window counters and must implement:
+//   increment(key, windowMs) -> { count, resetAt }  (starts a window on first hit)
+//   get(key)                 -> { count, resetAt } | null
+//   reset(key)
+// MemoryStore is per-process; several API instances need a shared store
+// (e.g. one backed by Redis) installed with setStore().
+
+class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.counters = new Map();
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.count++;
+    return { ...counter };
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  clear() {
+    this.counters.clear();
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) this.counters.delete(key);
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+const getStore = () => store;
+
+// Swap the store (e.g. a fresh MemoryStore in tests, or a shared one in production)
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Failed logins are counted per email address, whether or not an account
+// exists, so the responses do not reveal which addresses are registered.
+// From the LOGIN_DELAY_AFTER-th failure on, each further attempt must wait
+// twice as long as the last (up to 30s); at LOGIN_LOCKOUT_AFTER failures the
+// address is locked for LOGIN_LOCKOUT_MINUTES.
+const loginSettings = () => ({
+  windowMs: envNumber('LOGIN_FAILURE_WINDOW_MINUTES', 15) * 60 * 1000,
+  delayAfter: envNumber('LOGIN_DELAY_AFTER', 3),
+  lockoutAfter: envNumber('LOGIN_LOCKOUT_AFTER', 10),
+  lockoutMs: envNumber('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000
+});
+
+const MAX_LOGIN_DELAY_MS = 30 * 1000;
+
+const loginKey = (kind, email) => `login-${kind}:${String(email).trim().toLowerCase()}`;
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// null when a login attempt may go ahead, otherwise { locked, retryAfter }
+const checkLoginAllowed = async (email) => {
+  const lock = await store.get(loginKey('lock', email));
+  if (lock) {
+    return { locked: true, retryAfter: secondsUntil(lock.resetAt) };
+  }
+
+  const cooldown = await store.get(loginKey('delay', email));
+  if (cooldown) {
+    return { locked: false, retryAfter: secondsUntil(cooldown.resetAt) };
+  }
+
+  return null;
+};
+
+// Count a failed attempt; returns { failures, locked, lockedUntil }
+const recordLoginFailure = async (email) => {
+  const settings = loginSettings();
+  const { count } = await store.increment(loginKey('failures', email), settings.windowMs);
+
+  if (count >= settings.lockoutAfter) {
+    const lock = await store.increment(loginKey('lock', email), settings.lockoutMs);
+    await store.reset(loginKey('failures', email));
+    await store.reset(loginKey('delay', email));
+    return { failures: count, locked: true, lockedUntil: new Date(lock.resetAt) };
+  }
+
+  if (count >= settings.delayAfter) {
+    const delayMs = Math.min(1000 * 2 ** (count - settings.delayAfter), MAX_LOGIN_DELAY_MS);
+    await store.increment(loginKey('delay', email), delayMs);
+  }
+
+  return { failures: count, locked: false, lockedUntil: null };
+};
+
+// After a successful login or a password reset
+const clearLoginFailures = async (email) => {
+  await Promise.all(['failures', 'delay', 'lock'].map(kind => store.reset(loginKey(kind, email))));
+};
+
+module.exports = {
+  MemoryStore,
+  getStore,
+  setStore,
+  envNumber,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+};
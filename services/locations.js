@@ -0,0 +1,164 @@
+// Structured locations and distance search.
+//
+// A profile location is the text the user typed plus the city, country and
+// coordinates the geocoder found for it (or coordinates given directly).
+// With location_precision 'approximate', the default, other people see only
+// the city and country and coordinates rounded to APPROXIMATE_DECIMALS places
+// (about 11 km). Distance search measures to those rounded coordinates too,
+// so repeated searches cannot pin down where someone lives.
+const { query } = require('../config/database');
+const { geocode } = require('./geocoder');
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.2;
+const APPROXIMATE_DECIMALS = 1;
+const MAX_RADIUS_KM = 500;
+
+const LOCATION_PRECISIONS = ['exact', 'approximate'];
+
+// How a skill is taught; in-person skills are the ones distance search is for
+const DELIVERY_MODES = ['in_person', 'online', 'both'];
+
+// Errors carrying an HTTP status for the route to pass through
+const locationError = (message, status) => Object.assign(new Error(message), { status });
+
+const roundCoordinate = (value) => {
+  const factor = 10 ** APPROXIMATE_DECIMALS;
+  // Halves away from zero, like ROUND() on numeric in SQL
+  return Math.sign(value) * Math.round(Math.abs(value) * factor) / factor;
+};
+
+// SQL expression for a coordinate of users row `alias` as others see it
+const publicCoordinateSql = (alias, column) =>
+  `(CASE WHEN ${alias}.location_precision = 'exact' THEN ${alias}.${column} ELSE ROUND(${alias}.${column}::numeric, ${APPROXIMATE_DECIMALS})::float8 END)`;
+
+// SQL great-circle distance in km from the point ($latParam, $lngParam) to
+// users row `alias`; NULL if the user has no coordinates
+const distanceSql = (alias, latParam, lngParam) => {
+  const latitude = publicCoordinateSql(alias, 'latitude');
+  const longitude = publicCoordinateSql(alias, 'longitude');
+
+  return `(2 * ${EARTH_RADIUS_KM} * ASIN(LEAST(1, SQRT(
+    POWER(SIN(RADIANS(${latitude} - ${latParam}) / 2), 2) +
+    COS(RADIANS(${latParam})) * COS(RADIANS(${latitude})) * POWER(SIN(RADIANS(${longitude} - ${lngParam}) / 2), 2)
+  ))))`;
+};
+
+// SQL condition for users row `alias` being within $radiusParam km. The
+// latitude band (widened for rounding) lets idx_users_coordinates narrow the
+// rows before distances are computed.
+const withinRadiusSql = (alias, latParam, lngParam, radiusParam) => `(
+  ${alias}.latitude BETWEEN ${latParam} - (${radiusParam} / ${KM_PER_DEGREE_LATITUDE} + 0.1)
+    AND ${latParam} + (${radiusParam} / ${KM_PER_DEGREE_LATITUDE} + 0.1)
+  AND ${distanceSql(alias, latParam, lngParam)} <= ${radiusParam}
+)`;
+
+// { location, geo } for the user in `row`; `exact` is whether the viewer
+// (the owner or staff) sees the location as entered whatever the precision
+const formatLocation = (row, prefix = '', exact = false) => {
+  const precision = row[`${prefix}location_precision`];
+  const approximate = precision !== 'exact' && !exact;
+  const city = row[`${prefix}location_city`];
+  const country = row[`${prefix}location_country`];
+  const latitude = row[`${prefix}latitude`];
+  const longitude = row[`${prefix}longitude`];
+
+  return {
+    location: approximate
+      ? [city, country].filter(Boolean).join(', ') || null
+      : row[`${prefix}location`],
+    geo: latitude === null || latitude === undefined ? null : {
+      city,
+      country,
+      latitude: approximate ? roundCoordinate(latitude) : latitude,
+      longitude: approximate ? roundCoordinate(longitude) : longitude,
+      precision
+    }
+  };
+};
+
+// Columns to store for a profile location: geocoded from `location`, unless
+// the coordinates are given. An empty location clears them all; a location
+// the geocoder does not know is kept as text without coordinates.
+const resolveProfileLocation = async ({ location, latitude, longitude }) => {
+  const text = String(location).trim();
+
+  if (!text) {
+    return { location: null, location_city: null, location_country: null, latitude: null, longitude: null };
+  }
+
+  const place = await geocode(text);
+  const hasCoordinates = latitude !== undefined && longitude !== undefined;
+
+  return {
+    location: text,
+    location_city: place ? place.city : null,
+    location_country: place ? place.country : null,
+    latitude: hasCoordinates ? parseFloat(latitude) : place ? place.latitude : null,
+    longitude: hasCoordinates ? parseFloat(longitude) : place ? place.longitude : null
+  };
+};
+
+// The point a search measures distances from: the place named by `near`,
+// the `lat`/`lng` given, or else the viewer's own location. Null if there is
+// none; `near` that cannot be found is a 400.
+const resolveOrigin = async ({ near, lat, lng }, viewer) => {
+  if (near) {
+    const place = await geocode(near);
+    if (!place) {
+      throw locationError(`Unknown place: ${near}`, 400);
+    }
+    return { latitude: place.latitude, longitude: place.longitude };
+  }
+
+  if (lat !== undefined && lng !== undefined) {
+    return { latitude: parseFloat(lat), longitude: parseFloat(lng) };
+  }
+
+  if (viewer) {
+    const result = await query(
+      'SELECT latitude, longitude FROM users WHERE id = $1 AND latitude IS NOT NULL',
+      [viewer.id]
+    );
+    return result.rows[0] || null;
+  }
+
+  return null;
+};
+
+// Geocode profile locations saved as text only (from before locations were
+// geocoded, or that the geocoder did not know at the time)
+const geocodeMissingLocations = async () => {
+  const pending = await query(`
+    SELECT id, location FROM users
+    WHERE location IS NOT NULL AND location <> '' AND latitude IS NULL AND erased_at IS NULL
+    ORDER BY id
+  `);
+
+  let geocoded = 0;
+  for (const user of pending.rows) {
+    const place = await geocode(user.location);
+    if (!place) continue;
+
+    await query(`
+      UPDATE users
+      SET location_city = $2, location_country = $3, latitude = $4, longitude = $5
+      WHERE id = $1 AND latitude IS NULL
+    `, [user.id, place.city, place.country, place.latitude, place.longitude]);
+    geocoded++;
+  }
+
+  return { checked: pending.rows.length, geocoded };
+};
+
+module.exports = {
+  MAX_RADIUS_KM,
+  LOCATION_PRECISIONS,
+  DELIVERY_MODES,
+  distanceSql,
+  withinRadiusSql,
+  formatLocation,
+  resolveProfileLocation,
+  resolveOrigin,
+  geocodeMissingLocations
+};
@@ -0,0 +1,44 @@
+// Structured JSON logging. Every line logged while handling a request
+// carries that request's ID (see middleware/requestContext), including lines
+// from services that never see `req`.
+//
+// LOG_LEVEL: trace, debug, info (default), warn, error, fatal or silent.
+// At debug, every SQL statement is logged too (never its parameters).
+const { AsyncLocalStorage } = require('async_hooks');
+const pino = require('pino');
+
+const requestContext = new AsyncLocalStorage();
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'skillswap-api' },
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    level: (label) => ({ level: label })
+  },
+  mixin: () => {
+    const context = requestContext.getStore();
+    return context ? { requestId: context.requestId } : {};
+  },
+  // Secrets that could end up in a logged object
+  redact: {
+    paths: [
+      'password', '*.password', 'newPassword', '*.newPassword',
+      'token', '*.token', 'refreshToken', '*.refreshToken',
+      'headers.authorization', 'headers.cookie', '*.headers.authorization', '*.headers.cookie'
+    ],
+    censor: '[Redacted]'
+  }
+});
+
+// The current request's ID, or undefined outside a request
+const currentRequestId = () => {
+  const context = requestContext.getStore();
+  return context ? context.requestId : undefined;
+};
+
+module.exports = {
+  logger,
+  requestContext,
+  currentRequestId
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+// MAIL_TRANSPORT selects how mail leaves the server:
+//   smtp - real SMTP server, or a local catcher such as MailHog on port 1025
+//   json - nothing is sent, messages are logged as JSON (default outside production)
+//   file - like json, but each message is also written to MAIL_OUTBOX_DIR
+const createTransport = () => {
+  const kind = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'json');
+
+  if (kind === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  if (kind === 'json' || kind === 'file') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Swap the transport (e.g. a stub in tests); pass null to rebuild from env
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'SkillSwap <no-reply@skillswap.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  // jsonTransport returns the serialized message instead of sending it
+  if (info.message && typeof info.message === 'string') {
+    if (process.env.MAIL_TRANSPORT === 'file') {
+      const outbox = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'skillswap-mail');
+      await fs.promises.mkdir(outbox, { recursive: true });
+      await fs.promises.writeFile(path.join(outbox, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.json`), info.message);
+    } else {
+      logger.info({ to, subject, mail: info.message }, 'Mail (json transport)');
+    }
+  }
+
+  return info;
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const frontendUrl = (pathname, token) => {
+  const base = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+const sendVerificationEmail = (user, token) => {
+  const link = frontendUrl('/verify-email', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your SkillSwap email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not create a SkillSwap account you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>If you did not create a SkillSwap account you can ignore this email.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = frontendUrl('/reset-password', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your SkillSwap password',
+    text: `Hi ${user.name},\n\nYou can choose a new password by opening this link:\n${link}\n\nThe link expires soon and can only be used once. If you did not ask for a reset you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>You can choose a new password by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires soon and can only be used once. If you did not ask for a reset you can ignore this email.</p>`
+  });
+};
+
+const sendAccountLockedEmail = (user, lockedUntil) => {
+  const link = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/forgot-password`;
+  const until = lockedUntil.toUTCString();
+  return sendMail({
+    to: user.email,
+    subject: 'Your SkillSwap account has been temporarily locked',
+    text: `Hi ${user.name},\n\nThere were too many failed attempts to sign in to your account, so sign-in is locked until ${until}.\n\nIf this was not you, someone may be guessing your password. You can choose a new one at any time, which also lifts the lock:\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>There were too many failed attempts to sign in to your account, so sign-in is locked until ${until}.</p><p>If this was not you, someone may be guessing your password. You can choose a new one at any time, which also lifts the lock:</p><p><a href="${link}">${link}</a></p>`
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  escapeHtml,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail
+};
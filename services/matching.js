@@ -0,0 +1,119 @@
+// Weights for the overall match score (they add up to 1)
+const WEIGHTS = {
+  theyTeachMe: 0.4,
+  iTeachThem: 0.4,
+  rating: 0.2
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const normalizeTags = (tags) => (Array.isArray(tags) ? [...new Set(tags.map(normalize).filter(Boolean))] : []);
+
+// How well an offered skill covers a wanted skill, from 0 to 1:
+// half for the same category, half for the share of tags they have in common
+const compareSkills = (wanted, offered) => {
+  const sameCategory = normalize(wanted.category) === normalize(offered.category);
+
+  const wantedTags = normalizeTags(wanted.tags);
+  const offeredTags = normalizeTags(offered.tags);
+  const sharedTags = wantedTags.filter(tag => offeredTags.includes(tag));
+  const allTags = new Set([...wantedTags, ...offeredTags]);
+  const tagScore = allTags.size > 0 ? sharedTags.length / allTags.size : 0;
+
+  return {
+    score: (sameCategory ? 0.5 : 0) + 0.5 * tagScore,
+    sameCategory,
+    sharedTags
+  };
+};
+
+// Best pairing of wanted skills against offered skills
+const bestPair = (wantedSkills, offeredSkills) => {
+  let best = null;
+
+  for (const wanted of wantedSkills) {
+    for (const offered of offeredSkills) {
+      const comparison = compareSkills(wanted, offered);
+      if (comparison.score > 0 && (!best || comparison.score > best.score)) {
+        best = { ...comparison, wanted, offered };
+      }
+    }
+  }
+
+  return best;
+};
+
+const describePair = (pair, direction) => {
+  const parts = [];
+  if (pair.sameCategory) parts.push(`same category "${pair.offered.category}"`);
+  if (pair.sharedTags.length > 0) parts.push(`shared tags: ${pair.sharedTags.join(', ')}`);
+
+  const summary = direction === 'they_teach_me'
+    ? `They offer "${pair.offered.title}" which matches your wanted "${pair.wanted.title}"`
+    : `You offer "${pair.offered.title}" which matches their wanted "${pair.wanted.title}"`;
+
+  return {
+    type: direction,
+    offered_skill_id: pair.offered.id,
+    wanted_skill_id: pair.wanted.id,
+    same_category: pair.sameCategory,
+    shared_tags: pair.sharedTags,
+    score: Number(pair.score.toFixed(3)),
+    message: `${summary} (${parts.join('; ')})`
+  };
+};
+
+// Rank candidate users against my offered and wanted skills.
+// `candidates` are { user_id, name, avatar_url, average_rating, rating_count, reputation, offered, wanted }.
+// The rating part of the score uses the reputation score, so a handful of
+// glowing reviews does not outweigh a long track record.
+const rankMatches = ({ myOffered, myWanted }, candidates, { reciprocalOnly = false } = {}) => {
+  const results = [];
+
+  for (const candidate of candidates) {
+    const theyTeachMe = bestPair(myWanted, candidate.offered);
+    const iTeachThem = bestPair(candidate.wanted, myOffered);
+
+    if (!theyTeachMe && !iTeachThem) continue;
+    if (reciprocalOnly && !(theyTeachMe && iTeachThem)) continue;
+
+    const rating = parseFloat(candidate.average_rating) || 0;
+    const reputation = candidate.rating_count > 0 ? parseFloat(candidate.reputation) || 0 : 0;
+    const reasons = [];
+    if (theyTeachMe) reasons.push(describePair(theyTeachMe, 'they_teach_me'));
+    if (iTeachThem) reasons.push(describePair(iTeachThem, 'i_teach_them'));
+    if (reputation > 0) {
+      reasons.push({
+        type: 'rating',
+        score: Number((reputation / 5).toFixed(3)),
+        message: `Rated ${rating.toFixed(1)} from ${candidate.rating_count} rating(s), reputation ${reputation.toFixed(2)}`
+      });
+    }
+
+    const score = WEIGHTS.theyTeachMe * (theyTeachMe ? theyTeachMe.score : 0)
+      + WEIGHTS.iTeachThem * (iTeachThem ? iTeachThem.score : 0)
+      + WEIGHTS.rating * (reputation / 5);
+
+    results.push({
+      user_id: candidate.user_id,
+      name: candidate.name,
+      avatar_url: candidate.avatar_url,
+      user: candidate.user,
+      average_rating: rating.toFixed(1),
+      rating_count: candidate.rating_count,
+      reputation: Number(reputation.toFixed(2)),
+      score: Number(score.toFixed(3)),
+      reciprocal: Boolean(theyTeachMe && iTeachThem),
+      reasons
+    });
+  }
+
+  return results.sort((a, b) => b.score - a.score || a.user_id - b.user_id);
+};
+
+module.exports = {
+  normalize,
+  normalizeTags,
+  compareSkills,
+  rankMatches
+};
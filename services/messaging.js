@@ -0,0 +1,90 @@
+const { query } = require('../config/database');
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Conversations store the pair ordered so each pair has exactly one row
+const orderPair = (a, b) => (a < b ? [a, b] : [b, a]);
+
+const otherParticipant = (conversation, userId) => (
+  conversation.user_one_id === userId ? conversation.user_two_id : conversation.user_one_id
+);
+
+// Get a conversation only if the user takes part in it
+const getConversationForUser = async (conversationId, userId) => {
+  const result = await query(`
+    SELECT id, user_one_id, user_two_id, last_message_at, created_at
+    FROM conversations
+    WHERE id = $1 AND (user_one_id = $2 OR user_two_id = $2)
+  `, [conversationId, userId]);
+
+  return result.rows[0] || null;
+};
+
+const getOrCreateConversation = async (userId, otherUserId) => {
+  const [userOne, userTwo] = orderPair(userId, otherUserId);
+
+  // DO UPDATE (a no-op) so RETURNING yields the row when it already exists
+  const result = await query(`
+    INSERT INTO conversations (user_one_id, user_two_id, created_at)
+    VALUES ($1, $2, NOW())
+    ON CONFLICT (user_one_id, user_two_id) DO UPDATE SET user_one_id = EXCLUDED.user_one_id
+    RETURNING id, user_one_id, user_two_id, last_message_at, created_at
+  `, [userOne, userTwo]);
+
+  return result.rows[0];
+};
+
+const createMessage = async (conversationId, senderId, body) => {
+  const result = await query(`
+    INSERT INTO messages (conversation_id, sender_id, body, created_at)
+    VALUES ($1, $2, $3, NOW())
+    RETURNING id, conversation_id, sender_id, body, read_at, created_at
+  `, [conversationId, senderId, body]);
+
+  const message = result.rows[0];
+
+  await query(
+    'UPDATE conversations SET last_message_at = $1 WHERE id = $2',
+    [message.created_at, conversationId]
+  );
+
+  return message;
+};
+
+// Mark every message the other participant sent as read
+const markConversationRead = async (conversationId, userId) => {
+  const result = await query(`
+    UPDATE messages
+    SET read_at = NOW()
+    WHERE conversation_id = $1 AND sender_id <> $2 AND read_at IS NULL
+    RETURNING id, read_at
+  `, [conversationId, userId]);
+
+  return {
+    count: result.rowCount,
+    message_ids: result.rows.map(row => row.id),
+    read_at: result.rows.length > 0 ? result.rows[0].read_at : null
+  };
+};
+
+const getUnreadCount = async (userId) => {
+  const result = await query(`
+    SELECT COUNT(m.id) as unread
+    FROM messages m
+    JOIN conversations c ON m.conversation_id = c.id
+    WHERE (c.user_one_id = $1 OR c.user_two_id = $1)
+      AND m.sender_id <> $1 AND m.read_at IS NULL
+  `, [userId]);
+
+  return parseInt(result.rows[0].unread);
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  otherParticipant,
+  getConversationForUser,
+  getOrCreateConversation,
+  createMessage,
+  markConversationRead,
+  getUnreadCount
+};
@@ -0,0 +1,64 @@
+// Prometheus metrics, served by GET /api/metrics.
+//
+// Error rates come from the status_code label on the request histogram, e.g.
+//   sum(rate(http_request_duration_seconds_count{status_code=~"5.."}[5m]))
+//     / sum(rate(http_request_duration_seconds_count[5m]))
+const client = require('prom-client');
+
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route pattern',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Duration of queries run through query()',
+  labelNames: ['outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register]
+});
+
+const slowQueries = new client.Counter({
+  name: 'db_slow_queries_total',
+  help: 'Queries that took longer than SLOW_QUERY_MS',
+  registers: [register]
+});
+
+// Pool usage, read from the pool each time metrics are scraped
+const trackPool = (pool) => {
+  new client.Gauge({
+    name: 'db_pool_connections',
+    help: 'Connections held by the pg pool',
+    labelNames: ['state'],
+    registers: [register],
+    collect() {
+      this.set({ state: 'total' }, pool.totalCount);
+      this.set({ state: 'idle' }, pool.idleCount);
+      this.set({ state: 'in_use' }, pool.totalCount - pool.idleCount);
+    }
+  });
+
+  new client.Gauge({
+    name: 'db_pool_waiting_requests',
+    help: 'Queries waiting for a free pg pool connection',
+    registers: [register],
+    collect() {
+      this.set(pool.waitingCount);
+    }
+  });
+};
+
+module.exports = {
+  register,
+  httpRequestDuration,
+  dbQueryDuration,
+  slowQueries,
+  trackPool
+};
@@ -0,0 +1,341 @@
+const { query, withTransaction } = require('../config/database');
+const { revokeAllSessions } = require('./sessions');
+const { notify } = require('./notifications');
+const { recordAuditInTransaction } = require('./audit');
+const { rolesWith } = require('../config/permissions');
+
+// Errors carrying an HTTP status for the route to pass through
+const moderationError = (message, status) => Object.assign(new Error(message), { status });
+
+const REPORT_REASONS = ['spam', 'harassment', 'inappropriate', 'fake_profile', 'scam', 'other'];
+const REPORT_TARGET_TYPES = ['skill', 'rating', 'user'];
+
+// How each kind of target is looked up, and who is responsible for it
+const TARGETS = {
+  skill: {
+    sql: `
+      SELECT s.id, s.created_by as user_id, s.title as summary, s.active, s.hidden_at
+      FROM skills s WHERE s.id = $1
+    `,
+    visible: target => target.active && !target.hidden_at
+  },
+  rating: {
+    sql: `
+      SELECT r.id, r.reviewer_id as user_id, r.comment as summary, r.rating, r.rated_user_id, r.skill_id, r.hidden_at, r.deleted_at
+      FROM ratings r WHERE r.id = $1
+    `,
+    visible: target => !target.hidden_at && !target.deleted_at
+  },
+  user: {
+    sql: `
+      SELECT u.id, u.id as user_id, u.name as summary, u.active, u.role
+      FROM users u WHERE u.id = $1
+    `,
+    visible: target => target.active
+  }
+};
+
+const getTarget = async (targetType, targetId, db = { query }) => {
+  const result = await db.query(TARGETS[targetType].sql, [targetId]);
+  return result.rows[0] || null;
+};
+
+const REPORT_SELECT = `
+  SELECT
+    r.id, r.target_type, r.target_id, r.target_user_id, r.reason, r.details,
+    r.status, r.resolution, r.created_at, r.updated_at, r.resolved_at,
+    r.reporter_id, reporter.name as reporter_name,
+    r.assigned_to, assignee.name as assigned_to_name,
+    r.resolved_by, resolver.name as resolved_by_name,
+    (
+      SELECT COUNT(*) FROM reports o
+      WHERE o.target_type = r.target_type AND o.target_id = r.target_id AND o.status = 'open'
+    ) as open_reports_on_target
+  FROM reports r
+  JOIN users reporter ON r.reporter_id = reporter.id
+  LEFT JOIN users assignee ON r.assigned_to = assignee.id
+  LEFT JOIN users resolver ON r.resolved_by = resolver.id
+`;
+
+const formatReport = (report) => ({
+  ...report,
+  open_reports_on_target: parseInt(report.open_reports_on_target)
+});
+
+const createReport = async (reporterId, { target_type, target_id, reason, details }) => {
+  const target = await getTarget(target_type, target_id);
+
+  if (!target || !TARGETS[target_type].visible(target)) {
+    throw moderationError('Reported content not found', 404);
+  }
+
+  if (target.user_id === reporterId) {
+    throw moderationError('You cannot report your own content', 400);
+  }
+
+  try {
+    const result = await query(`
+      WITH report AS (
+        INSERT INTO reports (reporter_id, target_type, target_id, target_user_id, reason, details, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+        RETURNING id, target_type, target_id, reason, details, status, created_at
+      ), event AS (
+        INSERT INTO report_events (report_id, actor_id, action, created_at)
+        SELECT id, $1, 'created', NOW() FROM report
+      )
+      SELECT * FROM report
+    `, [reporterId, target_type, target_id, target.user_id, reason, details || null]);
+
+    return result.rows[0];
+  } catch (error) {
+    // unique_violation on the one-open-report-per-target index
+    if (error.code === '23505') {
+      throw moderationError('You have already reported this', 409);
+    }
+    throw error;
+  }
+};
+
+const listReportsByReporter = async (reporterId) => {
+  const result = await query(`
+    SELECT id, target_type, target_id, reason, status, resolution, created_at, resolved_at
+    FROM reports
+    WHERE reporter_id = $1
+    ORDER BY created_at DESC
+    LIMIT 100
+  `, [reporterId]);
+
+  return result.rows;
+};
+
+// filters: { status, target_type, reason, assigned_to ('me' | 'unassigned' | id) }
+const listReports = async (adminId, filters, { limit = 20, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (filters.status && filters.status !== 'all') {
+    params.push(filters.status);
+    conditions.push(`r.status = $${params.length}`);
+  }
+
+  if (filters.target_type) {
+    params.push(filters.target_type);
+    conditions.push(`r.target_type = $${params.length}`);
+  }
+
+  if (filters.reason) {
+    params.push(filters.reason);
+    conditions.push(`r.reason = $${params.length}`);
+  }
+
+  if (filters.assigned_to === 'unassigned') {
+    conditions.push('r.assigned_to IS NULL');
+  } else if (filters.assigned_to) {
+    params.push(filters.assigned_to === 'me' ? adminId : parseInt(filters.assigned_to));
+    conditions.push(`r.assigned_to = $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await query(`SELECT COUNT(r.id) as total FROM reports r ${where}`, params);
+
+  // Oldest open reports first so nothing waits forever
+  const result = await query(`
+    ${REPORT_SELECT}
+    ${where}
+    ORDER BY (r.status = 'open') DESC, r.created_at ASC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return {
+    reports: result.rows.map(formatReport),
+    total: parseInt(countResult.rows[0].total)
+  };
+};
+
+const getReport = async (reportId) => {
+  const result = await query(`${REPORT_SELECT} WHERE r.id = $1`, [reportId]);
+
+  if (result.rows.length === 0) {
+    throw moderationError('Report not found', 404);
+  }
+
+  const report = formatReport(result.rows[0]);
+
+  const events = await query(`
+    SELECT e.id, e.action, e.note, e.created_at, e.actor_id, u.name as actor_name
+    FROM report_events e
+    LEFT JOIN users u ON e.actor_id = u.id
+    WHERE e.report_id = $1
+    ORDER BY e.id
+  `, [reportId]);
+
+  return {
+    ...report,
+    target: await getTarget(report.target_type, report.target_id),
+    history: events.rows
+  };
+};
+
+// Assign an open report to an admin, or unassign it with assigneeId = null
+const assignReport = async (reportId, actorId, assigneeId) => {
+  if (assigneeId !== null) {
+    const assignee = await query(
+      'SELECT id FROM users WHERE id = $1 AND role = ANY($2) AND active = true',
+      [assigneeId, rolesWith('reports:manage')]
+    );
+    if (assignee.rows.length === 0) {
+      throw moderationError('Reports can only be assigned to an active moderator or admin', 400);
+    }
+  }
+
+  const result = await query(`
+    WITH updated AS (
+      UPDATE reports SET assigned_to = $2, updated_at = NOW()
+      WHERE id = $1 AND status = 'open'
+      RETURNING id
+    ), event AS (
+      INSERT INTO report_events (report_id, actor_id, action, note, created_at)
+      SELECT id, $3, $4, $5, NOW() FROM updated
+    )
+    SELECT id FROM updated
+  `, [
+    reportId,
+    assigneeId,
+    actorId,
+    assigneeId === null ? 'unassigned' : 'assigned',
+    assigneeId === null ? null : `Assigned to user ${assigneeId}`
+  ]);
+
+  if (result.rows.length === 0) {
+    throw moderationError('No open report with that ID', 404);
+  }
+
+  return getReport(reportId);
+};
+
+const RESOLUTION_MESSAGES = {
+  dismissed: 'We reviewed it and found no violation of our guidelines.',
+  content_hidden: 'We reviewed it and removed the content.',
+  user_deactivated: 'We reviewed it and took action against the account responsible.'
+};
+
+// Apply a moderation outcome. Hiding content or deactivating the user also
+// resolves every other open report about the same target; dismissing only
+// closes this one. Each reporter is told the outcome.
+const resolveReport = async (req, reportId, resolution, note) => {
+  const actorId = req.user.id;
+
+  // The report, the action taken on its target and the audit entry commit
+  // together; notifications and session revocation follow the commit
+  const { report, resolved, deactivated } = await withTransaction(async (client) => {
+    const existing = await client.query(
+      "SELECT id, target_type, target_id, target_user_id FROM reports WHERE id = $1 AND status = 'open'",
+      [reportId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw moderationError('No open report with that ID', 404);
+    }
+
+    const report = existing.rows[0];
+
+    if (resolution === 'content_hidden' && report.target_type === 'user') {
+      throw moderationError('Reports about a user are resolved by dismissing or deactivating the user', 400);
+    }
+
+    if (resolution === 'user_deactivated') {
+      const target = await client.query('SELECT role FROM users WHERE id = $1', [report.target_user_id]);
+      if (target.rows.length === 0) {
+        throw moderationError('The user responsible no longer exists', 400);
+      }
+      if (target.rows[0].role !== 'user') {
+        throw moderationError('Staff accounts cannot be deactivated from a report', 400);
+      }
+    }
+
+    const targetBefore = await getTarget(report.target_type, report.target_id, client);
+
+    // Claim the reports first so two admins cannot resolve the same one twice
+    const resolved = await client.query(`
+      WITH resolved AS (
+        UPDATE reports
+        SET status = 'resolved', resolution = $2, resolved_by = $3, resolved_at = NOW(), updated_at = NOW()
+        WHERE status = 'open'
+          AND (id = $1 OR ($7 AND target_type = $4 AND target_id = $5))
+        RETURNING id, reporter_id, target_type
+      ), event AS (
+        INSERT INTO report_events (report_id, actor_id, action, note, created_at)
+        SELECT id, $3, $2, $6, NOW() FROM resolved
+      )
+      SELECT * FROM resolved
+    `, [reportId, resolution, actorId, report.target_type, report.target_id, note || null, resolution !== 'dismissed']);
+
+    if (!resolved.rows.some(row => row.id === report.id)) {
+      throw moderationError('No open report with that ID', 404);
+    }
+
+    let deactivated = false;
+    if (resolution === 'content_hidden' && report.target_type === 'skill') {
+      await client.query(
+        'UPDATE skills SET active = false, hidden_at = NOW(), updated_at = NOW() WHERE id = $1',
+        [report.target_id]
+      );
+    } else if (resolution === 'content_hidden' && report.target_type === 'rating') {
+      await client.query('UPDATE ratings SET hidden_at = NOW() WHERE id = $1', [report.target_id]);
+    } else if (resolution === 'user_deactivated') {
+      const result = await client.query(
+        'UPDATE users SET active = false, updated_at = NOW() WHERE id = $1 AND active = true RETURNING id',
+        [report.target_user_id]
+      );
+      deactivated = result.rows.length > 0;
+    }
+
+    await recordAuditInTransaction(client, req, {
+      action: `report.${resolution}`,
+      targetType: 'report',
+      targetId: report.id,
+      before: { status: 'open', target_type: report.target_type, target: targetBefore },
+      after: {
+        status: 'resolved',
+        target: await getTarget(report.target_type, report.target_id, client),
+        resolved_report_ids: resolved.rows.map(row => row.id)
+      }
+    });
+
+    return { report, resolved: resolved.rows, deactivated };
+  });
+
+  if (deactivated) {
+    await revokeAllSessions(report.target_user_id, 'deactivated');
+    await notify(report.target_user_id, 'account_status_changed', {
+      title: 'Your account has been deactivated',
+      body: 'Contact support if you think this is a mistake.',
+      data: { active: false }
+    });
+  }
+
+  for (const row of resolved) {
+    await notify(row.reporter_id, 'report_resolved', {
+      title: `Your report about a ${row.target_type} has been reviewed`,
+      body: RESOLUTION_MESSAGES[resolution],
+      data: { report_id: row.id, resolution }
+    });
+  }
+
+  return {
+    report: await getReport(reportId),
+    resolved_report_ids: resolved.map(row => row.id)
+  };
+};
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_TARGET_TYPES,
+  createReport,
+  listReportsByReporter,
+  listReports,
+  getReport,
+  assignReport,
+  resolveReport
+};
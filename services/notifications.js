@@ -0,0 +1,164 @@
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+
+// Event types users can receive, with the label shown in preferences
+const NOTIFICATION_TYPES = {
+  rating_received: 'Someone rated you',
+  account_status_changed: 'An admin changed your account status',
+  report_resolved: 'A report you made was reviewed',
+  new_follower: 'Someone followed you'
+};
+
+// Data field naming the user whose action caused each type of event
+const ACTOR_FIELDS = {
+  rating_received: 'reviewer_id',
+  new_follower: 'follower_id'
+};
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// Types hidden from the in-app list by the user's preferences
+const HIDDEN_TYPES_CLAUSE = `
+  NOT EXISTS (
+    SELECT 1 FROM notification_preferences np
+    WHERE np.user_id = n.user_id AND np.type = n.type AND np.in_app = false
+  )
+`;
+
+// Record an event for a user. Notifications are a side effect of the action
+// that caused them, so failures are logged rather than thrown.
+const notify = async (userId, type, { title, body = null, data = {} }) => {
+  if (!NOTIFICATION_TYPES[type]) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  try {
+    // Nothing to store when the user has switched the type off everywhere
+    const result = await query(`
+      INSERT INTO notifications (user_id, type, title, body, data, created_at)
+      SELECT $1::integer, $2::varchar, $3, $4, $5::jsonb, NOW()
+      WHERE NOT EXISTS (
+        SELECT 1 FROM notification_preferences
+        WHERE user_id = $1 AND type = $2 AND in_app = false AND email_digest = false
+      )
+      RETURNING id, type, title, body, data, read_at, created_at
+    `, [userId, type, title, body, JSON.stringify(data)]);
+
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error({ err: error }, `Notify ${type} error`);
+    return null;
+  }
+};
+
+// Delete other people's notifications about what `userId` did; their titles
+// and bodies quote that user. Used when the account is erased.
+const deleteNotificationsCausedBy = (client, userId) => client.query(`
+  DELETE FROM notifications
+  WHERE ${Object.entries(ACTOR_FIELDS).map(([type, field]) => `(type = '${type}' AND data->>'${field}' = $1::text)`).join(' OR ')}
+`, [userId]);
+
+const listNotifications = async (userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) => {
+  const whereClause = `n.user_id = $1 AND ${HIDDEN_TYPES_CLAUSE}${unreadOnly ? ' AND n.read_at IS NULL' : ''}`;
+
+  const countResult = await query(`
+    SELECT
+      COUNT(n.id) as total,
+      COUNT(n.id) FILTER (WHERE n.read_at IS NULL) as unread
+    FROM notifications n
+    WHERE ${whereClause}
+  `, [userId]);
+
+  const result = await query(`
+    SELECT n.id, n.type, n.title, n.body, n.data, n.read_at, n.created_at
+    FROM notifications n
+    WHERE ${whereClause}
+    ORDER BY n.created_at DESC, n.id DESC
+    LIMIT $2 OFFSET $3
+  `, [userId, limit, offset]);
+
+  return {
+    notifications: result.rows,
+    total: parseInt(countResult.rows[0].total),
+    unreadCount: parseInt(countResult.rows[0].unread)
+  };
+};
+
+const markRead = async (userId, notificationId) => {
+  const result = await query(`
+    UPDATE notifications
+    SET read_at = COALESCE(read_at, NOW())
+    WHERE id = $1 AND user_id = $2
+    RETURNING id, read_at
+  `, [notificationId, userId]);
+
+  return result.rows[0] || null;
+};
+
+const markAllRead = async (userId) => {
+  const result = await query(
+    'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+
+  return result.rowCount;
+};
+
+const getPreferences = async (userId) => {
+  const userResult = await query('SELECT digest_frequency FROM users WHERE id = $1', [userId]);
+  const prefResult = await query(
+    'SELECT type, in_app, email_digest FROM notification_preferences WHERE user_id = $1',
+    [userId]
+  );
+
+  const saved = Object.fromEntries(prefResult.rows.map(pref => [pref.type, pref]));
+
+  return {
+    digest_frequency: userResult.rows[0].digest_frequency,
+    types: Object.entries(NOTIFICATION_TYPES).map(([type, label]) => ({
+      type,
+      label,
+      in_app: saved[type] ? saved[type].in_app : true,
+      email_digest: saved[type] ? saved[type].email_digest : true
+    }))
+  };
+};
+
+// types: { rating_received: { in_app: false }, ... }; omitted flags keep their value
+const updatePreferences = async (userId, { digest_frequency, types = {} }) => {
+  if (digest_frequency) {
+    await query(
+      'UPDATE users SET digest_frequency = $1, updated_at = NOW() WHERE id = $2',
+      [digest_frequency, userId]
+    );
+  }
+
+  for (const [type, flags] of Object.entries(types)) {
+    await query(`
+      INSERT INTO notification_preferences (user_id, type, in_app, email_digest)
+      VALUES ($1, $2, COALESCE($3, true), COALESCE($4, true))
+      ON CONFLICT (user_id, type) DO UPDATE SET
+        in_app = COALESCE($3, notification_preferences.in_app),
+        email_digest = COALESCE($4, notification_preferences.email_digest)
+    `, [
+      userId,
+      type,
+      typeof flags.in_app === 'boolean' ? flags.in_app : null,
+      typeof flags.email_digest === 'boolean' ? flags.email_digest : null
+    ]);
+  }
+
+  return getPreferences(userId);
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+  notify,
+  deleteNotificationsCausedBy,
+  listNotifications,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences
+};
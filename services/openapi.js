@@ -0,0 +1,243 @@
+// Route definitions and the OpenAPI document built from them.
+//
+// Every route is declared once with defineRoute() (see schemas/). Its zod
+// schemas for params, query and body are what middleware/validate checks
+// requests against; its response schemas document the replies and can be
+// checked with checkResponse(), or on every reply with VALIDATE_RESPONSES=true.
+const { z } = require('zod');
+const { version } = require('../package.json');
+const { ErrorResponse } = require('../schemas/common');
+
+const routes = [];
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Not signed in, or the access token is invalid',
+  403: 'Not allowed',
+  404: 'Not found',
+  409: 'Conflicts with the current state',
+  413: 'Upload too large',
+  415: 'Unsupported file type',
+  429: 'Too many requests; see the Retry-After header'
+};
+
+// `route`:
+//   method, path       - e.g. 'get', '/api/skills/:id'; the same path as the
+//                        Express route, wildcards (:key(*)) included
+//   tags, summary, description
+//   auth               - 'required', 'optional' (more for signed-in users) or 'none'
+//   permission         - permission needed beyond signing in, if any
+//   params, query, body - zod objects for the request
+//   upload             - multipart field name, for file uploads instead of a JSON body
+//   responses          - status -> zod schema of the JSON reply, or
+//                        { contentType, description } for anything else
+//   errors             - further error statuses the route can reply with
+const defineRoute = (route) => {
+  const definition = Object.freeze({ auth: 'none', errors: [], ...route, method: route.method.toLowerCase() });
+  routes.push(definition);
+  return definition;
+};
+
+const responseSchema = (route, status) => {
+  const response = route.responses[status];
+  if (response) return response instanceof z.ZodType ? response : null;
+  return status >= 400 ? ErrorResponse : undefined;
+};
+
+// Check a reply against the route's schema for its status, as it will be
+// sent (dates serialised). { success: true } or { success: false, issues }.
+const checkResponse = (route, status, body) => {
+  const schema = responseSchema(route, status);
+
+  if (schema === undefined) {
+    return { success: false, issues: [{ path: [], message: `Status ${status} is not documented` }] };
+  }
+  if (schema === null) return { success: true };
+
+  const result = schema.safeParse(JSON.parse(JSON.stringify(body)));
+  return result.success ? { success: true } : { success: false, issues: result.error.issues };
+};
+
+// zod -> JSON Schema (2020-12, which OpenAPI 3.1 uses) with shared schemas
+// (those given .meta({ id })) moved to components
+const SAFE_INTEGER = Number.MAX_SAFE_INTEGER;
+
+const tidySchema = (node) => {
+  if (Array.isArray(node)) return node.map(tidySchema);
+  if (!node || typeof node !== 'object') return node;
+
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    // zod copies the meta id into the schema; safe-integer bounds are noise
+    if (key === 'id' && typeof value === 'string') continue;
+    if (key === '$schema') continue;
+    if (key === 'minimum' && value === -SAFE_INTEGER) continue;
+    if (key === 'maximum' && value === SAFE_INTEGER) continue;
+    if (key === '$ref' && typeof value === 'string') {
+      result.$ref = value.replace('#/$defs/', '#/components/schemas/');
+      continue;
+    }
+    result[key] = tidySchema(value);
+  }
+  return result;
+};
+
+const toOpenApiSchema = (schema, io, components) => {
+  const { $defs = {}, ...json } = z.toJSONSchema(schema, { io, unrepresentable: 'any' });
+
+  for (const [name, definition] of Object.entries($defs)) {
+    components[name] = tidySchema(definition);
+  }
+
+  // A shared schema used as a whole body is a reference too
+  if (typeof json.id === 'string') {
+    components[json.id] = tidySchema(json);
+    return { $ref: `#/components/schemas/${json.id}` };
+  }
+
+  return tidySchema(json);
+};
+
+// Express paths to OpenAPI templates. A wildcard parameter (:key(*)) matches
+// slashes as well; OpenAPI has no such parameter, so it is documented as one
+// whose slashes may also be sent percent-encoded.
+const openApiPath = (path) => path.replace(/:(\w+)(\(\*\))?/g, '{$1}');
+
+const parametersFor = (route, components) => {
+  const parameters = [];
+
+  for (const location of ['params', 'query']) {
+    if (!route[location]) continue;
+
+    const { properties = {}, required = [] } = toOpenApiSchema(route[location], 'input', components);
+    for (const [name, schema] of Object.entries(properties)) {
+      const { description, ...rest } = schema;
+      parameters.push({
+        name,
+        in: location === 'params' ? 'path' : 'query',
+        required: location === 'params' || required.includes(name),
+        ...(description ? { description } : {}),
+        schema: rest
+      });
+    }
+  }
+
+  return parameters;
+};
+
+const requestBodyFor = (route, components) => {
+  if (route.upload) {
+    return {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: { [route.upload]: { type: 'string', format: 'binary' } },
+            required: [route.upload]
+          }
+        }
+      }
+    };
+  }
+
+  if (!route.body) return undefined;
+
+  return {
+    required: true,
+    content: { 'application/json': { schema: toOpenApiSchema(route.body, 'input', components) } }
+  };
+};
+
+const responsesFor = (route, components) => {
+  const responses = {};
+
+  for (const [status, response] of Object.entries(route.responses)) {
+    responses[status] = response instanceof z.ZodType
+      ? {
+          description: response.description || 'Success',
+          content: { 'application/json': { schema: toOpenApiSchema(response, 'output', components) } }
+        }
+      : {
+          description: response.description,
+          content: { [response.contentType]: { schema: { type: 'string' } } }
+        };
+  }
+
+  const errors = new Set(route.errors);
+  if (route.params || route.query || route.body) errors.add(400);
+  if (route.auth === 'required') errors.add(401);
+
+  for (const status of [...errors].sort()) {
+    responses[status] = responses[status] || {
+      description: ERROR_DESCRIPTIONS[status] || 'Error',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  }
+
+  return responses;
+};
+
+const SECURITY = {
+  required: [{ bearerAuth: [] }],
+  optional: [{}, { bearerAuth: [] }],
+  none: undefined
+};
+
+let document = null;
+
+// The OpenAPI 3.1 document for every defined route; built on first use,
+// once all routers have been loaded
+const buildOpenApiDocument = () => {
+  if (document) return document;
+
+  const components = {};
+  const paths = {};
+
+  toOpenApiSchema(ErrorResponse, 'output', components);
+
+  for (const route of routes) {
+    const description = [
+      route.description,
+      route.permission && `Permission: \`${route.permission}\``
+    ].filter(Boolean).join('\n\n');
+
+    const path = openApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = {
+      tags: route.tags,
+      summary: route.summary,
+      ...(description ? { description } : {}),
+      ...(SECURITY[route.auth] ? { security: SECURITY[route.auth] } : {}),
+      parameters: parametersFor(route, components),
+      requestBody: requestBodyFor(route, components),
+      responses: responsesFor(route, components)
+    };
+  }
+
+  document = {
+    openapi: '3.1.0',
+    info: {
+      title: 'SkillSwap API',
+      version,
+      description: 'Swap skills with people nearby or online. Sign in with POST /api/auth/login and send the token as `Authorization: Bearer <token>`.'
+    },
+    servers: [{ url: process.env.API_URL || '/' }],
+    paths,
+    components: {
+      schemas: Object.fromEntries(Object.entries(components).sort(([a], [b]) => a.localeCompare(b))),
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
+  };
+
+  return document;
+};
+
+module.exports = {
+  defineRoute,
+  checkResponse,
+  buildOpenApiDocument,
+  routes
+};
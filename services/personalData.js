@@ -0,0 +1,268 @@
+// Data export and account erasure.
+//
+// Deleting an account deactivates it straight away and schedules erasure for
+// ERASURE_GRACE_DAYS later; until then the owner can sign in again to cancel
+// it (or an admin can reactivate the account). Erasure keeps the users row,
+// anonymised, so the ledger and other people's records still add up:
+//   - ratings the user received are deleted, and the reputation trigger takes
+//     them out of the aggregates
+//   - ratings the user gave keep their score, so other people's reputation
+//     does not change, but lose their comment
+//   - skills, messages, notes and report details are blanked or deleted
+//   - time-credit ledger entries are kept; they are append-only and balance
+//     against other accounts
+//   - other people's notifications about what the user did are deleted
+// The audit log is append-only as well: its entries stay, but the snapshots of
+// the user's profile and content and their name as an actor are redacted.
+const { query, withTransaction } = require('../config/database');
+const { envNumber } = require('./limiter');
+const { imageUrls, deleteUserImages } = require('./images');
+const { getStatement } = require('./ledger');
+const { recordAudit, redactUserAuditEntries } = require('./audit');
+const { deleteNotificationsCausedBy } = require('./notifications');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+const erasureGraceDays = () => envNumber('ERASURE_GRACE_DAYS', 30);
+
+const ERASED_NAME = 'Deleted user';
+
+// Every table holding the user's records, as section name -> query on $1
+const EXPORT_SECTIONS = {
+  skills: `
+    SELECT id, title, description, category, tags, kind, delivery, image_url, active, hidden_at, created_at, updated_at
+    FROM skills WHERE created_by = $1 ORDER BY id
+  `,
+  ratings_given: `
+    SELECT r.id, r.rated_user_id, u.name as rated_user_name, r.skill_id, s.title as skill_title,
+      r.rating, r.comment, r.hidden_at, r.deleted_at, r.created_at
+    FROM ratings r
+    JOIN users u ON r.rated_user_id = u.id
+    LEFT JOIN skills s ON r.skill_id = s.id
+    WHERE r.reviewer_id = $1 ORDER BY r.id
+  `,
+  ratings_received: `
+    SELECT r.id, r.reviewer_id, u.name as reviewer_name, r.skill_id, s.title as skill_title,
+      r.rating, r.comment, r.hidden_at, r.deleted_at, r.created_at
+    FROM ratings r
+    JOIN users u ON r.reviewer_id = u.id
+    LEFT JOIN skills s ON r.skill_id = s.id
+    WHERE r.rated_user_id = $1 ORDER BY r.id
+  `,
+  swaps: `
+    SELECT id, requester_id, recipient_id, offered_skill_id, requested_skill_id, message, status,
+      scheduled_at, cancelled_by, created_at, updated_at
+    FROM swaps WHERE requester_id = $1 OR recipient_id = $1 ORDER BY id
+  `,
+  bookings: `
+    SELECT id, skill_id, teacher_id, learner_id, swap_id, starts_at, ends_at, status, notes,
+      cancelled_by, completed_at, created_at, updated_at
+    FROM bookings WHERE teacher_id = $1 OR learner_id = $1 ORDER BY id
+  `,
+  messages: `
+    SELECT m.id, m.conversation_id,
+      CASE WHEN c.user_one_id = $1 THEN c.user_two_id ELSE c.user_one_id END as other_user_id,
+      m.sender_id, m.body, m.read_at, m.created_at
+    FROM messages m
+    JOIN conversations c ON m.conversation_id = c.id
+    WHERE c.user_one_id = $1 OR c.user_two_id = $1
+    ORDER BY m.id
+  `,
+  availability_slots: `
+    SELECT id, day_of_week, start_time, end_time, time_zone, created_at
+    FROM availability_slots WHERE user_id = $1 ORDER BY id
+  `,
+  availability_exceptions: `
+    SELECT id, date, kind, start_time, end_time, time_zone, note, created_at
+    FROM availability_exceptions WHERE user_id = $1 ORDER BY id
+  `,
+  notifications: `
+    SELECT id, type, title, body, data, read_at, emailed_at, created_at
+    FROM notifications WHERE user_id = $1 ORDER BY id
+  `,
+  notification_preferences: `
+    SELECT type, in_app, email_digest FROM notification_preferences WHERE user_id = $1 ORDER BY type
+  `,
+  sessions: `
+    SELECT id, user_agent, ip_address, expires_at, revoked_at, revoked_reason, last_used_at, created_at
+    FROM sessions WHERE user_id = $1 ORDER BY id
+  `,
+  following: `
+    SELECT followed_id as user_id, created_at FROM follows WHERE follower_id = $1 ORDER BY created_at
+  `,
+  followers: `
+    SELECT follower_id as user_id, created_at FROM follows WHERE followed_id = $1 ORDER BY created_at
+  `,
+  bookmarks: `
+    SELECT b.skill_id, s.title as skill_title, b.created_at
+    FROM bookmarks b
+    JOIN skills s ON b.skill_id = s.id
+    WHERE b.user_id = $1 ORDER BY b.created_at
+  `,
+  skill_views: `
+    SELECT skill_id, view_count, first_viewed_at, last_viewed_at FROM skill_views WHERE user_id = $1 ORDER BY first_viewed_at
+  `,
+  reports_filed: `
+    SELECT id, target_type, target_id, reason, details, status, resolution, resolved_at, created_at
+    FROM reports WHERE reporter_id = $1 ORDER BY id
+  `
+};
+
+// Everything stored about a user, as one JSON-serialisable object (null if
+// there is no such account). Secrets such as the password hash and calendar
+// token are left out.
+const exportUserData = async (userId) => {
+  const profile = await query(`
+    SELECT id, name, email, bio, location, location_city, location_country, latitude, longitude,
+      location_precision, website, avatar_url, avatar_key, role, active,
+      email_verified, email_verified_at, time_zone, digest_frequency, last_digest_at,
+      email_visibility, location_visibility, website_visibility, skills_visibility,
+      erasure_scheduled_for, created_at, updated_at
+    FROM users
+    WHERE id = $1 AND erased_at IS NULL
+  `, [userId]);
+
+  if (profile.rows.length === 0) return null;
+
+  const { avatar_key, ...user } = profile.rows[0];
+
+  const data = {
+    format: 'skillswap-export',
+    version: EXPORT_FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    profile: { ...user, avatar_urls: imageUrls('avatar', avatar_key) }
+  };
+
+  for (const [section, sql] of Object.entries(EXPORT_SECTIONS)) {
+    data[section] = (await query(sql, [userId])).rows;
+  }
+
+  data.time_credits = (await getStatement(userId, { limit: null })).entries;
+
+  return data;
+};
+
+// Deactivate the account and set the date its data will be erased. Returns
+// null if there is no active account with that id.
+const scheduleErasure = async (userId, requestedBy) => {
+  const result = await query(`
+    UPDATE users
+    SET active = false,
+      erasure_scheduled_for = NOW() + make_interval(days => $3),
+      erasure_requested_by = $2,
+      updated_at = NOW()
+    WHERE id = $1 AND active = true
+    RETURNING id, name, email, erasure_scheduled_for
+  `, [userId, requestedBy, erasureGraceDays()]);
+
+  return result.rows[0] || null;
+};
+
+// Reactivate an account whose owner asked for it to be erased and has signed
+// in again within the grace period. True if the account was restored.
+const cancelOwnErasure = async (userId) => {
+  const result = await query(`
+    UPDATE users
+    SET active = true, erasure_scheduled_for = NULL, erasure_requested_by = NULL, updated_at = NOW()
+    WHERE id = $1 AND active = false AND erased_at IS NULL
+      AND erasure_requested_by = id AND erasure_scheduled_for > NOW()
+    RETURNING id
+  `, [userId]);
+
+  return result.rows.length > 0;
+};
+
+// Anonymise a user's account and erase their personal data. Returns false if
+// the account does not exist or was already erased.
+const eraseUser = async (userId) => {
+  // Image files cannot be rolled back, so they go first; if the transaction
+  // below fails the erasure is simply retried later
+  await deleteUserImages(userId);
+
+  const erased = await withTransaction(async (client) => {
+    const user = await client.query(
+      'SELECT id FROM users WHERE id = $1 AND erased_at IS NULL FOR UPDATE',
+      [userId]
+    );
+
+    if (user.rows.length === 0) return false;
+
+    // Before the ratings and skills it looks up are changed
+    await redactUserAuditEntries(client, userId, ERASED_NAME);
+    await deleteNotificationsCausedBy(client, userId);
+
+    await client.query('DELETE FROM ratings WHERE rated_user_id = $1', [userId]);
+    await client.query(
+      'UPDATE ratings SET comment = NULL WHERE reviewer_id = $1 AND comment IS NOT NULL',
+      [userId]
+    );
+
+    // Bookings and swaps with other people stay in their history
+    await client.query(`
+      UPDATE skills
+      SET title = 'Deleted skill', description = '', tags = '[]', active = false, updated_at = NOW()
+      WHERE created_by = $1
+    `, [userId]);
+    await client.query(`
+      UPDATE bookings SET status = 'cancelled', cancelled_by = $1, updated_at = NOW()
+      WHERE (teacher_id = $1 OR learner_id = $1) AND status = 'confirmed' AND starts_at > NOW()
+    `, [userId]);
+    await client.query('UPDATE bookings SET notes = NULL WHERE learner_id = $1 AND notes IS NOT NULL', [userId]);
+    await client.query(`
+      UPDATE swaps SET status = 'cancelled', cancelled_by = $1, updated_at = NOW()
+      WHERE (requester_id = $1 OR recipient_id = $1) AND status IN ('proposed', 'accepted', 'scheduled')
+    `, [userId]);
+    await client.query('UPDATE swaps SET message = NULL WHERE requester_id = $1 AND message IS NOT NULL', [userId]);
+    await client.query('UPDATE reports SET details = NULL WHERE reporter_id = $1 AND details IS NOT NULL', [userId]);
+
+    await client.query('DELETE FROM messages WHERE sender_id = $1', [userId]);
+    await client.query('DELETE FROM follows WHERE follower_id = $1 OR followed_id = $1', [userId]);
+    for (const table of ['notifications', 'notification_preferences', 'availability_slots', 'availability_exceptions', 'auth_tokens', 'sessions', 'bookmarks', 'skill_views']) {
+      await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+    }
+
+    await client.query(`
+      UPDATE users
+      SET name = $2, email = 'erased-' || id || '@erased.invalid', password_hash = '!',
+        bio = NULL, location = NULL, location_city = NULL, location_country = NULL,
+        latitude = NULL, longitude = NULL, website = NULL, avatar_url = NULL, avatar_key = NULL,
+        calendar_token = NULL, time_zone = 'UTC', digest_frequency = 'off', last_digest_at = NULL,
+        email_verified = false, email_verified_at = NULL, active = false,
+        erased_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [userId, ERASED_NAME]);
+
+    return true;
+  });
+
+  if (erased) {
+    await recordAudit(null, { action: 'user.erase', targetType: 'user', targetId: userId });
+  }
+
+  return erased;
+};
+
+// Erase every account whose grace period is over
+const eraseDueAccounts = async () => {
+  const due = await query(`
+    SELECT id FROM users
+    WHERE erased_at IS NULL AND active = false AND erasure_scheduled_for <= NOW()
+    ORDER BY erasure_scheduled_for
+  `);
+
+  let erased = 0;
+  for (const { id } of due.rows) {
+    if (await eraseUser(id)) erased++;
+  }
+
+  return { erased };
+};
+
+module.exports = {
+  erasureGraceDays,
+  exportUserData,
+  scheduleErasure,
+  cancelOwnErasure,
+  eraseUser,
+  eraseDueAccounts
+};
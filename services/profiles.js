@@ -0,0 +1,120 @@
+// How other people's accounts appear in API responses.
+//
+// Every endpoint that embeds a user builds it with serializeUser(), so the
+// owner's privacy settings apply the same way everywhere. Each setting is
+// 'public', 'members' (signed-in users) or 'hidden'; the owner and staff with
+// users:read always see everything.
+const { hasPermission } = require('../config/permissions');
+const { imageUrls } = require('./images');
+const { formatLocation } = require('./locations');
+
+const VISIBILITY_LEVELS = ['public', 'members', 'hidden'];
+
+// Setting -> the profile field it controls
+const PRIVACY_SETTINGS = {
+  email: 'email',
+  location: null, // location and geo, see services/locations
+  website: 'website',
+  skills: null // the list of skills, see canViewSkills()
+};
+
+const seesEverything = (ownerId, viewer) =>
+  Boolean(viewer) && (viewer.id === ownerId || hasPermission(viewer.role, 'users:read'));
+
+const canView = (level, ownerId, viewer) => {
+  if (level === 'public') return true;
+  if (!viewer) return false;
+  if (seesEverything(ownerId, viewer)) return true;
+  return level === 'members';
+};
+
+const USER_COLUMNS = [
+  'id', 'name', 'avatar_url', 'avatar_key', 'email', 'location', 'website',
+  'location_city', 'location_country', 'latitude', 'longitude', 'location_precision',
+  ...Object.keys(PRIVACY_SETTINGS).map(setting => `${setting}_visibility`)
+];
+
+// SQL select list for the columns serializeUser() reads, prefixed with `prefix`
+const userColumnsSql = (alias, prefix = '') =>
+  USER_COLUMNS.map(column => `${alias}.${column} as ${prefix}${column}`).join(', ');
+
+// { email: 'hidden', location: 'public', ... } from userColumnsSql() output
+const privacySettings = (row, prefix = '') => Object.fromEntries(
+  Object.keys(PRIVACY_SETTINGS).map(setting => [setting, row[`${prefix}${setting}_visibility`]])
+);
+
+// The user in `row` as `viewer` (req.user, or undefined when signed out) may
+// see them. Fields the viewer may not see are null; the owner and staff also
+// get the privacy settings themselves and the location as entered.
+const serializeUser = (row, viewer, prefix = '') => {
+  const id = row[`${prefix}id`];
+  const settings = privacySettings(row, prefix);
+
+  const user = {
+    id,
+    name: row[`${prefix}name`],
+    avatar_url: row[`${prefix}avatar_url`],
+    avatar_urls: imageUrls('avatar', row[`${prefix}avatar_key`])
+  };
+
+  for (const [setting, field] of Object.entries(PRIVACY_SETTINGS)) {
+    if (field) {
+      user[field] = canView(settings[setting], id, viewer) ? row[`${prefix}${field}`] : null;
+    }
+  }
+
+  Object.assign(user, canView(settings.location, id, viewer)
+    ? formatLocation(row, prefix, seesEverything(id, viewer))
+    : { location: null, geo: null });
+
+  if (seesEverything(id, viewer)) {
+    user.privacy = settings;
+    user.location_precision = row[`${prefix}location_precision`];
+  }
+
+  return user;
+};
+
+// Replace the userColumnsSql(alias, prefix) columns of a joined row with the
+// serialized user under `key` (the prefix without its underscore). The flat
+// <prefix>id, <prefix>name and <prefix>avatar fields are kept for older clients.
+const embedUser = (row, viewer, prefix, key = prefix.replace(/_$/, '')) => {
+  const user = serializeUser(row, viewer, prefix);
+  const rest = Object.fromEntries(
+    Object.entries(row).filter(([column]) => !USER_COLUMNS.some(userColumn => column === `${prefix}${userColumn}`))
+  );
+
+  return {
+    ...rest,
+    [`${prefix}id`]: user.id,
+    [`${prefix}name`]: user.name,
+    [`${prefix}avatar`]: user.avatar_url,
+    [key]: user
+  };
+};
+
+// The visibility levels at which `viewer` may see a setting of user `ownerId`,
+// for filtering in SQL
+const visibleLevels = (ownerId, viewer) => VISIBILITY_LEVELS.filter(level => canView(level, ownerId, viewer));
+
+// SQL condition on the user rows `alias`: whether `viewer` may see their
+// `setting` (a PRIVACY_SETTINGS key). `addParam` adds a query parameter and
+// returns its placeholder.
+const visibleSettingSql = (alias, setting, viewer, addParam) =>
+  `(${alias}.${setting}_visibility = ANY(${addParam(visibleLevels(null, viewer))}) OR ${alias}.id = ${addParam(viewer ? viewer.id : null)})`;
+
+// Whether `viewer` may list the skills of the user in `row`
+const canViewSkills = (row, viewer, prefix = '') =>
+  canView(row[`${prefix}skills_visibility`], row[`${prefix}id`], viewer);
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  PRIVACY_SETTINGS,
+  userColumnsSql,
+  privacySettings,
+  serializeUser,
+  embedUser,
+  visibleLevels,
+  visibleSettingSql,
+  canViewSkills
+};
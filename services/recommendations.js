@@ -0,0 +1,315 @@
+// "Recommended for you": offered skills scored against what the user has
+// engaged with, all in Postgres and plain JavaScript.
+//
+// The user's interests are the categories and tags of skills they viewed,
+// bookmarked or rated 4+ stars, plus their own listings. Candidates score on
+// overlap with those interests, on how many people with similar engagement
+// also engaged with them, and a little on popularity and reputation. Users
+// with nothing to go on get the most popular skills instead.
+const { query } = require('../config/database');
+const { normalize, normalizeTags } = require('./matching');
+const { userColumnsSql, visibleLevels } = require('./profiles');
+const { averageRatingSql, reputationScoreSql } = require('./reputation');
+const { logger } = require('./logger');
+
+// Weights for the personalised score (they add up to 1)
+const WEIGHTS = {
+  category: 0.25,
+  tags: 0.3,
+  similarUsers: 0.3,
+  popularity: 0.1,
+  reputation: 0.05
+};
+
+// Weights for the cold-start score
+const POPULAR_WEIGHTS = {
+  popularity: 0.7,
+  reputation: 0.3
+};
+
+// How strongly each kind of signal suggests the user wants to learn a topic
+const SIGNAL_WEIGHTS = {
+  wanted: 4,
+  rated: 3,
+  bookmarked: 3,
+  viewed: 1,
+  offered: 1
+};
+
+const SIGNAL_PHRASES = {
+  wanted: 'want to learn',
+  rated: 'rated highly',
+  bookmarked: 'bookmarked',
+  viewed: 'viewed',
+  offered: 'teach'
+};
+
+const POPULARITY_DAYS = 30;
+const SIMILAR_USER_LIMIT = 50;
+const CANDIDATE_LIMIT = 300;
+const MAX_RESULTS = 100;
+
+// Every user/skill engagement that counts as interest
+const ENGAGEMENTS = `(
+  SELECT user_id, skill_id, 'viewed' as kind, last_viewed_at as engaged_at FROM skill_views
+  UNION ALL
+  SELECT user_id, skill_id, 'bookmarked', created_at FROM bookmarks
+  UNION ALL
+  SELECT reviewer_id, skill_id, 'rated', created_at FROM ratings
+  WHERE skill_id IS NOT NULL AND rating >= 4 AND deleted_at IS NULL AND hidden_at IS NULL
+)`;
+
+const joinWords = (words) => (words.length > 1
+  ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`
+  : words[0]);
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+// Remember that a signed-in user opened a skill. A side effect of viewing,
+// so failures are logged rather than thrown.
+const recordSkillView = async (userId, skillId) => {
+  try {
+    await query(`
+      INSERT INTO skill_views (user_id, skill_id, view_count, first_viewed_at, last_viewed_at)
+      VALUES ($1, $2, 1, NOW(), NOW())
+      ON CONFLICT (user_id, skill_id)
+      DO UPDATE SET view_count = skill_views.view_count + 1, last_viewed_at = NOW()
+    `, [userId, skillId]);
+  } catch (error) {
+    logger.error({ err: error }, 'Record skill view error');
+  }
+};
+
+// Weighted categories and tags the user has shown interest in
+const buildInterestProfile = async (userId) => {
+  const result = await query(`
+    SELECT e.kind, s.category, s.tags
+    FROM ${ENGAGEMENTS} e
+    JOIN skills s ON e.skill_id = s.id
+    WHERE e.user_id = $1 AND s.created_by <> $1
+    UNION ALL
+    SELECT kind, category, tags
+    FROM skills
+    WHERE created_by = $1 AND active = true
+  `, [userId]);
+
+  const categories = new Map();
+  const tags = new Map();
+
+  for (const signal of result.rows) {
+    const weight = SIGNAL_WEIGHTS[signal.kind];
+    const category = normalize(signal.category);
+
+    if (category) {
+      const entry = categories.get(category) || { name: signal.category, weight: 0, sources: new Set() };
+      entry.weight += weight;
+      entry.sources.add(signal.kind);
+      categories.set(category, entry);
+    }
+
+    for (const tag of normalizeTags(signal.tags)) {
+      tags.set(tag, (tags.get(tag) || 0) + weight);
+    }
+  }
+
+  return { categories, tags, signals: result.rows.length };
+};
+
+// Offered skills the viewer has not created, bookmarked or rated, by people
+// who let them see their skills, with their similar-user and popularity
+// counts. With a profile only skills that can score are loaded; without one,
+// the most popular.
+const loadCandidates = async (viewer, profile) => {
+  const params = [viewer.id, visibleLevels(null, viewer)];
+  let relevance = '';
+
+  if (profile) {
+    params.push([...profile.categories.keys()], [...profile.tags.keys()]);
+    relevance = `AND (
+      LOWER(s.category) = ANY($3)
+      OR EXISTS (SELECT 1 FROM jsonb_array_elements_text(s.tags) t WHERE LOWER(t) = ANY($4))
+      OR ce.skill_id IS NOT NULL
+    )`;
+  }
+
+  const result = await query(`
+    WITH similar_users AS (
+      SELECT other.user_id, COUNT(DISTINCT other.skill_id) as overlap
+      FROM ${ENGAGEMENTS} mine
+      JOIN ${ENGAGEMENTS} other ON other.skill_id = mine.skill_id AND other.user_id <> mine.user_id
+      WHERE mine.user_id = $1
+      GROUP BY other.user_id
+      ORDER BY overlap DESC
+      LIMIT ${SIMILAR_USER_LIMIT}
+    ),
+    co_engagement AS (
+      SELECT e.skill_id, SUM(su.overlap) as similar_score, COUNT(DISTINCT e.user_id) as similar_users
+      FROM ${ENGAGEMENTS} e
+      JOIN similar_users su ON e.user_id = su.user_id
+      GROUP BY e.skill_id
+    ),
+    popularity AS (
+      SELECT skill_id, COUNT(DISTINCT user_id) as recent_users
+      FROM ${ENGAGEMENTS} e
+      WHERE engaged_at > NOW() - make_interval(days => ${POPULARITY_DAYS})
+      GROUP BY skill_id
+    )
+    SELECT
+      s.id, s.title, s.description, s.category, s.category_id, s.tags, s.kind, s.delivery, s.image_url, s.image_key, s.created_at,
+      ${userColumnsSql('u', 'creator_')},
+      ${averageRatingSql('s')} as average_rating,
+      s.rating_count,
+      ${reputationScoreSql('s')} as reputation,
+      COALESCE(ce.similar_score, 0) as similar_score,
+      COALESCE(ce.similar_users, 0) as similar_users,
+      COALESCE(p.recent_users, 0) as recent_users
+    FROM skills s
+    JOIN users u ON s.created_by = u.id
+    LEFT JOIN co_engagement ce ON ce.skill_id = s.id
+    LEFT JOIN popularity p ON p.skill_id = s.id
+    WHERE s.active = true AND u.active = true AND s.kind = 'offered' AND s.created_by <> $1
+      AND u.skills_visibility = ANY($2)
+      AND NOT EXISTS (SELECT 1 FROM bookmarks b WHERE b.user_id = $1 AND b.skill_id = s.id)
+      AND NOT EXISTS (SELECT 1 FROM ratings r WHERE r.reviewer_id = $1 AND r.skill_id = s.id AND r.deleted_at IS NULL)
+      ${relevance}
+    ORDER BY COALESCE(ce.similar_score, 0) DESC, COALESCE(p.recent_users, 0) DESC, s.created_at DESC, s.id DESC
+    LIMIT ${CANDIDATE_LIMIT}
+  `, params);
+
+  return result.rows.map(skill => ({
+    ...skill,
+    average_rating: parseFloat(skill.average_rating),
+    rating_count: parseInt(skill.rating_count),
+    reputation: parseFloat(skill.reputation),
+    similar_score: parseFloat(skill.similar_score),
+    similar_users: parseInt(skill.similar_users),
+    recent_users: parseInt(skill.recent_users)
+  }));
+};
+
+const maxOf = (values) => Math.max(0, ...values);
+
+// 0-1 share of the best reputation a skill could have over the 1-5 scale
+const reputationShare = (skill) => Math.max(0, (skill.reputation - 1) / 4);
+
+const popularityReason = (skill, share) => ({
+  type: 'popular',
+  score: Number(share.toFixed(3)),
+  recent_users: skill.recent_users,
+  message: `${plural(skill.recent_users, 'person', 'people')} viewed, saved or rated this in the last ${POPULARITY_DAYS} days`
+});
+
+const reputationReason = (skill) => ({
+  type: 'rating',
+  score: Number(reputationShare(skill).toFixed(3)),
+  message: `Rated ${skill.average_rating.toFixed(1)} from ${plural(skill.rating_count, 'review', 'reviews')}`
+});
+
+// Score candidates against the profile; each result lists what contributed
+const rankPersonalized = (candidates, profile) => {
+  const maxCategory = maxOf([...profile.categories.values()].map(entry => entry.weight));
+  const maxTag = maxOf([...profile.tags.values()]);
+  const maxSimilar = maxOf(candidates.map(skill => skill.similar_score));
+  const maxPopularity = maxOf(candidates.map(skill => skill.recent_users));
+
+  return candidates.map(skill => {
+    const reasons = [];
+    const category = profile.categories.get(normalize(skill.category));
+    const sharedTags = normalizeTags(skill.tags).filter(tag => profile.tags.has(tag));
+
+    const categoryScore = category ? category.weight / maxCategory : 0;
+    const tagScore = sharedTags.length > 0
+      ? Math.min(1, sharedTags.reduce((sum, tag) => sum + profile.tags.get(tag), 0) / maxTag)
+      : 0;
+    const similarScore = maxSimilar > 0 ? skill.similar_score / maxSimilar : 0;
+    const popularityScore = maxPopularity > 0 ? skill.recent_users / maxPopularity : 0;
+    const reputationScore = skill.rating_count > 0 ? reputationShare(skill) : 0;
+
+    if (category) {
+      const sources = Object.keys(SIGNAL_PHRASES).filter(kind => category.sources.has(kind));
+      reasons.push({
+        type: 'category',
+        score: Number(categoryScore.toFixed(3)),
+        category: skill.category,
+        message: `In ${skill.category}, like skills you ${joinWords(sources.map(kind => SIGNAL_PHRASES[kind]))}`
+      });
+    }
+    if (sharedTags.length > 0) {
+      reasons.push({
+        type: 'tags',
+        score: Number(tagScore.toFixed(3)),
+        shared_tags: sharedTags,
+        message: `Tagged ${joinWords(sharedTags)}, which you have shown interest in`
+      });
+    }
+    if (skill.similar_users > 0) {
+      reasons.push({
+        type: 'similar_users',
+        score: Number(similarScore.toFixed(3)),
+        similar_users: skill.similar_users,
+        message: `${plural(skill.similar_users, 'person', 'people')} with interests like yours engaged with this skill`
+      });
+    }
+    if (skill.recent_users > 0) reasons.push(popularityReason(skill, popularityScore));
+    if (skill.rating_count > 0 && skill.reputation >= 4) reasons.push(reputationReason(skill));
+
+    const score = WEIGHTS.category * categoryScore
+      + WEIGHTS.tags * tagScore
+      + WEIGHTS.similarUsers * similarScore
+      + WEIGHTS.popularity * popularityScore
+      + WEIGHTS.reputation * reputationScore;
+
+    return { skill, score, reasons };
+  })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || b.skill.id - a.skill.id);
+};
+
+// Cold start: popularity and reputation only
+const rankPopular = (candidates) => {
+  const maxPopularity = maxOf(candidates.map(skill => skill.recent_users));
+
+  return candidates.map(skill => {
+    const popularityScore = maxPopularity > 0 ? skill.recent_users / maxPopularity : 0;
+    const reputationScore = skill.rating_count > 0 ? reputationShare(skill) : 0;
+    const reasons = [];
+
+    if (skill.recent_users > 0) reasons.push(popularityReason(skill, popularityScore));
+    if (skill.rating_count > 0) reasons.push(reputationReason(skill));
+    if (reasons.length === 0) {
+      reasons.push({ type: 'new', score: 0, message: 'Recently added' });
+    }
+
+    return {
+      skill,
+      score: POPULAR_WEIGHTS.popularity * popularityScore + POPULAR_WEIGHTS.reputation * reputationScore,
+      reasons
+    };
+  }).sort((a, b) => b.score - a.score || b.skill.id - a.skill.id);
+};
+
+// Up to MAX_RESULTS { skill, score, reasons } for `viewer` (req.user), best
+// first. `strategy` is 'personalized', or 'popular' for users with no signals
+// yet; a short personalised list is topped up with popular skills.
+const recommendSkills = async (viewer) => {
+  const profile = await buildInterestProfile(viewer.id);
+
+  if (profile.signals === 0) {
+    return { strategy: 'popular', results: rankPopular(await loadCandidates(viewer, null)).slice(0, MAX_RESULTS) };
+  }
+
+  const results = rankPersonalized(await loadCandidates(viewer, profile), profile);
+
+  if (results.length < MAX_RESULTS) {
+    const included = new Set(results.map(result => result.skill.id));
+    const popular = rankPopular(await loadCandidates(viewer, null));
+    results.push(...popular.filter(result => !included.has(result.skill.id)));
+  }
+
+  return { strategy: 'personalized', results: results.slice(0, MAX_RESULTS) };
+};
+
+module.exports = {
+  recordSkillView,
+  recommendSkills
+};
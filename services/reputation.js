@@ -0,0 +1,69 @@
+// Reputation score for users and skills.
+//
+// users and skills carry rating aggregates maintained by a trigger on ratings
+// (see migration 007): each rating is weighted by how established the
+// reviewer's account was and decays with a 180-day half-life. The score is a
+// Bayesian average of those weighted ratings, pulled towards PRIOR_MEAN as
+// if every user and skill started with PRIOR_WEIGHT ratings of that value, so
+// one 5-star review does not outrank two hundred averaging 4.8.
+
+const PRIOR_MEAN = 3.5;
+const PRIOR_WEIGHT = 5;
+
+// Documented in the breakdown; the weights themselves are computed in SQL
+const HALF_LIFE_DAYS = 180;
+const NEW_ACCOUNT_TRUST = 0.2;
+const FULL_TRUST_AFTER_DAYS = 30;
+
+// SQL expression for the score of a users or skills row aliased `alias`
+const reputationScoreSql = (alias) => `(
+  (${PRIOR_WEIGHT} * ${PRIOR_MEAN} + ${alias}.rating_weighted_sum * reputation_decay())
+  / (${PRIOR_WEIGHT} + ${alias}.rating_weight * reputation_decay())
+)`;
+
+// SQL expression for the plain average rating of a users or skills row
+const averageRatingSql = (alias) =>
+  `(CASE WHEN ${alias}.rating_count > 0 THEN ${alias}.rating_sum::float / ${alias}.rating_count ELSE 0 END)`;
+
+// SQL select list for the columns formatReputation() reads, prefixed with `prefix`
+const reputationColumnsSql = (alias, prefix = '') => `
+  ${alias}.rating_count as ${prefix}rating_count,
+  ${alias}.rating_sum as ${prefix}rating_sum,
+  ${alias}.rating_weight * reputation_decay() as ${prefix}effective_weight,
+  ${alias}.rating_weighted_sum * reputation_decay() as ${prefix}effective_weighted_sum
+`;
+
+const averageRating = (row, prefix = '') => {
+  const count = parseInt(row[`${prefix}rating_count`]);
+  return count > 0 ? parseInt(row[`${prefix}rating_sum`]) / count : 0;
+};
+
+// { score, average_rating, rating_count, breakdown } from reputationColumnsSql() output
+const formatReputation = (row, prefix = '') => {
+  const count = parseInt(row[`${prefix}rating_count`]);
+  const weight = parseFloat(row[`${prefix}effective_weight`]) || 0;
+  const weightedSum = parseFloat(row[`${prefix}effective_weighted_sum`]) || 0;
+  const score = (PRIOR_WEIGHT * PRIOR_MEAN + weightedSum) / (PRIOR_WEIGHT + weight);
+
+  return {
+    score: Number(score.toFixed(2)),
+    average_rating: averageRating(row, prefix).toFixed(1),
+    rating_count: count,
+    breakdown: {
+      weighted_average: weight > 0 ? Number((weightedSum / weight).toFixed(2)) : null,
+      effective_ratings: Number(weight.toFixed(2)),
+      prior_mean: PRIOR_MEAN,
+      prior_weight: PRIOR_WEIGHT,
+      half_life_days: HALF_LIFE_DAYS,
+      new_account_trust: NEW_ACCOUNT_TRUST,
+      full_trust_after_days: FULL_TRUST_AFTER_DAYS
+    }
+  };
+};
+
+module.exports = {
+  reputationScoreSql,
+  averageRatingSql,
+  reputationColumnsSql,
+  formatReputation
+};
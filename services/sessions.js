@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const issueRefreshToken = async (sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await query(
+    'INSERT INTO refresh_tokens (session_id, token_hash, created_at) VALUES ($1, $2, NOW())',
+    [sessionId, hashToken(refreshToken)]
+  );
+
+  return refreshToken;
+};
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500) || null,
+  ip: req.ip || null
+});
+
+// Start a new session for a successful login/registration
+const createSession = async (userId, req) => {
+  const { userAgent, ip } = clientInfo(req);
+
+  const result = await query(`
+    INSERT INTO sessions (user_id, user_agent, ip_address, expires_at, last_used_at, created_at)
+    VALUES ($1, $2, $3, NOW() + make_interval(days => $4), NOW(), NOW())
+    RETURNING id
+  `, [userId, userAgent, ip, REFRESH_TOKEN_TTL_DAYS]);
+
+  const sessionId = result.rows[0].id;
+
+  return {
+    sessionId,
+    token: generateAccessToken(userId, sessionId),
+    refreshToken: await issueRefreshToken(sessionId)
+  };
+};
+
+// Called with the ids of revoked sessions, so connections authenticated once
+// (chat sockets) can be closed; see socket/chat
+const revocationListeners = [];
+
+const onSessionsRevoked = (listener) => {
+  revocationListeners.push(listener);
+};
+
+const notifyRevoked = (sessionIds) => {
+  if (sessionIds.length === 0) return;
+
+  for (const listener of revocationListeners) {
+    try {
+      listener(sessionIds);
+    } catch (error) {
+      logger.error({ err: error }, 'Session revocation listener error');
+    }
+  }
+};
+
+const revokeSession = async (sessionId, reason) => {
+  const result = await query(`
+    UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+    WHERE id = $1 AND revoked_at IS NULL
+    RETURNING id
+  `, [sessionId, reason]);
+
+  notifyRevoked(result.rows.map(row => row.id));
+  return result.rowCount > 0;
+};
+
+const revokeAllSessions = async (userId, reason) => {
+  const result = await query(`
+    UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+    WHERE user_id = $1 AND revoked_at IS NULL
+    RETURNING id
+  `, [userId, reason]);
+
+  notifyRevoked(result.rows.map(row => row.id));
+  return result.rowCount;
+};
+
+// Exchange a refresh token for a new access/refresh pair. Returns null when the
+// token is unknown, expired or revoked. Presenting an already rotated token
+// revokes the session, since only a copied token can be replayed.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const existing = await query(`
+    SELECT rt.id, rt.used_at, s.id as session_id, s.user_id, s.revoked_at, s.expires_at, u.active
+    FROM refresh_tokens rt
+    JOIN sessions s ON rt.session_id = s.id
+    JOIN users u ON s.user_id = u.id
+    WHERE rt.token_hash = $1
+  `, [hashToken(refreshToken)]);
+
+  if (existing.rows.length === 0) {
+    return null;
+  }
+
+  const record = existing.rows[0];
+
+  if (record.used_at) {
+    await revokeSession(record.session_id, 'refresh_token_reuse');
+    logger.warn({ sessionId: record.session_id, userId: record.user_id }, 'Refresh token reuse detected');
+    return { reuseDetected: true };
+  }
+
+  if (record.revoked_at || new Date(record.expires_at) <= new Date() || !record.active) {
+    return null;
+  }
+
+  // Mark as used only if nobody beat us to it
+  const claimed = await query(
+    'UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL RETURNING id',
+    [record.id]
+  );
+
+  if (claimed.rows.length === 0) {
+    await revokeSession(record.session_id, 'refresh_token_reuse');
+    return { reuseDetected: true };
+  }
+
+  const { userAgent, ip } = clientInfo(req);
+  await query(`
+    UPDATE sessions
+    SET last_used_at = NOW(), ip_address = $2, user_agent = COALESCE($3, user_agent),
+        expires_at = NOW() + make_interval(days => $4)
+    WHERE id = $1
+  `, [record.session_id, ip, userAgent, REFRESH_TOKEN_TTL_DAYS]);
+
+  return {
+    sessionId: record.session_id,
+    userId: record.user_id,
+    token: generateAccessToken(record.user_id, record.session_id),
+    refreshToken: await issueRefreshToken(record.session_id)
+  };
+};
+
+const listActiveSessions = async (userId) => {
+  const result = await query(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [userId]);
+
+  return result.rows;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  onSessionsRevoked,
+  listActiveSessions
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+// File storage behind uploaded images.
+//
+// An adapter stores opaque keys such as "avatars/12/<uuid>-small.webp" and
+// must implement:
+//   put(key, buffer, { contentType })
+//   get(key)     -> { stream, size, contentType, updatedAt } | null
+//   delete(key)  (missing keys are not an error)
+//   list(prefix) -> [{ key, size, updatedAt }]
+//   url(key)     -> public URL of the file
+// LocalDiskStorage keeps files under UPLOAD_DIR and serves them through
+// /api/uploads; an object store (e.g. S3) can be installed with setStorage()
+// and return its own URLs.
+
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+const UPLOADS_PATH = '/api/uploads/';
+
+const isValidKey = (key) =>
+  typeof key === 'string' &&
+  /^[A-Za-z0-9][A-Za-z0-9._/-]*$/.test(key) &&
+  !key.split('/').some(part => part === '' || part === '.' || part === '..');
+
+class LocalDiskStorage {
+  constructor({ root = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'), baseUrl = process.env.API_URL || '' } = {}) {
+    this.root = path.resolve(root);
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  resolve(key) {
+    if (!isValidKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.root, ...key.split('/'));
+  }
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    // Write then rename so a half-written file is never served
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, buffer);
+    await fs.promises.rename(temp, file);
+  }
+
+  async get(key) {
+    if (!isValidKey(key)) return null;
+
+    const file = this.resolve(key);
+    try {
+      const stats = await fs.promises.stat(file);
+      if (!stats.isFile()) return null;
+
+      return {
+        stream: fs.createReadStream(file),
+        size: stats.size,
+        contentType: CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        updatedAt: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  async list(prefix = '') {
+    const files = [];
+
+    const walk = async (dir, keyPrefix) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const key = `${keyPrefix}${entry.name}`;
+        if (entry.isDirectory()) {
+          await walk(path.join(dir, entry.name), `${key}/`);
+        } else if (entry.isFile() && key.startsWith(prefix) && !key.endsWith('.tmp')) {
+          const stats = await fs.promises.stat(path.join(dir, entry.name));
+          files.push({ key, size: stats.size, updatedAt: stats.mtime });
+        }
+      }
+    };
+
+    await walk(this.root, '');
+    return files;
+  }
+
+  url(key) {
+    return `${this.baseUrl}${UPLOADS_PATH}${key}`;
+  }
+}
+
+let storage = new LocalDiskStorage();
+
+const getStorage = () => storage;
+
+// Swap the adapter (e.g. an object store in production or a temp dir in tests)
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = {
+  LocalDiskStorage,
+  UPLOADS_PATH,
+  isValidKey,
+  getStorage,
+  setStorage
+};
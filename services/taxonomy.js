@@ -0,0 +1,423 @@
+const { query } = require('../config/database');
+
+// Errors carrying an HTTP status for the route to pass through
+const taxonomyError = (message, status) => Object.assign(new Error(message), { status });
+
+// "Music - Guitar" -> "music-guitar"
+const slugify = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+// Find an active category by id (number) or by slug, name or alias (string)
+const resolveCategory = async (input) => {
+  const id = typeof input === 'number' ? input : null;
+  const slug = id === null ? slugify(input) : null;
+
+  const result = await query(`
+    SELECT c.id, c.name, c.slug, c.parent_id
+    FROM categories c
+    WHERE c.retired_at IS NULL
+      AND (
+        c.id = $1
+        OR c.slug = $2
+        OR c.id IN (SELECT category_id FROM category_aliases WHERE alias_slug = $2)
+      )
+    ORDER BY (c.slug = $2) DESC
+    LIMIT 1
+  `, [id, slug]);
+
+  return result.rows[0] || null;
+};
+
+// Map free-text tags to canonical tag names; unknown or retired tags are reported
+const resolveTags = async (inputs) => {
+  const slugs = [...new Set(inputs.map(slugify).filter(Boolean))];
+  if (slugs.length === 0) {
+    return { tags: [], unknown: [] };
+  }
+
+  const result = await query(`
+    SELECT DISTINCT ON (x.input_slug) x.input_slug, t.id, t.name
+    FROM unnest($1::text[]) AS x(input_slug)
+    JOIN tags t ON t.retired_at IS NULL
+      AND (
+        t.slug = x.input_slug
+        OR t.id IN (SELECT tag_id FROM tag_aliases WHERE alias_slug = x.input_slug)
+      )
+    ORDER BY x.input_slug, (t.slug = x.input_slug) DESC
+  `, [slugs]);
+
+  const bySlug = new Map(result.rows.map(row => [row.input_slug, row.name]));
+
+  return {
+    tags: [...new Set(slugs.filter(slug => bySlug.has(slug)).map(slug => bySlug.get(slug)))],
+    unknown: inputs.filter(input => !bySlug.has(slugify(input)))
+  };
+};
+
+// Active categories as a tree of { id, name, slug, children }
+const getCategoryTree = async () => {
+  const result = await query(`
+    SELECT c.id, c.name, c.slug, c.parent_id, COUNT(s.id) as skill_count
+    FROM categories c
+    LEFT JOIN skills s ON s.category_id = c.id AND s.active = true
+    WHERE c.retired_at IS NULL
+    GROUP BY c.id
+    ORDER BY c.name ASC
+  `);
+
+  const nodes = new Map(result.rows.map(row => [row.id, {
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    parent_id: row.parent_id,
+    skill_count: parseInt(row.skill_count),
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(node.parent_id);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+const assertSlugAvailable = async (table, slug, exceptId = null) => {
+  const aliasTable = table === 'categories' ? 'category_aliases' : 'tag_aliases';
+  const result = await query(`
+    SELECT 1 FROM ${table} WHERE slug = $1 AND ($2::int IS NULL OR id <> $2)
+    UNION ALL
+    SELECT 1 FROM ${aliasTable} WHERE alias_slug = $1
+  `, [slug, exceptId]);
+
+  if (result.rows.length > 0) {
+    throw taxonomyError(`Slug "${slug}" is already in use`, 409);
+  }
+};
+
+// Reject a parent that is the category itself or one of its descendants
+const assertValidParent = async (categoryId, parentId) => {
+  if (parentId === null || parentId === undefined) return;
+
+  const parent = await query('SELECT id FROM categories WHERE id = $1 AND retired_at IS NULL', [parentId]);
+  if (parent.rows.length === 0) {
+    throw taxonomyError('Parent category not found', 404);
+  }
+
+  if (categoryId === null) return;
+
+  const cycle = await query(`
+    WITH RECURSIVE ancestors AS (
+      SELECT id, parent_id FROM categories WHERE id = $1
+      UNION ALL
+      SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent_id
+    )
+    SELECT 1 FROM ancestors WHERE id = $2
+  `, [parentId, categoryId]);
+
+  if (cycle.rows.length > 0) {
+    throw taxonomyError('A category cannot be nested under itself or its children', 400);
+  }
+};
+
+const createCategory = async ({ name, slug, parent_id = null }) => {
+  const finalSlug = slugify(slug || name);
+  await assertSlugAvailable('categories', finalSlug);
+  await assertValidParent(null, parent_id);
+
+  const result = await query(`
+    INSERT INTO categories (name, slug, parent_id, created_at, updated_at)
+    VALUES ($1, $2, $3, NOW(), NOW())
+    RETURNING id, name, slug, parent_id, created_at
+  `, [name.trim(), finalSlug, parent_id]);
+
+  return result.rows[0];
+};
+
+const updateCategory = async (id, { name, slug, parent_id }) => {
+  const existing = await query('SELECT id FROM categories WHERE id = $1 AND retired_at IS NULL', [id]);
+  if (existing.rows.length === 0) {
+    throw taxonomyError('Category not found', 404);
+  }
+
+  const finalSlug = slug ? slugify(slug) : null;
+  if (finalSlug) await assertSlugAvailable('categories', finalSlug, id);
+  if (parent_id !== undefined) await assertValidParent(id, parent_id);
+
+  const result = await query(`
+    UPDATE categories
+    SET
+      name = COALESCE($1, name),
+      slug = COALESCE($2, slug),
+      parent_id = CASE WHEN $3::boolean THEN $4 ELSE parent_id END,
+      updated_at = NOW()
+    WHERE id = $5
+    RETURNING id, name, slug, parent_id, updated_at
+  `, [name ? name.trim() : null, finalSlug, parent_id !== undefined, parent_id === undefined ? null : parent_id, id]);
+
+  // Keep the denormalized name on skills in step
+  if (name) {
+    await query('UPDATE skills SET category = $1 WHERE category_id = $2', [result.rows[0].name, id]);
+  }
+
+  return result.rows[0];
+};
+
+// Fold one category into another: skills, aliases and children move over,
+// the source's slug becomes an alias and the source is retired
+const mergeCategories = async (sourceId, targetId) => {
+  if (parseInt(sourceId) === parseInt(targetId)) {
+    throw taxonomyError('Cannot merge a category into itself', 400);
+  }
+
+  const found = await query(
+    'SELECT id, name, slug FROM categories WHERE id = ANY($1) AND retired_at IS NULL',
+    [[sourceId, targetId]]
+  );
+  const source = found.rows.find(row => row.id === parseInt(sourceId));
+  const target = found.rows.find(row => row.id === parseInt(targetId));
+  if (!source || !target) {
+    throw taxonomyError('Category not found', 404);
+  }
+
+  await assertValidParent(sourceId, targetId);
+
+  const result = await query(`
+    WITH moved_skills AS (
+      UPDATE skills SET category_id = $2, category = $3 WHERE category_id = $1 RETURNING id
+    ), moved_aliases AS (
+      UPDATE category_aliases SET category_id = $2 WHERE category_id = $1
+    ), moved_children AS (
+      UPDATE categories SET parent_id = $2 WHERE parent_id = $1
+    ), source_alias AS (
+      INSERT INTO category_aliases (category_id, alias_slug, created_at)
+      VALUES ($2, $4, NOW())
+      ON CONFLICT (alias_slug) DO UPDATE SET category_id = EXCLUDED.category_id
+    ), retired AS (
+      UPDATE categories SET retired_at = NOW(), merged_into_id = $2, updated_at = NOW() WHERE id = $1
+    )
+    SELECT COUNT(*) as skills_moved FROM moved_skills
+  `, [sourceId, targetId, target.name, source.slug]);
+
+  return { source, target, skills_moved: parseInt(result.rows[0].skills_moved) };
+};
+
+// Retired categories can no longer be chosen; existing skills keep them
+const retireCategory = async (id) => {
+  const children = await query(
+    'SELECT COUNT(id) as total FROM categories WHERE parent_id = $1 AND retired_at IS NULL',
+    [id]
+  );
+  if (parseInt(children.rows[0].total) > 0) {
+    throw taxonomyError('Move or retire child categories first', 409);
+  }
+
+  const result = await query(`
+    UPDATE categories SET retired_at = NOW(), updated_at = NOW()
+    WHERE id = $1 AND retired_at IS NULL
+    RETURNING id, name, slug, retired_at
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw taxonomyError('Category not found', 404);
+  }
+
+  return result.rows[0];
+};
+
+const listTags = async ({ search } = {}) => {
+  const result = await query(`
+    SELECT
+      t.id, t.name, t.slug,
+      COALESCE(json_agg(a.alias_slug ORDER BY a.alias_slug) FILTER (WHERE a.id IS NOT NULL), '[]') as aliases
+    FROM tags t
+    LEFT JOIN tag_aliases a ON a.tag_id = t.id
+    WHERE t.retired_at IS NULL AND ($1::text IS NULL OR t.slug LIKE $1 || '%')
+    GROUP BY t.id
+    ORDER BY t.name ASC
+  `, [search ? slugify(search) : null]);
+
+  return result.rows;
+};
+
+const createTag = async ({ name, slug, aliases = [] }) => {
+  const finalSlug = slugify(slug || name);
+  await assertSlugAvailable('tags', finalSlug);
+
+  const result = await query(`
+    INSERT INTO tags (name, slug, created_at, updated_at)
+    VALUES ($1, $2, NOW(), NOW())
+    RETURNING id, name, slug, created_at
+  `, [name.trim(), finalSlug]);
+
+  const tag = result.rows[0];
+  for (const alias of aliases) {
+    await addTagAlias(tag.id, alias);
+  }
+
+  return tag;
+};
+
+const addTagAlias = async (tagId, alias) => {
+  const aliasSlug = slugify(alias);
+  if (!aliasSlug) {
+    throw taxonomyError('Alias cannot be empty', 400);
+  }
+  await assertSlugAvailable('tags', aliasSlug);
+
+  const tag = await query('SELECT id FROM tags WHERE id = $1 AND retired_at IS NULL', [tagId]);
+  if (tag.rows.length === 0) {
+    throw taxonomyError('Tag not found', 404);
+  }
+
+  const result = await query(`
+    INSERT INTO tag_aliases (tag_id, alias_slug, created_at)
+    VALUES ($1, $2, NOW())
+    RETURNING id, tag_id, alias_slug
+  `, [tagId, aliasSlug]);
+
+  return result.rows[0];
+};
+
+const removeTagAlias = async (tagId, alias) => {
+  const result = await query(
+    'DELETE FROM tag_aliases WHERE tag_id = $1 AND alias_slug = $2 RETURNING id',
+    [tagId, slugify(alias)]
+  );
+
+  if (result.rows.length === 0) {
+    throw taxonomyError('Alias not found', 404);
+  }
+};
+
+// Fold one tag into another, rewriting it on every skill that uses it
+const mergeTags = async (sourceId, targetId) => {
+  if (parseInt(sourceId) === parseInt(targetId)) {
+    throw taxonomyError('Cannot merge a tag into itself', 400);
+  }
+
+  const found = await query(
+    'SELECT id, name, slug FROM tags WHERE id = ANY($1) AND retired_at IS NULL',
+    [[sourceId, targetId]]
+  );
+  const source = found.rows.find(row => row.id === parseInt(sourceId));
+  const target = found.rows.find(row => row.id === parseInt(targetId));
+  if (!source || !target) {
+    throw taxonomyError('Tag not found', 404);
+  }
+
+  const result = await query(`
+    WITH rewritten AS (
+      UPDATE skills
+      SET tags = (
+        SELECT COALESCE(jsonb_agg(DISTINCT CASE WHEN t = $3 THEN $4 ELSE t END), '[]'::jsonb)
+        FROM jsonb_array_elements_text(skills.tags) AS t
+      )
+      WHERE tags ? $3
+      RETURNING id
+    ), moved_aliases AS (
+      UPDATE tag_aliases SET tag_id = $2 WHERE tag_id = $1
+    ), source_alias AS (
+      INSERT INTO tag_aliases (tag_id, alias_slug, created_at)
+      VALUES ($2, $5, NOW())
+      ON CONFLICT (alias_slug) DO UPDATE SET tag_id = EXCLUDED.tag_id
+    ), retired AS (
+      UPDATE tags SET retired_at = NOW(), merged_into_id = $2, updated_at = NOW() WHERE id = $1
+    )
+    SELECT COUNT(*) as skills_updated FROM rewritten
+  `, [sourceId, targetId, source.name, target.name, source.slug]);
+
+  return { source, target, skills_updated: parseInt(result.rows[0].skills_updated) };
+};
+
+const retireTag = async (id) => {
+  const result = await query(`
+    UPDATE tags SET retired_at = NOW(), updated_at = NOW()
+    WHERE id = $1 AND retired_at IS NULL
+    RETURNING id, name, slug, retired_at
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw taxonomyError('Tag not found', 404);
+  }
+
+  return result.rows[0];
+};
+
+// One-off migration of free-text values: every distinct category and tag on
+// existing skills is matched to (or becomes) a taxonomy entry and skills are
+// rewritten to the canonical names. Safe to run more than once.
+const backfillTaxonomy = async () => {
+  const stats = { categories_created: 0, tags_created: 0, skills_updated: 0 };
+
+  const categories = await query(
+    'SELECT DISTINCT TRIM(category) as category FROM skills WHERE category_id IS NULL'
+  );
+
+  for (const { category } of categories.rows) {
+    let resolved = await resolveCategory(category);
+    if (!resolved && slugify(category)) {
+      resolved = await createCategory({ name: category });
+      stats.categories_created++;
+    }
+    if (resolved) {
+      await query(
+        'UPDATE skills SET category_id = $1, category = $2 WHERE category_id IS NULL AND TRIM(category) = $3',
+        [resolved.id, resolved.name, category]
+      );
+    }
+  }
+
+  const skills = await query(`SELECT id, tags FROM skills WHERE jsonb_array_length(tags) > 0`);
+
+  for (const skill of skills.rows) {
+    const rawTags = skill.tags.filter(tag => typeof tag === 'string' && slugify(tag));
+    let { tags, unknown } = await resolveTags(rawTags);
+
+    for (const name of unknown) {
+      const existing = await resolveTags([name]);
+      if (existing.tags.length === 0) {
+        await createTag({ name });
+        stats.tags_created++;
+      }
+    }
+    if (unknown.length > 0) {
+      ({ tags } = await resolveTags(rawTags));
+    }
+
+    if (JSON.stringify(tags) !== JSON.stringify(skill.tags)) {
+      await query('UPDATE skills SET tags = $1 WHERE id = $2', [JSON.stringify(tags), skill.id]);
+      stats.skills_updated++;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  slugify,
+  resolveCategory,
+  resolveTags,
+  getCategoryTree,
+  createCategory,
+  updateCategory,
+  mergeCategories,
+  retireCategory,
+  listTags,
+  createTag,
+  addTagAlias,
+  removeTagAlias,
+  mergeTags,
+  retireTag,
+  backfillTaxonomy
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+
+// Lifetime in seconds for each kind of single-use token
+const TOKEN_TTL = {
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL || String(24 * 60 * 60)),
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL || String(60 * 60))
+};
+
+// Issue a signed token for the given purpose. The jti is recorded so the token
+// can be redeemed once; older unused tokens of the same purpose are retired.
+const issueToken = async (userId, purpose) => {
+  const jti = crypto.randomUUID();
+  const ttl = TOKEN_TTL[purpose];
+
+  await query(
+    'UPDATE auth_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await query(`
+    INSERT INTO auth_tokens (jti, user_id, purpose, expires_at, created_at)
+    VALUES ($1, $2, $3, NOW() + make_interval(secs => $4), NOW())
+  `, [jti, userId, purpose, ttl]);
+
+  // Uses `sub` rather than `userId` so these can never pass as access tokens
+  return jwt.sign(
+    { sub: String(userId), purpose },
+    process.env.JWT_SECRET,
+    { jwtid: jti, expiresIn: ttl, audience: purpose }
+  );
+};
+
+// Verify and consume a token; returns the user id, or null if the token is
+// invalid, expired, for another purpose or already used
+const redeemToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: purpose });
+  } catch (error) {
+    return null;
+  }
+
+  const result = await query(`
+    UPDATE auth_tokens
+    SET used_at = NOW()
+    WHERE jti = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+  `, [decoded.jti, purpose]);
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  issueToken,
+  redeemToken
+};
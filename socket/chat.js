@@ -0,0 +1,146 @@
+const { getUserFromToken } = require('../middleware/auth');
+const {
+  MAX_MESSAGE_LENGTH,
+  otherParticipant,
+  getConversationForUser,
+  createMessage,
+  markConversationRead,
+  getUnreadCount
+} = require('../services/messaging');
+const { onSessionsRevoked } = require('../services/sessions');
+const { logger } = require('../services/logger');
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Push a new message to both participants and refresh the recipient's unread count
+const broadcastMessage = async (chat, conversation, message) => {
+  const recipientId = otherParticipant(conversation, message.sender_id);
+
+  chat.to(userRoom(message.sender_id)).to(userRoom(recipientId)).emit('message:new', message);
+  chat.to(userRoom(recipientId)).emit('unread:count', { unread: await getUnreadCount(recipientId) });
+};
+
+// Tell the sender their messages were read and refresh the reader's unread count
+const broadcastRead = async (chat, conversation, readerId, receipt) => {
+  if (receipt.count === 0) return;
+
+  chat.to(userRoom(otherParticipant(conversation, readerId))).emit('messages:read', {
+    conversation_id: conversation.id,
+    reader_id: readerId,
+    message_ids: receipt.message_ids,
+    read_at: receipt.read_at
+  });
+  chat.to(userRoom(readerId)).emit('unread:count', { unread: await getUnreadCount(readerId) });
+};
+
+// Same JWT as authenticateToken, sent as auth.token or an Authorization header
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers['authorization'];
+    const token = socket.handshake.auth.token || (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+      const error = new Error('Access token required');
+      error.data = { status: 401 };
+      return next(error);
+    }
+
+    const user = await getUserFromToken(token);
+
+    if (!user) {
+      const error = new Error('Invalid token - user not found');
+      error.data = { status: 401 };
+      return next(error);
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    const authError = new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    authError.data = { status: 401 };
+    next(authError);
+  }
+};
+
+// Register the /chat namespace on a socket.io server
+const registerChatNamespace = (io) => {
+  const chat = io.of('/chat');
+
+  chat.use(authenticateSocket);
+
+  // Sockets are only authenticated when they connect, so drop them once their
+  // session is revoked (logout, deactivation, refresh token reuse)
+  onSessionsRevoked((sessionIds) => {
+    for (const sessionId of sessionIds) {
+      chat.in(sessionRoom(sessionId)).disconnectSockets(true);
+    }
+  });
+
+  chat.on('connection', async (socket) => {
+    const userId = socket.user.id;
+    socket.join([userRoom(userId), sessionRoom(socket.user.session_id)]);
+
+    // Only act on conversations the connected user is part of
+    const withConversation = (handler) => async (payload = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const conversation = await getConversationForUser(payload.conversationId, userId);
+        if (!conversation) {
+          return reply({ error: { message: 'Conversation not found', status: 404 } });
+        }
+        await handler(conversation, payload, reply);
+      } catch (error) {
+        logger.error({ err: error }, 'Chat socket error');
+        reply({ error: { message: 'Chat action failed', status: 500 } });
+      }
+    };
+
+    socket.on('message:send', withConversation(async (conversation, { body }, reply) => {
+      if (!socket.user.email_verified) {
+        return reply({ error: { message: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED', status: 403 } });
+      }
+
+      const text = typeof body === 'string' ? body.trim() : '';
+      if (text.length === 0 || text.length > MAX_MESSAGE_LENGTH) {
+        return reply({ error: { message: `Message must be between 1-${MAX_MESSAGE_LENGTH} characters`, status: 400 } });
+      }
+
+      const message = await createMessage(conversation.id, userId, text);
+      await broadcastMessage(chat, conversation, message);
+      reply({ message });
+    }));
+
+    socket.on('typing:start', withConversation(async (conversation, payload, reply) => {
+      socket.to(userRoom(otherParticipant(conversation, userId)))
+        .emit('typing', { conversation_id: conversation.id, user_id: userId, typing: true });
+      reply({ ok: true });
+    }));
+
+    socket.on('typing:stop', withConversation(async (conversation, payload, reply) => {
+      socket.to(userRoom(otherParticipant(conversation, userId)))
+        .emit('typing', { conversation_id: conversation.id, user_id: userId, typing: false });
+      reply({ ok: true });
+    }));
+
+    socket.on('messages:read', withConversation(async (conversation, payload, reply) => {
+      const receipt = await markConversationRead(conversation.id, userId);
+      await broadcastRead(chat, conversation, userId, receipt);
+      reply({ read: receipt.count });
+    }));
+
+    try {
+      socket.emit('unread:count', { unread: await getUnreadCount(userId) });
+    } catch (error) {
+      logger.error({ err: error }, 'Chat unread count error');
+    }
+  });
+
+  return chat;
+};
+
+module.exports = {
+  registerChatNamespace,
+  broadcastMessage,
+  broadcastRead
+};
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+let app;
+let teacher;
+let learner;
+let guitarId;
+let swapId;
+
+const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const book = (startHour, hours, extra = {}) => app.api('POST', '/api/bookings', {
+  token: learner.token,
+  body: {
+    skill_id: guitarId,
+    starts_at: `${tomorrow}T${String(startHour).padStart(2, '0')}:00:00Z`,
+    ends_at: `${tomorrow}T${String(startHour + hours).padStart(2, '0')}:00:00Z`,
+    ...extra
+  }
+});
+
+const swapState = async () => (await app.query('SELECT status, scheduled_at FROM swaps WHERE id = $1', [swapId])).rows[0];
+
+before(async () => {
+  app = await startApp();
+  teacher = await app.createUser('Teacher');
+  learner = await app.createUser('Learner');
+
+  await app.query("INSERT INTO categories (name, slug) VALUES ('Music', 'music')");
+  const createSkill = async (user, title) => (await app.api('POST', '/api/skills', {
+    token: user.token,
+    body: { title, description: `${title} lessons for beginners`, category: 'music' }
+  })).body.skill.id;
+  guitarId = await createSkill(teacher, 'Guitar');
+  const pianoId = await createSkill(learner, 'Piano');
+
+  const slots = [0, 1, 2, 3, 4, 5, 6].map(day => ({ day_of_week: day, start_time: '00:00', end_time: '23:59' }));
+  await app.api('PUT', '/api/availability', { token: teacher.token, body: { time_zone: 'UTC', slots } });
+
+  swapId = (await app.query(`
+    INSERT INTO swaps (requester_id, recipient_id, offered_skill_id, requested_skill_id, status)
+    VALUES ($1, $2, $3, $4, 'accepted') RETURNING id
+  `, [learner.id, teacher.id, pianoId, guitarId])).rows[0].id;
+});
+
+after(() => app.close());
+
+test('cancelling a swap session moves the swap to its next session, then back to accepted', async () => {
+  const first = await book(9, 1, { swap_id: swapId });
+  const second = await book(12, 1, { swap_id: swapId });
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(second.status, 201);
+  assert.strictEqual((await swapState()).status, 'scheduled');
+
+  const cancelled = await app.api('PUT', `/api/bookings/${first.body.booking.id}/cancel`, { token: teacher.token });
+  assert.strictEqual(cancelled.status, 200);
+  assert.strictEqual(cancelled.body.booking.status, 'cancelled');
+  assert.strictEqual(cancelled.body.booking.swap_id, swapId);
+
+  let swap = await swapState();
+  assert.strictEqual(swap.status, 'scheduled');
+  assert.strictEqual(new Date(swap.scheduled_at).toISOString(), new Date(second.body.booking.starts_at).toISOString());
+
+  await app.api('PUT', `/api/bookings/${second.body.booking.id}/cancel`, { token: learner.token });
+  swap = await swapState();
+  assert.strictEqual(swap.status, 'accepted');
+  assert.strictEqual(swap.scheduled_at, null);
+});
+
+test('stale unconfirmed sessions expire and release credits and swaps', async () => {
+  const { expireStaleBookings } = require('../services/bookings');
+
+  const paid = await book(15, 1);
+  const swapped = await book(17, 1, { swap_id: swapId });
+  assert.strictEqual(paid.status, 201);
+  assert.strictEqual(swapped.status, 201);
+
+  let balance = await app.api('GET', `/api/users/${learner.id}/balance`, { token: learner.token });
+  assert.strictEqual(balance.body.reserved, '1.00');
+
+  // Both sessions ended long ago and were never confirmed
+  await app.query(`
+    UPDATE bookings SET starts_at = starts_at - INTERVAL '60 days', ends_at = ends_at - INTERVAL '60 days'
+    WHERE id = ANY($1)
+  `, [[paid.body.booking.id, swapped.body.booking.id]]);
+
+  assert.deepStrictEqual(await expireStaleBookings(), { expired: 2, swaps_updated: 1 });
+
+  balance = await app.api('GET', `/api/users/${learner.id}/balance`, { token: learner.token });
+  assert.strictEqual(balance.body.reserved, '0.00');
+  assert.strictEqual((await swapState()).status, 'accepted');
+
+  const listed = await app.api('GET', '/api/bookings?upcoming=false&status=expired', { token: learner.token });
+  assert.strictEqual(listed.status, 200);
+  assert.strictEqual(listed.body.bookings.length, 2);
+
+  const completed = await app.api('PUT', `/api/bookings/${paid.body.booking.id}/complete`, { token: learner.token });
+  assert.strictEqual(completed.status, 404);
+
+  assert.deepStrictEqual(await expireStaleBookings(), { expired: 0, swaps_updated: 0 });
+});
@@ -0,0 +1,108 @@
+// Test setup: the app against a throwaway in-memory PostgreSQL (PGlite, served
+// over the wire protocol), so the real pg pool, migration runner and
+// transactions run unchanged. Every reply is also checked against its route's
+// documented schema (VALIDATE_RESPONSES), so a reply that drifts from the
+// OpenAPI document fails with a 500.
+const net = require('net');
+const { PGlite } = require('@electric-sql/pglite');
+const { btree_gist } = require('@electric-sql/pglite/contrib/btree_gist');
+const { pg_trgm } = require('@electric-sql/pglite/contrib/pg_trgm');
+const { PGLiteSocketServer } = require('@electric-sql/pglite-socket');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.unref();
+  probe.on('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// Start an empty database and point config/database at it. Must run before
+// anything requires config/database, which connects on load.
+const startDatabase = async () => {
+  const db = await PGlite.create({ extensions: { btree_gist, pg_trgm } });
+  const port = await freePort();
+  const server = new PGLiteSocketServer({ db, port, maxConnections: 25 });
+  await server.start();
+
+  Object.assign(process.env, {
+    DB_HOST: '127.0.0.1',
+    DB_PORT: String(port),
+    DB_NAME: 'postgres',
+    DB_USER: 'postgres',
+    JWT_SECRET: 'test-secret',
+    MAIL_TRANSPORT: 'json',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'silent',
+    VALIDATE_RESPONSES: 'true',
+    DIGEST_INTERVAL_MINUTES: '0',
+    RATE_LIMIT_REGISTER_MAX: '1000',
+    RATE_LIMIT_LOGIN_MAX: '1000'
+  });
+
+  const { pool, query } = require('../config/database');
+
+  return {
+    db,
+    query,
+    stop: async () => {
+      await pool.end();
+      await server.stop();
+      await db.close();
+    }
+  };
+};
+
+// Migrate a fresh database and serve the app on a free port
+const startApp = async () => {
+  const database = await startDatabase();
+  await require('../config/migrate').migrate();
+
+  const { server, io } = require('../server');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const api = async (method, path, { body, token } = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body ? { 'content-type': 'application/json' } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(text) : text };
+  };
+
+  // Register a verified user; returns { id, token, refreshToken }
+  const createUser = async (name, { role } = {}) => {
+    const res = await api('POST', '/api/auth/register', {
+      body: { name, email: `${name.toLowerCase()}@example.com`, password: 'secret123' }
+    });
+    if (res.status !== 201) {
+      throw new Error(`Registering ${name} failed: ${JSON.stringify(res.body)}`);
+    }
+    await database.query('UPDATE users SET email_verified = true, role = COALESCE($2, role) WHERE id = $1', [res.body.user.id, role || null]);
+    return { id: res.body.user.id, token: res.body.token, refreshToken: res.body.refreshToken };
+  };
+
+  return {
+    base,
+    api,
+    query: database.query,
+    createUser,
+    close: async () => {
+      // Also closes the HTTP server
+      await new Promise(resolve => io.close(resolve));
+      await database.stop();
+    }
+  };
+};
+
+module.exports = {
+  startDatabase,
+  startApp
+};
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startDatabase } = require('./helpers');
+
+let database;
+let migrator;
+
+const columns = async (table) => (await database.query(
+  'SELECT column_name FROM information_schema.columns WHERE table_name = $1',
+  [table]
+)).rows.map(row => row.column_name);
+
+before(async () => {
+  database = await startDatabase();
+  migrator = require('../config/migrate');
+});
+
+after(() => database.stop());
+
+test('migrate up upgrades a database created from the old db-schema.sql', async () => {
+  // The schema file as it was before migrations existed
+  await database.db.exec(fs.readFileSync(path.join(__dirname, 'fixtures', 'db-schema.sql'), 'utf8'));
+  const userId = (await database.query(`
+    INSERT INTO users (name, email, password_hash) VALUES ('Ada', 'ada@example.com', 'x') RETURNING id
+  `)).rows[0].id;
+  await database.query(`
+    INSERT INTO skills (title, description, category, tags, created_by)
+    VALUES ('Guitar', 'Guitar lessons for beginners', 'music', '["strings"]', $1)
+  `, [userId]);
+
+  await migrator.migrate();
+
+  const states = await migrator.status();
+  assert.ok(states.length > 0);
+  assert.deepStrictEqual(states.filter(row => row.state !== 'applied'), []);
+
+  const userColumns = await columns('users');
+  for (const column of ['email_verified', 'time_zone', 'calendar_token', 'digest_frequency', 'last_digest_at']) {
+    assert.ok(userColumns.includes(column), `users.${column}`);
+  }
+  const skillColumns = await columns('skills');
+  for (const column of ['category_id', 'kind', 'search_vector']) {
+    assert.ok(skillColumns.includes(column), `skills.${column}`);
+  }
+
+  const skill = (await database.query(`
+    SELECT s.kind, s.search_vector @@ plainto_tsquery('english', 'guitar') as matches
+    FROM skills s WHERE s.title = 'Guitar'
+  `)).rows[0];
+  assert.deepStrictEqual(skill, { kind: 'offered', matches: true });
+});
+
+test('every migration rolls back and applies again', async () => {
+  const count = (await migrator.status()).length;
+  await migrator.rollback({ steps: count });
+  assert.deepStrictEqual((await migrator.status()).filter(row => row.state !== 'pending'), []);
+
+  await migrator.migrate();
+  assert.deepStrictEqual((await migrator.status()).filter(row => row.state !== 'applied'), []);
+});
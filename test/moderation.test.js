@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+let app;
+let admin;
+let reporter;
+let spammer;
+
+const report = async (targetType, targetId) => (await app.api('POST', '/api/reports', {
+  token: reporter.token,
+  body: { target_type: targetType, target_id: targetId, reason: 'spam' }
+})).body.report.id;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.createUser('Admin', { role: 'admin' });
+  reporter = await app.createUser('Reporter');
+  spammer = await app.createUser('Spammer');
+  await app.query("INSERT INTO categories (name, slug) VALUES ('Music', 'music')");
+});
+
+after(() => app.close());
+
+test('deactivating a user from a report records the audit entry with the change', async () => {
+  const reportId = await report('user', spammer.id);
+
+  const res = await app.api('POST', `/api/admin/reports/${reportId}/deactivate-user`, { token: admin.token, body: {} });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.report.status, 'resolved');
+
+  const entries = (await app.query(
+    "SELECT actor_id, before, after FROM audit_log WHERE action = 'report.user_deactivated' AND target_id = $1",
+    [reportId]
+  )).rows;
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].actor_id, admin.id);
+  assert.strictEqual(entries[0].before.target.active, true);
+  assert.strictEqual(entries[0].after.target.active, false);
+  assert.deepStrictEqual(entries[0].after.resolved_report_ids, [reportId]);
+
+  const sessions = await app.query('SELECT COUNT(*) FILTER (WHERE revoked_at IS NULL) as live FROM sessions WHERE user_id = $1', [spammer.id]);
+  assert.strictEqual(sessions.rows[0].live, '0');
+});
+
+test('a report is resolved entirely or not at all', async () => {
+  const author = await app.createUser('Author');
+  const skill = (await app.api('POST', '/api/skills', {
+    token: author.token,
+    body: { title: 'Guitar', description: 'Guitar lessons for beginners', category: 'music' }
+  })).body.skill;
+  const reportId = await report('skill', skill.id);
+
+  await app.query(`
+    CREATE FUNCTION reject_audit() RETURNS trigger AS $$ BEGIN RAISE EXCEPTION 'audit unavailable'; END; $$ LANGUAGE plpgsql;
+    CREATE TRIGGER reject_audit BEFORE INSERT ON audit_log FOR EACH ROW EXECUTE FUNCTION reject_audit();
+  `);
+  try {
+    const res = await app.api('POST', `/api/admin/reports/${reportId}/hide-content`, { token: admin.token, body: {} });
+    assert.strictEqual(res.status, 500);
+  } finally {
+    await app.query('DROP TRIGGER reject_audit ON audit_log; DROP FUNCTION reject_audit();');
+  }
+
+  const state = (await app.query(`
+    SELECT r.status, s.active, s.hidden_at FROM reports r JOIN skills s ON s.id = r.target_id WHERE r.id = $1
+  `, [reportId])).rows[0];
+  assert.deepStrictEqual(state, { status: 'open', active: true, hidden_at: null });
+
+  const res = await app.api('POST', `/api/admin/reports/${reportId}/hide-content`, { token: admin.token, body: {} });
+  assert.strictEqual(res.status, 200);
+  assert.notStrictEqual(res.body.report.target.hidden_at, null);
+});
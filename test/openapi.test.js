@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { startApp } = require('./helpers');
+
+let app;
+let uploadDir;
+
+before(async () => {
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillswap-uploads-'));
+  process.env.UPLOAD_DIR = uploadDir;
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+// The Express path of every route, as "<method> <path>"
+const expressRoutes = () => {
+  const { app: express } = require('../server');
+  const mountPath = (layer) => layer.regexp.source
+    .replace('^', '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(/\\\//g, '/');
+
+  const found = [];
+  for (const layer of express._router.stack) {
+    const routes = layer.route ? [['', layer]] : layer.name === 'router'
+      ? layer.handle.stack.filter(inner => inner.route).map(inner => [mountPath(layer), inner])
+      : [];
+    for (const [prefix, { route }] of routes) {
+      for (const method of Object.keys(route.methods)) {
+        found.push(`${method} ${prefix}${route.path === '/' ? '' : route.path}`);
+      }
+    }
+  }
+  return found;
+};
+
+test('every route is declared with the path it is served on', () => {
+  const { routes } = require('../services/openapi');
+  const declared = routes.map(route => `${route.method} ${route.path}`);
+  // The docs page's script is an asset, not part of the API
+  const served = expressRoutes().filter(route => route !== 'get /api/docs/docs.js');
+
+  assert.deepStrictEqual(served.filter(route => !declared.includes(route)), []);
+  assert.deepStrictEqual(declared.filter(route => !served.includes(route)), []);
+});
+
+test('uploads are served at their URL and at the documented path with the key encoded', async () => {
+  const { checkResponse } = require('../services/openapi');
+  const schemas = require('../schemas/uploads');
+  const user = await app.createUser('Uploader');
+
+  const form = new FormData();
+  const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#c00' } }).png().toBuffer();
+  form.append('image', new Blob([image], { type: 'image/png' }), 'avatar.png');
+  const uploaded = await fetch(`${app.base}/api/users/${user.id}/avatar`, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${user.token}` },
+    body: form
+  });
+  assert.strictEqual(uploaded.status, 200);
+
+  const url = new URL((await uploaded.json()).avatar_url, app.base);
+  const key = url.pathname.replace('/api/uploads/', '');
+  assert.match(key, /\//);
+
+  const document = (await app.api('GET', '/api/openapi.json')).body;
+  const template = Object.keys(document.paths).find(documented => documented.startsWith('/api/uploads/'));
+  assert.strictEqual(template, '/api/uploads/{key}');
+
+  for (const requestPath of [url.pathname, template.replace('{key}', encodeURIComponent(key))]) {
+    const res = await app.api('GET', requestPath);
+    assert.strictEqual(res.status, 200, requestPath);
+    assert.strictEqual(res.headers.get('content-type'), 'image/webp');
+  }
+
+  const missing = await app.api('GET', `/api/uploads/${encodeURIComponent('avatar/0/missing-large.webp')}`);
+  assert.strictEqual(missing.status, 404);
+  assert.deepStrictEqual(checkResponse(schemas.getUpload, 404, missing.body), { success: true });
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+let app;
+let admin;
+let followed;
+let leaver;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.createUser('Admin', { role: 'admin' });
+  followed = await app.createUser('Followed');
+  leaver = await app.createUser('Leaver');
+});
+
+after(() => app.close());
+
+test('erasing an account scrubs other people\'s notifications and the audit log', async () => {
+  const { eraseUser } = require('../services/personalData');
+
+  assert.strictEqual((await app.api('POST', `/api/users/${followed.id}/follow`, { token: leaver.token })).status, 201);
+  const rated = await app.api('POST', '/api/ratings', {
+    token: leaver.token,
+    body: { rated_user_id: followed.id, rating: 4, comment: 'Leaver says thanks' }
+  });
+  assert.strictEqual(rated.status, 201);
+  assert.strictEqual((await app.api('GET', `/api/users/${leaver.id}/export`, { token: leaver.token })).status, 200);
+  assert.strictEqual((await app.api('PUT', `/api/users/${leaver.id}`, { token: admin.token, body: { bio: 'Leaver bio' } })).status, 200);
+
+  const notifications = async () => JSON.stringify((await app.api('GET', '/api/notifications', { token: followed.token })).body);
+  assert.match(await notifications(), /Leaver/);
+
+  assert.strictEqual(await eraseUser(leaver.id), true);
+
+  assert.doesNotMatch(await notifications(), /Leaver/);
+
+  const audit = (await app.query(
+    'SELECT * FROM audit_log WHERE actor_id = $1 OR (target_type = $2 AND target_id = $1)',
+    [leaver.id, 'user']
+  )).rows;
+  assert.ok(audit.length >= 3);
+  assert.doesNotMatch(JSON.stringify(audit), /Leaver/);
+  assert.strictEqual(audit.find(entry => entry.action === 'user.export').actor_name, 'Deleted user');
+
+  // Still append-only outside an erasure
+  await assert.rejects(app.query('UPDATE audit_log SET before = NULL'), /append-only/);
+});
+
+test('staff deleting someone else\'s account only deactivates it', async () => {
+  const moderator = await app.createUser('Moderator', { role: 'moderator' });
+  const member = await app.createUser('Member');
+
+  const res = await app.api('DELETE', `/api/users/${member.id}`, { token: moderator.token });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.user.erasure_scheduled_for, null);
+
+  const row = async () => (await app.query('SELECT active, erasure_scheduled_for FROM users WHERE id = $1', [member.id])).rows[0];
+  assert.deepStrictEqual(await row(), { active: false, erasure_scheduled_for: null });
+
+  const reactivated = await app.api('PUT', `/api/admin/users/${member.id}/toggle-status`, { token: moderator.token });
+  assert.strictEqual(reactivated.status, 200);
+  assert.strictEqual((await row()).active, true);
+
+  // Erasure needs its own permission
+  const erasure = await app.api('POST', `/api/users/${member.id}/erasure`, { token: moderator.token });
+  assert.strictEqual(erasure.status, 403);
+
+  const scheduled = await app.api('POST', `/api/users/${member.id}/erasure`, { token: admin.token });
+  assert.strictEqual(scheduled.status, 200);
+  assert.notStrictEqual((await row()).erasure_scheduled_for, null);
+});
+
+test('deleting your own account schedules its erasure', async () => {
+  const member = await app.createUser('Quitter');
+
+  const res = await app.api('DELETE', `/api/users/${member.id}`, { token: member.token });
+  assert.strictEqual(res.status, 200);
+  assert.notStrictEqual(res.body.user.erasure_scheduled_for, null);
+  assert.match(res.body.message, /will be erased/);
+});
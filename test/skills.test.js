@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+let app;
+let admin;
+let shy;
+let open;
+let viewer;
+
+const titles = (skills) => skills.map(skill => skill.title).sort();
+
+before(async () => {
+  app = await startApp();
+  admin = await app.createUser('Admin', { role: 'admin' });
+  shy = await app.createUser('Shy');
+  open = await app.createUser('Open');
+  viewer = await app.createUser('Viewer');
+
+  await app.query("INSERT INTO categories (name, slug) VALUES ('Music', 'music')");
+  const createSkill = async (user, title) => (await app.api('POST', '/api/skills', {
+    token: user.token,
+    body: { title, description: `${title} lessons for beginners`, category: 'music' }
+  })).body.skill.id;
+
+  const guitarId = await createSkill(shy, 'Guitar');
+  await createSkill(shy, 'Drums');
+  const pianoId = await createSkill(open, 'Piano');
+  await createSkill(open, 'Violin');
+
+  for (const id of [guitarId, pianoId]) {
+    assert.strictEqual((await app.api('POST', `/api/skills/${id}/bookmark`, { token: viewer.token })).status, 201);
+  }
+
+  const hidden = await app.api('PUT', `/api/users/${shy.id}`, { token: shy.token, body: { privacy: { skills: 'hidden' } } });
+  assert.strictEqual(hidden.status, 200);
+});
+
+after(() => app.close());
+
+test('skill lists leave out people who hide their skills from the viewer', async () => {
+  const list = async (token) => titles((await app.api('GET', '/api/skills?limit=50', { token })).body.skills);
+
+  assert.deepStrictEqual(await list(), ['Piano', 'Violin']);
+  assert.deepStrictEqual(await list(viewer.token), ['Piano', 'Violin']);
+  assert.deepStrictEqual(await list(shy.token), ['Drums', 'Guitar', 'Piano', 'Violin']);
+  assert.deepStrictEqual(await list(admin.token), ['Drums', 'Guitar', 'Piano', 'Violin']);
+
+  const byCreator = await app.api('GET', `/api/skills?creator=${shy.id}`, { token: viewer.token });
+  assert.strictEqual(byCreator.body.pagination.total, 0);
+});
+
+test('bookmarks and recommendations leave them out as well', async () => {
+  const bookmarks = await app.api('GET', '/api/bookmarks', { token: viewer.token });
+  assert.deepStrictEqual(titles(bookmarks.body.skills), ['Piano']);
+  assert.strictEqual(bookmarks.body.pagination.total, 1);
+
+  const recommended = await app.api('GET', '/api/recommendations', { token: viewer.token });
+  assert.strictEqual(recommended.status, 200);
+  assert.deepStrictEqual(titles(recommended.body.skills), ['Violin']);
+});
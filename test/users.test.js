@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+let app;
+let admin;
+let member;
+
+const auditEntries = async (targetId) => (await app.query(
+  "SELECT actor_id, before, after FROM audit_log WHERE action = 'user.update' AND target_id = $1 ORDER BY id",
+  [targetId]
+)).rows;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.createUser('Admin', { role: 'admin' });
+  member = await app.createUser('Member');
+});
+
+after(() => app.close());
+
+test('staff editing someone else\'s profile is audited with the change', async () => {
+  const res = await app.api('PUT', `/api/users/${member.id}`, {
+    token: admin.token,
+    body: { bio: 'Edited by staff', privacy: { email: 'hidden' } }
+  });
+  assert.strictEqual(res.status, 200);
+
+  const entries = await auditEntries(member.id);
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].actor_id, admin.id);
+  assert.strictEqual(entries[0].before.bio, null);
+  assert.strictEqual(entries[0].after.bio, 'Edited by staff');
+  assert.strictEqual(entries[0].after.email_visibility, 'hidden');
+  assert.strictEqual(entries[0].after.name, 'Member');
+});
+
+test('editing your own profile is not audited', async () => {
+  const res = await app.api('PUT', `/api/users/${admin.id}`, { token: admin.token, body: { bio: 'My own words' } });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await auditEntries(admin.id), []);
+});